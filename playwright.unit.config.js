@@ -0,0 +1,15 @@
+import { defineConfig } from '@playwright/test';
+
+// Pure unit specs: no browser, backend or login, so none of the e2e global setup
+export default defineConfig({
+  testDir: './tests',
+  testMatch: [
+    'permissions-matrix.spec.js',
+    'invitations.spec.js',
+    'email-providers.spec.js',
+    'email-templates.spec.js'
+  ],
+  forbidOnly: !!process.env.CI,
+  retries: 0,
+  reporter: 'line'
+});
@@ -0,0 +1,181 @@
+// Local OpenID Connect provider for trying single sign-on without a real identity provider.
+//
+//   npm run mock-idp            (listens on http://localhost:4010, override with MOCK_IDP_PORT)
+//
+// In AdminPanel > Clients > Single Sign-On choose OpenID Connect with issuer http://localhost:4010,
+// client ID "pestcontrol" and any client secret, and list the domain of the users below.
+// The /authorize page lets you pick which user to sign in as; nothing is checked beyond that.
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 4010;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_S = 3600;
+
+const USERS = [
+  { sub: 'mock-owner', email: 'owner@mock-franchise.test', name: 'Olivia Owner' },
+  { sub: 'mock-delegate', email: 'delegate@mock-franchise.test', name: 'Dan Delegate' },
+  { sub: 'mock-viewer', email: 'viewer@mock-franchise.test', name: 'Vera Viewer' }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomUUID();
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// code -> { user, clientId, redirectUri, nonce, codeChallenge, expiresAt }
+const codes = new Map();
+// access token -> user
+const accessTokens = new Map();
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+function signIdToken(user, clientId, nonce) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64url(JSON.stringify({
+    iss: ISSUER,
+    aud: clientId,
+    sub: user.sub,
+    email: user.email,
+    email_verified: true,
+    name: user.name,
+    iat: now,
+    exp: now + TOKEN_TTL_S,
+    ...(nonce ? { nonce } : {})
+  }));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function authorizePage(params) {
+  const hidden = [...params].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join('');
+  const buttons = USERS.map(u =>
+    `<button name="sub" value="${escapeHtml(u.sub)}" style="display:block;width:100%;margin:.5rem 0;padding:.5rem">${escapeHtml(u.name)} &lt;${escapeHtml(u.email)}&gt;</button>`
+  ).join('');
+  return `<!doctype html><html><body style="font-family:system-ui;max-width:400px;margin:2rem auto">
+<h2>Mock identity provider</h2><p>Sign in to <strong>${escapeHtml(params.get('client_id') || '')}</strong> as:</p>
+<form method="post" action="/authorize">${hidden}${buttons}</form></body></html>`;
+}
+
+// PKCE: S256 compares the hashed verifier, "plain" the verifier itself
+function verifyPkce(entry, verifier) {
+  if (!entry.codeChallenge) return true;
+  if (!verifier) return false;
+  const computed = entry.codeChallengeMethod === 'S256'
+    ? crypto.createHash('sha256').update(verifier).digest('base64url')
+    : verifier;
+  return computed === entry.codeChallenge;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, ISSUER);
+
+  if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+      code_challenge_methods_supported: ['S256', 'plain']
+    });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/jwks') {
+    return sendJson(res, 200, { keys: [jwk] });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/authorize') {
+    if (!url.searchParams.get('redirect_uri') || url.searchParams.get('response_type') !== 'code') {
+      return sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri and response_type=code are required' });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(authorizePage(url.searchParams));
+  }
+
+  if (req.method === 'POST' && url.pathname === '/authorize') {
+    const form = new URLSearchParams(await readBody(req));
+    const user = USERS.find(u => u.sub === form.get('sub'));
+    const redirect = new URL(form.get('redirect_uri'));
+    if (form.get('state')) redirect.searchParams.set('state', form.get('state'));
+    if (!user) {
+      redirect.searchParams.set('error', 'access_denied');
+    } else {
+      const code = crypto.randomBytes(24).toString('base64url');
+      codes.set(code, {
+        user,
+        clientId: form.get('client_id'),
+        redirectUri: form.get('redirect_uri'),
+        nonce: form.get('nonce'),
+        codeChallenge: form.get('code_challenge'),
+        codeChallengeMethod: form.get('code_challenge_method') || 'plain',
+        expiresAt: Date.now() + CODE_TTL_MS
+      });
+      redirect.searchParams.set('code', code);
+    }
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  if (req.method === 'POST' && url.pathname === '/token') {
+    const form = new URLSearchParams(await readBody(req));
+    const code = form.get('code');
+    const entry = codes.get(code);
+    codes.delete(code); // single use
+    let clientId = form.get('client_id');
+    const basic = req.headers.authorization?.match(/^Basic (.+)$/);
+    if (basic) clientId = decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0]);
+    if (form.get('grant_type') !== 'authorization_code' || !entry || entry.expiresAt < Date.now()
+        || entry.clientId !== clientId || entry.redirectUri !== form.get('redirect_uri')
+        || !verifyPkce(entry, form.get('code_verifier'))) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, entry.user);
+    return sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_S,
+      id_token: signIdToken(entry.user, entry.clientId, entry.nonce)
+    });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/userinfo') {
+    const user = accessTokens.get(req.headers.authorization?.replace(/^Bearer /, ''));
+    if (!user) return sendJson(res, 401, { error: 'invalid_token' });
+    return sendJson(res, 200, { sub: user.sub, email: user.email, email_verified: true, name: user.name });
+  }
+
+  sendJson(res, 404, { error: 'not_found' });
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch(err => sendJson(res, 400, { error: 'invalid_request', error_description: err.message }));
+}).listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock OIDC provider at ${ISSUER}`);
+  USERS.forEach(u => console.log(`  ${u.email}`));
+});
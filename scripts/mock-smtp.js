@@ -0,0 +1,217 @@
+// Local SMTP server for trying the email settings without a real mail provider.
+//
+//   npm run mock-smtp           (SMTP on localhost:2525, inbox at http://localhost:2580;
+//                                override with MOCK_SMTP_PORT and MOCK_SMTP_HTTP_PORT)
+//
+// In AdminPanel > Email choose "Local test server": host localhost, port 2525, security None. Any username
+// and password are accepted, and so is an XOAUTH2 token, so the OAuth2 send path can be exercised once the
+// backend holds a token. Recipients whose address contains "reject" are refused, to see how a partly
+// rejected send is reported. Received mail is kept in memory and listed on the inbox page with its From,
+// Reply-To and whether it carried a DKIM signature. SPF, DKIM and DMARC are DNS records, so the
+// deliverability check still looks at the real domain.
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.MOCK_SMTP_HTTP_PORT) || 2580;
+const HOSTNAME = 'mock-smtp.localhost';
+const MAX_MESSAGES = 100;
+const MAX_SIZE = 10 * 1024 * 1024;
+
+// newest first: { id, receivedAt, auth, mailFrom, rcptTo, headers, raw }
+const messages = [];
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// Unfolded headers of a raw message, names lowercased
+function parseHeaders(raw) {
+  const head = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  const headers = {};
+  head.split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  });
+  return headers;
+}
+
+const decode = value => Buffer.from(value || '', 'base64').toString();
+
+// AUTH PLAIN is "\0user\0password"; XOAUTH2 is "user=...\x01auth=Bearer ...\x01\x01"
+function describeAuth(mechanism, payload) {
+  if (mechanism === 'PLAIN') return { mechanism, user: decode(payload).split('\0')[1] || '' };
+  if (mechanism === 'XOAUTH2') return { mechanism, user: (decode(payload).match(/user=([^\x01]*)/) || [])[1] || '' };
+  return { mechanism, user: payload };
+}
+
+function handleConnection(socket) {
+  let session = { auth: null, mailFrom: null, rcptTo: [] };
+  let mode = 'command'; // 'command', 'data', 'auth-login-user', 'auth-login-pass', 'auth-plain'
+  let buffer = '';
+  let data = [];
+  let dataSize = 0;
+
+  const reply = line => socket.write(`${line}\r\n`);
+  const reset = () => { session = { ...session, mailFrom: null, rcptTo: [] }; };
+
+  function finishData() {
+    mode = 'command';
+    if (dataSize > MAX_SIZE) return reply('552 Message too large');
+    const raw = data.map(line => (line.startsWith('..') ? line.slice(1) : line)).join('\r\n');
+    const message = {
+      id: crypto.randomBytes(6).toString('hex'),
+      receivedAt: new Date().toISOString(),
+      auth: session.auth,
+      mailFrom: session.mailFrom,
+      rcptTo: session.rcptTo,
+      headers: parseHeaders(raw),
+      raw
+    };
+    messages.unshift(message);
+    messages.length = Math.min(messages.length, MAX_MESSAGES);
+    console.log(`Message ${message.id} from ${message.mailFrom} to ${message.rcptTo.join(', ')}: ${message.headers.subject || '(no subject)'}`);
+    reset();
+    reply(`250 2.0.0 Ok: queued as ${message.id}`);
+  }
+
+  function handleLine(line) {
+    if (mode === 'data') {
+      if (line === '.') return finishData();
+      dataSize += line.length + 2;
+      if (dataSize <= MAX_SIZE) data.push(line);
+      return;
+    }
+    if (mode === 'auth-login-user') {
+      session.pendingUser = decode(line);
+      mode = 'auth-login-pass';
+      return reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+    }
+    if (mode === 'auth-login-pass' || mode === 'auth-plain') {
+      session.auth = mode === 'auth-plain' ? describeAuth('PLAIN', line) : { mechanism: 'LOGIN', user: session.pendingUser };
+      mode = 'command';
+      return reply('235 2.7.0 Authentication successful');
+    }
+
+    const [verb, ...rest] = line.split(' ');
+    const arg = rest.join(' ');
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reset();
+        return socket.write(`250-${HOSTNAME}\r\n250-SIZE ${MAX_SIZE}\r\n250-8BITMIME\r\n250-AUTH PLAIN LOGIN XOAUTH2\r\n250 SMTPUTF8\r\n`);
+      case 'HELO':
+        reset();
+        return reply(`250 ${HOSTNAME}`);
+      case 'AUTH': {
+        const [mechanism, payload] = arg.split(' ');
+        const upper = (mechanism || '').toUpperCase();
+        if (upper === 'LOGIN') {
+          if (payload) {
+            session.pendingUser = decode(payload);
+            mode = 'auth-login-pass';
+            return reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+          }
+          mode = 'auth-login-user';
+          return reply(`334 ${Buffer.from('Username:').toString('base64')}`);
+        }
+        if (upper === 'PLAIN' || upper === 'XOAUTH2') {
+          if (!payload) {
+            if (upper === 'XOAUTH2') return reply('501 5.5.2 XOAUTH2 needs the token on the AUTH line');
+            mode = 'auth-plain';
+            return reply('334 ');
+          }
+          session.auth = describeAuth(upper, payload);
+          return reply('235 2.7.0 Authentication successful');
+        }
+        return reply('504 5.5.4 Unrecognized authentication type');
+      }
+      case 'MAIL':
+        session.mailFrom = (arg.match(/<([^>]*)>/) || [])[1] ?? arg.replace(/^FROM:/i, '').trim();
+        session.rcptTo = [];
+        return reply('250 2.1.0 Ok');
+      case 'RCPT': {
+        if (session.mailFrom === null) return reply('503 5.5.1 MAIL first');
+        const address = (arg.match(/<([^>]*)>/) || [])[1] || '';
+        if (address.toLowerCase().includes('reject')) return reply(`550 5.1.1 <${address}>: Recipient address rejected`);
+        session.rcptTo.push(address);
+        return reply('250 2.1.5 Ok');
+      }
+      case 'DATA':
+        if (session.rcptTo.length === 0) return reply('554 5.5.1 No valid recipients');
+        mode = 'data';
+        data = [];
+        dataSize = 0;
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        reset();
+        return reply('250 2.0.0 Ok');
+      case 'NOOP':
+        return reply('250 2.0.0 Ok');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not recognized');
+    }
+  }
+
+  socket.setEncoding('utf8');
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+  socket.on('error', err => console.warn('Connection error:', err.message));
+  reply(`220 ${HOSTNAME} ESMTP mock`);
+}
+
+function inboxPage() {
+  const rows = messages.map(m => `<tr>
+<td>${escapeHtml(m.receivedAt)}</td>
+<td>${escapeHtml(m.headers.from || m.mailFrom || '')}</td>
+<td>${escapeHtml(m.headers['reply-to'] || '')}</td>
+<td>${escapeHtml(m.rcptTo.join(', '))}</td>
+<td><a href="/messages/${m.id}">${escapeHtml(m.headers.subject || '(no subject)')}</a></td>
+<td>${m.headers['dkim-signature'] ? 'signed' : '—'}</td>
+<td>${m.auth ? `${escapeHtml(m.auth.mechanism)} ${escapeHtml(m.auth.user)}` : 'none'}</td>
+</tr>`).join('');
+  return `<!doctype html><html><head><meta http-equiv="refresh" content="5"></head><body style="font-family:system-ui;margin:2rem">
+<h2>Mock SMTP inbox</h2><p>${messages.length} message(s), newest first. JSON at <a href="/messages">/messages</a>.</p>
+<table border="1" cellpadding="4" style="border-collapse:collapse;font-size:.9rem">
+<tr><th>Received</th><th>From</th><th>Reply-To</th><th>To</th><th>Subject</th><th>DKIM</th><th>Auth</th></tr>${rows}</table></body></html>`;
+}
+
+net.createServer(handleConnection).listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock SMTP server on localhost:${PORT}`);
+});
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${HTTP_PORT}`);
+  if (req.method === 'GET' && url.pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return res.end(inboxPage());
+  }
+  if (req.method === 'GET' && url.pathname === '/messages') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(messages.map(({ raw, ...summary }) => summary)));
+  }
+  if (req.method === 'DELETE' && url.pathname === '/messages') {
+    messages.length = 0;
+    res.writeHead(204);
+    return res.end();
+  }
+  const message = url.pathname.startsWith('/messages/') && messages.find(m => m.id === url.pathname.slice('/messages/'.length));
+  if (req.method === 'GET' && message) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return res.end(message.raw);
+  }
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'not_found' }));
+}).listen(HTTP_PORT, '127.0.0.1', () => {
+  console.log(`Inbox at http://localhost:${HTTP_PORT}`);
+});
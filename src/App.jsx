@@ -1,24 +1,44 @@
-import React, { useEffect, useState } from 'react';
-import { getReports, runReport, getReportResult, getAssignments, getAllClients, createReport, updateReport, deleteReport, executeQuery, getQueryResults, clearQueryResults, saveChartConfig, getClient, getUserClients, getMyPermissions } from './api.js';
-import { ensureDemoAuth, logout, isSessionExpired, decodeJwt } from './auth.js';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { getReports, runReport, getReportResult, getAssignments, getAllClients, pickableClients, createReport, updateReport, deleteReport, executeQuery, getQueryResults, clearQueryResults, saveChartConfig, getReportAcl, updateReportAcl, getClient, getUserClients, getMyPermissions, getMyPreferences, subscribeClientSuspended } from './api.js';
+import { ensureDemoAuth, logout, checkSession, startSessionKeepAlive, decodeJwt, isSignedIn } from './auth.js';
+import { getErrorMessage, isAbortError } from './apiError.js';
+import { clearQueryCache } from './queryCache.js';
+import { subscribeSessionSync } from './sessionSync.js';
+import { subscribeLiveEvent, isLiveConnected, isForClient } from './liveEvents.js';
+import { getPreferences, setPreferences } from './preferences.js';
+import { can as canPermission, allPermissionFlags, setPermissionContext, hasAccess, visibleReports, usableConnections } from './permissions.js';
+import { effectiveRoles } from './roles.js';
+import { usePreferences } from './hooks/usePreferences.js';
+import { useRequestScope } from './hooks/useRequestScope.js';
+import { optimisticListChange } from './utils/optimistic.js';
+import { listDrafts, clearDraft } from './utils/drafts.js';
+import { useDraft } from './hooks/useDraft.js';
+import { useLiveEvent } from './hooks/useLiveEvent.js';
 import ReportChart from './components/ReportChart.jsx';
 import ScheduleModal from './components/ScheduleModal.jsx';
 import Login from './components/Login.jsx';
+import ClientSuspendedNotice from './components/ClientSuspendedNotice.jsx';
 import Signup from './components/Signup.jsx';
 import VerifyEmail from './components/VerifyEmail.jsx';
 import AdminPanel from './components/AdminPanel.jsx';
 import ClientPanel from './components/ClientPanel.jsx';
 import DatabaseConnections from './components/DatabaseConnections.jsx';
+import MfaSettings from './components/MfaSettings.jsx';
+import ChangePassword from './components/ChangePassword.jsx';
+import ProfileSettings from './components/ProfileSettings.jsx';
 import Dashboard from './components/Dashboard.jsx';
 import Sidebar from './components/Sidebar.jsx';
 import MainLayout from './components/MainLayout.jsx';
 import Toast from './components/Toast.jsx';
+import SessionExpiryDialog from './components/SessionExpiryDialog.jsx';
+import DraftRestoreBanner from './components/DraftRestoreBanner.jsx';
+import ActingRoleBanner from './components/ActingRoleBanner.jsx';
+import ImpersonationBanner from './components/ImpersonationBanner.jsx';
+import AclEditor, { REPORT_SHARE_LEVELS } from './components/AclEditor.jsx';
+import SharedWith from './components/SharedWith.jsx';
 import { ReportCardSkeleton, EmptyState } from './components/LoadingStates.jsx';
 import { formatDateTime as formatDisplayDateTime } from './utils/timeFormatting.js';
 
-// In development backend runs on 3001; in production both frontend & backend are proxied on 3000
-const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
-
 export default function App() {
   const [reports, setReports] = useState([]);
   const [results, setResults] = useState({});
@@ -41,8 +61,13 @@ export default function App() {
   const [clients, setClients] = useState([]); // platform_admin
   const [clientInfo, setClientInfo] = useState(null); // owner/delegate client info
   const [tenantId, setTenantId] = useState(localStorage.getItem('selected_tenant_id') || '');
+  // Report requests belong to the tenant they were made for; switching tenant cancels the rest
+  const { signalFor, abort: abortRequest } = useRequestScope(tenantId);
   const [actingRole, setActingRole] = useState(localStorage.getItem('acting_role') || role || '');
+  // Role checks use the acting role, so acting in a lower role shows exactly what that role sees
+  const scopedRoles = effectiveRoles(roles, actingRole);
   const [view, setView] = useState('reports');
+  usePreferences(); // re-render dates and times when the user changes timezone or format
   const [newReportName, setNewReportName] = useState('');
   const [newReportConnectionId, setNewReportConnectionId] = useState('');
   const [creatingReport, setCreatingReport] = useState(false);
@@ -70,71 +95,39 @@ export default function App() {
   const [showResultDetails, setShowResultDetails] = useState({}); // { reportId: bool }
   const [seriesFormats, setSeriesFormats] = useState({}); // { reportId: { seriesName: 'currency'|'percentage'|'number' } }
   const [seriesDisplayNames, setSeriesDisplayNames] = useState({}); // { reportId: { seriesName: 'Display Name' } }
-  const [toast, setToast] = useState(null); // { message, type }
+  const [toast, setToast] = useState(null); // { message, type, requestId }
+  const [sessionNotice, setSessionNotice] = useState(''); // shown on the login page after an expiry
+  const [suspension, setSuspension] = useState(null); // the client was suspended mid-session: { clientName, reason }
+  const [scheduleDrafts, setScheduleDrafts] = useState([]);
   const [loadingReports, setLoadingReports] = useState(true);
   const [scheduleModalOpen, setScheduleModalOpen] = useState(null); // reportId when modal is open
+  const [sharingReportId, setSharingReportId] = useState(null); // report whose sharing editor is open
 
   const formatRunDateTime = (value) => formatDisplayDateTime(value) || 'Never';
 
-  // Toast helper
+  // Toast helper: accepts a string or an ApiError (shows its user message and request id)
   const showToast = (message, type = 'success') => {
-    setToast({ message, type });
+    setToast({ message: getErrorMessage(message), type, requestId: message?.requestId || null });
   };
+  const closeToast = useCallback(() => setToast(null), []);
 
-  // Check if user has permission to manage database connections
-  const canManageConnections = () => {
-    if (permissions) {
-      return permissions.canManageConnections;
-    }
-    // Fallback to role-based check if permissions not loaded yet
-    const editableRoles = ['business_owner', 'delegate', 'platform_admin', 'manager'];
-    return roles && roles.some(r => editableRoles.includes(r));
-  };
-
-  // Check if user can edit reports
-  const canEditReports = () => {
-    if (permissions) {
-      return permissions.canEditReports;
-    }
-    // Fallback to role-based check
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  };
-
-  // Check if user can create reports
-  const canCreateReports = () => {
-    if (permissions) {
-      return permissions.canCreateReports;
-    }
-    // Fallback to role-based check
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  };
+  // Permission checks (permissions.js): the acting role until the tenant's permissions load, then those
+  const can = (permission) => canPermission(permission, { roles: scopedRoles, permissions });
 
-  // Check if user can delete reports
-  const canDeleteReports = () => {
-    if (permissions) {
-      return permissions.canDeleteReports;
-    }
-    // Fallback to role-based check
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  };
+  // <Can> and useCan() in child components check against the same context
+  useEffect(() => {
+    setPermissionContext({ roles: scopedRoles, permissions });
+  }, [scopedRoles.join(), permissions]);
 
-  // Load user's permissions for current tenant
+  // Load user's permissions for current tenant, in the acting role (the request sends x-acting-role)
   async function loadPermissions() {
-    if (!tenantId || !roles.length) {
+    if (!tenantId || !scopedRoles.length) {
       setPermissions(null);
       return;
     }
     // Platform admins have all permissions
-    if (roles.includes('platform_admin')) {
-      setPermissions({
-        canViewReports: true,
-        canCreateReports: true,
-        canEditReports: true,
-        canDeleteReports: true,
-        canManageConnections: true,
-        canInviteUsers: true,
-        canManageUsers: true
-      });
+    if (scopedRoles.includes('platform_admin')) {
+      setPermissions(allPermissionFlags());
       return;
     }
     const perms = await getMyPermissions(tenantId);
@@ -143,16 +136,30 @@ export default function App() {
     }
   }
 
-  // Reload permissions whenever tenant changes
+  // Reload permissions whenever tenant or acting role changes
   useEffect(() => {
     if (tenantId && page === 'app') {
       loadPermissions();
     }
-  }, [tenantId, page]);
+  }, [tenantId, page, actingRole]);
+
+  // Live updates while signed in (liveEvents.js): finished report runs and permission changes
+  const live = !!role && !!tenantId;
+  useLiveEvent('reportCompleted', data => {
+    if (isForClient(data, tenantId) && reports.some(r => String(r.id) === String(data.reportId))) fetchResult(data.reportId);
+  }, { enabled: live });
+  useLiveEvent('permissionsChanged', data => {
+    if (!isForClient(data, tenantId) || (data.userId && String(data.userId) !== String(decodeJwt()?.userId))) return;
+    loadPermissions();
+  }, { enabled: live });
+  useLiveEvent('reconnected', () => {
+    refreshReports();
+    loadPermissions();
+  }, { enabled: live });
 
   // Load client info for Settings view
   useEffect(() => {
-    if (!(roles.includes('business_owner') || roles.includes('delegate'))) {
+    if (!(scopedRoles.includes('business_owner') || scopedRoles.includes('delegate'))) {
       setClientInfo(null);
       return;
     }
@@ -173,90 +180,142 @@ export default function App() {
         setClientInfo({ id: tenantId, name: '' });
       }
     })();
-  }, [tenantId, clients, roles]);
+  }, [tenantId, clients, roles, actingRole]);
 
   useEffect(() => {
-    const maybeExpire = () => {
-      if (isSessionExpired()) {
-        console.warn('[auth] token expired; logging out');
-        handleLogout();
-        return true;
-      }
-      return false;
+    // Expired access tokens are renewed while the user is active; otherwise the session ends
+    const maybeExpire = async () => {
+      if (await checkSession()) return false;
+      console.warn('[auth] session expired; logging out');
+      handleSessionExpired();
+      return true;
     };
-    if (maybeExpire()) return;
-    ensureDemoAuth();
-    const hasJwt = !!localStorage.getItem('jwt');
-    const r = localStorage.getItem('role');
-    setRole(r);
-    if (!hasJwt) return;
-    if (r === 'manager') {
-      loadAssignments();
-      if (tenantId) refreshReports();
-      else setLoading(false);
-      
-      // Listen for assignment updates via SSE
-      const token = localStorage.getItem('jwt');
-      const sseUrl = new URL(`${API_BASE}/manager/assignments/updates`);
-      sseUrl.searchParams.append('token', token || '');
-      const eventSource = new EventSource(sseUrl.toString());
-      
-      eventSource.addEventListener('assignmentUpdated', () => {
-        console.log('[SSE] Assignment updated event received, refreshing assignments');
-        loadAssignments();
-      });
-      
-      eventSource.onerror = (err) => {
-        console.error('[SSE] Connection error:', err);
-        eventSource.close();
-      };
+    const id = setInterval(maybeExpire, 60_000);
+    let stopped = false;
+    let unsubscribeAssignments = null;
+    (async () => {
+      if (await maybeExpire()) return;
+      ensureDemoAuth();
+      const hasJwt = isSignedIn();
+      const r = localStorage.getItem('role');
+      setRole(r);
+      if (!hasJwt) return;
+      const prefs = await loadUserPreferences();
+      setView(landingView(prefs, roles, actingRole));
+      if (r === 'manager') {
+        const assigned = await loadAssignments();
+        const preferred = !tenantId && assigned.find(a => a.clientId === prefs.defaultTenantId);
+        if (preferred) {
+          setTenantId(preferred.clientId);
+          localStorage.setItem('selected_tenant_id', preferred.clientId);
+          refreshReports(preferred.clientId);
+        } else if (tenantId) refreshReports();
+        else setLoading(false);
       
-      return () => {
-        eventSource.close();
-      };
-    } else if (r === 'platform_admin') {
-      (async () => {
-        const clientsData = await getAllClients();
-        if (Array.isArray(clientsData) && clientsData.length > 0) {
-          // Auto-select first client if no tenant is selected
-          if (!tenantId) {
-            const firstClientId = clientsData[0].id;
-            setTenantId(firstClientId);
-            localStorage.setItem('selected_tenant_id', firstClientId);
-            setClients(clientsData.map(c => ({ clientId: c.id, clientName: c.name })));
-            await refreshReports(firstClientId);
+        // Listen for assignment updates on the manager's own stream (reconnects by itself)
+        if (stopped) return;
+        unsubscribeAssignments = subscribeLiveEvent(['assignmentUpdated', 'reconnected'], () => {
+          console.log('[SSE] Assignments may have changed, refreshing assignments');
+          loadAssignments();
+        }, { path: '/manager/assignments/updates' });
+      } else if (r === 'platform_admin') {
+        (async () => {
+          const clientsData = pickableClients(await getAllClients());
+          if (Array.isArray(clientsData) && clientsData.length > 0) {
+            // Auto-select the preferred (or first) client if no tenant is selected
+            if (!tenantId) {
+              const firstClientId = (clientsData.find(c => c.id === prefs.defaultTenantId) || clientsData[0]).id;
+              setTenantId(firstClientId);
+              localStorage.setItem('selected_tenant_id', firstClientId);
+              setClients(clientsData.map(c => ({ clientId: c.id, clientName: c.name })));
+              await refreshReports(firstClientId);
+            } else {
+              setClients(clientsData.map(c => ({ clientId: c.id, clientName: c.name })));
+              await refreshReports();
+            }
+          } else {
+            // No clients yet - just show empty state
+            setClients([]);
+            setReports([]);
+          }
+          setLoading(false);
+        })();
+      } else if (r === 'business_owner' || r === 'delegate' || r === 'viewer') {
+        (async () => {
+          // Load all accessible clients for this user
+          await loadUserClients();
+          // Auto-select if only one client, or the preferred one
+          const clientsData = await getUserClients();
+          const preferred = Array.isArray(clientsData) && (clientsData.length === 1 ? clientsData[0] : clientsData.find(c => c.id === prefs.defaultTenantId));
+          if (preferred && !tenantId) {
+            setTenantId(preferred.id);
+            localStorage.setItem('selected_tenant_id', preferred.id);
+            await refreshReports(preferred.id);
           } else {
-            setClients(clientsData.map(c => ({ clientId: c.id, clientName: c.name })));
             await refreshReports();
           }
-        } else {
-          // No clients yet - just show empty state
-          setClients([]);
-          setReports([]);
-        }
-        setLoading(false);
-      })();
-    } else if (r === 'business_owner' || r === 'delegate' || r === 'viewer') {
-      (async () => {
-        // Load all accessible clients for this user
-        await loadUserClients();
-        // Auto-select if only one client
-        const clientsData = await getUserClients();
-        if (Array.isArray(clientsData) && clientsData.length === 1 && !tenantId) {
-          const singleClientId = clientsData[0].id;
-          setTenantId(singleClientId);
-          localStorage.setItem('selected_tenant_id', singleClientId);
-        }
-        await refreshReports();
-      })();
-    } else {
-      refreshReports();
-    }
-    const id = setInterval(maybeExpire, 60_000);
-    return () => clearInterval(id);
+        })();
+      } else {
+        refreshReports();
+      }
+    })();
+    return () => {
+      clearInterval(id);
+      stopped = true;
+      unsubscribeAssignments?.();
+    };
   }, []);
 
+  // Silent token renewal and activity tracking while signed in
+  useEffect(() => {
+    if (!role) return;
+    return startSessionKeepAlive();
+  }, [role]);
+
+  // Subscribed once; the ref always points at the handler from the latest render
+  const sessionSyncRef = useRef(handleSessionSync);
+  sessionSyncRef.current = handleSessionSync;
+  useEffect(() => subscribeSessionSync(change => sessionSyncRef.current(change)), []);
+
+  // Unsaved report edits are kept as a draft so a session expiry doesn't lose them
+  const editingReport = reports.find(r => r.id === editingReportId);
+  const reportEditorDirty = !!editingReport && (
+    editReportName !== editingReport.name ||
+    editReportSqlQuery !== (editingReport.sqlQuery || '') ||
+    String(editReportConnectionId || '') !== String(editingReport.connectionId || '')
+  );
+  const reportDraft = useDraft(
+    'report-editor',
+    { id: editingReportId, name: editReportName, connectionId: editReportConnectionId, sqlQuery: editReportSqlQuery },
+    reportEditorDirty,
+    role
+  );
+  const reportDraftTarget = reportDraft.pending && !editingReportId
+    ? reports.find(r => r.id === reportDraft.pending.data.id)
+    : null;
+
+  function restoreReportDraft() {
+    const data = reportDraft.restore();
+    if (!data || !reportDraftTarget) return;
+    startEditingReport(reportDraftTarget);
+    setEditReportName(data.name);
+    setEditReportConnectionId(data.connectionId);
+    setEditReportSqlQuery(data.sqlQuery);
+  }
+
+  // Schedule forms save their own drafts; list them here so they can be reopened after signing in
+  useEffect(() => {
+    setScheduleDrafts(role && !scheduleModalOpen ? listDrafts('schedule-form:') : []);
+  }, [role, scheduleModalOpen]);
+
+  function discardScheduleDraft(name) {
+    clearDraft(name);
+    setScheduleDrafts(listDrafts('schedule-form:'));
+  }
+
   async function onLoginSuccess() {
+    setSessionNotice('');
+    setSuspension(null);
     const r = localStorage.getItem('role');
     setRole(r);
     setPage('app'); // Exit login page and show main app
@@ -267,6 +326,8 @@ export default function App() {
     const primaryRole = rs.includes('platform_admin') ? 'platform_admin' : rs[0] || '';
     localStorage.setItem('acting_role', primaryRole);
     setActingRole(primaryRole);
+    const prefs = await loadUserPreferences();
+    setView(landingView(prefs, rs, primaryRole));
     
     // Set role if not set (for backward compatibility with !role check)
     if (!r && rs.length > 0) {
@@ -275,15 +336,20 @@ export default function App() {
     }
     
     if (rs.includes('manager')) {
-      await loadAssignments();
-      if (tenantId) await refreshReports();
+      const assigned = await loadAssignments();
+      const preferred = !tenantId && assigned.find(a => a.clientId === prefs.defaultTenantId);
+      if (preferred) {
+        setTenantId(preferred.clientId);
+        localStorage.setItem('selected_tenant_id', preferred.clientId);
+        await refreshReports(preferred.clientId);
+      } else if (tenantId) await refreshReports();
       else setLoading(false);
     } else {
       if (rs.includes('platform_admin')) {
-        const clientsData = await getAllClients();
+        const clientsData = pickableClients(await getAllClients());
         if (Array.isArray(clientsData) && clientsData.length > 0) {
-          // Auto-select the first client
-          const firstClientId = clientsData[0].id;
+          // Auto-select the preferred (or first) client
+          const firstClientId = (clientsData.find(c => c.id === prefs.defaultTenantId) || clientsData[0]).id;
           setTenantId(firstClientId);
           localStorage.setItem('selected_tenant_id', firstClientId);
           setClients(clientsData.map(c => ({ clientId: c.id, clientName: c.name })));
@@ -297,10 +363,11 @@ export default function App() {
       } else if (rs.includes('business_owner') || rs.includes('delegate') || rs.includes('viewer')) {
         // Load all accessible clients for this user
         await loadUserClients();
-        // Auto-select if only one client
+        // Auto-select if only one client, or the preferred one
         const clientsData = await getUserClients();
-        if (Array.isArray(clientsData) && clientsData.length === 1 && !tenantId) {
-          const singleClientId = clientsData[0].id;
+        const preferred = Array.isArray(clientsData) && (clientsData.length === 1 ? clientsData[0] : clientsData.find(c => c.id === prefs.defaultTenantId));
+        if (preferred && !tenantId) {
+          const singleClientId = preferred.id;
           setTenantId(singleClientId);
           localStorage.setItem('selected_tenant_id', singleClientId);
           // Pass tenantId explicitly to avoid timing issues with state update
@@ -321,10 +388,29 @@ export default function App() {
       setAssignments(data);
     }
     setLoading(false);
+    return Array.isArray(data) ? data : [];
+  }
+
+  // Server-side preferences (timezone, formats, default client and view), cached by preferences.js
+  async function loadUserPreferences() {
+    if (!isSignedIn()) return getPreferences();
+    const res = await getMyPreferences();
+    if (!res?.error) setPreferences(res);
+    return getPreferences();
+  }
+
+  // The preferred landing view, when the acting role can open it
+  function landingView(prefs, userRoles, acting) {
+    const wanted = prefs.defaultView || 'reports';
+    const actingRoles = effectiveRoles(userRoles, acting);
+    if (wanted === 'admin' && !canPermission('admin.view', { roles: actingRoles })) return 'reports';
+    if (wanted === 'settings' && !canPermission('settings.view', { roles: actingRoles })) return 'reports';
+    if (wanted === 'profile' && !isSignedIn()) return 'reports';
+    return wanted;
   }
 
   async function loadAdminClients() {
-    const data = await getAllClients();
+    const data = pickableClients(await getAllClients());
     if (Array.isArray(data)) {
       // Normalize to { clientId, clientName }
       const normalized = data.map(c => ({ clientId: c.id, clientName: c.name }));
@@ -341,7 +427,8 @@ export default function App() {
     }
   }
 
-  async function refreshReports(selectedTenantId = tenantId) {
+  // `reload` skips the query cache (the Refresh button)
+  async function refreshReports(selectedTenantId = tenantId, { reload = false } = {}) {
     const currentTenantId = selectedTenantId || tenantId;
     if (!currentTenantId) {
       setReports([]);
@@ -350,20 +437,27 @@ export default function App() {
       return;
     }
     setLoading(true);
-    const list = await getReports();
+    const signal = signalFor('reports', currentTenantId);
+    const list = await getReports({
+      signal,
+      cache: reload ? 'reload' : undefined,
+      // Served from cache while stale: re-apply once the background revalidation lands
+      onUpdate: () => refreshReports(currentTenantId)
+    });
+    if (isAbortError(list)) return;
     if (list?.error) {
-      setError(list.error + (list.body ? `: ${list.body}` : ''));
+      setError(list.message);
       setReports([]);
       setAvailableConnections([]);
     } else {
       setError(null);
       // Handle both old format (array) and new format (object with reports and availableConnections)
       if (Array.isArray(list)) {
-        setReports(list);
+        setReports(visibleReports(list));
         setAvailableConnections([]);
       } else if (list?.reports) {
-        setReports(list.reports);
-        setAvailableConnections(list.availableConnections || []);
+        setReports(visibleReports(list.reports));
+        setAvailableConnections(usableConnections(list.availableConnections || []));
 
         // Sync chart configuration from server
         const newFieldSelection = { ...chartFieldSelection };
@@ -408,7 +502,7 @@ export default function App() {
         await Promise.all(list.reports.map(async (r) => {
           if (r.chartConfig && Object.keys(r.chartConfig.selectedFields || {}).length > 0) {
             try {
-              const res = await getQueryResults(r.id);
+              const res = await getQueryResults(r.id, { signal });
               if (res?.data?.rows && res.data.rows.length > 0) {
                 const resultData = {
                   executedAt: res.executedAt || new Date().toISOString(),
@@ -435,14 +529,15 @@ export default function App() {
     setLoadingRun(id);
     await runReport(id);
     setLoadingRun(null);
-    // Poll result after a short delay
-    setTimeout(() => fetchResult(id), 1700);
+    // The reportCompleted handler above brings the result; when it is not listening, poll once after a short delay
+    if (!live || !isLiveConnected()) setTimeout(() => fetchResult(id), 1700);
   }
 
   async function fetchResult(id) {
-    const result = await getReportResult(id);
+    const result = await getReportResult(id, { signal: signalFor(`result:${id}`) });
+    if (isAbortError(result)) return;
     if (result?.error) {
-      setError(result.error);
+      setError(result.message);
     } else if (result) {
       setResults(r => ({ ...r, [id]: result }));
     }
@@ -458,7 +553,7 @@ export default function App() {
     const res = await createReport(newReportName);
     setCreatingReport(false);
     if (res?.error) {
-      setError('Failed to create report: ' + res.error);
+      setError('Failed to create report: ' + res.message);
     } else {
       setNewReportName('');
       setError(null);
@@ -466,29 +561,46 @@ export default function App() {
     }
   }
 
+  // Applied to the list and the editor closed immediately; on rejection the list is rolled back
+  // and the editor reopened with the user's changes
   async function handleUpdateReport() {
     if (!editReportName.trim()) {
       setError('Report name is required');
       return;
     }
-    setSavingReport(true);
+    const draft = {
+      id: editingReportId,
+      name: editReportName,
+      connectionId: editReportConnectionId,
+      sqlQuery: editReportSqlQuery
+    };
+    setEditingReportId(null);
+    setEditReportName('');
+    setEditReportConnectionId('');
+    setEditReportSqlQuery('');
+    setError(null);
     
-    const res = await updateReport(
-      editingReportId, 
-      editReportName, 
-      editReportConnectionId || undefined,
-      editReportSqlQuery || undefined
+    const res = await optimisticListChange(
+      reports,
+      setReports,
+      draft.id,
+      report => ({
+        ...report,
+        name: draft.name,
+        connectionId: draft.connectionId || report.connectionId,
+        sqlQuery: draft.sqlQuery || report.sqlQuery
+      }),
+      () => updateReport(draft.id, draft.name, draft.connectionId || undefined, draft.sqlQuery || undefined)
     );
-    setSavingReport(false);
     if (res?.error) {
-      setError('Failed to update report: ' + res.error);
+      showToast(`Failed to update report: ${res.message}`, 'error');
+      setEditingReportId(draft.id);
+      setEditReportName(draft.name);
+      setEditReportConnectionId(draft.connectionId);
+      setEditReportSqlQuery(draft.sqlQuery);
     } else {
-      setEditingReportId(null);
-      setEditReportName('');
-      setEditReportConnectionId('');
-      setEditReportSqlQuery('');
-      setError(null);
-      await refreshReports();
+      reportDraft.discard();
+      if (res?.id === draft.id) setReports(list => list.map(r => (r.id === draft.id ? { ...r, ...res } : r)));
     }
   }
 
@@ -507,13 +619,14 @@ export default function App() {
         editReportSqlQuery || undefined
       );
       if (res?.error) {
-        setError('Failed to update report: ' + res.error);
+        setError('Failed to update report: ' + res.message);
         return;
       }
       setError(null);
       // Persist chart config after report update
       await handleSaveChartConfig(reportId);
       // Exit edit mode and clear edit buffers
+      reportDraft.discard();
       setEditingReportId(null);
       setEditReportName('');
       setEditReportConnectionId('');
@@ -546,6 +659,8 @@ export default function App() {
   }
 
   function cancelEditingReport() {
+    abortRequest('executeQuery');
+    reportDraft.discard();
     setEditingReportId(null);
     setEditReportName('');
     setEditReportConnectionId('');
@@ -576,22 +691,17 @@ export default function App() {
     
     try {
       console.log('[Query] Executing query for report:', reportId);
-      const res = await executeQuery(reportId, editReportSqlQuery, editReportConnectionId);
+      const res = await executeQuery(reportId, editReportSqlQuery, editReportConnectionId, { signal: signalFor('executeQuery') });
+      if (isAbortError(res)) {
+        console.log('[Query] Execution cancelled for report:', reportId);
+        return;
+      }
       
       console.log('[Query] Execute response:', res);
       
       // Handle API-level errors (HTTP errors like 500)
       if (res?.error) {
-        let errorMsg = res.error;
-        // Try to parse the body if it's a JSON string with an error message
-        if (res?.body) {
-          try {
-            const parsed = typeof res.body === 'string' ? JSON.parse(res.body) : res.body;
-            errorMsg = parsed?.error || res.body;
-          } catch (e) {
-            errorMsg = res.body;
-          }
-        }
+        const errorMsg = res.message;
         console.error('[Query] Execution error:', errorMsg);
         setError(`Query execution failed: ${errorMsg}`);
         setExecutingQuery(null);
@@ -662,9 +772,10 @@ export default function App() {
     setLoadingSavedResults(reportId);
     setError(null);
     try {
-      const res = await getQueryResults(reportId);
+      const res = await getQueryResults(reportId, { signal: signalFor(`results:${reportId}`) });
+      if (isAbortError(res)) return;
       if (res?.error) {
-        setError(`Failed to load saved results: ${res.error}`);
+        setError(`Failed to load saved results: ${res.message}`);
         return;
       }
       if (!res?.data?.rows) {
@@ -708,7 +819,7 @@ export default function App() {
       };
       const res = await saveChartConfig(reportId, config);
       if (res?.error) {
-        setError(`Failed to save chart configuration: ${res.error}`);
+        setError(`Failed to save chart configuration: ${res.message}`);
       } else {
         setError(null);
         setReportChartConfig(prev => ({ ...prev, [reportId]: config }));
@@ -834,53 +945,140 @@ export default function App() {
   }
 
   // Confirm delete handler
+  // The card disappears immediately and comes back with an error toast if the delete is rejected
   async function confirmDelete() {
     if (!pendingDeleteId) return;
-    setDeletingReportId(pendingDeleteId);
+    const reportId = pendingDeleteId;
+    setDeletingReportId(reportId);
     setShowDeleteSnackbar(false);
-    const res = await deleteReport(pendingDeleteId);
-    setDeletingReportId(null);
     setPendingDeleteId(null);
+    const res = await optimisticListChange(reports, setReports, reportId, null, () => deleteReport(reportId));
+    setDeletingReportId(null);
     if (res?.error) {
-      setError('Failed to delete report: ' + res.error);
+      showToast(`Failed to delete report: ${res.message}`, 'error');
     } else {
       setError(null);
-      await refreshReports();
     }
   }
 
   // Logout handler
   function handleLogout() {
     logout();
+    clearSignedInState();
+  }
+
+  // Reset the UI to signed-out; storage is handled by logout() (or by the tab that changed it)
+  function clearSignedInState() {
     setRole(null);
     setRoles([]);
     setActingRole('');
     setView('reports'); // Reset to reports view
+    setPage('login');
     setReports([]);
     setClients([]);
     setAssignments([]);
     setLoading(false);
+    // Editor and schedule form contents stay in their drafts for the next sign-in
+    setEditingReportId(null);
+    setEditReportName('');
+    setEditReportConnectionId('');
+    setEditReportSqlQuery('');
+    setScheduleModalOpen(null);
   }
 
-  // Sidebar JSX
-  const navItems = [
-    { key: 'dashboard', title: 'Dashboard' },
-    { key: 'reports', title: 'Reports' }
-  ];
-  
-  if (roles.includes('platform_admin')) {
-    navItems.push({ key: 'admin', title: 'Admin' });
+  function changeActingRole(nextRole) {
+    localStorage.setItem('acting_role', nextRole);
+    applyActingRole(nextRole);
+  }
+
+  // A different acting role sees different reports and actions: reload them, and leave a view it can't open
+  function applyActingRole(nextRole) {
+    setActingRole(nextRole);
+    setPermissions(null);
+    const allowed = buildNavItems(effectiveRoles(roles, nextRole), null);
+    if (!allowed.some(item => item.key === view)) setView('reports');
+    if (tenantId) refreshReports();
   }
-  if (((permissions && (permissions.canManageUsers || permissions.canInviteUsers)) || (roles.includes('business_owner') || roles.includes('delegate')))) {
-    navItems.push({ key: 'settings', title: 'Settings' });
+
+  // Another tab changed the shared session: follow it so this tab's requests use the same context
+  async function handleSessionSync(change) {
+    switch (change.type) {
+      case 'logout':
+        if (!role) return;
+        logout();
+        clearSignedInState();
+        setSessionNotice('You were signed out in another tab.');
+        break;
+      case 'login':
+        clearQueryCache();
+        clearSignedInState();
+        await onLoginSuccess();
+        showToast(`Signed in${change.user?.email ? ` as ${change.user.email}` : ''} in another tab.`, 'info');
+        break;
+      case 'tenant': {
+        if (!role || change.value === String(tenantId)) return;
+        setTenantId(change.value);
+        setTenantSelectTouched(true);
+        refreshReports(change.value);
+        if (!change.quiet) {
+          const name = clients.find(c => String(c.clientId) === change.value)?.clientName
+            || assignments.find(a => String(a.clientId) === change.value)?.clientName;
+          showToast(`Client switched to ${name || change.value} in another tab. This tab now shows the same client.`, 'info');
+        }
+        break;
+      }
+      case 'acting_role':
+        if (!role || change.value === actingRole) return;
+        applyActingRole(change.value);
+        if (!change.quiet) showToast(`Acting role changed to ${change.value.replace('_', ' ')} in another tab.`, 'info');
+        break;
+      case 'impersonation':
+        // Roles, tenant and cached data all change with it; start over in the new context
+        if (role) window.location.reload();
+        break;
+      default:
+        break;
+    }
   }
 
+  // api.js has already ended the session; only the UI is left to reset
+  useEffect(() => subscribeClientSuspended(details => {
+    clearSignedInState();
+    setSuspension(details);
+  }), []);
+
+  function handleSessionExpired() {
+    handleLogout();
+    setSessionNotice('Your session expired. Any unsaved report or schedule changes were kept and can be restored after you sign in.');
+  }
+
+  // Sidebar JSX
+  function buildNavItems(userRoles, perms) {
+    const items = [
+      { key: 'dashboard', title: 'Dashboard' },
+      { key: 'reports', title: 'Reports' }
+    ];
+    const context = { roles: userRoles, permissions: perms };
+    if (canPermission('admin.view', context)) {
+      items.push({ key: 'admin', title: 'Admin' });
+    }
+    if (canPermission('settings.view', context)) {
+      items.push({ key: 'settings', title: 'Settings' });
+    }
+    // Profile, preferences and account security need a real sign-in (not the dev/demo token)
+    if (isSignedIn()) {
+      items.push({ key: 'profile', title: 'Profile' });
+    }
+    return items;
+  }
+  const navItems = buildNavItems(scopedRoles, permissions);
+
   const sidebar = (
     <Sidebar
       role={role}
       roles={roles}
       actingRole={actingRole}
-      onActingRoleChange={setActingRole}
+      onActingRoleChange={changeActingRole}
       navItems={navItems}
       currentNav={view}
       onNavSelect={setView}
@@ -910,6 +1108,11 @@ export default function App() {
           {page === 'login' && (
             <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh', background: '#f5f5f5' }}>
               <div style={{ background: 'white', padding: '2rem', borderRadius: '.5rem', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', width: '100%', maxWidth: '400px' }}>
+                {suspension ? <ClientSuspendedNotice suspension={suspension} /> : sessionNotice && (
+                  <div role="status" style={{ padding: '.75rem', marginBottom: '1rem', background: '#fff8e1', color: '#8a6d00', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '.9rem' }}>
+                    {sessionNotice}
+                  </div>
+                )}
                 <Login onLoginSuccess={onLoginSuccess} />
                 <p style={{ marginTop: '1rem', fontSize: '0.9rem', color: '#666', textAlign: 'center' }}>
                   Don't have an account? <a onClick={() => setPage('signup')} style={{ color: '#0078d4', textDecoration: 'none', cursor: 'pointer' }}>Sign up</a>
@@ -920,6 +1123,8 @@ export default function App() {
         </>
       ) : (
         <>
+          <ImpersonationBanner />
+          <ActingRoleBanner roles={roles} actingRole={actingRole} onReset={changeActingRole} />
           {loading ? (
             <p>Loading...</p>
           ) : (
@@ -932,6 +1137,28 @@ export default function App() {
               
               {view === 'reports' && (
                 <>
+                  {reportDraftTarget && (
+                    <DraftRestoreBanner
+                      message={`Unsaved changes to “${reportDraftTarget.name}” were kept from your last session.`}
+                      savedAt={reportDraft.pending.savedAt}
+                      onRestore={restoreReportDraft}
+                      onDiscard={reportDraft.discard}
+                    />
+                  )}
+                  {scheduleDrafts.map(d => {
+                    const report = reports.find(r => `schedule-form:${r.id}` === d.name);
+                    if (!report) return null;
+                    return (
+                      <DraftRestoreBanner
+                        key={d.name}
+                        message={`An unsaved schedule for “${report.name}” was kept from your last session.`}
+                        savedAt={d.savedAt}
+                        restoreLabel="Open"
+                        onRestore={() => setScheduleModalOpen({ reportId: report.id, userEmail: decodeJwt()?.email || '' })}
+                        onDiscard={() => discardScheduleDraft(d.name)}
+                      />
+                    );
+                  })}
                   {actingRole === 'manager' && (
                     <div style={{ marginBottom: '1rem' }}>
                       <label>Assigned Client: </label>
@@ -1007,7 +1234,7 @@ export default function App() {
                       {/* Reports Content */}
                       {reportsTab === 'reports' && (
                         <>
-                          {canCreateReports() && (
+                          {can('reports.create') && (
                             <div style={{ marginBottom: '1.5rem', padding: '1rem', background: '#f0f8ff', border: '1px solid #b0d4ff', borderRadius: '4px' }}>
                               <h4 style={{ marginTop: 0 }}>Create New Report</h4>
                               <div style={{ display: 'flex', gap: '.5rem', marginBottom: '1rem' }}>
@@ -1038,7 +1265,7 @@ export default function App() {
                   
                           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem', marginBottom: '1rem' }}>
                             <h3 style={{ margin: 0 }}>Reports</h3>
-                            <button onClick={refreshReports} style={{ padding: '.4rem .8rem', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Refresh</button>
+                            <button onClick={() => refreshReports(tenantId, { reload: true })} style={{ padding: '.4rem .8rem', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Refresh</button>
                           </div>
                           <div style={{ marginTop: '1rem' }}>
                             {reports.map(r => {
@@ -1105,12 +1332,13 @@ export default function App() {
                               <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
                                 <div>
                                   <strong>{r.name}</strong> <em style={{ color: '#666' }}>({r.status})</em>
+                                  <SharedWith sharing={r.sharing} />
                                   {r.connectionId && <div style={{ fontSize: '.85em', color: '#666', marginTop: '.25rem' }}>Connection: {r.connectionId}</div>}
                                 </div>
                                 <div style={{ display: 'flex', gap: '.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
-                                  {(canEditReports() || canDeleteReports()) && (
+                                  {(can('reports.edit') || can('reports.delete')) && (
                                     <div style={{ display: 'flex', gap: '.5rem' }}>
-                                      {canEditReports() && (
+                                      {can('reports.edit') && hasAccess(r, 'edit') && (
                                         <button
                                           onClick={() => startEditingReport(r)}
                                           title="Edit report"
@@ -1146,7 +1374,24 @@ export default function App() {
                                       >
                                         📅 Schedule
                                       </button>
-                                      {canDeleteReports() && (
+                                      {can('reports.edit') && hasAccess(r, 'edit') && (
+                                        <button
+                                          onClick={() => setSharingReportId(sharingReportId === r.id ? null : r.id)}
+                                          title="Choose who can see this report"
+                                          style={{
+                                            padding: '.4rem .6rem',
+                                            background: '#6f42c1',
+                                            color: 'white',
+                                            border: 'none',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer',
+                                            fontSize: '1rem'
+                                          }}
+                                        >
+                                          👥 Share
+                                        </button>
+                                      )}
+                                      {can('reports.delete') && hasAccess(r, 'edit') && (
                                         <button
                                           onClick={() => handleDeleteClick(r.id)}
                                           disabled={deletingReportId === r.id}
@@ -1169,6 +1414,20 @@ export default function App() {
                                   )}
                                 </div>
                               </div>
+                              {sharingReportId === r.id && (
+                                <AclEditor
+                                  title={`Share "${r.name}"`}
+                                  clientId={tenantId}
+                                  levels={REPORT_SHARE_LEVELS}
+                                  load={opts => getReportAcl(r.id, opts)}
+                                  save={acl => updateReportAcl(r.id, acl)}
+                                  onClose={() => setSharingReportId(null)}
+                                  onSaved={() => {
+                                    showToast(`Sharing for "${r.name}" saved`, 'success');
+                                    refreshReports();
+                                  }}
+                                />
+                              )}
 
                               {/* Saved chart preview (read-only, uses saved config + cached results) */}
                               {(() => {
@@ -1533,14 +1792,22 @@ export default function App() {
       )}
 
       {view === 'dashboard' && (
-        <Dashboard showToast={showToast} />
+        <Dashboard tenantId={tenantId} showToast={showToast} />
       )}
 
-      {view === 'admin' && roles.includes('platform_admin') && (
+      {view === 'admin' && can('admin.view') && (
         <AdminPanel showToast={showToast} />
       )}
 
-      {view === 'settings' && (((permissions && (permissions.canManageUsers || permissions.canInviteUsers)) || (roles.includes('business_owner') || roles.includes('delegate')))) && clientInfo && (
+      {view === 'profile' && isSignedIn() && (
+        <>
+          <ProfileSettings tenants={clients.length ? clients : assignments} views={navItems} showToast={showToast} />
+          <ChangePassword showToast={showToast} />
+          <MfaSettings showToast={showToast} />
+        </>
+      )}
+
+      {view === 'settings' && can('settings.view') && clientInfo && (
         <ClientPanel clientId={clientInfo.id} clientName={clientInfo.name} />
       )}
 
@@ -1610,13 +1877,28 @@ export default function App() {
         <ScheduleModal
           reportId={scheduleModalOpen.reportId}
           reportName={reports.find(r => r.id === scheduleModalOpen.reportId)?.name || 'Unknown Report'}
+          clientId={tenantId}
+          clientName={clients.find(c => String(c.clientId) === String(tenantId))?.clientName
+            || assignments.find(a => String(a.clientId) === String(tenantId))?.clientName}
           userEmail={scheduleModalOpen.userEmail}
           onClose={() => setScheduleModalOpen(null)}
-          showToast={(message, type) => setToast({ message, type })}
+          showToast={showToast}
           currentUserId={decodeJwt()?.userId}
           userRole={actingRole || role}
         />
       )}
+
+      {role && <SessionExpiryDialog onSignOut={handleLogout} onExpired={handleSessionExpired} />}
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          requestId={toast.requestId}
+          type={toast.type}
+          duration={toast.type === 'error' ? 6000 : 3000}
+          onClose={closeToast}
+        />
+      )}
     </>
   );
 
@@ -5,6 +5,7 @@ import { usePermissions, useTenantState } from './hooks/usePermissions.js';
 import { useCharts } from './hooks/useCharts.js';
 import ReportChart from './components/ReportChart.jsx';
 import Login from './components/Login.jsx';
+import ClientSuspendedNotice from './components/ClientSuspendedNotice.jsx';
 import Signup from './components/Signup.jsx';
 import VerifyEmail from './components/VerifyEmail.jsx';
 import AdminPanel from './components/AdminPanel.jsx';
@@ -13,6 +14,14 @@ import DatabaseConnections from './components/DatabaseConnections.jsx';
 import Sidebar from './components/Sidebar.jsx';
 import MainLayout from './components/MainLayout.jsx';
 import ReportsView from './components/ReportsView.jsx';
+import SessionExpiryDialog from './components/SessionExpiryDialog.jsx';
+import Toast from './components/Toast.jsx';
+import MfaSettings from './components/MfaSettings.jsx';
+import ChangePassword from './components/ChangePassword.jsx';
+import ProfileSettings from './components/ProfileSettings.jsx';
+import ActingRoleBanner from './components/ActingRoleBanner.jsx';
+import ImpersonationBanner from './components/ImpersonationBanner.jsx';
+import { isSignedIn } from './auth.js';
 
 export default function App() {
   // Authentication state
@@ -21,8 +30,8 @@ export default function App() {
   // Tenant state
   const tenant = useTenantState();
   
-  // Permissions and client info
-  const permissions = usePermissions(tenant.tenantId, auth.roles);
+  // Permissions and client info, checked in the acting role (acting lower shows what that role sees)
+  const permissions = usePermissions(tenant.tenantId, auth.roles, auth.actingRole);
   
   // Reports management
   const reports = useReports(tenant.tenantId);
@@ -149,11 +158,16 @@ export default function App() {
   // Navigation items for sidebar
   const navItems = [
     { key: 'reports', title: 'Reports' },
-    ...(auth.roles.includes('platform_admin') ? [{ key: 'admin', title: 'Admin' }] : []),
-    ...((permissions.canManageUsers() || auth.roles.includes('business_owner') || auth.roles.includes('delegate'))) 
-      ? [{ key: 'settings', title: 'Settings' }] : []
+    ...(permissions.can('admin.view') ? [{ key: 'admin', title: 'Admin' }] : []),
+    ...(permissions.can('settings.view') ? [{ key: 'settings', title: 'Settings' }] : []),
+    ...(isSignedIn() ? [{ key: 'profile', title: 'Profile' }] : [])
   ];
 
+  // Switching to a lower acting role can hide the current view
+  useEffect(() => {
+    if (!navItems.some(item => item.key === view)) setView('reports');
+  }, [auth.actingRole]);
+
   // Render different views
   if (!auth.isAuthenticated) {
     return (
@@ -175,6 +189,11 @@ export default function App() {
         {auth.page === 'login' && (
           <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh', background: '#f5f5f5' }}>
             <div style={{ background: 'white', padding: '2rem', borderRadius: '.5rem', boxShadow: '0 2px 8px rgba(0,0,0,0.1)', width: '100%', maxWidth: '400px' }}>
+              {auth.suspension ? <ClientSuspendedNotice suspension={auth.suspension} /> : auth.sessionNotice && (
+                <div role="status" style={{ padding: '.75rem', marginBottom: '1rem', background: '#fff8e1', color: '#8a6d00', border: '1px solid #ffc107', borderRadius: '4px', fontSize: '.9rem' }}>
+                  {auth.sessionNotice}
+                </div>
+              )}
               <Login onLoginSuccess={auth.onLoginSuccess} />
               <p style={{ marginTop: '1rem', fontSize: '0.9rem', color: '#666', textAlign: 'center' }}>
                 Don't have an account? <a onClick={() => auth.setPage('signup')} style={{ color: '#0078d4', textDecoration: 'none', cursor: 'pointer' }}>Sign up</a>
@@ -201,6 +220,8 @@ export default function App() {
 
   const mainContent = (
     <>
+      <ImpersonationBanner />
+      <ActingRoleBanner roles={auth.roles} actingRole={auth.actingRole} onReset={auth.setActingRole} />
       {auth.loading ? (
         <p>Loading...</p>
       ) : (
@@ -236,10 +257,6 @@ export default function App() {
               editReportName={editReportName}
               editReportConnectionId={editReportConnectionId}
               editReportSqlQuery={editReportSqlQuery}
-              canManageConnections={permissions.canManageConnections}
-              canCreateReports={permissions.canCreateReports}
-              canEditReports={permissions.canEditReports}
-              canDeleteReports={permissions.canDeleteReports}
               onTenantChange={tenant.setTenantId}
               onRefreshReports={reports.refreshReports}
               onRunReport={reports.handleRun}
@@ -248,6 +265,7 @@ export default function App() {
               onCreateReport={handleCreateReport}
               onStartEditingReport={startEditingReport}
               onCancelEditingReport={() => {
+                reports.cancelExecuteQuery();
                 setEditingReportId(null);
                 setEditReportName('');
                 setEditReportConnectionId('');
@@ -290,11 +308,19 @@ export default function App() {
             />
           )}
           
-          {view === 'admin' && auth.roles.includes('platform_admin') && (
+          {view === 'admin' && permissions.can('admin.view') && (
             <AdminPanel />
           )}
+
+          {view === 'profile' && isSignedIn() && (
+            <>
+              <ProfileSettings tenants={auth.clients.length ? auth.clients : auth.assignments} views={navItems} />
+              <ChangePassword />
+              <MfaSettings />
+            </>
+          )}
           
-          {view === 'settings' && (
+          {view === 'settings' && permissions.can('settings.view') && (
             <ClientPanel
               clientInfo={permissions.clientInfo}
               canManageUsers={permissions.canManageUsers()}
@@ -308,6 +334,15 @@ export default function App() {
   return (
     <MainLayout sidebar={sidebar}>
       {mainContent}
+      <SessionExpiryDialog onSignOut={auth.handleLogout} onExpired={auth.handleSessionExpired} />
+      {(auth.syncNotice || tenant.syncNotice) && (
+        <Toast
+          message={auth.syncNotice || tenant.syncNotice}
+          type="info"
+          duration={6000}
+          onClose={auth.syncNotice ? auth.clearSyncNotice : tenant.clearSyncNotice}
+        />
+      )}
     </MainLayout>
   );
 }
\ No newline at end of file
@@ -1,314 +1,1075 @@
 // In development backend runs on 3001; in production both frontend & backend are proxied on 3000
 const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
 
-// Request timeout in milliseconds (5 minutes for long-running queries)
+// Default request timeout in milliseconds (5 minutes for long-running queries).
+// Override per call with `{ timeout }`; cancel with `{ signal }` (every exported function takes these as its last argument).
 const REQUEST_TIMEOUT = 300000;
 
+// Retry policy for idempotent requests (GET/HEAD/OPTIONS/PUT/DELETE) that hit a network error or a
+// 429/502/503/504. POST and PATCH (createSchedule, runReport, executeQuery, ...) are never retried.
+// Override per call with `{ retries }` (0 disables); `{ onRetry }` is told before each wait.
+const RETRY_DEFAULTS = { retries: 3, baseDelayMs: 500, maxDelayMs: 8000, maxRetryAfterMs: 30000 };
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
 // Export getAuthHeaders for use in other components
 export function getAuthHeaders() {
-  const token = localStorage.getItem('jwt') || localStorage.getItem('demo_jwt');
+  // No Authorization header in cookie mode (the httpOnly cookie authenticates the request)
+  const token = getAccessToken() || localStorage.getItem('demo_jwt');
   const tenantId = localStorage.getItem('selected_tenant_id');
   const actingRole = localStorage.getItem('acting_role');
-  const headers = { 'Authorization': `Bearer ${token}` };
+  const headers = {};
+  if (token) headers['Authorization'] = `Bearer ${token}`;
   if (tenantId) headers['x-tenant-id'] = tenantId;
   if (actingRole) headers['x-acting-role'] = actingRole;
-  return headers;
+  return { ...headers, ...impersonationHeaders() };
 }
 
 import { refreshToken, logout } from './auth.js';
+import { ApiError, toApiError, networkError, clientSuspension } from './apiError.js';
+import { cachedQuery, queryKey, invalidate } from './queryCache.js';
+import { impersonationHeaders, blockedWhileImpersonating } from './impersonation.js';
+import {
+  getAccessToken, getSessionInfo, SESSION_MODE, requestCredentials, captureCsrfToken, csrfHeaders, ensureCsrfToken, isCsrfError
+} from './sessionStore.js';
 
 /**
  * Create a fetch request with timeout
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
  * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} [signal] - Caller's signal; aborting it cancels the request
  * @returns {Promise<Response>}
  */
-async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT) {
+async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT, signal) {
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
   
   try {
-    const response = await fetch(url, {
+    return await fetch(url, {
       ...options,
       signal: controller.signal
     });
-    clearTimeout(timeoutId);
-    return response;
   } catch (error) {
-    clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
-      throw new Error('Request timeout - server took too long to respond');
+      if (timedOut) {
+        throw new ApiError({ code: 'TIMEOUT', message: 'The server took too long to respond. Please try again.' });
+      }
+      throw new ApiError({ code: 'ABORTED', message: 'Request was cancelled.' });
     }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+const aborted = () => new ApiError({ code: 'ABORTED', message: 'Request was cancelled.' });
+
+// Requests currently waiting to retry, for the global "retrying…" indicator
+const retryListeners = new Set();
+const pendingRetries = new Map();
+let nextRetryId = 1;
+
+function publishRetries() {
+  const snapshot = Array.from(pendingRetries.values());
+  retryListeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Subscribe to requests that are backing off before a retry.
+ * @param {(pending: Array<{ path: string, attempt: number, retries: number, delayMs: number }>) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeRetries(listener) {
+  retryListeners.add(listener);
+  listener(Array.from(pendingRetries.values()));
+  return () => retryListeners.delete(listener);
+}
+
+// Signed-in users whose own client is suspended: send() ends the session and App explains why on the login page
+const suspensionListeners = new Set();
+
+/**
+ * Subscribe to the session being ended because the user's client was suspended.
+ * @param {(suspension: { clientName: string|null, reason: string|null }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeClientSuspended(listener) {
+  suspensionListeners.add(listener);
+  return () => suspensionListeners.delete(listener);
+}
+
+// A suspension only ends the session when it is the signed-in user's own client. A platform_admin, or a
+// manager or multi-client user working in another client, just gets the error where they are.
+function isOwnClient(requestTenantId) {
+  const claims = getSessionInfo() || {};
+  if ((claims.roles || []).includes('platform_admin')) return false;
+  const home = claims.tenantId ?? claims.clientId ?? localStorage.getItem('clientId');
+  return home != null && (requestTenantId == null || String(requestTenantId) === String(home));
+}
+
+function isRetryable(res) {
+  if (!(res instanceof ApiError)) return false;
+  return res.code === 'NETWORK_ERROR' || RETRYABLE_STATUSES.has(res.status);
+}
+
+// Exponential backoff with equal jitter; Retry-After wins when the server sends one
+function retryDelay(retry, res) {
+  if (res.retryAfterMs != null) return Math.min(res.retryAfterMs, RETRY_DEFAULTS.maxRetryAfterMs);
+  const ceiling = Math.min(RETRY_DEFAULTS.maxDelayMs, RETRY_DEFAULTS.baseDelayMs * 2 ** retry);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// Resolves false if the signal aborts during the wait
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve(false);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Send a request to the backend API.
+ * Adds JSON, auth, tenant and acting-role headers, renews the session on 401, handles the request timeout and retries of idempotent calls.
+ * Never throws: failures resolve to an ApiError (see apiError.js), which keeps the legacy `error` field.
+ * @param {string} path - API path, relative to API_BASE
+ * @param {object} options - Fetch options, plus `auth: false` for public endpoints (no auth headers, no 401 handling),
+ *   `signal` to cancel, `timeout` (ms) to override REQUEST_TIMEOUT, `retries` to override RETRY_DEFAULTS.retries
+ *   and `onRetry({ attempt, retries, delayMs, error })` to show a retrying state
+ * @returns {Promise<any|ApiError>} A cancelled request resolves to an ApiError with code 'ABORTED', even if the response had already arrived
+ */
+async function request(path, options = {}) {
+  const { retries = RETRY_DEFAULTS.retries, onRetry, ...sendOptions } = options;
+  const method = (sendOptions.method || 'GET').toUpperCase();
+  const maxRetries = IDEMPOTENT_METHODS.has(method) ? retries : 0;
+
+  for (let retry = 0; ; retry++) {
+    const res = await send(path, sendOptions);
+    if (retry >= maxRetries || !isRetryable(res)) return res;
+
+    const delayMs = retryDelay(retry, res);
+    const id = nextRetryId++;
+    const info = { path, attempt: retry + 1, retries: maxRetries, delayMs };
+    console.warn(`[api] ${method} ${path} failed (${res.error}); retry ${info.attempt}/${maxRetries} in ${Math.round(delayMs)}ms`);
+    onRetry?.({ ...info, error: res });
+    pendingRetries.set(id, info);
+    publishRetries();
+    const waited = await wait(delayMs, sendOptions.signal);
+    pendingRetries.delete(id);
+    publishRetries();
+    if (!waited) return aborted();
   }
 }
 
-async function request(path, options = {}, attempt = 0) {
+/**
+ * GET through the query cache (see queryCache.js), keyed by the selected tenant and path.
+ * Extra options: `onUpdate(data)` receives fresh data after a stale-while-revalidate hit,
+ * `cache: 'reload'` skips cached data. The shared request ignores any one caller's signal;
+ * an aborted caller just resolves to an 'ABORTED' ApiError.
+ */
+function cachedRequest(path, opts = {}, staleTime) {
+  const { signal, onUpdate, cache, ...requestOptions } = opts;
+  if (signal?.aborted) return Promise.resolve(aborted());
+  const result = cachedQuery(queryKey(path), () => request(path, requestOptions), {
+    staleTime,
+    force: cache === 'reload',
+    onUpdate: data => {
+      if (!signal?.aborted) onUpdate?.(data);
+    }
+  });
+  if (!signal) return result;
+  return new Promise(resolve => {
+    const onAbort = () => resolve(aborted());
+    signal.addEventListener('abort', onAbort, { once: true });
+    result.then(res => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(signal.aborted ? aborted() : res);
+    });
+  });
+}
+
+// Drop cached reads that a successful mutation made stale; passes the mutation result through
+function invalidateOnSuccess(res, prefixes, tenantId) {
+  if (!res?.error) invalidate(prefixes, tenantId);
+  return res;
+}
+
+// One attempt at a request (plus one replay after a token refresh on 401 or a rejected CSRF token)
+async function send(path, options = {}, attempt = 0) {
+  const { auth = true, signal, timeout = REQUEST_TIMEOUT, ...fetchOptions } = options;
+  if (signal?.aborted) return aborted();
   try {
+    const method = fetchOptions.method || 'GET';
+    // Viewing as another user is read-only unless the session allows changes
+    const blocked = auth && blockedWhileImpersonating(method.toUpperCase(), path);
+    if (blocked) return blocked;
+    if (method !== 'GET') await ensureCsrfToken(); // no-op unless cookies authenticate requests
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(auth ? getAuthHeaders() : {}),
+      ...csrfHeaders(method),
+      ...(fetchOptions.headers || {})
+    };
     const res = await fetchWithTimeout(`${API_BASE}${path}`, {
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...getAuthHeaders(),
-        ...(options.headers || {})
+      ...fetchOptions,
+      credentials: requestCredentials(),
+      headers
+    }, timeout, signal);
+    captureCsrfToken(res);
+    if (signal?.aborted) return aborted();
+    if (res.status === 401 && auth) {
+      // Renew the session once (shared with any other request that hit 401) and replay this request
+      if (attempt === 0 && path !== '/dev/token') {
+        console.warn('[api] 401 detected, refreshing token and retrying');
+        if (await refreshToken()) return await send(path, options, 1);
       }
-    });
-    if (res.status === 401) {
-      if (attempt === 0 && import.meta.env?.DEV && path !== '/dev/token') {
-        console.warn('[api] 401 detected, refreshing dev token and retrying');
-        await refreshToken();
-        return await request(path, options, 1);
-      }
-      const text = await res.text().catch(() => '');
+      const err = await toApiError(res, { message: 'Session expired. Please sign in again.' });
       logout();
-      return { error: 'HTTP 401', body: text || 'Session expired. Please sign in again.' };
+      return err;
     }
     if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
+      const err = await toApiError(res);
+      // The CSRF token expired or rotated: fetch a new one and replay once
+      if (isCsrfError(err) && attempt === 0 && await ensureCsrfToken(true)) return await send(path, options, 1);
+      const suspension = auth && clientSuspension(err);
+      if (suspension && isOwnClient(headers['x-tenant-id'])) {
+        logout();
+        suspensionListeners.forEach(listener => listener(suspension));
+      }
+      return err;
     }
     // Handle 204 No Content responses
     if (res.status === 204) {
       return { success: true };
     }
-    return await res.json();
+    const data = await res.json();
+    return signal?.aborted ? aborted() : data;
   } catch (e) {
-    return { error: e?.message || 'Network error' };
+    return signal?.aborted ? aborted() : networkError(e);
   }
 }
 
-export async function getReports() {
-  return await request('/reports');
+export async function getReports(opts = {}) {
+  return await cachedRequest('/reports', opts);
 }
 
-export async function createReport(name, connectionId) {
+export async function createReport(name, connectionId, opts = {}) {
   const body = { name };
   if (connectionId) body.connectionId = connectionId;
-  return await request('/reports', { method: 'POST', body: JSON.stringify(body) });
+  const res = await request('/reports', { ...opts, method: 'POST', body: JSON.stringify(body) });
+  return invalidateOnSuccess(res, ['/reports']);
 }
 
-export async function updateReport(id, name, connectionId, sqlQuery) {
+export async function updateReport(id, name, connectionId, sqlQuery, opts = {}) {
   const body = { name };
   if (connectionId) body.connectionId = connectionId;
   if (sqlQuery !== undefined) body.sqlQuery = sqlQuery;
-  return await request(`/reports/${id}`, { method: 'PUT', body: JSON.stringify(body) });
+  const res = await request(`/reports/${id}`, { ...opts, method: 'PUT', body: JSON.stringify(body) });
+  return invalidateOnSuccess(res, ['/reports']);
 }
 
-export async function deleteReport(id) {
-  return await request(`/reports/${id}`, { method: 'DELETE' });
+export async function deleteReport(id, opts = {}) {
+  // Deleting a report also removes its schedules
+  const res = await request(`/reports/${id}`, { ...opts, method: 'DELETE' });
+  return invalidateOnSuccess(res, ['/reports', '/schedules', '/dashboard']);
 }
 
-export async function runReport(id) {
-  return await request(`/reports/${id}/run`, { method: 'POST' });
+export async function runReport(id, opts = {}) {
+  const res = await request(`/reports/${id}/run`, { ...opts, method: 'POST' });
+  return invalidateOnSuccess(res, ['/reports']);
 }
 
-export async function getReportResult(id) {
-  return await request(`/reports/${id}/result`);
+export async function getReportResult(id, opts = {}) {
+  return await request(`/reports/${id}/result`, opts);
 }
 
-export async function getClient() {
-  return await request('/clients/me');
+// Sharing (ACL) for one report: { restricted, entries: [{ userId, access: 'view'|'edit' }] }. An unrestricted
+// report follows the tenant-wide permissions; a restricted one is visible only to the listed users
+// (business owners and platform admins always keep access).
+export async function getReportAcl(reportId, opts = {}) {
+  return await request(`/reports/${reportId}/acl`, opts);
+}
+
+export async function updateReportAcl(reportId, acl, opts = {}) {
+  const res = await request(`/reports/${reportId}/acl`, { ...opts, method: 'PUT', body: JSON.stringify(acl) });
+  return invalidateOnSuccess(res, ['/reports']);
+}
+
+export async function getClient(opts = {}) {
+  return await request('/clients/me', opts);
+}
+
+// Suspended and archived clients cannot be worked in, so they are left out of the pickers; errors pass through
+function workableClients(list) {
+  return Array.isArray(list) ? list.filter(c => c.status !== 'suspended' && c.status !== 'archived') : list;
 }
 
 // Get all clients accessible to current user (owner, delegate, viewer, or manager)
-export async function getUserClients() {
-  return await request('/clients/all');
+export async function getUserClients(opts = {}) {
+  return workableClients(await request('/clients/all', opts));
 }
 
-export async function getAssignments() {
-  return await request('/manager/me/assignments');
+export async function getAssignments(opts = {}) {
+  return workableClients(await request('/manager/me/assignments', opts));
 }
 
-export async function getAllClients() {
+export async function getAllClients(opts = {}) {
   // Platform admin: list all clients to select a tenant context
-  return await request('/admin/clients');
+  return await request('/admin/clients', opts);
+}
+
+// getAllClients() minus archived clients, for tenant pickers; suspended ones stay (a platform_admin can
+// still look into them) but are marked in their name. Errors pass through.
+export function pickableClients(clients) {
+  if (!Array.isArray(clients)) return clients;
+  return clients
+    .filter(c => c.status !== 'archived')
+    .map(c => (c.status === 'suspended' ? { ...c, name: `${c.name} (suspended)` } : c));
+}
+
+// Client administration (platform_admin). A client is { id, name, status: 'active'|'suspended'|'archived',
+// statusReason, statusChangedAt, createdAt }; the detail adds usage: { users, reports, connections,
+// schedules, runsLast30Days, emailsLast30Days, lastActivityAt }.
+export async function getAdminClient(clientId, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}`, opts);
+}
+
+export async function renameClient(clientId, name, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}`, {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify({ name })
+  });
+}
+
+// Suspending blocks the client's logins and scheduled sends and shows its users the reason; archiving also
+// hides it from tenant pickers. 'active' lifts either.
+export async function setClientStatus(clientId, status, reason, opts = {}) {
+  const res = await request(`/admin/clients/${encodeURIComponent(clientId)}/status`, {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify({ status, reason })
+  });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES, clientId);
 }
 
 // Email settings (platform_admin)
-export async function getEmailSettings() {
-  return await request('/admin/email-settings');
+export async function getEmailSettings(opts = {}) {
+  return await request('/admin/email-settings', opts);
+}
+
+export async function updateEmailSettings(settings, opts = {}) {
+  return await request('/admin/email-settings', { ...opts, method: 'PUT', body: JSON.stringify(settings) });
+}
+
+/**
+ * Begin connecting the SMTP account through Microsoft 365 or Google OAuth2. Open the returned
+ * authorizationUrl in a popup; the server stores the refresh token on its callback, after which
+ * getEmailSettings() reports oauth2.connected and the account it connected as.
+ * @param {{ provider: 'microsoft'|'google', clientId: string, clientSecret?: string, tenantId?: string }} config -
+ *   A blank clientSecret keeps the stored one
+ * @returns {Promise<{ authorizationUrl: string }|ApiError>}
+ */
+export async function startEmailOAuth(config, opts = {}) {
+  return await request('/admin/email-settings/oauth/start', { ...opts, method: 'POST', body: JSON.stringify(config) });
+}
+
+export async function disconnectEmailOAuth(opts = {}) {
+  return await request('/admin/email-settings/oauth', { ...opts, method: 'DELETE' });
+}
+
+/**
+ * SPF, DKIM and DMARC records the server finds in DNS for a sending domain.
+ * @param {string} domain
+ * @param {{ dkimSelector?: string }} [options] - Without a selector the server tries the provider's usual ones
+ * @returns {Promise<{ domain: string, spf: object, dkim: object, dmarc: object }|ApiError>} each check is
+ *   { status: 'pass'|'warn'|'fail'|'missing', record: string|null, message: string }
+ */
+export async function checkEmailDeliverability(domain, { dkimSelector } = {}, opts = {}) {
+  const params = new URLSearchParams({ domain });
+  if (dkimSelector) params.set('dkimSelector', dkimSelector);
+  return await request(`/admin/email-settings/deliverability?${params}`, opts);
+}
+
+// Per-client sender: { fromName, fromAddress, replyTo }. Blank fields fall back to the platform settings.
+export async function getClientEmailSettings(clientId, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}/email-settings`, opts);
 }
 
-export async function updateEmailSettings(settings) {
-  return await request('/admin/email-settings', { method: 'PUT', body: JSON.stringify(settings) });
+export async function updateClientEmailSettings(clientId, settings, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}/email-settings`, {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
 }
 
 // SQL Query execution and caching
-export async function executeQuery(reportId, sqlQuery, connectionId) {
+export async function executeQuery(reportId, sqlQuery, connectionId, opts = {}) {
   const body = { sqlQuery };
   if (connectionId) {
     // Convert connectionId to integer to match backend type expectations
     body.connectionId = parseInt(connectionId, 10);
   }
-  return await request(`/reports/${reportId}/execute-query`, { 
+  return await request(`/reports/${reportId}/execute-query`, {
+    ...opts,
     method: 'POST', 
     body: JSON.stringify(body) 
   });
 }
 
-export async function getQueryResults(reportId) {
-  return await request(`/reports/${reportId}/results`);
+export async function getQueryResults(reportId, opts = {}) {
+  return await request(`/reports/${reportId}/results`, opts);
 }
 
-export async function clearQueryResults(reportId) {
-  return await request(`/reports/${reportId}/results`, { method: 'DELETE' });
+export async function clearQueryResults(reportId, opts = {}) {
+  return await request(`/reports/${reportId}/results`, { ...opts, method: 'DELETE' });
 }
 
-export async function saveChartConfig(reportId, chartConfig) {
-  return await request(`/reports/${reportId}/chart-config`, {
+export async function saveChartConfig(reportId, chartConfig, opts = {}) {
+  const res = await request(`/reports/${reportId}/chart-config`, {
+    ...opts,
     method: 'PUT',
     body: JSON.stringify({ chartConfig })
   });
+  return invalidateOnSuccess(res, ['/reports']);
 }
 
 // Permissions
-export async function getMyPermissions(clientId) {
-  return await request(`/clients/${clientId}/my-permissions`);
+export async function getMyPermissions(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/my-permissions`, opts);
+}
+
+// The signed-in user's profile: { firstName, lastName, email, pendingEmail }. Changing the email sends
+// a verification link to the new address; it becomes `email` once confirmed.
+export async function getMyProfile(opts = {}) {
+  return await request('/me/profile', opts);
+}
+
+export async function updateMyProfile(profile, opts = {}) {
+  return await request('/me/profile', { ...opts, method: 'PUT', body: JSON.stringify(profile) });
+}
+
+// Display and notification preferences (see preferences.js for the shape); not tenant-specific
+export async function getMyPreferences(opts = {}) {
+  return await request('/me/preferences', opts);
+}
+
+export async function updateMyPreferences(preferences, opts = {}) {
+  return await request('/me/preferences', { ...opts, method: 'PUT', body: JSON.stringify(preferences) });
 }
 
 // Authentication endpoints
-export async function checkHasUsers() {
-  try {
-    const res = await fetchWithTimeout(`${API_BASE}/auth/has-users`);
-    if (!res.ok) return { error: `HTTP ${res.status}` };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
+export async function checkHasUsers(opts = {}) {
+  return await request('/auth/has-users', { ...opts, auth: false });
 }
 
-export async function signup(email, firstName, lastName, companyNameOrClientId, password, isClientId = false, invitationToken = null) {
-  try {
-    const body = { email, firstName, lastName };
-    
-    // Handle token-based invitation flow
-    if (invitationToken) {
-      body.token = invitationToken;
-      if (companyNameOrClientId) {
-        body.companyName = companyNameOrClientId;
-      }
-    } else if (isClientId) {
-      // Legacy clientId flow
-      body.clientId = companyNameOrClientId;
-    } else {
-      // companyName flow
+export async function signup(email, firstName, lastName, companyNameOrClientId, password, isClientId = false, invitationToken = null, setUpMfa = false, opts = {}) {
+  const body = { email, firstName, lastName };
+  // Ask for two-factor enrollment at the first sign-in
+  if (setUpMfa) body.setUpMfa = true;
+  
+  // Handle token-based invitation flow
+  if (invitationToken) {
+    body.token = invitationToken;
+    if (companyNameOrClientId) {
       body.companyName = companyNameOrClientId;
     }
-    
-    if (password) {
-      body.password = password;
-    }
-    
-    const res = await fetchWithTimeout(`${API_BASE}/auth/signup`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
-    }
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
+  } else if (isClientId) {
+    // Legacy clientId flow
+    body.clientId = companyNameOrClientId;
+  } else {
+    // companyName flow
+    body.companyName = companyNameOrClientId;
   }
+  
+  if (password) {
+    body.password = password;
+  }
+  
+  return await request('/auth/signup', {
+    ...opts,
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify(body)
+  });
 }
 
-// Invitation functions (admin only)
-export async function sendInvitation(email, clientId) {
-  try {
-    const res = await fetchWithTimeout(`${API_BASE}/admin/invitations`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('jwt')}` },
-      body: JSON.stringify({ email, clientId })
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
-    }
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
+export async function verifyEmail(token, password, opts = {}) {
+  return await request('/auth/verify-email', {
+    ...opts,
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify({ token, password })
+  });
 }
 
-export async function resendInvitation(invitationId) {
-  try {
-    const res = await fetchWithTimeout(`${API_BASE}/admin/invitations/${invitationId}/resend`, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('jwt')}` }
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
-    }
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
+// Password reset. The request always succeeds (whether or not the email has an account) so it can't be
+// used to discover accounts; the emailed link opens /reset-password?token=...
+export async function requestPasswordReset(email, opts = {}) {
+  return await request('/auth/password-reset', {
+    ...opts,
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify({ email })
+  });
 }
 
-export async function getInvitations(clientId = null) {
-  try {
-    const url = clientId ? `${API_BASE}/admin/invitations?clientId=${clientId}` : `${API_BASE}/admin/invitations`;
-    const res = await fetchWithTimeout(url, {
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('jwt')}` }
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
-    }
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
+// Returns { email } for a valid, unexpired reset token so the form can check the password against it
+export async function checkPasswordResetToken(token, opts = {}) {
+  return await request(`/auth/password-reset/${encodeURIComponent(token)}`, { ...opts, auth: false });
+}
+
+export async function resetPassword(token, password, opts = {}) {
+  return await request('/auth/password-reset/confirm', {
+    ...opts,
+    method: 'POST',
+    auth: false,
+    body: JSON.stringify({ token, password })
+  });
+}
+
+// Signed-in password change; the server ends the user's other sessions
+export async function changePassword(currentPassword, newPassword, opts = {}) {
+  return await request('/auth/password', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ currentPassword, newPassword })
+  });
+}
+
+// Two-factor authentication (TOTP). While signing in there is no session yet: pass the `mfaToken`
+// from login() to enroll, and the server authorizes the call with it instead.
+export async function getMfaStatus(opts = {}) {
+  return await request('/auth/mfa', opts);
+}
+
+// Returns { secret, otpauthUrl, qrCode } - qrCode is a data: URL rendered by the server
+export async function startMfaEnrollment(mfaToken = null, opts = {}) {
+  return await request('/auth/mfa/enroll', {
+    ...opts,
+    method: 'POST',
+    auth: !mfaToken,
+    body: JSON.stringify(mfaToken ? { mfaToken } : {})
+  });
+}
+
+// Returns { recoveryCodes }
+export async function confirmMfaEnrollment(code, mfaToken = null, opts = {}) {
+  return await request('/auth/mfa/enroll/confirm', {
+    ...opts,
+    method: 'POST',
+    auth: !mfaToken,
+    body: JSON.stringify(mfaToken ? { code, mfaToken } : { code })
+  });
+}
+
+// Replaces all recovery codes; returns { recoveryCodes }
+export async function regenerateRecoveryCodes(code, opts = {}) {
+  return await request('/auth/mfa/recovery-codes', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ code })
+  });
+}
+
+export async function disableMfa(code, opts = {}) {
+  return await request('/auth/mfa/disable', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ code })
+  });
+}
+
+// Roles that must use two-factor authentication (platform_admin)
+export async function getMfaPolicy(opts = {}) {
+  return await request('/admin/security/mfa-policy', opts);
+}
+
+export async function updateMfaPolicy(requiredRoles, opts = {}) {
+  return await request('/admin/security/mfa-policy', {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify({ requiredRoles })
+  });
+}
+
+// Impersonation (platform_admin): view the app as one user for a limited time. The server checks the
+// reason, records start and end in the audit log and returns { id, token, expiresAt, allowWrites, user }
+// (outside 'local' session mode the token comes as an httpOnly cookie instead). See impersonation.js for
+// how the session is applied.
+export async function startImpersonation(userId, { reason, durationMinutes = 30, allowWrites = false } = {}, opts = {}) {
+  return await request('/admin/impersonation', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ userId, reason, durationMinutes, allowWrites })
+  });
+}
+
+export async function endImpersonation(impersonationId, opts = {}) {
+  return await request(`/admin/impersonation/${encodeURIComponent(impersonationId)}/end`, { ...opts, method: 'POST' });
+}
+
+// Recent impersonation sessions: [{ id, admin, user, reason, allowWrites, startedAt, endedAt, expiresAt }]
+export async function getImpersonationLog(opts = {}) {
+  return await request('/admin/impersonation', opts);
+}
+
+// Per-client single sign-on (platform_admin). Returns { enabled, protocol: 'oidc'|'saml', emailDomains,
+// defaultRole, oidc: { issuer, clientId, scopes }, saml: { entryPoint, issuer, certificate }, callbackUrl }.
+// The OIDC client secret is write-only: send it to change it, omit it to keep the stored one.
+export async function getClientSsoConfig(clientId, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}/sso`, opts);
+}
+
+export async function updateClientSsoConfig(clientId, config, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}/sso`, {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify(config)
+  });
+}
+
+// Server-side check that the IdP metadata/discovery document can be loaded with this configuration
+export async function testClientSsoConfig(clientId, config, opts = {}) {
+  return await request(`/admin/clients/${encodeURIComponent(clientId)}/sso/test`, {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify(config)
+  });
+}
+
+// Invitation functions (admin only). `expiresAt` is an ISO date; the server applies its default when omitted.
+export async function sendInvitation(email, clientId, expiresAt = null, opts = {}) {
+  return await request('/admin/invitations', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ email, clientId, expiresAt: expiresAt || undefined })
+  });
+}
+
+// Resolves to { invited: [{ email }], failed: [{ email, message }] }; one bad row does not stop the rest
+export async function sendBulkInvitations(invitations, clientId, expiresAt = null, opts = {}) {
+  return await request('/admin/invitations/bulk', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ invitations, clientId, expiresAt: expiresAt || undefined })
+  });
+}
+
+export async function revokeInvitation(invitationId, opts = {}) {
+  return await request(`/admin/invitations/${invitationId}/revoke`, { ...opts, method: 'POST' });
+}
+
+export async function updateInvitationExpiry(invitationId, expiresAt, opts = {}) {
+  return await request(`/admin/invitations/${invitationId}/expiry`, {
+    ...opts,
+    method: 'PUT',
+    body: JSON.stringify({ expiresAt })
+  });
+}
+
+export async function resendInvitation(invitationId, opts = {}) {
+  return await request(`/admin/invitations/${invitationId}/resend`, { ...opts, method: 'POST' });
+}
+
+export async function getInvitations(clientId = null, opts = {}) {
+  const query = clientId ? `?clientId=${encodeURIComponent(clientId)}` : '';
+  return await request(`/admin/invitations${query}`, opts);
+}
+
+// User and manager administration (platform_admin)
+export async function createUser(email, role, clientId, opts = {}) {
+  return await request('/admin/users', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ email, role, clientId })
+  });
+}
+
+export async function listManagers(opts = {}) {
+  return await request('/admin/managers', opts);
+}
+
+export async function listManagerAssignments(userId, opts = {}) {
+  return await request(`/admin/managers/${userId}/assignments`, opts);
+}
+
+export async function addManagerAssignment(userId, clientId, opts = {}) {
+  return await request(`/admin/managers/${userId}/assignments`, {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ clientId })
+  });
+}
+
+export async function setManagerAssignmentActive(userId, clientId, active, opts = {}) {
+  return await request(`/admin/managers/${userId}/assignments/${clientId}`, {
+    ...opts,
+    method: 'PATCH',
+    body: JSON.stringify({ active })
+  });
+}
+
+export async function resendManagerVerification(userId, opts = {}) {
+  return await request(`/admin/managers/${userId}/resend-verification`, { ...opts, method: 'POST' });
+}
+
+export async function sendTestEmail(testEmail, opts = {}) {
+  return await request('/admin/email-test', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ testEmail })
+  });
+}
+
+// Client users, managers and permissions (business_owner / delegate).
+// These always target the clientId passed in, not the tenant selected in the UI.
+function clientScope(clientId) {
+  return { 'x-tenant-id': clientId };
+}
+
+export async function getClientUsers(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/users`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function inviteClientUser(clientId, email, role, expiresAt = null, opts = {}) {
+  return await request(`/clients/${clientId}/users`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ email, role, expiresAt: expiresAt || undefined })
+  });
+}
+
+// Invitations the client has sent (any status); same shape as getInvitations()
+export async function getClientInvitations(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/invitations`, { ...opts, headers: clientScope(clientId) });
+}
+
+// `invitations` is [{ email, role }]; resolves like sendBulkInvitations()
+export async function inviteClientUsers(clientId, invitations, expiresAt = null, opts = {}) {
+  return await request(`/clients/${clientId}/invitations/bulk`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ invitations, expiresAt: expiresAt || undefined })
+  });
+}
+
+export async function resendClientInvitation(clientId, invitationId, opts = {}) {
+  return await request(`/clients/${clientId}/invitations/${invitationId}/resend`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId)
+  });
+}
+
+export async function revokeClientInvitation(clientId, invitationId, opts = {}) {
+  return await request(`/clients/${clientId}/invitations/${invitationId}/revoke`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId)
+  });
+}
+
+export async function updateClientInvitationExpiry(clientId, invitationId, expiresAt, opts = {}) {
+  return await request(`/clients/${clientId}/invitations/${invitationId}/expiry`, {
+    ...opts,
+    method: 'PUT',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ expiresAt })
+  });
+}
+
+// User lifecycle (business owner). Every change takes an optional `reason`, which the server records in the
+// client's audit log with who made the change.
+export async function changeClientUserRole(clientId, userId, role, reason, opts = {}) {
+  return await request(`/clients/${clientId}/users/${userId}/role`, {
+    ...opts,
+    method: 'PUT',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ role, reason })
+  });
+}
+
+// Every schedule in the client, for the admin client console
+export async function getClientSchedules(clientId, opts = {}) {
+  return await request('/schedules?includeDisabled=true', { ...opts, headers: clientScope(clientId) });
+}
+
+// Schedules a user owns; shown before deactivating them so they can be handed to someone else
+export async function getClientUserSchedules(clientId, userId, opts = {}) {
+  return await request(`/clients/${clientId}/users/${userId}/schedules`, { ...opts, headers: clientScope(clientId) });
+}
+
+/**
+ * Deactivate a user: they can no longer sign in and their sessions end.
+ * @param {object} [changes] - { reason, scheduleOwners: { [scheduleId]: newOwnerUserId | null } } where null pauses the schedule
+ */
+export async function deactivateClientUser(clientId, userId, { reason, scheduleOwners = {} } = {}, opts = {}) {
+  const res = await request(`/clients/${clientId}/users/${userId}/deactivate`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ reason, scheduleOwners })
+  });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES, clientId);
+}
+
+export async function reactivateClientUser(clientId, userId, reason, opts = {}) {
+  return await request(`/clients/${clientId}/users/${userId}/reactivate`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ reason })
+  });
+}
+
+export async function removeClientUser(clientId, userId, reason, opts = {}) {
+  const res = await request(`/clients/${clientId}/users/${userId}`, {
+    ...opts,
+    method: 'DELETE',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ reason })
+  });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES, clientId);
+}
+
+// Make another user the business owner; the current owner becomes a delegate
+export async function transferClientOwnership(clientId, newOwnerId, reason, opts = {}) {
+  return await request(`/clients/${clientId}/owner`, {
+    ...opts,
+    method: 'PUT',
+    headers: clientScope(clientId),
+    body: JSON.stringify({ userId: newOwnerId, reason })
+  });
+}
+
+export async function getUserAuditLogs(clientId, days = 30, opts = {}) {
+  const params = new URLSearchParams({ clientId, days: days.toString() });
+  return await request(`/audit/user-changes?${params}`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function getClientManagers(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/managers`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function getUserPermissions(clientId, userId, opts = {}) {
+  return await request(`/clients/${clientId}/users/${userId}/permissions`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function updateUserPermissions(clientId, userId, permissions, opts = {}) {
+  return await request(`/clients/${clientId}/users/${userId}/permissions`, {
+    ...opts,
+    method: 'PATCH',
+    headers: clientScope(clientId),
+    body: JSON.stringify(permissions)
+  });
+}
+
+// Permission templates: named sets of the per-user flags ({ id, name, permissions: { canViewReports: true, ... } })
+export async function getPermissionTemplates(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/permission-templates`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function createPermissionTemplate(clientId, template, opts = {}) {
+  return await request(`/clients/${clientId}/permission-templates`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify(template)
+  });
+}
+
+export async function deletePermissionTemplate(clientId, templateId, opts = {}) {
+  return await request(`/clients/${clientId}/permission-templates/${templateId}`, {
+    ...opts,
+    method: 'DELETE',
+    headers: clientScope(clientId)
+  });
+}
+
+// Email templates: branding for scheduled report emails
+// ({ id, name, subject, logoUrl, introText, footerText, unsubscribeText, isDefault }, see utils/emailTemplates.js)
+export async function getEmailTemplates(clientId, opts = {}) {
+  return await request(`/clients/${clientId}/email-templates`, { ...opts, headers: clientScope(clientId) });
+}
+
+export async function createEmailTemplate(clientId, template, opts = {}) {
+  return await request(`/clients/${clientId}/email-templates`, {
+    ...opts,
+    method: 'POST',
+    headers: clientScope(clientId),
+    body: JSON.stringify(template)
+  });
+}
+
+export async function updateEmailTemplate(clientId, templateId, template, opts = {}) {
+  return await request(`/clients/${clientId}/email-templates/${templateId}`, {
+    ...opts,
+    method: 'PUT',
+    headers: clientScope(clientId),
+    body: JSON.stringify(template)
+  });
+}
+
+// Schedules that used the template fall back to the client's default, so cached schedules go stale
+export async function deleteEmailTemplate(clientId, templateId, opts = {}) {
+  const res = await request(`/clients/${clientId}/email-templates/${templateId}`, {
+    ...opts,
+    method: 'DELETE',
+    headers: clientScope(clientId)
+  });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES, clientId);
+}
+
+// Database connections (the reports payload lists the tenant's available connections)
+export async function listConnections(clientId, opts = {}) {
+  return await request(`/connections?clientId=${encodeURIComponent(clientId)}`, opts);
+}
+
+export async function createConnection(clientId, data, opts = {}) {
+  const res = await request('/connections', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify({ ...data, clientId })
+  });
+  return invalidateOnSuccess(res, ['/reports'], clientId);
+}
+
+export async function updateConnection(clientId, connectionId, data, opts = {}) {
+  const res = await request(`/connections/${connectionId}`, {
+    ...opts,
+    method: 'PATCH',
+    body: JSON.stringify({ ...data, clientId })
+  });
+  return invalidateOnSuccess(res, ['/reports'], clientId);
+}
+
+export async function deleteConnection(clientId, connectionId, opts = {}) {
+  const res = await request(`/connections/${connectionId}`, { ...opts, method: 'DELETE' });
+  return invalidateOnSuccess(res, ['/reports'], clientId);
+}
+
+// Sharing (ACL) for one connection, like reports: { restricted, entries: [{ userId, access: 'use'|'manage' }] }
+export async function getConnectionAcl(connectionId, opts = {}) {
+  return await request(`/connections/${connectionId}/acl`, opts);
+}
+
+export async function updateConnectionAcl(clientId, connectionId, acl, opts = {}) {
+  const res = await request(`/connections/${connectionId}/acl`, { ...opts, method: 'PUT', body: JSON.stringify(acl) });
+  return invalidateOnSuccess(res, ['/reports'], clientId);
+}
+
+export async function testConnection(connectionId, password, opts = {}) {
+  const body = password !== undefined ? { password } : {};
+  return await request(`/connections/${connectionId}/test`, {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+}
+
+export async function testConnectionPreSave(data, opts = {}) {
+  return await request('/connections/test', {
+    ...opts,
+    method: 'POST',
+    body: JSON.stringify(data)
+  });
+}
+
+/**
+ * Open a Server-Sent Events stream without putting the access token in the URL (where it would end up
+ * in server and proxy logs). In cookie mode the session cookie authenticates the stream; otherwise a
+ * short-lived, single-use ticket is requested first and passed as the only query parameter.
+ * @param {string} path - Stream path, e.g. '/admin/managers/updates'
+ * @param {object} [opts] - { signal } cancels the ticket request; the stream is not opened after an abort
+ * @returns {Promise<EventSource|ApiError>}
+ */
+export async function openEventStream(path, opts = {}) {
+  const url = new URL(`${API_BASE}${path}`, window.location.origin);
+  // In memory mode the cookie is only the refresh cookie; the stream still needs a ticket
+  const cookieAuth = SESSION_MODE === 'cookie';
+  if (!cookieAuth) {
+    const res = await request('/events/ticket', { ...opts, method: 'POST', body: JSON.stringify({ path }) });
+    if (res?.error) return res;
+    url.searchParams.append('ticket', res.ticket);
   }
+  if (opts.signal?.aborted) return aborted();
+  return new EventSource(url.toString(), { withCredentials: cookieAuth });
 }
 
 // Scheduled Reports API
-export async function getSchedules(reportId, includeDisabled = true) {
+export async function getSchedules(reportId, includeDisabled = true, opts = {}) {
   const params = new URLSearchParams();
   if (reportId) params.append('reportId', reportId);
   params.append('includeDisabled', includeDisabled ? 'true' : 'false');
   const query = params.toString() ? `?${params}` : '';
-  return await request(`/schedules${query}`);
+  return await cachedRequest(`/schedules${query}`, opts);
 }
 
-export async function createSchedule(scheduleData) {
-  return await request('/schedules', { 
+// Schedule changes also move the dashboard stats and external-recipient list
+const SCHEDULE_QUERIES = ['/schedules', '/dashboard'];
+
+export async function createSchedule(scheduleData, opts = {}) {
+  const res = await request('/schedules', {
+    ...opts,
     method: 'POST', 
     body: JSON.stringify(scheduleData) 
   });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES);
 }
 
-export async function updateSchedule(scheduleId, scheduleData) {
-  return await request(`/schedules/${scheduleId}`, { 
+export async function updateSchedule(scheduleId, scheduleData, opts = {}) {
+  const res = await request(`/schedules/${scheduleId}`, {
+    ...opts,
     method: 'PATCH', 
     body: JSON.stringify(scheduleData) 
   });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES);
 }
 
-export async function deleteSchedule(scheduleId) {
-  return await request(`/schedules/${scheduleId}`, { method: 'DELETE' });
+export async function deleteSchedule(scheduleId, opts = {}) {
+  const res = await request(`/schedules/${scheduleId}`, { ...opts, method: 'DELETE' });
+  return invalidateOnSuccess(res, SCHEDULE_QUERIES);
 }
 
-export async function getScheduleExecutions(scheduleId) {
-  return await request(`/schedules/${scheduleId}/executions`);
+export async function getScheduleExecutions(scheduleId, opts = {}) {
+  return await request(`/schedules/${scheduleId}/executions`, opts);
 }
 
-export async function getAuditLogs(scheduleId, days = 30) {
+export async function getAuditLogs(scheduleId, days = 30, opts = {}) {
   const params = new URLSearchParams();
   if (scheduleId) params.append('scheduleId', scheduleId);
   params.append('days', days.toString());
   
-  return request(`/audit/schedule-changes?${params}`);
+  return request(`/audit/schedule-changes?${params}`, opts);
 }
 
-// Dashboard API
-export async function getExternalSchedules() {
-  return await request('/dashboard/external-schedules');
+// Dashboard API (widgets poll every 5 minutes, so a minute of staleness is fine)
+const DASHBOARD_STALE_TIME = 60000;
+
+export async function getExternalSchedules(opts = {}) {
+  return await cachedRequest('/dashboard/external-schedules', opts, DASHBOARD_STALE_TIME);
 }
 
-export async function getDashboardStats() {
-  return await request('/dashboard/stats');
+export async function getDashboardStats(opts = {}) {
+  return await cachedRequest('/dashboard/stats', opts, DASHBOARD_STALE_TIME);
 }
\ No newline at end of file
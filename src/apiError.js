@@ -0,0 +1,170 @@
+/**
+ * Structured API error returned by request() in api.js (and the auth calls in auth.js).
+ *
+ * Callers keep checking `if (res?.error)`; `error` still holds the short status text
+ * ('HTTP 500', 'Network error') while `message` is safe to show to the user.
+ */
+
+const DEFAULT_MESSAGES = {
+  0: 'Unable to reach the server. Check your connection and try again.',
+  400: 'The request was invalid. Please check the form and try again.',
+  401: 'Session expired. Please sign in again.',
+  403: 'You do not have permission to do that.',
+  404: 'The requested item could not be found.',
+  409: 'This item was changed by someone else. Refresh and try again.',
+  413: 'The request was too large.',
+  422: 'Some fields are invalid. Please review them and try again.',
+  429: 'Too many requests. Please wait a moment and try again.',
+  500: 'Something went wrong on the server. Please try again.',
+  502: 'The server is temporarily unavailable. Please try again.',
+  503: 'The service is temporarily unavailable. Please try again.',
+  504: 'The server took too long to respond. Please try again.'
+};
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  429: 'RATE_LIMITED'
+};
+
+// Short legacy `error` text for failures that never got an HTTP status
+const TRANSPORT_ERRORS = {
+  TIMEOUT: 'Request timeout',
+  ABORTED: 'Request cancelled'
+};
+
+function defaultMessage(status) {
+  if (DEFAULT_MESSAGES[status]) return DEFAULT_MESSAGES[status];
+  return status >= 500 ? DEFAULT_MESSAGES[500] : 'Request failed. Please try again.';
+}
+
+function codeForStatus(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'SERVER_ERROR' : 'REQUEST_FAILED';
+}
+
+// Accepts { field: 'msg' }, { field: ['msg'] } or [{ field|path|param, message|msg }]
+function normalizeFieldErrors(raw) {
+  if (!raw || typeof raw !== 'object') return {};
+  const out = {};
+  if (Array.isArray(raw)) {
+    raw.forEach(item => {
+      const field = item?.field || item?.path || item?.param;
+      const message = item?.message || item?.msg;
+      if (field && message && !out[field]) out[field] = String(message);
+    });
+    return out;
+  }
+  Object.entries(raw).forEach(([field, value]) => {
+    const message = Array.isArray(value) ? value[0] : value;
+    if (typeof message === 'string' && message) out[field] = message;
+  });
+  return out;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class ApiError extends Error {
+  constructor({ status = 0, code, message, fieldErrors = {}, requestId = null, body = '', retryAfterMs = null } = {}) {
+    super(message || defaultMessage(status));
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.fieldErrors = fieldErrors;
+    this.requestId = requestId;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+    this.error = status ? `HTTP ${status}` : (TRANSPORT_ERRORS[this.code] || 'Network error');
+  }
+
+  get isValidation() {
+    return Object.keys(this.fieldErrors).length > 0;
+  }
+}
+
+/**
+ * Build an ApiError from a non-OK fetch Response.
+ * Understands the backend's `{ error, message, code, errors, requestId }` body and the x-request-id header.
+ * @param {Response} res
+ * @param {object} overrides - Fields that win over what the response says (e.g. a fixed 401 message)
+ * @returns {Promise<ApiError>}
+ */
+export async function toApiError(res, overrides = {}) {
+  const text = await res.text().catch(() => '');
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch { data = null; }
+  const plainText = !data && text && text.length <= 300 && !text.trimStart().startsWith('<') ? text : '';
+
+  return new ApiError({
+    status: res.status,
+    code: data?.code,
+    message: data?.message || data?.error || plainText || undefined,
+    fieldErrors: normalizeFieldErrors(data?.fieldErrors || data?.errors || data?.details),
+    requestId: res.headers?.get?.('x-request-id') || data?.requestId || null,
+    retryAfterMs: parseRetryAfter(res.headers?.get?.('retry-after')),
+    body: text,
+    ...overrides
+  });
+}
+
+/**
+ * Wrap a thrown fetch/network failure.
+ * @param {Error} err
+ * @returns {ApiError}
+ */
+export function networkError(err) {
+  if (err instanceof ApiError) return err;
+  console.warn('[api] network error', err);
+  return new ApiError({ status: 0, code: 'NETWORK_ERROR' });
+}
+
+/**
+ * True when the caller cancelled the request (AbortSignal fired); such results should be dropped silently.
+ * @param {any} res - Value returned by an api.js function
+ * @returns {boolean}
+ */
+export function isAbortError(res) {
+  return res instanceof ApiError && res.code === 'ABORTED';
+}
+
+/**
+ * User-facing message for any error-shaped value (ApiError, Error, legacy { error, body } or string).
+ * @param {any} err
+ * @param {string} fallback
+ * @returns {string}
+ */
+export function getErrorMessage(err, fallback = 'Something went wrong. Please try again.') {
+  if (!err) return fallback;
+  if (typeof err === 'string') return err;
+  if (err instanceof ApiError) return err.message;
+  if (err.message) return err.message;
+  if (err.body) {
+    try { return JSON.parse(err.body).error || err.body; } catch { return err.body; }
+  }
+  return err.error || fallback;
+}
+
+/**
+ * Details of a "client suspended" refusal, or null for any other result. The server answers a suspended
+ * client's logins and requests with 403 and `{ code: 'CLIENT_SUSPENDED', clientName, reason }`.
+ * @param {any} res - Value returned by an api.js or auth.js function
+ * @returns {{ clientName: string|null, reason: string|null }|null}
+ */
+export function clientSuspension(res) {
+  if (!(res instanceof ApiError) || res.code !== 'CLIENT_SUSPENDED') return null;
+  let data = null;
+  try { data = JSON.parse(res.body); } catch { data = null; }
+  return { clientName: data?.clientName || null, reason: data?.reason || null };
+}
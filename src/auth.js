@@ -4,44 +4,59 @@
 // In development backend runs on 3001; in production both frontend & backend are proxied on 3000
 const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
 
+import { ApiError, toApiError, networkError } from './apiError.js';
+import { clearQueryCache } from './queryCache.js';
+import { clearPreferences } from './preferences.js';
+import { IMPERSONATION_KEY } from './impersonation.js';
+import {
+  SESSION_KEY, SESSION_MODE, decodeToken, getAccessToken, getRefreshToken, canRefresh, dropRefreshToken,
+  getSessionInfo, storeSession, clearSession, requestCredentials, captureCsrfToken, csrfHeaders, ensureCsrfToken
+} from './sessionStore.js';
+
 function base64url(obj) { return btoa(JSON.stringify(obj)).replace(/=/g,'').replace(/\+/g,'-').replace(/\//g,'_'); }
 
 let refreshing = null;
 
+// Refresh-token session settings (tokens themselves live in sessionStore.js)
+const RENEW_BEFORE_MS = 5 * 60 * 1000; // renew the access token five minutes before it expires
+export const EXPIRY_WARNING_MS = 4 * 60 * 1000; // warn when a session was not renewed by then
+const IDLE_LIMIT_MS = 30 * 60 * 1000; // no silent renewal after 30 minutes without user activity
+const RENEW_JITTER_MS = 30 * 1000; // spread open tabs so one renews and the others adopt its token
+const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout fires immediately beyond this; long timers re-arm themselves instead
+let renewalTimer = null;
+let renewalDue = false;
+let lastActivity = Date.now();
+
 // Export decodeJwt so other components can use it
 export function decodeJwt(token) {
-  // If no token provided, get from localStorage
-  if (!token) {
-    token = localStorage.getItem('jwt');
-  }
-  if (!token) return null;
-  
-  try {
-    const [, payload] = token.split('.');
-    if (!payload) return null;
-    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
-    return JSON.parse(json);
-  } catch {
-    return null;
-  }
+  // Without a token: the signed-in user's claims (also available when the token is an httpOnly cookie)
+  if (!token) return getSessionInfo();
+  return decodeToken(token);
 }
 
-function isJwtExpired(token, skewSeconds = 30) {
-  const data = decodeJwt(token);
-  if (!data || !data.exp) return false; // demo tokens have no exp
+function isExpired(claims, skewSeconds = 30) {
+  if (!claims || !claims.exp) return false; // demo tokens have no exp
   const now = Math.floor(Date.now() / 1000);
-  return data.exp <= now + skewSeconds;
+  return claims.exp <= now + skewSeconds;
 }
 
 export function getToken() {
-  const real = localStorage.getItem('jwt');
-  if (real && isJwtExpired(real)) {
-    localStorage.removeItem('jwt');
+  // An expired session is kept while a refresh token can still renew it
+  if (isSessionExpired() && !canRefresh()) {
+    clearSession();
     localStorage.removeItem('role');
     localStorage.removeItem('clientId');
     return localStorage.getItem('demo_jwt');
   }
-  return real || localStorage.getItem('demo_jwt');
+  return getAccessToken() || localStorage.getItem('demo_jwt');
+}
+
+/**
+ * @returns {boolean} Whether a real (non-demo) user is signed in
+ */
+export function isSignedIn() {
+  return !!getSessionInfo();
 }
 
 async function fetchDevToken() {
@@ -71,9 +86,8 @@ function generateFallbackToken() {
 }
 
 export async function ensureDemoAuth() {
-  // If real login token exists, do nothing; otherwise ensure a dev token/fallback in development
-  const real = localStorage.getItem('jwt');
-  if (real && !isJwtExpired(real)) return;
+  // If a real session exists, do nothing; otherwise ensure a dev token/fallback in development
+  if (isSignedIn() && !isSessionExpired()) return;
   if (getToken()) return; // demo token already present
   if (import.meta.env?.DEV) {
     const t = await fetchDevToken();
@@ -83,10 +97,45 @@ export async function ensureDemoAuth() {
   localStorage.setItem('demo_jwt', fallback);
 }
 
+// Exchange the refresh token (body in local mode, httpOnly cookie otherwise) for a new access token;
+// the server may rotate the refresh token
+async function renewWithRefreshToken() {
+  try {
+    await ensureCsrfToken();
+    const res = await fetch(`${API_BASE}/auth/refresh`, {
+      method: 'POST',
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
+      body: JSON.stringify(SESSION_MODE === 'local' ? { refreshToken: getRefreshToken() } : {})
+    });
+    captureCsrfToken(res);
+    if (!res.ok) {
+      console.warn('[auth] token refresh rejected with status', res.status);
+      if (res.status === 401 || res.status === 403) dropRefreshToken();
+      return null;
+    }
+    const data = await res.json();
+    // Cookie mode has no readable token; the response carries the claims and expiry instead
+    if (SESSION_MODE === 'cookie' ? !data?.expiresAt : !data?.token) return null;
+    storeSession(data);
+    scheduleRenewal();
+    return data.token || true;
+  } catch (e) {
+    console.warn('[auth] token refresh failed', e);
+    return null;
+  }
+}
+
+/**
+ * Get a new access token: via the refresh token when the user logged in for real, or a new dev token in DEV.
+ * Concurrent callers (e.g. several 401s at once) share one in-flight refresh.
+ * @returns {Promise<string|true|null>} The new token (true in cookie mode), or null if the session could not be renewed
+ */
 export async function refreshToken() {
-  if (!import.meta.env?.DEV) return null;
   if (refreshing) return refreshing; // dedupe concurrent 401s
   refreshing = (async () => {
+    if (canRefresh()) return renewWithRefreshToken();
+    if (!import.meta.env?.DEV) return null;
     const newTok = await fetchDevToken();
     if (!newTok) {
       console.warn('[auth] falling back to unsigned token after failed refresh');
@@ -101,39 +150,246 @@ export async function refreshToken() {
   }
 }
 
+// Arm a timer that renews the access token shortly before `exp`, if the user has been active
+function scheduleRenewal() {
+  clearTimeout(renewalTimer);
+  renewalDue = false;
+  const exp = getSessionInfo()?.exp;
+  if (!exp || !canRefresh()) return;
+  const delay = Math.max(0, exp * 1000 - Date.now() - RENEW_BEFORE_MS - Math.random() * RENEW_JITTER_MS);
+  renewalTimer = setTimeout(() => {
+    // Another tab may have renewed the shared token in the meantime
+    const current = getSessionInfo()?.exp;
+    if (current && current * 1000 - Date.now() > RENEW_BEFORE_MS + RENEW_JITTER_MS) return scheduleRenewal();
+    if (Date.now() - lastActivity < IDLE_LIMIT_MS) refreshToken();
+    else renewalDue = true; // idle: renew on the next activity if the token is still valid by then
+  }, Math.min(delay, MAX_TIMEOUT));
+}
+
+/**
+ * Note user activity; extends the session if a renewal was skipped while idle.
+ */
+export function recordActivity() {
+  lastActivity = Date.now();
+  if (renewalDue && !isSessionExpired()) {
+    renewalDue = false;
+    refreshToken();
+  }
+}
+
+/**
+ * Start silent renewal and activity tracking for the signed-in user.
+ * @returns {() => void} stop function (use as an effect cleanup)
+ */
+export function startSessionKeepAlive() {
+  let lastEvent = 0;
+  const onActivity = () => {
+    const now = Date.now();
+    if (now - lastEvent < 5000) return; // scroll/keydown fire constantly; sample every 5s
+    lastEvent = now;
+    recordActivity();
+  };
+  // A token renewed (or a session started) in another tab re-arms this tab's timer
+  const onStorage = (e) => {
+    if (e.key === SESSION_KEY && e.newValue) scheduleRenewal();
+  };
+  ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, onActivity, { passive: true }));
+  window.addEventListener('storage', onStorage);
+  scheduleRenewal();
+  return () => {
+    ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, onActivity));
+    window.removeEventListener('storage', onStorage);
+    clearTimeout(renewalTimer);
+  };
+}
+
+/**
+ * When the signed-in user's access token expires.
+ * @returns {number|null} Epoch milliseconds, or null for demo/dev tokens without `exp`
+ */
+export function getSessionExpiry() {
+  const exp = getSessionInfo()?.exp;
+  return exp ? exp * 1000 : null;
+}
+
+/**
+ * Explicitly extend the session ("Stay signed in"), regardless of idle time.
+ * @returns {Promise<boolean>} true if the access token now expires later than before
+ */
+export async function extendSession() {
+  const before = getSessionExpiry();
+  lastActivity = Date.now();
+  renewalDue = false;
+  await refreshToken();
+  const after = getSessionExpiry();
+  return !!after && after > (before || 0) && !isSessionExpired();
+}
+
+/**
+ * Periodic session check: an expired access token is renewed if the user was recently active.
+ * @returns {Promise<boolean>} false when the session is over and the user should be logged out
+ */
+export async function checkSession() {
+  // An in-memory access token is gone after a reload; get a new one from the refresh cookie
+  if (SESSION_MODE === 'memory' && isSignedIn() && !getAccessToken()) await refreshToken();
+  if (!isSessionExpired()) return true;
+  if (Date.now() - lastActivity >= IDLE_LIMIT_MS) return false;
+  await refreshToken();
+  return !isSessionExpired();
+}
+
 // Real login against backend
 export async function login(email, password) {
   try {
+    await ensureCsrfToken();
     const res = await fetch(`${API_BASE}/auth/login`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
       body: JSON.stringify({ email, password })
     });
+    captureCsrfToken(res);
     if (!res.ok) {
-      const text = await res.text();
-      return { error: `HTTP ${res.status}`, body: text };
+      return await toApiError(res, res.status === 401 ? { message: 'Invalid email or password.' } : {});
     }
     const data = await res.json();
-    if (data?.token) {
-      localStorage.setItem('jwt', data.token);
-      localStorage.removeItem('demo_jwt');
-      // store roles array and client for convenience
-      if (Array.isArray(data.roles)) {
-        localStorage.setItem('roles', JSON.stringify(data.roles));
-        // Set primary role for backward compatibility
-        const primaryRole = data.roles.includes('platform_admin') ? 'platform_admin' : data.roles[0];
-        if (primaryRole) localStorage.setItem('role', primaryRole);
-      }
-      if (data.clientId) localStorage.setItem('clientId', data.clientId);
+    // A second factor is needed first: { mfaRequired | mfaEnrollmentRequired, mfaToken }; see verifyMfa()
+    if (data?.mfaRequired || data?.mfaEnrollmentRequired) return data;
+    startSession(data, email);
+    return data;
+  } catch (e) {
+    return networkError(e);
+  }
+}
+
+/**
+ * Second sign-in step: exchange the mfaToken from login() and a TOTP or recovery code for a session.
+ * @param {string} mfaToken - From the login() response
+ * @param {object} factor - Either { code } (authenticator app) or { recoveryCode }
+ * @returns {Promise<object|ApiError>} The same payload login() returns on success
+ */
+export async function verifyMfa(mfaToken, { code, recoveryCode } = {}) {
+  try {
+    await ensureCsrfToken();
+    const res = await fetch(`${API_BASE}/auth/mfa/verify`, {
+      method: 'POST',
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
+      body: JSON.stringify(recoveryCode ? { mfaToken, recoveryCode } : { mfaToken, code })
+    });
+    captureCsrfToken(res);
+    if (!res.ok) {
+      return await toApiError(res, res.status === 401
+        ? { message: recoveryCode ? 'That recovery code is not valid.' : 'That code is not valid. Check your authenticator app and try again.' }
+        : {});
     }
+    const data = await res.json();
+    startSession(data);
     return data;
   } catch (e) {
-    return { error: e?.message || 'Network error' };
+    return networkError(e);
+  }
+}
+
+const SSO_STATE_KEY = 'sso_state';
+
+/**
+ * Single sign-on, step 1: find the identity provider for the user's email domain and go there.
+ * The server answers with the IdP URL (OIDC authorization request or SAML AuthnRequest); the IdP
+ * sends the user back to /sso/callback.
+ * @param {string} email - Work email; its domain selects the client's IdP
+ * @returns {Promise<ApiError|undefined>} Only returns on failure (the page navigates away on success)
+ */
+export async function startSso(email) {
+  try {
+    const state = crypto.randomUUID();
+    sessionStorage.setItem(SSO_STATE_KEY, state);
+    await ensureCsrfToken();
+    const res = await fetch(`${API_BASE}/auth/sso/start`, {
+      method: 'POST',
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
+      body: JSON.stringify({ email, state, redirectUri: `${window.location.origin}/sso/callback` })
+    });
+    captureCsrfToken(res);
+    if (!res.ok) {
+      return await toApiError(res, res.status === 404 ? { message: 'Single sign-on is not set up for that email domain.' } : {});
+    }
+    const data = await res.json();
+    window.location.assign(data.redirectUrl);
+  } catch (e) {
+    return networkError(e);
   }
 }
 
+/**
+ * Single sign-on, step 2 (on /sso/callback): exchange the one-time code for a session, exactly like login().
+ * @param {URLSearchParams} params - Callback query: { code, state } or { error, error_description }
+ * @returns {Promise<object|ApiError>} The login payload, or an MFA challenge to finish on the login page
+ */
+export async function completeSso(params) {
+  const expectedState = sessionStorage.getItem(SSO_STATE_KEY);
+  sessionStorage.removeItem(SSO_STATE_KEY);
+  if (params.get('error')) {
+    return new ApiError({ status: 401, code: 'SSO_FAILED', message: params.get('error_description') || 'Your identity provider did not sign you in.' });
+  }
+  // The state round-trip proves this callback belongs to a sign-in started in this browser
+  if (!params.get('code') || !expectedState || params.get('state') !== expectedState) {
+    return new ApiError({ status: 400, code: 'SSO_STATE_MISMATCH', message: 'This sign-in link is invalid or has expired. Please start again.' });
+  }
+  try {
+    await ensureCsrfToken();
+    const res = await fetch(`${API_BASE}/auth/sso/callback`, {
+      method: 'POST',
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
+      body: JSON.stringify({ code: params.get('code'), state: expectedState })
+    });
+    captureCsrfToken(res);
+    if (!res.ok) return await toApiError(res);
+    const data = await res.json();
+    // The client may still require a second factor: { mfaRequired | mfaEnrollmentRequired, mfaToken }, as from login()
+    if (data?.mfaRequired || data?.mfaEnrollmentRequired) return data;
+    startSession(data, data.user?.email);
+    return data;
+  } catch (e) {
+    return networkError(e);
+  }
+}
+
+// Store a session from a successful login/verify response, plus roles and client for convenience
+function startSession(data, email) {
+  // Cookie mode: the tokens were set as httpOnly cookies and the body carries the user and expiry
+  if (!(SESSION_MODE === 'cookie' ? data?.expiresAt : data?.token)) return;
+  clearQueryCache();
+  storeSession({ ...data, user: data.user || { email, roles: data.roles, tenantId: data.clientId } });
+  localStorage.removeItem('demo_jwt');
+  lastActivity = Date.now();
+  scheduleRenewal();
+  if (Array.isArray(data.roles)) {
+    localStorage.setItem('roles', JSON.stringify(data.roles));
+    // Set primary role for backward compatibility
+    const primaryRole = data.roles.includes('platform_admin') ? 'platform_admin' : data.roles[0];
+    if (primaryRole) localStorage.setItem('role', primaryRole);
+  }
+  if (data.clientId) localStorage.setItem('clientId', data.clientId);
+}
+
 export function logout() {
-  localStorage.removeItem('jwt');
+  clearQueryCache();
+  clearTimeout(renewalTimer);
+  renewalDue = false;
+  if (canRefresh()) {
+    // Revoke server-side (and clear the session cookies); the user is logged out locally either way
+    fetch(`${API_BASE}/auth/logout`, {
+      method: 'POST',
+      credentials: requestCredentials(),
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders('POST') },
+      body: JSON.stringify(SESSION_MODE === 'local' ? { refreshToken: getRefreshToken() } : {}),
+      keepalive: true
+    }).catch(() => {});
+  }
+  clearSession();
   localStorage.removeItem('role');
   localStorage.removeItem('roles');
   localStorage.removeItem('acting_role');
@@ -141,9 +397,10 @@ export function logout() {
   localStorage.removeItem('selected_tenant_id');
   localStorage.removeItem('demo_jwt');
   localStorage.removeItem('userEmail'); // Clean up legacy storage
+  localStorage.removeItem(IMPERSONATION_KEY); // the server ends it with the admin's session
+  clearPreferences();
 }
 
 export function isSessionExpired() {
-  const real = localStorage.getItem('jwt');
-  return !!real && isJwtExpired(real);
+  return isExpired(getSessionInfo());
 }
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { getClientUsers } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { ALWAYS_ALLOWED_ROLES } from '../permissions.js';
+
+// Access levels offered per kind of resource, lowest first (see permissions.js)
+export const REPORT_SHARE_LEVELS = [
+  { value: 'view', label: 'Can view' },
+  { value: 'edit', label: 'Can edit' }
+];
+export const CONNECTION_SHARE_LEVELS = [
+  { value: 'use', label: 'Can use in reports' },
+  { value: 'manage', label: 'Can manage' }
+];
+
+function userLabel(user) {
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return name ? `${name} (${user.email})` : user.email;
+}
+
+/**
+ * Share one report or connection with specific people (see permissions.js hasAccess). Used from the
+ * report card and the connection list.
+ * @param {object} props
+ * @param {string} props.title - e.g. 'Share "Revenue by Customer"'
+ * @param {string} props.clientId - Tenant whose users can be picked
+ * @param {{ value: string, label: string }[]} props.levels - Access levels, lowest first
+ * @param {(opts: object) => Promise<object>} props.load - Loads { restricted, entries: [{ userId, access }] }
+ * @param {(acl: object) => Promise<object>} props.save
+ * @param {() => void} props.onClose
+ * @param {() => void} [props.onSaved]
+ */
+export default function AclEditor({ title, clientId, levels, load, save, onClose, onSaved }) {
+  const [users, setUsers] = useState(null);
+  const [restricted, setRestricted] = useState(false);
+  const [access, setAccess] = useState({}); // userId -> level ('' = no access)
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const [acl, clientUsers] = await Promise.all([
+        load({ signal: controller.signal }),
+        getClientUsers(clientId, { signal: controller.signal })
+      ]);
+      if (isAbortError(acl) || isAbortError(clientUsers)) return;
+      if (acl?.error || clientUsers?.error) {
+        setError((acl?.error ? acl : clientUsers).message);
+        return;
+      }
+      setRestricted(!!acl.restricted);
+      setAccess(Object.fromEntries((acl.entries || []).map(entry => [entry.userId, entry.access])));
+      setUsers((Array.isArray(clientUsers) ? clientUsers : []).filter(u => !ALWAYS_ALLOWED_ROLES.includes(u.role)));
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
+  async function handleSave() {
+    setSaving(true);
+    setError(null);
+    const entries = Object.entries(access)
+      .filter(([, level]) => level)
+      .map(([userId, level]) => ({ userId, access: level }));
+    const res = await save({ restricted, entries });
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    onSaved?.();
+    onClose();
+  }
+
+  const sharedCount = Object.values(access).filter(Boolean).length;
+
+  return (
+    <div style={{ marginTop: '.75rem', padding: '.75rem', background: '#fff', border: '1px solid #cfd8e3', borderRadius: '4px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '.5rem' }}>
+        <strong>{title}</strong>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem' }}>{error}</div>}
+      {!users && !error && <p style={{ color: '#666' }}>Loading…</p>}
+      {users && (
+        <>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '.25rem' }}>
+            <input type="radio" checked={!restricted} onChange={() => setRestricted(false)} />
+            Everyone in this client, by their permissions
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '.5rem' }}>
+            <input type="radio" checked={restricted} onChange={() => setRestricted(true)} />
+            Only the people selected below
+          </label>
+          <p style={{ fontSize: '.85rem', color: '#666', margin: '0 0 .5rem 0' }}>
+            Business owners and platform administrators always have access.
+          </p>
+          {restricted && (
+            users.length === 0 ? (
+              <p style={{ color: '#666' }}>There is no one else in this client to share with.</p>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.9rem', marginBottom: '.5rem' }}>
+                <tbody>
+                  {users.map(user => (
+                    <tr key={user.id} style={{ borderBottom: '1px solid #eee' }}>
+                      <td style={{ padding: '.35rem' }}>{userLabel(user)} <span style={{ color: '#888' }}>· {user.role}</span></td>
+                      <td style={{ padding: '.35rem', textAlign: 'right' }}>
+                        <select
+                          value={access[user.id] || ''}
+                          onChange={e => setAccess(current => ({ ...current, [user.id]: e.target.value }))}
+                        >
+                          <option value="">No access</option>
+                          {levels.map(level => <option key={level.value} value={level.value}>{level.label}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          )}
+          <button onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving…' : restricted ? `Share with ${sharedCount} ${sharedCount === 1 ? 'person' : 'people'}` : 'Save'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import { formatRoleLabel, isActingBelow, primaryRole } from '../roles.js';
+
+/**
+ * Shown while the user acts in a role below their own: what they see is what that role sees.
+ */
+export default function ActingRoleBanner({ roles, actingRole, onReset }) {
+  if (!isActingBelow(roles, actingRole)) return null;
+  const ownRole = primaryRole(roles);
+  return (
+    <div
+      role="status"
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '1rem',
+        padding: '.6rem 1rem',
+        marginBottom: '1rem',
+        background: '#fff4e5',
+        border: '1px solid #f0b429',
+        borderRadius: '4px',
+        color: '#663c00'
+      }}
+    >
+      <span>
+        Acting as <strong>{formatRoleLabel(actingRole)}</strong>. You see only what a {formatRoleLabel(actingRole).toLowerCase()} can see and do;
+        {' '}{formatRoleLabel(ownRole).toLowerCase()} actions are hidden.
+      </span>
+      <button onClick={() => onReset(ownRole)} style={{ whiteSpace: 'nowrap' }}>
+        Back to {formatRoleLabel(ownRole)}
+      </button>
+    </div>
+  );
+}
@@ -1,93 +1,48 @@
 import React, { useEffect, useState } from 'react';
-import { getAllClients, getEmailSettings, updateEmailSettings, sendInvitation, resendInvitation, getInvitations } from '../api.js';
+import {
+  getAllClients,
+  sendInvitation,
+  sendBulkInvitations,
+  resendInvitation,
+  revokeInvitation,
+  updateInvitationExpiry,
+  getInvitations,
+  createUser,
+  listManagers,
+  listManagerAssignments,
+  addManagerAssignment,
+  setManagerAssignmentActive,
+  resendManagerVerification
+} from '../api.js';
+import { subscribeLiveEvent } from '../liveEvents.js';
+import { useLiveEvent } from '../hooks/useLiveEvent.js';
+import { formatDate } from '../utils/timeFormatting.js';
 import DatabaseConnections from './DatabaseConnections.jsx';
-
-// In development backend runs on 3001; in production both frontend & backend are proxied on 3000
-const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
-
-async function createUser(email, role, clientId) {
-  try {
-    const res = await fetch(`${API_BASE}/admin/users`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('jwt')}` },
-      body: JSON.stringify({ email, role, clientId })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function listManagers() {
-  try {
-    const res = await fetch(`${API_BASE}/admin/managers`, {
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('jwt')}` }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function listAssignments(userId) {
-  try {
-    const res = await fetch(`${API_BASE}/admin/managers/${userId}/assignments`, {
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('jwt')}` }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function addAssignment(userId, clientId) {
-  try {
-    const res = await fetch(`${API_BASE}/admin/managers/${userId}/assignments`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('jwt')}` },
-      body: JSON.stringify({ clientId })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function resendVerification(userId) {
-  try {
-    const res = await fetch(`${API_BASE}/admin/managers/${userId}/resend-verification`, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${localStorage.getItem('jwt')}` }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function setAssignmentActive(userId, clientId, active) {
-  try {
-    const res = await fetch(`${API_BASE}/admin/managers/${userId}/assignments/${clientId}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('jwt')}` },
-      body: JSON.stringify({ active })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
+import MfaPolicySettings from './MfaPolicySettings.jsx';
+import ImpersonationStart from './ImpersonationStart.jsx';
+import ImpersonationLog from './ImpersonationLog.jsx';
+import SsoConfigEditor from './SsoConfigEditor.jsx';
+import InvitationList from './InvitationList.jsx';
+import BulkInvite from './BulkInvite.jsx';
+import ClientDetail, { CLIENT_STATUS_STYLES } from './ClientDetail.jsx';
+import EmailSettings from './EmailSettings.jsx';
+import { DEFAULT_EXPIRY_DAYS, expiryFromNow, invitationStatus } from '../utils/invitations.js';
 
 export default function AdminPanel({ showToast }) {
   const [clients, setClients] = useState([]);
   const [managers, setManagers] = useState([]);
   const [email, setEmail] = useState('');
   const [error, setError] = useState(null);
-  const [activeTab, setActiveTab] = useState('clients'); // 'clients', 'email' or 'managers'
+  const [activeTab, setActiveTab] = useState('clients'); // 'clients', 'invitations', 'managers', 'email' or 'security'
   const [creationNotice, setCreationNotice] = useState(null);
   const [invitationNotice, setInvitationNotice] = useState(null);
   const [invitations, setInvitations] = useState([]);
   const [invitationsLoading, setInvitationsLoading] = useState(false);
   const [inviteEmail, setInviteEmail] = useState('');
-  const [smtp, setSmtp] = useState({ host:'', port:465, secure:true, username:'', password:'', fromAddress:'' });
-  const [smtpConfigured, setSmtpConfigured] = useState(false);
-  const [smtpSaving, setSmtpSaving] = useState(false);
-  const [testEmail, setTestEmail] = useState('');
-  const [testEmailSnackbar, setTestEmailSnackbar] = useState(null); // { message, type: 'success'|'error' }
+  const [inviteExpiryDays, setInviteExpiryDays] = useState(DEFAULT_EXPIRY_DAYS);
+  const [ssoClient, setSsoClient] = useState(null); // client whose single sign-on settings are open
+  const [viewAsClient, setViewAsClient] = useState(null); // client whose users can be viewed as
+  const [managedClient, setManagedClient] = useState(null); // client open in the ClientDetail console
 
   useEffect(() => {
     (async () => {
@@ -95,53 +50,20 @@ export default function AdminPanel({ showToast }) {
       if (Array.isArray(c)) setClients(c);
       const m = await listManagers();
       if (Array.isArray(m)) setManagers(m);
-      const s = await getEmailSettings();
-      if (s && !s.error) {
-        if (s.configured) {
-          setSmtpConfigured(true);
-          setSmtp(prev => ({
-            ...prev,
-            host: s.host,
-            port: s.port,
-            secure: s.secure,
-            username: s.username,
-            fromAddress: s.fromAddress,
-            password: '' // not returned
-          }));
-        }
-      }
     })();
-    
-    // Connect to SSE stream for real-time manager updates
-    const token = localStorage.getItem('jwt');
-    const sseUrl = new URL(`${API_BASE}/admin/managers/updates`);
-    sseUrl.searchParams.append('token', token || '');
-    
-    const eventSource = new EventSource(sseUrl.toString());
-    
-    eventSource.addEventListener('open', () => {
-      console.log('[SSE] Connected to manager updates');
-    });
-    
-    eventSource.addEventListener('managerVerified', () => {
-      console.log('[SSE] Manager verified event received, refreshing managers');
+
+    // Real-time manager updates on the admin's own stream (reconnects by itself)
+    return subscribeLiveEvent(['managerVerified', 'reconnected'], () => {
+      console.log('[SSE] Managers may have changed, refreshing managers');
       handleRefreshManagers();
-    });
-    
-    eventSource.addEventListener('message', (event) => {
-      console.log('[SSE] Message event received:', event.data);
-    });
-    
-    eventSource.onerror = (err) => {
-      console.error('[SSE] Connection error:', err);
-      eventSource.close();
-    };
-    
-    return () => {
-      eventSource.close();
-    };
+    }, { path: '/admin/managers/updates' });
   }, []);
 
+  // Accepted invitations flip to "Account created" without a reload
+  useLiveEvent(['invitationAccepted', 'reconnected'], () => {
+    if (activeTab === 'invitations') loadInvitations();
+  });
+
   useEffect(() => {
     if (activeTab === 'invitations') {
       loadInvitations();
@@ -150,13 +72,12 @@ export default function AdminPanel({ showToast }) {
 
   async function loadInvitations() {
     setInvitationsLoading(true);
-    setInvitationNotice(null);
     const res = await getInvitations();
     setInvitationsLoading(false);
     if (Array.isArray(res)) {
       setInvitations(res);
     } else if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
+      setError(res.message);
     }
   }
 
@@ -164,7 +85,7 @@ export default function AdminPanel({ showToast }) {
     setError(null);
     setCreationNotice(null);
     const res = await createUser(email, 'manager');
-    if (res?.error) setError(res.error + (res.body ? `: ${res.body}` : ''));
+    if (res?.error) setError(res.message);
     else {
       setManagers(m => [...m, res]);
       setEmail('');
@@ -180,9 +101,9 @@ export default function AdminPanel({ showToast }) {
 
   async function handleAddAssignment(userId, clientId) {
     setError(null);
-    const res = await addAssignment(userId, clientId);
+    const res = await addManagerAssignment(userId, clientId);
     if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
+      setError(res.message);
     } else {
       // Refresh managers to show the new assignment
       const m = await listManagers();
@@ -192,8 +113,8 @@ export default function AdminPanel({ showToast }) {
 
   async function handleToggleActive(userId, clientId, active) {
     setError(null);
-    const res = await setAssignmentActive(userId, clientId, active);
-    if (res?.error) setError(res.error + (res.body ? `: ${res.body}` : ''));
+    const res = await setManagerAssignmentActive(userId, clientId, active);
+    if (res?.error) setError(res.message);
   }
 
   async function handleRefreshManagers() {
@@ -212,9 +133,9 @@ export default function AdminPanel({ showToast }) {
       return;
     }
     setError(null);
-    const res = await sendInvitation(inviteEmail.trim(), null);
+    const res = await sendInvitation(inviteEmail.trim(), null, expiryFromNow(inviteExpiryDays));
     if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
+      setError(res.message);
     } else {
       setInvitationNotice(`Invitation sent to ${inviteEmail.trim()}`);
       setInviteEmail('');
@@ -223,26 +144,33 @@ export default function AdminPanel({ showToast }) {
     }
   }
 
-  async function handleResendInvitation(invitationId) {
-    setError(null);
-    const res = await resendInvitation(invitationId);
+  function handleInvitationChange(res, notice) {
     if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
+      setError(res.message);
     } else {
-      setInvitationNotice('Invitation resent');
+      setError(null);
+      setInvitationNotice(notice);
       loadInvitations();
       setTimeout(() => setInvitationNotice(null), 4000);
     }
   }
 
-  function formatDate(value) {
-    if (!value) return '—';
-    const date = new Date(value);
-    if (Number.isNaN(date.getTime())) return '—';
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const year = date.getFullYear();
-    return `${month}/${day}/${year}`;
+  async function handleResendInvitation(inv) {
+    handleInvitationChange(await resendInvitation(inv.id), 'Invitation resent');
+  }
+
+  async function handleRevokeInvitation(inv) {
+    handleInvitationChange(await revokeInvitation(inv.id), `Invitation for ${inv.email} revoked`);
+  }
+
+  async function handleSetInvitationExpiry(inv, expiresAt) {
+    handleInvitationChange(await updateInvitationExpiry(inv.id, expiresAt), `Invitation for ${inv.email} now expires ${formatDate(expiresAt)}`);
+  }
+
+  function handleBulkInvited(message) {
+    setInvitationNotice(message);
+    loadInvitations();
+    setTimeout(() => setInvitationNotice(null), 6000);
   }
 
   return (
@@ -310,93 +238,39 @@ export default function AdminPanel({ showToast }) {
         >
           Email Settings
         </button>
+        <button
+          onClick={() => setActiveTab('security')}
+          style={{
+            padding:'.5rem 1rem',
+            background: activeTab === 'security' ? '#007bff' : '#f0f0f0',
+            color: activeTab === 'security' ? 'white' : 'black',
+            border: 'none',
+            borderRadius:'4px',
+            cursor: 'pointer',
+            fontWeight: activeTab === 'security' ? 'bold' : 'normal'
+          }}
+        >
+          Security
+        </button>
 
       </div>
 
       {/* Email Tab */}
-      {activeTab === 'email' && (
-        <div style={{ border:'1px solid #eee', padding:'.75rem', marginBottom:'1rem' }}>
-          <h4>Email (SMTP) Settings</h4>
-          <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:'.5rem' }}>
-            <label>
-              Host
-              <input type="text" value={smtp.host} onChange={e=>setSmtp(s=>({ ...s, host:e.target.value }))} />
-            </label>
-            <label>
-              Port
-              <input type="number" value={smtp.port} onChange={e=>setSmtp(s=>({ ...s, port:Number(e.target.value) }))} />
-            </label>
-            <label>
-              Username
-              <input type="text" value={smtp.username} onChange={e=>setSmtp(s=>({ ...s, username:e.target.value }))} />
-            </label>
-            <label>
-              Password
-              <input type="password" value={smtp.password} onChange={e=>setSmtp(s=>({ ...s, password:e.target.value }))} placeholder={smtpConfigured ? '(unchanged)' : ''} />
-            </label>
-            <label>
-              From Address
-              <input type="email" value={smtp.fromAddress} onChange={e=>setSmtp(s=>({ ...s, fromAddress:e.target.value }))} required />
-            </label>
-            <label>
-              Test Email Address
-              <input type="email" value={testEmail} onChange={e=>setTestEmail(e.target.value)} placeholder="where to send test email" required />
-            </label>
-          </div>
-          <div style={{ marginTop:'.5rem' }}>
-            <button disabled={smtpSaving || !smtp.host || !smtp.port || !smtp.username || !smtp.fromAddress || (!smtpConfigured && !smtp.password)} onClick={async ()=>{
-              setSmtpSaving(true);
-              const res = await updateEmailSettings({ ...smtp });
-              setSmtpSaving(false);
-              if (res?.error) setError(res.error + (res.body ? `: ${res.body}` : ''));
-              else {
-                setSmtpConfigured(true);
-                if (!smtp.password) {
-                  // keep unchanged marker
-                } else {
-                  setSmtp(s=>({ ...s, password:'' }));
-                }
-                showToast ? showToast('SMTP settings saved.', 'success') : setSmtpConfigured(true);
-              }
-            }}>Save SMTP Settings</button>
-            {smtpConfigured && <span style={{ marginLeft:'.5rem', color:'green' }}>Configured</span>}
-            <button disabled={!testEmail} style={{ marginLeft:'.5rem', background: testEmail ? '#17a2b8' : '#ccc', color:'white', border:'none', padding:'.4rem .8rem', borderRadius:'4px', cursor: testEmail ? 'pointer' : 'not-allowed' }} onClick={async ()=>{
-              if (!testEmail) return;
-              try {
-                const res = await fetch(`${API_BASE}/admin/email-test`, {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('jwt')}` },
-                  body: JSON.stringify({ testEmail })
-                });
-                const data = await res.json();
-                if (res.ok) {
-                  const acceptedList = data.accepted?.length > 0 ? `Accepted: ${data.accepted.join(', ')}` : '';
-                  const rejectedList = data.rejected?.length > 0 ? `Rejected: ${data.rejected.join(', ')}` : '';
-                  const details = [
-                    `✓ Test email sent successfully!`,
-                    `\nMessage ID: ${data.messageId}`,
-                    `Recipient: ${testEmail}`,
-                    acceptedList ? `\n${acceptedList}` : '',
-                    rejectedList ? `${rejectedList}` : '',
-                    `\nSMTP Response: ${data.response || 'N/A'}`
-                  ].filter(Boolean).join('\n');
-                  setTestEmailSnackbar({ message: details, type: 'success' });
-                } else {
-                  setTestEmailSnackbar({ message: `✗ Failed to send test email:\n\n${data.error || 'Unknown error'}`, type: 'error' });
-                }
-              } catch (e) {
-                setTestEmailSnackbar({ message: `✗ Error: ${e?.message || 'Network error'}`, type: 'error' });
-              }
-            }}>Send Test Email</button>
-          </div>
-        </div>
+      {activeTab === 'email' && <EmailSettings clients={clients} showToast={showToast} />}
+
+      {/* Security Tab */}
+      {activeTab === 'security' && (
+        <>
+          <MfaPolicySettings showToast={showToast} />
+          <ImpersonationLog />
+        </>
       )}
 
       {/* Invitations Tab */}
       {activeTab === 'invitations' && (
         <div style={{ border:'1px solid #eee', padding:'.75rem', marginBottom:'1rem' }}>
           <h4>Invitations</h4>
-          <p style={{ fontSize:'0.9rem', color:'#666' }}>Send a generic invitation link and track whether the email recipient has created their account.</p>
+          <p style={{ fontSize:'0.9rem', color:'#666' }}>Send a generic invitation link and track whether the email recipient has created their account. Pending invitations can be revoked, and stop working once they expire.</p>
 
           <div style={{ display:'flex', gap:'.5rem', flexWrap:'wrap', marginBottom:'1rem' }}>
             <input 
@@ -407,6 +281,12 @@ export default function AdminPanel({ showToast }) {
               style={{ flex: '1 1 280px', padding: '.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
               required
             />
+            <label style={{ display:'flex', alignItems:'center', gap:'.35rem', fontSize:'0.9rem' }}>
+              Expires in
+              <select value={inviteExpiryDays} onChange={e => setInviteExpiryDays(Number(e.target.value))} style={{ padding:'.45rem' }}>
+                {[1, 3, 7, 14, 30].map(days => <option key={days} value={days}>{days} {days === 1 ? 'day' : 'days'}</option>)}
+              </select>
+            </label>
             <button 
               onClick={handleSendInvitation}
               style={{ padding:'.55rem 1rem', background:'#007bff', color:'white', border:'none', borderRadius:'4px', cursor:'pointer' }}
@@ -415,60 +295,27 @@ export default function AdminPanel({ showToast }) {
             </button>
           </div>
 
+          <BulkInvite
+            roles={[]}
+            existingEmails={invitations.filter(inv => invitationStatus(inv) === 'pending').map(inv => inv.email)}
+            onSubmit={rows => sendBulkInvitations(rows.map(({ email }) => ({ email })), null, expiryFromNow(inviteExpiryDays))}
+            onDone={handleBulkInvited}
+          />
+
           {invitationNotice && (
             <div style={{ marginBottom:'1rem', padding:'.5rem', background:'#e6ffe6', border:'1px solid #b2e6b2', borderRadius:'4px', color:'#1e7e34' }}>
               {invitationNotice}
             </div>
           )}
 
-          {invitationsLoading ? (
-            <p>Loading invitations...</p>
-          ) : invitations.length === 0 ? (
-            <p style={{ color:'#666' }}>No invitations sent yet.</p>
-          ) : (
-            <table style={{ width:'100%', borderCollapse:'collapse' }}>
-              <thead>
-                <tr style={{ borderBottom:'2px solid #ddd', background:'#f5f5f5' }}>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Email</th>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Client</th>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Status</th>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Sent</th>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Accepted</th>
-                  <th style={{ padding:'.5rem', textAlign:'left' }}>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {invitations.map(inv => {
-                  const statusBadgeStyle = inv.accountCreated || inv.status === 'accepted'
-                    ? { background:'#e6f4ea', color:'#1e7e34' }
-                    : { background:'#fff4e5', color:'#b36b00' };
-                  return (
-                    <tr key={inv.id} style={{ borderBottom:'1px solid #eee' }}>
-                      <td style={{ padding:'.5rem' }}>{inv.email}</td>
-                      <td style={{ padding:'.5rem', color:'#555' }}>{inv.clientName || '—'}</td>
-                      <td style={{ padding:'.5rem' }}>
-                        <span style={{ padding:'0 .4rem', borderRadius:'4px', fontSize:'0.9rem', ...statusBadgeStyle }}>
-                          {inv.accountCreated || inv.status === 'accepted' ? 'Account created ✓' : inv.status}
-                        </span>
-                      </td>
-                      <td style={{ padding:'.5rem', color:'#555' }}>{formatDate(inv.sentAt)}</td>
-                      <td style={{ padding:'.5rem', color:'#555' }}>{formatDate(inv.acceptedAt)}</td>
-                      <td style={{ padding:'.5rem' }}>
-                        {inv.status === 'pending' && (
-                          <button 
-                            onClick={() => handleResendInvitation(inv.id)}
-                            style={{ padding:'.35rem .7rem', background:'#17a2b8', color:'white', border:'none', borderRadius:'4px', cursor:'pointer' }}
-                          >
-                            Resend
-                          </button>
-                        )}
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          )}
+          <InvitationList
+            invitations={invitations}
+            loading={invitationsLoading}
+            showClient
+            onResend={handleResendInvitation}
+            onRevoke={handleRevokeInvitation}
+            onSetExpiry={handleSetInvitationExpiry}
+          />
         </div>
       )}
 
@@ -486,26 +333,66 @@ export default function AdminPanel({ showToast }) {
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Client Name</th>
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Client ID</th>
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Created</th>
+                    <th style={{ padding: '.5rem', textAlign: 'left' }}>Status</th>
+                    <th style={{ padding: '.5rem', textAlign: 'left' }}>Single Sign-On</th>
+                    <th style={{ padding: '.5rem', textAlign: 'left' }}>Support</th>
+                    <th style={{ padding: '.5rem', textAlign: 'left' }}></th>
                   </tr>
                 </thead>
                 <tbody>
                   {clients.map((client, i) => {
-                    const date = new Date(client.createdAt);
-                    const day = String(date.getDate()).padStart(2, '0');
-                    const month = String(date.getMonth() + 1).padStart(2, '0');
-                    const year = date.getFullYear();
-                    const formattedDate = `${month}/${day}/${year}`;
+                    const formattedDate = formatDate(client.createdAt) || '—';
+                    const status = CLIENT_STATUS_STYLES[client.status] || CLIENT_STATUS_STYLES.active;
                     return (
-                      <tr key={i} style={{ borderBottom: '1px solid #eee' }}>
+                      <tr key={i} style={{ borderBottom: '1px solid #eee', background: managedClient?.id === client.id ? '#f0f7ff' : undefined }}>
                         <td style={{ padding: '.5rem' }}>{client.name}</td>
                         <td style={{ padding: '.5rem', fontSize: '0.85rem', color: '#666' }}>{client.id}</td>
                         <td style={{ padding: '.5rem', fontSize: '0.85rem', color: '#666' }}>{formattedDate}</td>
+                        <td style={{ padding: '.5rem' }}>
+                          <span title={client.statusReason || ''} style={{ padding: '0 .4rem', borderRadius: '4px', fontSize: '0.85rem', background: status.background, color: status.color }}>
+                            {status.label}
+                          </span>
+                        </td>
+                        <td style={{ padding: '.5rem' }}>
+                          <button onClick={() => setSsoClient(ssoClient?.id === client.id ? null : client)}>Configure</button>
+                        </td>
+                        <td style={{ padding: '.5rem' }}>
+                          <button onClick={() => setViewAsClient(viewAsClient?.id === client.id ? null : client)}>View as User</button>
+                        </td>
+                        <td style={{ padding: '.5rem' }}>
+                          <button onClick={() => setManagedClient(managedClient?.id === client.id ? null : client)}>Manage</button>
+                        </td>
                       </tr>
                     );
                   })}
                 </tbody>
               </table>
             )}
+            {managedClient && (
+              <ClientDetail
+                key={managedClient.id}
+                client={managedClient}
+                onClose={() => setManagedClient(null)}
+                onChanged={updated => setClients(list => list.map(c => (c.id === updated.id ? { ...c, ...updated } : c)))}
+              />
+            )}
+            {ssoClient && (
+              <SsoConfigEditor
+                key={ssoClient.id}
+                clientId={ssoClient.id}
+                clientName={ssoClient.name}
+                onClose={() => setSsoClient(null)}
+                showToast={showToast}
+              />
+            )}
+            {viewAsClient && (
+              <ImpersonationStart
+                key={viewAsClient.id}
+                clientId={viewAsClient.id}
+                clientName={viewAsClient.name}
+                onClose={() => setViewAsClient(null)}
+              />
+            )}
           </div>
         </div>
       )}
@@ -537,39 +424,6 @@ export default function AdminPanel({ showToast }) {
           </div>
         </div>
       )}
-      {testEmailSnackbar && (
-        <div style={{
-          position: 'fixed',
-          bottom: '1rem',
-          right: '1rem',
-          background: testEmailSnackbar.type === 'success' ? '#d4edda' : '#f8d7da',
-          color: testEmailSnackbar.type === 'success' ? '#155724' : '#721c24',
-          border: `1px solid ${testEmailSnackbar.type === 'success' ? '#c3e6cb' : '#f5c6cb'}`,
-          borderRadius: '4px',
-          padding: '1rem',
-          maxWidth: '400px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
-          zIndex: 1000,
-          whiteSpace: 'pre-wrap',
-          userSelect: 'text',
-          fontFamily: 'monospace',
-          fontSize: '0.85rem',
-          lineHeight: '1.4'
-        }}>
-          {testEmailSnackbar.message}
-          <button onClick={() => setTestEmailSnackbar(null)} style={{
-            marginTop: '.5rem',
-            marginLeft: '.5rem',
-            background: 'transparent',
-            border: 'none',
-            color: 'inherit',
-            cursor: 'pointer',
-            fontSize: '1rem',
-            padding: 0,
-            fontWeight: 'bold'
-          }}>×</button>
-        </div>
-      )}
     </div>
     </div>
   );
@@ -583,7 +437,7 @@ function ManagerRow({ manager, clients, onAddAssignment, onToggleActive }) {
 
   useEffect(() => {
     (async () => {
-      const a = await listAssignments(manager.id);
+      const a = await listManagerAssignments(manager.id);
       if (Array.isArray(a)) setAssignments(a);
     })();
   }, [manager.id, manager]);
@@ -609,13 +463,11 @@ function ManagerRow({ manager, clients, onAddAssignment, onToggleActive }) {
           <>
             <button onClick={async ()=>{
               setResendStatus('');
-              const res = await resendVerification(manager.id);
+              const res = await resendManagerVerification(manager.id);
               if (res?.error) {
-                const detail = res.body && typeof res.body === 'string' ? res.body : '';
-                const combined = `${res.error}${detail ? ` ${detail}` : ''}`;
-                const friendly = combined.includes('SMTP not configured')
+                const friendly = res.message.includes('SMTP not configured')
                   ? 'SMTP not configured. Configure Email Settings and try again.'
-                  : combined;
+                  : res.message;
                 setResendStatus(`Failed to resend: ${friendly}`);
               } else setResendStatus('Verification email resent.');
             }}>Resend verification</button>
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { formatRoleLabel } from '../roles.js';
+import { parseInviteList } from '../utils/invitations.js';
+
+const button = { padding: '.5rem 1rem', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+/**
+ * Invite many people at once from a pasted list or a CSV file. Nothing is sent until the preview has been
+ * reviewed; rows with errors are listed with the reason and skipped.
+ * @param {object} props
+ * @param {string[]} props.roles - Roles a row may name; empty when invitations carry no role
+ * @param {string} [props.defaultRole] - For rows without a role column
+ * @param {string[]} props.existingEmails - Current users and pending invitations, flagged as duplicates
+ * @param {(invitations: Array<{ email: string, role: string|null }>) => Promise<object>} props.onSubmit -
+ *   Resolves to the bulk API result ({ invited, failed }) or an ApiError
+ * @param {(message: string) => void} props.onDone
+ */
+export default function BulkInvite({ roles, defaultRole, existingEmails, onSubmit, onDone }) {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState(null); // parsed preview, null while editing
+  const [sending, setSending] = useState(false);
+  const [failed, setFailed] = useState([]);
+  const [error, setError] = useState(null);
+
+  const validRows = (rows || []).filter(r => !r.error);
+  const example = roles.length ? `jane@example.com,${roles[roles.length - 1]}\nsam@example.com,${roles[0]}` : 'jane@example.com\nsam@example.com';
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // choosing the same file again should reload it
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(String(reader.result || ''));
+      setRows(null);
+    };
+    reader.onerror = () => setError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  }
+
+  function handlePreview() {
+    setError(null);
+    setFailed([]);
+    const parsed = parseInviteList(text, { roles, defaultRole, existingEmails });
+    if (parsed.length === 0) {
+      setError('Paste at least one email address or choose a CSV file');
+      return;
+    }
+    setRows(parsed);
+  }
+
+  async function handleSend() {
+    setSending(true);
+    setError(null);
+    const res = await onSubmit(validRows.map(({ email, role }) => ({ email, role })));
+    setSending(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    const invited = res?.invited?.length ?? validRows.length;
+    const failures = res?.failed || [];
+    setFailed(failures);
+    setRows(null);
+    setText(failures.map(f => validRows.find(r => r.email === f.email)).filter(Boolean)
+      .map(r => (r.role ? `${r.email},${r.role}` : r.email)).join('\n'));
+    onDone(`${invited} ${invited === 1 ? 'invitation' : 'invitations'} sent${failures.length ? `, ${failures.length} failed` : ''}`);
+  }
+
+  return (
+    <div style={{ border: '1px solid #eee', borderRadius: '4px', padding: '.75rem', marginBottom: '1rem' }}>
+      <h5 style={{ margin: '0 0 .5rem 0' }}>Bulk invite</h5>
+      {error && <div style={{ padding: '.5rem', marginBottom: '.5rem', background: '#ffe6e6', color: '#c41e3a', borderRadius: '4px' }}>{error}</div>}
+
+      {failed.length > 0 && (
+        <div style={{ padding: '.5rem', marginBottom: '.5rem', background: '#fff4e5', color: '#b36b00', borderRadius: '4px', fontSize: '.9rem' }}>
+          These were not sent and are left below to try again:
+          <ul style={{ margin: '.25rem 0 0 1.25rem', padding: 0 }}>
+            {failed.map(f => <li key={f.email}>{f.email}: {f.message}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {rows === null ? (
+        <>
+          <p style={{ fontSize: '.85rem', color: '#666', margin: '0 0 .5rem 0' }}>
+            One person per line{roles.length ? <>, as <code>email,role</code> where the role is {roles.map(formatRoleLabel).join(' or ')} (default {formatRoleLabel(defaultRole)})</> : ''}.
+            {' '}A CSV with an <code>email</code>{roles.length ? <> and <code>role</code></> : ''} column works too.
+          </p>
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            placeholder={example}
+            rows={5}
+            style={{ width: '100%', padding: '.5rem', border: '1px solid #ccc', borderRadius: '4px', fontFamily: 'monospace', boxSizing: 'border-box' }}
+          />
+          <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', marginTop: '.5rem', flexWrap: 'wrap' }}>
+            <label style={{ fontSize: '.9rem' }}>
+              Or upload CSV:{' '}
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} />
+            </label>
+            <button onClick={handlePreview} disabled={!text.trim()} style={{ ...button, background: '#007bff', marginLeft: 'auto', opacity: text.trim() ? 1 : 0.6 }}>
+              Preview
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p style={{ fontSize: '.9rem', margin: '0 0 .5rem 0' }}>
+            <strong>{validRows.length}</strong> ready to send
+            {rows.length > validRows.length && <span style={{ color: '#c41e3a' }}>, {rows.length - validRows.length} with errors will be skipped</span>}
+          </p>
+          <div style={{ maxHeight: '300px', overflowY: 'auto', marginBottom: '.5rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #ddd', background: '#f5f5f5' }}>
+                  <th style={{ padding: '.35rem', textAlign: 'left' }}>Line</th>
+                  <th style={{ padding: '.35rem', textAlign: 'left' }}>Email</th>
+                  {roles.length > 0 && <th style={{ padding: '.35rem', textAlign: 'left' }}>Role</th>}
+                  <th style={{ padding: '.35rem', textAlign: 'left' }}>Check</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.line} style={{ borderBottom: '1px solid #eee', background: row.error ? '#fff5f5' : 'white' }}>
+                    <td style={{ padding: '.35rem', color: '#888' }}>{row.line}</td>
+                    <td style={{ padding: '.35rem' }}>{row.email || <em style={{ color: '#888' }}>(empty)</em>}</td>
+                    {roles.length > 0 && <td style={{ padding: '.35rem' }}>{roles.includes(row.role) ? formatRoleLabel(row.role) : row.role}</td>}
+                    <td style={{ padding: '.35rem', color: row.error ? '#c41e3a' : '#1e7e34' }}>{row.error || '✓'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'flex', gap: '.5rem', justifyContent: 'flex-end' }}>
+            <button onClick={() => setRows(null)} disabled={sending} style={{ ...button, background: '#6c757d' }}>Back</button>
+            <button
+              onClick={handleSend}
+              disabled={sending || validRows.length === 0}
+              style={{ ...button, background: '#28a745', opacity: sending || validRows.length === 0 ? 0.6 : 1 }}
+            >
+              {sending ? 'Sending…' : `Send ${validRows.length} ${validRows.length === 1 ? 'invitation' : 'invitations'}`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+import React from 'react';
+import { useCan } from '../hooks/useCan.js';
+
+/**
+ * Render children only when the permission is granted (see permissions.js), otherwise the fallback.
+ * @example <Can permission="reports.create"><NewReportForm /></Can>
+ */
+export default function Can({ permission, fallback = null, children }) {
+  const can = useCan();
+  return <>{can(permission) ? children : fallback}</>;
+}
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { changePassword } from '../api.js';
+import { decodeJwt } from '../auth.js';
+import { passwordError } from '../utils/passwordPolicy.js';
+import FieldError from './FieldError.jsx';
+import PasswordStrength from './PasswordStrength.jsx';
+
+const inputStyle = { width: '100%', marginBottom: '.5rem', padding: '.5rem', boxSizing: 'border-box' };
+
+/**
+ * Signed-in password change (Security view). Needs the current password; the server signs out the
+ * user's other sessions.
+ */
+export default function ChangePassword({ showToast }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const email = decodeJwt()?.email || '';
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    if (newPassword === currentPassword) {
+      setError('Choose a password different from your current one');
+      return;
+    }
+    const policyError = passwordError(newPassword, { email });
+    if (policyError) {
+      setError(policyError);
+      return;
+    }
+    setSaving(true);
+    const res = await changePassword(currentPassword, newPassword);
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      setFieldErrors(res.fieldErrors || {});
+      return;
+    }
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    showToast?.('Password changed', 'success');
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: 520, marginBottom: '2rem' }}>
+      <h3 style={{ marginTop: 0 }}>Change password</h3>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem', padding: '.5rem', background: '#ffe6e6', borderRadius: '.25rem' }}>{error}</div>}
+      <label>Current password</label>
+      <input type="password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} autoComplete="current-password" style={inputStyle} required />
+      <FieldError errors={fieldErrors} name="currentPassword" style={{ marginTop: '-0.25rem', marginBottom: '.5rem' }} />
+      <label>New password</label>
+      <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)} autoComplete="new-password" style={inputStyle} required />
+      <FieldError errors={fieldErrors} name="newPassword" style={{ marginTop: '-0.25rem', marginBottom: '.5rem' }} />
+      <PasswordStrength password={newPassword} email={email} />
+      <label>Confirm new password</label>
+      <input type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} autoComplete="new-password" style={{ ...inputStyle, marginBottom: '.75rem' }} required />
+      <button type="submit" disabled={saving || !currentPassword || !newPassword}>
+        {saving ? 'Saving…' : 'Change Password'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from 'react';
+import {
+  getAdminClient,
+  renameClient,
+  setClientStatus,
+  getClientUsers,
+  listConnections,
+  getClientSchedules
+} from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { formatRoleLabel } from '../roles.js';
+import { formatDate, formatDateTime } from '../utils/timeFormatting.js';
+
+export const CLIENT_STATUS_STYLES = {
+  active: { background: '#e6f4ea', color: '#1e7e34', label: 'Active' },
+  suspended: { background: '#fff4e5', color: '#b36b00', label: 'Suspended' },
+  archived: { background: '#f0f0f0', color: '#666', label: 'Archived' }
+};
+
+const USAGE_LABELS = [
+  ['users', 'Users'],
+  ['reports', 'Reports'],
+  ['connections', 'Connections'],
+  ['schedules', 'Schedules'],
+  ['runsLast30Days', 'Report runs (30 days)'],
+  ['emailsLast30Days', 'Emails sent (30 days)']
+];
+
+const section = { border: '1px solid #eee', borderRadius: '4px', padding: '.75rem', marginBottom: '.75rem' };
+const cell = { padding: '.35rem .5rem', textAlign: 'left' };
+const button = { padding: '.4rem .8rem', border: 'none', borderRadius: '4px', cursor: 'pointer', color: 'white' };
+
+/**
+ * Platform admin console for one client: rename, usage, status (suspend / archive / reactivate) and its
+ * users, connections and schedules in one place.
+ * @param {object} props
+ * @param {object} props.client - Row from getAllClients()
+ * @param {() => void} props.onClose
+ * @param {(client: object) => void} props.onChanged - The updated client after a rename or status change
+ */
+export default function ClientDetail({ client, onClose, onChanged }) {
+  const [detail, setDetail] = useState(client);
+  const [users, setUsers] = useState(null);
+  const [connections, setConnections] = useState(null);
+  const [schedules, setSchedules] = useState(null);
+  const [name, setName] = useState(client.name);
+  const [statusAction, setStatusAction] = useState(null); // 'suspended' | 'archived' | 'active' while confirming
+  const [reason, setReason] = useState('');
+  const [confirmName, setConfirmName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const opts = { signal: controller.signal };
+    const list = (res, key) => (Array.isArray(res) ? res : res?.[key] || []);
+    (async () => {
+      const [info, usersRes, connectionsRes, schedulesRes] = await Promise.all([
+        getAdminClient(client.id, opts),
+        getClientUsers(client.id, opts),
+        listConnections(client.id, opts),
+        getClientSchedules(client.id, opts)
+      ]);
+      if (controller.signal.aborted) return;
+      const failed = [info, usersRes, connectionsRes, schedulesRes].find(res => res?.error && !isAbortError(res));
+      if (failed) setError(failed.message);
+      if (!info?.error) setDetail(info);
+      setUsers(usersRes?.error ? [] : list(usersRes, 'users'));
+      setConnections(connectionsRes?.error ? [] : list(connectionsRes, 'connections'));
+      setSchedules(schedulesRes?.error ? [] : list(schedulesRes, 'schedules'));
+    })();
+    return () => controller.abort();
+  }, [client.id]);
+
+  // `changes` is what the request set; the server's copy of the client wins when it sends one back
+  function applyChange(res, changes, message) {
+    if (res?.error) {
+      setError(res.message);
+      return false;
+    }
+    const updated = { ...detail, ...changes, ...(res?.id === client.id ? res : {}) };
+    setDetail(updated);
+    onChanged(updated);
+    setError(null);
+    setNotice(message);
+    setTimeout(() => setNotice(null), 4000);
+    return true;
+  }
+
+  async function handleRename() {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === detail.name) return;
+    setSaving(true);
+    const res = await renameClient(client.id, trimmed);
+    setSaving(false);
+    applyChange(res, { name: trimmed }, `Renamed to ${trimmed}`);
+  }
+
+  async function handleStatusChange() {
+    setSaving(true);
+    const why = reason.trim() || undefined;
+    const res = await setClientStatus(client.id, statusAction, why);
+    setSaving(false);
+    const messages = {
+      suspended: 'Client suspended. Its users are signed out and its schedules will not send.',
+      archived: 'Client archived',
+      active: 'Client reactivated'
+    };
+    const changes = { status: statusAction, statusReason: why || null, statusChangedAt: new Date().toISOString() };
+    if (applyChange(res, changes, messages[statusAction])) {
+      setStatusAction(null);
+      setReason('');
+      setConfirmName('');
+    }
+  }
+
+  const status = detail.status || 'active';
+  const statusStyle = CLIENT_STATUS_STYLES[status] || CLIENT_STATUS_STYLES.active;
+  const usage = detail.usage || {};
+  const reasonRequired = statusAction === 'suspended';
+  const confirmDisabled = saving
+    || (reasonRequired && reason.trim().length < 5)
+    || (statusAction === 'archived' && confirmName.trim() !== detail.name);
+
+  return (
+    <div style={{ border: '1px solid #ccc', borderRadius: '6px', padding: '1rem', marginTop: '1rem', background: '#fcfcfc' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '.75rem' }}>
+        <h4 style={{ margin: 0 }}>
+          {detail.name}{' '}
+          <span style={{ padding: '0 .4rem', borderRadius: '4px', fontSize: '.8rem', fontWeight: 'normal', background: statusStyle.background, color: statusStyle.color }}>
+            {statusStyle.label}
+          </span>
+        </h4>
+        <button onClick={onClose} style={{ ...button, background: '#6c757d' }}>Close</button>
+      </div>
+
+      {error && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#ffe6e6', color: '#c41e3a', borderRadius: '4px' }}>{error}</div>}
+      {notice && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#e6ffe6', color: '#1e7e34', borderRadius: '4px' }}>{notice}</div>}
+
+      {status !== 'active' && (
+        <div style={{ padding: '.5rem', marginBottom: '.75rem', background: statusStyle.background, color: statusStyle.color, borderRadius: '4px', fontSize: '.9rem' }}>
+          {statusStyle.label} {detail.statusChangedAt && `on ${formatDate(detail.statusChangedAt)}`}
+          {detail.statusReason && <> — {detail.statusReason}</>}
+          {status === 'suspended' && <div>Users cannot sign in and scheduled reports are not sent. Users see this reason when they try to sign in.</div>}
+        </div>
+      )}
+
+      <div style={section}>
+        <strong>Name</strong>
+        <div style={{ display: 'flex', gap: '.5rem', marginTop: '.35rem' }}>
+          <input
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleRename()}
+            style={{ flex: 1, padding: '.4rem', border: '1px solid #ccc', borderRadius: '4px' }}
+          />
+          <button
+            onClick={handleRename}
+            disabled={saving || !name.trim() || name.trim() === detail.name}
+            style={{ ...button, background: '#007bff', opacity: saving || !name.trim() || name.trim() === detail.name ? 0.6 : 1 }}
+          >
+            Rename
+          </button>
+        </div>
+        <div style={{ fontSize: '.8rem', color: '#888', marginTop: '.25rem' }}>ID {detail.id} · created {formatDate(detail.createdAt) || '—'}</div>
+      </div>
+
+      <div style={section}>
+        <strong>Usage</strong>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '.5rem', marginTop: '.5rem' }}>
+          {USAGE_LABELS.map(([key, label]) => (
+            <div key={key} style={{ background: 'white', border: '1px solid #eee', borderRadius: '4px', padding: '.5rem' }}>
+              <div style={{ fontSize: '1.25rem', fontWeight: 'bold' }}>{usage[key] ?? '—'}</div>
+              <div style={{ fontSize: '.8rem', color: '#666' }}>{label}</div>
+            </div>
+          ))}
+        </div>
+        {usage.lastActivityAt && <div style={{ fontSize: '.8rem', color: '#888', marginTop: '.35rem' }}>Last activity {formatDateTime(usage.lastActivityAt)}</div>}
+      </div>
+
+      <div style={section}>
+        <strong>Status</strong>
+        {statusAction === null ? (
+          <div style={{ display: 'flex', gap: '.5rem', marginTop: '.5rem' }}>
+            {status === 'active' && <button onClick={() => setStatusAction('suspended')} style={{ ...button, background: '#f0ad4e' }}>Suspend</button>}
+            {status !== 'archived' && <button onClick={() => setStatusAction('archived')} style={{ ...button, background: '#dc3545' }}>Archive</button>}
+            {status !== 'active' && <button onClick={() => setStatusAction('active')} style={{ ...button, background: '#28a745' }}>Reactivate</button>}
+          </div>
+        ) : (
+          <div style={{ marginTop: '.5rem' }}>
+            <p style={{ margin: '0 0 .5rem 0', fontSize: '.9rem', color: '#444' }}>
+              {statusAction === 'suspended' && 'Its users are signed out and cannot sign in, and its scheduled reports stop sending until it is reactivated. Users see the reason below.'}
+              {statusAction === 'archived' && 'Archiving suspends the client and hides it from client pickers. Its data is kept and it can be reactivated.'}
+              {statusAction === 'active' && 'Its users can sign in again and its enabled schedules resume from their next run.'}
+            </p>
+            <label style={{ display: 'block', fontSize: '.9rem', marginBottom: '.25rem' }}>
+              {reasonRequired ? 'Reason (shown to the client\'s users)' : 'Reason (optional, kept in the audit log)'}
+            </label>
+            <input
+              value={reason}
+              onChange={e => setReason(e.target.value)}
+              placeholder={reasonRequired ? 'e.g. Invoice overdue - contact billing@example.com' : ''}
+              style={{ width: '100%', padding: '.4rem', marginBottom: '.5rem', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }}
+            />
+            {statusAction === 'archived' && (
+              <>
+                <label style={{ display: 'block', fontSize: '.9rem', marginBottom: '.25rem' }}>Type <strong>{detail.name}</strong> to confirm</label>
+                <input
+                  value={confirmName}
+                  onChange={e => setConfirmName(e.target.value)}
+                  autoComplete="off"
+                  style={{ width: '100%', padding: '.4rem', marginBottom: '.5rem', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' }}
+                />
+              </>
+            )}
+            <div style={{ display: 'flex', gap: '.5rem', justifyContent: 'flex-end' }}>
+              <button onClick={() => { setStatusAction(null); setReason(''); setConfirmName(''); }} disabled={saving} style={{ ...button, background: '#6c757d' }}>Cancel</button>
+              <button
+                onClick={handleStatusChange}
+                disabled={confirmDisabled}
+                style={{ ...button, background: statusAction === 'active' ? '#28a745' : '#dc3545', opacity: confirmDisabled ? 0.6 : 1 }}
+              >
+                {saving ? 'Saving…' : { suspended: 'Suspend client', archived: 'Archive client', active: 'Reactivate client' }[statusAction]}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div style={section}>
+        <strong>Users {users && `(${users.length})`}</strong>
+        {users === null ? <p style={{ color: '#666' }}>Loading…</p> : users.length === 0 ? <p style={{ color: '#666' }}>No users.</p> : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', marginTop: '.35rem' }}>
+            <tbody>
+              {users.map(u => (
+                <tr key={u.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={cell}>{u.firstName && u.lastName ? `${u.firstName} ${u.lastName}` : '—'}</td>
+                  <td style={cell}>{u.email}</td>
+                  <td style={cell}>{formatRoleLabel(u.role)}</td>
+                  <td style={{ ...cell, color: '#666' }}>{u.active === false ? 'Deactivated' : u.emailVerified ? 'Verified' : 'Pending verification'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={section}>
+        <strong>Connections {connections && `(${connections.length})`}</strong>
+        {connections === null ? <p style={{ color: '#666' }}>Loading…</p> : connections.length === 0 ? <p style={{ color: '#666' }}>No connections.</p> : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', marginTop: '.35rem' }}>
+            <tbody>
+              {connections.map(conn => (
+                <tr key={conn.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={cell}>{conn.name}</td>
+                  <td style={{ ...cell, color: '#666' }}>{conn.engine || '—'}</td>
+                  <td style={{ ...cell, color: '#666' }}>{conn.host ? `${conn.host}${conn.port ? `:${conn.port}` : ''}` : '—'}</td>
+                  <td style={{ ...cell, color: '#666' }}>{conn.database || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={{ ...section, marginBottom: 0 }}>
+        <strong>Schedules {schedules && `(${schedules.length})`}</strong>
+        {schedules === null ? <p style={{ color: '#666' }}>Loading…</p> : schedules.length === 0 ? <p style={{ color: '#666' }}>No schedules.</p> : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', marginTop: '.35rem' }}>
+            <tbody>
+              {schedules.map(s => (
+                <tr key={s.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={cell}>{s.reportName || s.name || 'Unknown report'}</td>
+                  <td style={{ ...cell, color: '#666' }}>{s.frequency}</td>
+                  <td style={{ ...cell, color: '#666' }}>{s.recipients?.length || 0} recipients</td>
+                  <td style={{ ...cell, color: s.isEnabled ? '#1e7e34' : '#888' }}>
+                    {!s.isEnabled ? 'Disabled' : status === 'active' ? `Next: ${s.nextRunAt ? formatDateTime(s.nextRunAt) : '—'}` : 'Held while suspended'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
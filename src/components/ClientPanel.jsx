@@ -1,90 +1,33 @@
 import React, { useState, useEffect } from 'react';
-
-// In development backend runs on 3001; in production both frontend & backend are proxied on 3000
-const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
+import {
+  getClientUsers,
+  inviteClientUser,
+  inviteClientUsers,
+  getClientInvitations,
+  resendClientInvitation,
+  revokeClientInvitation,
+  updateClientInvitationExpiry,
+  getClientManagers,
+  getUserPermissions,
+  updateUserPermissions
+} from '../api.js';
+import { USER_PERMISSION_FIELDS } from '../permissions.js';
+import { decodeJwt } from '../auth.js';
+import { useCan } from '../hooks/useCan.js';
+import { useLiveEvent } from '../hooks/useLiveEvent.js';
+import { isForClient } from '../liveEvents.js';
 import DatabaseConnections from './DatabaseConnections.jsx';
+import PermissionTemplates from './PermissionTemplates.jsx';
+import EmailTemplates from './EmailTemplates.jsx';
+import UserLifecycleDialog from './UserLifecycleDialog.jsx';
+import UserChangeHistory from './UserChangeHistory.jsx';
+import InvitationList from './InvitationList.jsx';
+import BulkInvite from './BulkInvite.jsx';
+import { formatDate } from '../utils/timeFormatting.js';
+import { DEFAULT_EXPIRY_DAYS, expiryFromNow, invitationStatus } from '../utils/invitations.js';
 
-async function getClientUsers(clientId) {
-  try {
-    const token = localStorage.getItem('jwt');
-    const res = await fetch(`${API_BASE}/clients/${clientId}/users`, {
-      method: 'GET',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${token}`,
-        'x-tenant-id': clientId
-      }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function inviteUser(clientId, email, role) {
-  try {
-    const token = localStorage.getItem('jwt');
-    const res = await fetch(`${API_BASE}/clients/${clientId}/users`, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${token}`,
-        'x-tenant-id': clientId
-      },
-      body: JSON.stringify({ email, role })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function getManagerAssignments(clientId) {
-  try {
-    const token = localStorage.getItem('jwt');
-    const res = await fetch(`${API_BASE}/clients/${clientId}/managers`, {
-      method: 'GET',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${token}`,
-        'x-tenant-id': clientId
-      }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function getUserPermissions(clientId, userId) {
-  try {
-    const token = localStorage.getItem('jwt');
-    const res = await fetch(`${API_BASE}/clients/${clientId}/users/${userId}/permissions`, {
-      method: 'GET',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${token}`,
-        'x-tenant-id': clientId
-      }
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
-
-async function updateUserPermissions(clientId, userId, permissions) {
-  try {
-    const token = localStorage.getItem('jwt');
-    const res = await fetch(`${API_BASE}/clients/${clientId}/users/${userId}/permissions`, {
-      method: 'PATCH',
-      headers: { 
-        'Content-Type': 'application/json', 
-        'Authorization': `Bearer ${token}`,
-        'x-tenant-id': clientId
-      },
-      body: JSON.stringify(permissions)
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) { return { error: e?.message || 'Network error' }; }
-}
+// Roles an owner or delegate can invite with
+const INVITE_ROLES = ['delegate', 'viewer'];
 
 export default function ClientPanel({ clientId, clientName }) {
   const [activeTab, setActiveTab] = useState('users');
@@ -97,7 +40,14 @@ export default function ClientPanel({ clientId, clientName }) {
   const [newUserEmail, setNewUserEmail] = useState('');
   const [newUserRole, setNewUserRole] = useState('delegate');
   const [inviting, setInviting] = useState(false);
+  const [inviteExpiryDays, setInviteExpiryDays] = useState(DEFAULT_EXPIRY_DAYS);
+  const [invitations, setInvitations] = useState([]);
+  const [invitationsLoading, setInvitationsLoading] = useState(true);
   const [successMessage, setSuccessMessage] = useState(null);
+  const [lifecycle, setLifecycle] = useState(null); // { user, action } while a confirmation is open
+  const [historyKey, setHistoryKey] = useState(0);
+  const can = useCan();
+  const currentUserId = decodeJwt()?.userId;
 
   console.log('ClientPanel loaded - activeTab:', activeTab);
 
@@ -105,6 +55,11 @@ export default function ClientPanel({ clientId, clientName }) {
     loadData();
   }, [clientId]);
 
+  // Someone accepted an invitation: they move from the invitations list to the users table
+  useLiveEvent(['invitationAccepted', 'reconnected'], data => {
+    if (isForClient(data, clientId)) loadData();
+  });
+
   async function loadData() {
     const usersData = await getClientUsers(clientId);
     if (Array.isArray(usersData)) {
@@ -115,7 +70,9 @@ export default function ClientPanel({ clientId, clientName }) {
       setUsers([]);
     }
 
-    const managersData = await getManagerAssignments(clientId);
+    loadInvitations();
+
+    const managersData = await getClientManagers(clientId);
     if (Array.isArray(managersData)) {
       setManagers(managersData);
     } else if (managersData?.error) {
@@ -124,6 +81,28 @@ export default function ClientPanel({ clientId, clientName }) {
     }
   }
 
+  async function loadInvitations() {
+    const res = await getClientInvitations(clientId);
+    setInvitationsLoading(false);
+    if (Array.isArray(res)) {
+      setInvitations(res);
+    } else if (res?.error) {
+      console.error('Failed to load invitations:', res);
+      setInvitations([]);
+    }
+  }
+
+  function handleInvitationChange(res, message) {
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setError(null);
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+    loadInvitations();
+  }
+
   async function handleInviteUser() {
     if (!newUserEmail.trim()) {
       setError('Email is required');
@@ -132,11 +111,11 @@ export default function ClientPanel({ clientId, clientName }) {
     
     setInviting(true);
     setError(null);
-    const result = await inviteUser(clientId, newUserEmail.trim(), newUserRole);
+    const result = await inviteClientUser(clientId, newUserEmail.trim(), newUserRole, expiryFromNow(inviteExpiryDays));
     setInviting(false);
     
     if (result?.error) {
-      setError(result.error + (result.body ? `: ${result.body}` : ''));
+      setError(result.message);
     } else if (result?.emailSent === false) {
       // Email was not sent, show warning but user was created
       setError(`User invitation created but email could not be sent: ${result.emailError || 'Email service not configured'}`);
@@ -155,7 +134,7 @@ export default function ClientPanel({ clientId, clientName }) {
     
     const perms = await getUserPermissions(clientId, user.id);
     if (perms?.error) {
-      setError('Failed to load user permissions');
+      setError(`Failed to load user permissions: ${perms.message}`);
     } else {
       setUserPermissions(perms);
     }
@@ -184,7 +163,7 @@ export default function ClientPanel({ clientId, clientName }) {
     setSavingPermissions(false);
     
     if (result?.error) {
-      setError('Failed to update permission');
+      setError(`Failed to update permission: ${result.message}`);
     } else {
       // Refresh permissions
       const perms = await getUserPermissions(clientId, selectedUser.id);
@@ -196,6 +175,33 @@ export default function ClientPanel({ clientId, clientName }) {
     }
   }
 
+  function handleLifecycleDone(message) {
+    const transferred = lifecycle?.action === 'transfer';
+    setLifecycle(null);
+    // The new role takes effect with the next sign-in, when the session picks up the new roles
+    setSuccessMessage(transferred ? `${message}. Sign in again to continue as a delegate.` : message);
+    setTimeout(() => setSuccessMessage(null), 3000);
+    setHistoryKey(k => k + 1);
+    if (selectedUser && lifecycle?.user.id === selectedUser.id) {
+      setSelectedUser(null);
+      setUserPermissions(null);
+    }
+    loadData();
+  }
+
+  // Lifecycle actions offered for one row of the users table
+  function lifecycleActions(user) {
+    if (user.id === currentUserId || user.role === 'business_owner') return [];
+    if (user.active === false) return [{ action: 'reactivate', label: 'Reactivate' }, { action: 'remove', label: 'Remove' }];
+    const actions = [
+      { action: 'role', label: 'Change Role' },
+      { action: 'deactivate', label: 'Deactivate' },
+      { action: 'remove', label: 'Remove' }
+    ];
+    if (can('users.transferOwnership') && user.emailVerified) actions.push({ action: 'transfer', label: 'Make Owner' });
+    return actions;
+  }
+
   return (
     <div style={{ border: '1px solid #ddd', padding: '1rem', marginTop: '1rem' }}>
       <h3>Organization Settings</h3>
@@ -270,6 +276,20 @@ export default function ClientPanel({ clientId, clientName }) {
         >
           Database Connections
         </button>
+        <button
+          onClick={() => setActiveTab('emailTemplates')}
+          style={{
+            padding: '.75rem 1.5rem',
+            background: activeTab === 'emailTemplates' ? '#0078d4' : 'transparent',
+            color: activeTab === 'emailTemplates' ? 'white' : '#333',
+            border: 'none',
+            borderBottom: activeTab === 'emailTemplates' ? '3px solid #0078d4' : '3px solid transparent',
+            cursor: 'pointer',
+            fontWeight: activeTab === 'emailTemplates' ? 'bold' : 'normal'
+          }}
+        >
+          Email Templates
+        </button>
       </div>
 
       {/* Users Tab */}
@@ -304,6 +324,16 @@ export default function ClientPanel({ clientId, clientName }) {
                   <option value="viewer">Viewer (Read Only)</option>
                 </select>
               </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '.25rem', fontSize: '0.9rem', fontWeight: 'bold' }}>Expires in</label>
+                <select
+                  value={inviteExpiryDays}
+                  onChange={e => setInviteExpiryDays(Number(e.target.value))}
+                  style={{ padding: '.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
+                >
+                  {[1, 3, 7, 14, 30].map(days => <option key={days} value={days}>{days} {days === 1 ? 'day' : 'days'}</option>)}
+                </select>
+              </div>
               <button
                 onClick={handleInviteUser}
                 disabled={inviting}
@@ -314,6 +344,35 @@ export default function ClientPanel({ clientId, clientName }) {
             </div>
           </div>
 
+          <BulkInvite
+            roles={INVITE_ROLES}
+            defaultRole={newUserRole}
+            existingEmails={[
+              ...users.map(u => u.email),
+              ...invitations.filter(inv => invitationStatus(inv) === 'pending').map(inv => inv.email)
+            ]}
+            onSubmit={rows => inviteClientUsers(clientId, rows, expiryFromNow(inviteExpiryDays))}
+            onDone={message => {
+              setSuccessMessage(message);
+              setTimeout(() => setSuccessMessage(null), 3000);
+              loadData();
+            }}
+          />
+
+          <div style={{ marginBottom: '2rem' }}>
+            <h4>Invitations</h4>
+            <InvitationList
+              invitations={invitations}
+              loading={invitationsLoading}
+              onResend={async inv => handleInvitationChange(await resendClientInvitation(clientId, inv.id), `Invitation resent to ${inv.email}`)}
+              onRevoke={async inv => handleInvitationChange(await revokeClientInvitation(clientId, inv.id), `Invitation for ${inv.email} revoked`)}
+              onSetExpiry={async (inv, expiresAt) => handleInvitationChange(
+                await updateClientInvitationExpiry(clientId, inv.id, expiresAt),
+                `Invitation for ${inv.email} now expires ${formatDate(expiresAt)}`
+              )}
+            />
+          </div>
+
           <div>
             <h4>Organization Users ({users.length})</h4>
             {users.length === 0 ? (
@@ -326,6 +385,7 @@ export default function ClientPanel({ clientId, clientName }) {
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Email</th>
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Role</th>
                     <th style={{ padding: '.5rem', textAlign: 'left' }}>Status</th>
+                    {can('users.manage') && <th style={{ padding: '.5rem', textAlign: 'left' }}>Actions</th>}
                   </tr>
                 </thead>
                 <tbody>
@@ -347,23 +407,54 @@ export default function ClientPanel({ clientId, clientName }) {
                         </span>
                       </td>
                       <td style={{ padding: '.5rem', fontSize: '0.85rem' }}>
-                        {user.emailVerified ? (
+                        {user.active === false ? (
+                          <span style={{ color: '#6c757d' }}>⏸ Deactivated</span>
+                        ) : user.emailVerified ? (
                           <span style={{ color: '#28a745' }}>✓ Verified</span>
                         ) : (
                           <span style={{ color: '#ff9800' }}>⚠ Pending Verification</span>
                         )}
                       </td>
+                      {can('users.manage') && (
+                        <td style={{ padding: '.5rem' }}>
+                          <div style={{ display: 'flex', gap: '.25rem', flexWrap: 'wrap' }}>
+                            {lifecycleActions(user).map(({ action, label }) => (
+                              <button
+                                key={action}
+                                onClick={() => setLifecycle({ user, action })}
+                                style={{ padding: '.25rem .5rem', fontSize: '.8rem', border: '1px solid #ccc', borderRadius: '4px', background: action === 'remove' ? '#fff5f5' : 'white', color: action === 'remove' ? '#c41e3a' : '#333', cursor: 'pointer' }}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
               </table>
             )}
           </div>
+
+          <UserChangeHistory clientId={clientId} refreshKey={historyKey} />
+
+          {lifecycle && (
+            <UserLifecycleDialog
+              clientId={clientId}
+              user={lifecycle.user}
+              action={lifecycle.action}
+              users={users}
+              onClose={() => setLifecycle(null)}
+              onDone={handleLifecycleDone}
+            />
+          )}
         </div>
       )}
 
       {/* Permissions Tab */}
       {activeTab === 'permissions' && (
+        <>
         <div style={{ display: 'flex', gap: '2rem' }}>
           {/* User list */}
           <div style={{ flex: '0 0 300px', borderRight: '1px solid #ddd', paddingRight: '1rem' }}>
@@ -424,15 +515,7 @@ export default function ClientPanel({ clientId, clientName }) {
                 </p>
 
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}>
-                  {[
-                    { key: 'canViewReports', label: 'View Reports', desc: 'Can view existing reports and their results' },
-                    { key: 'canCreateReports', label: 'Create Reports', desc: 'Can create new reports' },
-                    { key: 'canEditReports', label: 'Edit Reports', desc: 'Can modify existing reports' },
-                    { key: 'canDeleteReports', label: 'Delete Reports', desc: 'Can delete reports' },
-                    { key: 'canManageConnections', label: 'Manage Connections', desc: 'Can create, edit, and delete database connections' },
-                    { key: 'canInviteUsers', label: 'Invite Users', desc: 'Can invite new team members' },
-                    { key: 'canManageUsers', label: 'Manage Users', desc: 'Can manage user permissions and settings' }
-                  ].map(perm => {
+                  {USER_PERMISSION_FIELDS.map(perm => {
                     const effectiveValue = userPermissions.effective?.[perm.key];
                     const overrideValue = userPermissions.overrides?.[perm.key];
                     const isOverridden = overrideValue !== null && overrideValue !== undefined;
@@ -505,6 +588,15 @@ export default function ClientPanel({ clientId, clientName }) {
             )}
           </div>
         </div>
+        <PermissionTemplates
+          clientId={clientId}
+          users={users.filter(u => u.role !== 'business_owner' && u.active !== false)}
+          startFrom={userPermissions?.effective || null}
+          onApplied={userIds => {
+            if (selectedUser && userIds.includes(selectedUser.id)) handleSelectUser(selectedUser);
+          }}
+        />
+        </>
       )}
 
       {/* Managers Tab */}
@@ -553,6 +645,9 @@ export default function ClientPanel({ clientId, clientName }) {
           <DatabaseConnections clientId={clientId} />
         </div>
       )}
+
+      {/* Email Templates Tab */}
+      {activeTab === 'emailTemplates' && <EmailTemplates clientId={clientId} clientName={clientName} />}
     </div>
   );
 }
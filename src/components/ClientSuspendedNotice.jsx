@@ -0,0 +1,18 @@
+import React from 'react';
+
+/**
+ * Shown instead of a plain error when sign-in is refused, or a signed-in session is ended, because the user's
+ * organization is suspended (see clientSuspension() in apiError.js).
+ * @param {{ suspension: { clientName: string|null, reason: string|null } }} props
+ */
+export default function ClientSuspendedNotice({ suspension }) {
+  return (
+    <div role="alert" style={{ padding: '.75rem', marginBottom: '.75rem', background: '#fff4e5', border: '1px solid #f0ad4e', borderRadius: '4px', color: '#6b4100' }}>
+      <strong>{suspension.clientName ? `${suspension.clientName}'s account is suspended.` : "Your organization's account is suspended."}</strong>
+      {suspension.reason && <div style={{ marginTop: '.35rem' }}>Reason: {suspension.reason}</div>}
+      <div style={{ marginTop: '.35rem', fontSize: '.9rem' }}>
+        Sign-in and scheduled report emails are paused until it is reinstated. Contact your administrator or support.
+      </div>
+    </div>
+  );
+}
@@ -2,14 +2,14 @@ import React from 'react';
 import ExternalSchedulesWidget from './ExternalSchedulesWidget.jsx';
 import DashboardStatsWidget from './DashboardStatsWidget.jsx';
 
-export default function Dashboard({ showToast }) {
+export default function Dashboard({ tenantId, showToast }) {
   return (
     <div className="dashboard">
       <h1>Dashboard</h1>
       
-      <DashboardStatsWidget showToast={showToast} />
+      <DashboardStatsWidget tenantId={tenantId} showToast={showToast} />
       
-      <ExternalSchedulesWidget showToast={showToast} />
+      <ExternalSchedulesWidget tenantId={tenantId} showToast={showToast} />
     </div>
   );
 }
@@ -1,23 +1,42 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { getDashboardStats } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { isForClient } from '../liveEvents.js';
+import { useLiveEvent } from '../hooks/useLiveEvent.js';
 
-export default function DashboardStatsWidget({ showToast }) {
+export default function DashboardStatsWidget({ tenantId, showToast }) {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [retrying, setRetrying] = useState(null); // { attempt, retries } while backing off
+  const controllerRef = useRef(null);
 
   useEffect(() => {
-    loadStats();
-    const interval = setInterval(loadStats, 5 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, []);
+    // Abort on unmount / tenant change so the previous tenant's stats never overwrite the new ones
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadStats(controller.signal);
+    return () => controller.abort();
+  }, [tenantId]);
 
-  async function loadStats() {
+  // Schedule runs move the counts
+  useLiveEvent(['scheduleExecuted', 'reconnected'], data => {
+    if (isForClient(data, tenantId)) loadStats(controllerRef.current?.signal, { background: true, reload: true });
+  }, { enabled: !!tenantId });
+
+  // `reload` skips the query cache; after a reconnect the cached counts may be out of date
+  async function loadStats(signal, { background = false, reload = false } = {}) {
     try {
-      setLoading(true);
-      const data = await getDashboardStats();
+      if (!background) setLoading(true);
+      const data = await getDashboardStats({
+        signal,
+        cache: reload ? 'reload' : undefined,
+        onRetry: setRetrying,
+        onUpdate: fresh => setStats(fresh.stats)
+      });
+      if (isAbortError(data)) return;
       if (data.error) {
         console.error('Failed to load dashboard stats:', data.error);
-        showToast?.('Failed to load dashboard stats', 'error');
+        showToast?.(`Failed to load dashboard stats: ${data.message}`, 'error');
         setStats(null);
       } else {
         setStats(data.stats);
@@ -27,12 +46,15 @@ export default function DashboardStatsWidget({ showToast }) {
       showToast?.('Failed to load dashboard stats', 'error');
       setStats(null);
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+        setRetrying(null);
+      }
     }
   }
 
   if (loading) {
-    return <div className="widget stats-widget"><div className="widget-loading">Loading...</div></div>;
+    return <div className="widget stats-widget"><div className="widget-loading">{retrying ? `Retrying… (attempt ${retrying.attempt} of ${retrying.retries})` : 'Loading...'}</div></div>;
   }
 
   if (!stats) {
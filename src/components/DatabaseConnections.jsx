@@ -1,106 +1,28 @@
 import React, { useEffect, useState } from 'react';
-
-const API_BASE = import.meta.env?.DEV ? 'http://localhost:3001' : '';
-
-function getAuthHeaders() {
-  const token = localStorage.getItem('jwt') || localStorage.getItem('demo_jwt');
-  const tenantId = localStorage.getItem('selected_tenant_id');
-  const actingRole = localStorage.getItem('acting_role');
-  const headers = { 'Authorization': `Bearer ${token}` };
-  if (tenantId) headers['x-tenant-id'] = tenantId;
-  if (actingRole) headers['x-acting-role'] = actingRole;
-  return headers;
-}
-
-async function listConnections(clientId) {
-  try {
-    const res = await fetch(`${API_BASE}/api/connections?clientId=${encodeURIComponent(clientId)}`, {
-      headers: getAuthHeaders()
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
-
-async function createConnection(clientId, data) {
-  try {
-    const res = await fetch(`${API_BASE}/api/connections`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
-      body: JSON.stringify({ ...data, clientId })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
-
-async function updateConnection(clientId, connectionId, data) {
-  try {
-    const res = await fetch(`${API_BASE}/api/connections/${connectionId}`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
-      body: JSON.stringify({ ...data, clientId })
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
-
-async function deleteConnection(clientId, connectionId) {
-  try {
-    const res = await fetch(`${API_BASE}/api/connections/${connectionId}`, {
-      method: 'DELETE',
-      headers: getAuthHeaders()
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return { ok: true };
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
-
-async function testConnection(connectionId, password) {
-  try {
-    const body = password !== undefined ? { password } : {};
-    const res = await fetch(`${API_BASE}/api/connections/${connectionId}/test`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
-      body: JSON.stringify(body)
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
-
-async function testConnectionPreSave(data) {
-  try {
-    const res = await fetch(`${API_BASE}/api/connections/test`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
-      body: JSON.stringify(data)
-    });
-    if (!res.ok) return { error: `HTTP ${res.status}`, body: await res.text() };
-    return await res.json();
-  } catch (e) {
-    return { error: e?.message || 'Network error' };
-  }
-}
+import {
+  listConnections,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  testConnection,
+  testConnectionPreSave,
+  getConnectionAcl,
+  updateConnectionAcl
+} from '../api.js';
+import { hasAccess, usableConnections } from '../permissions.js';
+import FieldError from './FieldError.jsx';
+import AclEditor, { CONNECTION_SHARE_LEVELS } from './AclEditor.jsx';
+import SharedWith from './SharedWith.jsx';
 
 export default function DatabaseConnections({ clientId }) {
   const [connections, setConnections] = useState([]);
   const [loading, setLoading] = useState(false);
   const [confirmDeleteId, setConfirmDeleteId] = useState(null);
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [showForm, setShowForm] = useState(false);
   const [editingId, setEditingId] = useState(null);
+  const [sharingId, setSharingId] = useState(null);
   const [testingConnection, setTestingConnection] = useState(false);
   const [showTestSnackbar, setShowTestSnackbar] = useState(false);
   const [testSnackbarMessage, setTestSnackbarMessage] = useState('');
@@ -125,9 +47,9 @@ export default function DatabaseConnections({ clientId }) {
     setError(null);
     const result = await listConnections(clientId);
     if (result.error) {
-      setError(result.error + (result.body ? `: ${result.body}` : ''));
+      setError(result.message);
     } else {
-      setConnections(Array.isArray(result) ? result : []);
+      setConnections(usableConnections(Array.isArray(result) ? result : []));
     }
     setLoading(false);
   }
@@ -145,10 +67,12 @@ export default function DatabaseConnections({ clientId }) {
     });
     setEditingId(null);
     setShowForm(false);
+    setFieldErrors({});
   }
 
   async function handleSave() {
     setError(null);
+    setFieldErrors({});
 
     if (!formData.name || !formData.host || !formData.port || !formData.database || !formData.username) {
       setError('All fields except password and options are required.');
@@ -185,7 +109,8 @@ export default function DatabaseConnections({ clientId }) {
     }
 
     if (result.error) {
-      setError(result.error + (result.body ? `: ${result.body}` : ''));
+      setError(result.message);
+      setFieldErrors(result.fieldErrors || {});
     } else {
       await loadConnections();
       resetForm();
@@ -216,7 +141,7 @@ export default function DatabaseConnections({ clientId }) {
     setError(null);
     const result = await deleteConnection(clientId, connectionId);
     if (result.error) {
-      setError(result.error + (result.body ? `: ${result.body}` : ''));
+      setError(result.message);
     } else {
       await loadConnections();
     }
@@ -242,7 +167,7 @@ export default function DatabaseConnections({ clientId }) {
 
     const result = await testConnection(conn.id, password);
     if (result.error) {
-      setError(`Test failed: ${result.error}`);
+      setError(`Test failed: ${result.message}`);
     } else if (result.ok) {
       const connInfo = conn.engine ? `${conn.engine} @ ` : '';
       const hostInfo = conn.host && conn.port ? `${conn.host}:${conn.port}` : conn.host || '';
@@ -292,17 +217,7 @@ export default function DatabaseConnections({ clientId }) {
     setTestingConnection(false);
 
     if (result.error) {
-      // Parse error response if it's JSON in the body
-      let errorMsg = result.error;
-      if (result.body) {
-        try {
-          const parsed = JSON.parse(result.body);
-          errorMsg = parsed.message || parsed.error || result.error;
-        } catch {
-          errorMsg = result.error;
-        }
-      }
-      setError(`⚠️ Connection test failed:\n${errorMsg}`);
+      setError(`⚠️ Connection test failed:\n${result.message}`);
     } else if (result.ok) {
       setTestSnackbarMessage(`✓ Connection successful! ${formData.engine} @ ${formData.host}:${formData.port} → ${formData.database}`);
       setTestSnackbarSuccess(true);
@@ -362,6 +277,7 @@ export default function DatabaseConnections({ clientId }) {
                 onChange={e => setFormData({ ...formData, name: e.target.value })}
                 placeholder="e.g., Production DB"
               />
+              <FieldError errors={fieldErrors} name="name" />
             </label>
             <label>
               Engine *
@@ -382,6 +298,7 @@ export default function DatabaseConnections({ clientId }) {
                 onChange={e => setFormData({ ...formData, host: e.target.value })}
                 placeholder="e.g., localhost or db.example.com"
               />
+              <FieldError errors={fieldErrors} name="host" />
             </label>
             <label>
               Port *
@@ -390,6 +307,7 @@ export default function DatabaseConnections({ clientId }) {
                 value={formData.port}
                 onChange={e => setFormData({ ...formData, port: e.target.value })}
               />
+              <FieldError errors={fieldErrors} name="port" />
             </label>
             <label>
               Database Name *
@@ -398,6 +316,7 @@ export default function DatabaseConnections({ clientId }) {
                 value={formData.database}
                 onChange={e => setFormData({ ...formData, database: e.target.value })}
               />
+              <FieldError errors={fieldErrors} name="database" />
             </label>
             <label>
               Username *
@@ -406,6 +325,7 @@ export default function DatabaseConnections({ clientId }) {
                 value={formData.username}
                 onChange={e => setFormData({ ...formData, username: e.target.value })}
               />
+              <FieldError errors={fieldErrors} name="username" />
             </label>
             <label>
               Password {editingId && '(leave blank to keep existing)'}
@@ -415,6 +335,7 @@ export default function DatabaseConnections({ clientId }) {
                 onChange={e => setFormData({ ...formData, password: e.target.value })}
                 placeholder={editingId ? '(unchanged)' : 'Required for new connections'}
               />
+              <FieldError errors={fieldErrors} name="password" />
             </label>
             <label>
               Options (JSON)
@@ -424,6 +345,7 @@ export default function DatabaseConnections({ clientId }) {
                 onChange={e => setFormData({ ...formData, options: e.target.value })}
                 placeholder='e.g., {"ssl": true}'
               />
+              <FieldError errors={fieldErrors} name="options" />
             </label>
           </div>
           <button
@@ -494,6 +416,7 @@ export default function DatabaseConnections({ clientId }) {
                 <div style={{ flex: 1 }}>
                   <div style={{ fontWeight: 'bold', marginBottom: '.25rem' }}>
                     {conn.name}
+                    <SharedWith sharing={conn.sharing} />
                   </div>
                   <div style={{ fontSize: '.9em', color: '#666' }}>
                     {conn.engine && <div>Engine: {conn.engine}</div>}
@@ -517,6 +440,23 @@ export default function DatabaseConnections({ clientId }) {
                   >
                     Test
                   </button>
+                  {hasAccess(conn, 'manage') && (
+                  <>
+                  <button
+                    onClick={() => setSharingId(sharingId === conn.id ? null : conn.id)}
+                    title="Choose who can use this connection"
+                    style={{
+                      padding: '.4rem .6rem',
+                      background: '#6f42c1',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '.85em'
+                    }}
+                  >
+                    Share
+                  </button>
                   <button
                     onClick={() => handleEdit(conn)}
                     style={{
@@ -553,8 +493,21 @@ export default function DatabaseConnections({ clientId }) {
                     Delete
                   </button>
                   )}
+                  </>
+                  )}
                 </div>
               </div>
+              {sharingId === conn.id && (
+                <AclEditor
+                  title={`Share "${conn.name}"`}
+                  clientId={clientId}
+                  levels={CONNECTION_SHARE_LEVELS}
+                  load={opts => getConnectionAcl(conn.id, opts)}
+                  save={acl => updateConnectionAcl(clientId, conn.id, acl)}
+                  onClose={() => setSharingId(null)}
+                  onSaved={loadConnections}
+                />
+              )}
             </div>
           ))}
         </div>
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { checkEmailDeliverability } from '../api.js';
+
+const STATUS_STYLES = {
+  pass: { background: '#e6f4ea', color: '#1e7e34', label: 'Pass' },
+  warn: { background: '#fff4e5', color: '#b36b00', label: 'Warning' },
+  fail: { background: '#ffe6e6', color: '#c41e3a', label: 'Fail' },
+  missing: { background: '#ffe6e6', color: '#c41e3a', label: 'Missing' }
+};
+
+const CHECKS = [
+  { key: 'spf', label: 'SPF', help: 'Lists the servers allowed to send for the domain' },
+  { key: 'dkim', label: 'DKIM', help: 'Public key the provider signs messages with' },
+  { key: 'dmarc', label: 'DMARC', help: 'Tells receivers what to do with mail failing SPF/DKIM' }
+];
+
+const cell = { padding: '.4rem', verticalAlign: 'top' };
+
+/**
+ * SPF, DKIM and DMARC status for the domain mail is sent from. Mail from a domain without them is likely
+ * to land in spam or be rejected, whatever the SMTP settings.
+ * @param {object} props
+ * @param {string} props.domain - Domain of the from address; nothing to check while empty
+ * @param {string} [props.dkimSelector] - Suggested selector for the chosen provider
+ */
+export default function DeliverabilityCheck({ domain, dkimSelector: suggestedSelector = '' }) {
+  const [selector, setSelector] = useState(suggestedSelector);
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A result only describes the domain it was run for
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+  }, [domain]);
+
+  useEffect(() => {
+    setSelector(suggestedSelector);
+  }, [suggestedSelector]);
+
+  async function handleCheck() {
+    setChecking(true);
+    setError(null);
+    const res = await checkEmailDeliverability(domain, { dkimSelector: selector.trim() });
+    setChecking(false);
+    if (res?.error) {
+      setError(res.message);
+      setResult(null);
+      return;
+    }
+    setResult(res);
+  }
+
+  return (
+    <div style={{ border: '1px solid #eee', borderRadius: '4px', padding: '.75rem', marginTop: '.75rem' }}>
+      <h5 style={{ margin: '0 0 .5rem 0' }}>Deliverability{domain ? <> for <code>{domain}</code></> : ''}</h5>
+      {!domain ? (
+        <p style={{ fontSize: '.85rem', color: '#666', margin: 0 }}>Enter a from address to check its domain.</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+            <label style={{ fontSize: '.9rem' }}>
+              DKIM selector{' '}
+              <input value={selector} onChange={e => setSelector(e.target.value)} placeholder="auto-detect" style={{ width: '9rem' }} />
+            </label>
+            <button type="button" onClick={handleCheck} disabled={checking}>{checking ? 'Checking…' : 'Check DNS records'}</button>
+          </div>
+          {error && <div style={{ color: 'red', marginTop: '.5rem' }}>{error}</div>}
+          {result && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', marginTop: '.5rem' }}>
+              <tbody>
+                {CHECKS.map(({ key, label, help }) => {
+                  const check = result[key] || { status: 'missing', record: null, message: 'No result' };
+                  const status = STATUS_STYLES[check.status] || STATUS_STYLES.missing;
+                  return (
+                    <tr key={key} style={{ borderBottom: '1px solid #eee' }}>
+                      <td style={{ ...cell, width: '5rem' }} title={help}><strong>{label}</strong></td>
+                      <td style={{ ...cell, width: '6rem' }}>
+                        <span style={{ padding: '0 .4rem', borderRadius: '4px', background: status.background, color: status.color }}>{status.label}</span>
+                      </td>
+                      <td style={cell}>
+                        {check.message}
+                        {check.record && <div style={{ fontFamily: 'monospace', color: '#555', wordBreak: 'break-all', marginTop: '.2rem' }}>{check.record}</div>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatDateTime } from '../utils/timeFormatting.js';
+
+/**
+ * Offer to restore unsaved form changes kept from an earlier session.
+ *
+ * @param {object} props
+ * @param {string} props.message - What was left unsaved
+ * @param {number} props.savedAt - When the draft was last saved (epoch ms)
+ * @param {() => void} props.onRestore
+ * @param {() => void} props.onDiscard
+ * @param {string} [props.restoreLabel]
+ * @param {'light'|'dark'} [props.theme]
+ */
+export default function DraftRestoreBanner({ message, savedAt, onRestore, onDiscard, restoreLabel = 'Restore', theme = 'light' }) {
+  const dark = theme === 'dark';
+  return (
+    <div
+      role="status"
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '.75rem',
+        flexWrap: 'wrap',
+        padding: '.75rem 1rem',
+        marginBottom: '1rem',
+        background: dark ? '#2d2a1e' : '#fff8e1',
+        color: dark ? '#fcd34d' : '#8a6d00',
+        border: `1px solid ${dark ? '#a16207' : '#ffc107'}`,
+        borderRadius: '4px'
+      }}
+    >
+      <span style={{ flex: 1 }}>
+        {message} <span style={{ opacity: 0.8 }}>(saved {formatDateTime(new Date(savedAt))})</span>
+      </span>
+      <button
+        onClick={onRestore}
+        style={{ padding: '.35rem .8rem', background: '#0078d4', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+      >
+        {restoreLabel}
+      </button>
+      <button
+        onClick={onDiscard}
+        style={{ padding: '.35rem .8rem', background: 'transparent', color: 'inherit', border: '1px solid currentColor', borderRadius: '4px', cursor: 'pointer' }}
+      >
+        Discard
+      </button>
+    </div>
+  );
+}
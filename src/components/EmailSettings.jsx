@@ -0,0 +1,471 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  getEmailSettings,
+  updateEmailSettings,
+  sendTestEmail,
+  startEmailOAuth,
+  disconnectEmailOAuth,
+  getClientEmailSettings,
+  updateClientEmailSettings,
+  pickableClients
+} from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { EMAIL_PROVIDERS, AUTH_TYPES, applyProvider, detectProvider, emailDomain, securityFromSettings } from '../utils/emailProviders.js';
+import DeliverabilityCheck from './DeliverabilityCheck.jsx';
+
+const EMPTY_SETTINGS = {
+  provider: 'custom',
+  host: '',
+  port: 465,
+  security: 'tls',
+  authType: 'password',
+  username: '',
+  password: '', // write-only; blank keeps the stored password
+  fromName: '',
+  fromAddress: '',
+  replyTo: ''
+};
+
+const EMPTY_OAUTH = { clientId: '', clientSecret: '', tenantId: '', connected: false, connectedAs: null, hasClientSecret: false };
+
+const OAUTH_LABELS = { microsoft: 'Microsoft', google: 'Google' };
+
+const grid = { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '.5rem' };
+const field = { display: 'block', width: '100%', boxSizing: 'border-box' };
+
+/**
+ * Platform SMTP settings (AdminPanel, Email tab): provider presets, password or OAuth2 sign-in, the default
+ * sender, a test send, the from-domain's deliverability and per-client sender overrides.
+ * @param {object} props
+ * @param {object[]} props.clients - For the per-client sender overrides
+ * @param {(message: string, type: string) => void} [props.showToast]
+ */
+export default function EmailSettings({ clients, showToast }) {
+  const [smtp, setSmtp] = useState(EMPTY_SETTINGS);
+  const [oauth, setOauth] = useState(EMPTY_OAUTH);
+  const [configured, setConfigured] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [connecting, setConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const [testEmail, setTestEmail] = useState('');
+  const [testEmailSnackbar, setTestEmailSnackbar] = useState(null); // { message, type: 'success'|'error' }
+  const popupTimer = useRef(null);
+
+  const provider = EMAIL_PROVIDERS.find(p => p.id === smtp.provider) || EMAIL_PROVIDERS[0];
+  // OAuth2 needs a provider that supports it; a custom server signs in with a password or not at all
+  const authTypes = AUTH_TYPES.filter(a => (provider.authTypes ? provider.authTypes.includes(a.id) : a.id !== 'oauth2'));
+  const usesOAuth = smtp.authType === 'oauth2' && !!provider.oauthProvider;
+
+  async function loadSettings(signal) {
+    const s = await getEmailSettings({ signal });
+    if (isAbortError(s)) return;
+    setLoading(false);
+    if (s?.error) {
+      setError(s.message);
+      return;
+    }
+    if (s?.configured) {
+      setConfigured(true);
+      setSmtp({
+        ...EMPTY_SETTINGS,
+        provider: detectProvider(s),
+        host: s.host || '',
+        port: s.port || EMPTY_SETTINGS.port,
+        security: securityFromSettings(s),
+        authType: s.authType || 'password',
+        username: s.username || '',
+        fromName: s.fromName || '',
+        fromAddress: s.fromAddress || '',
+        replyTo: s.replyTo || ''
+      });
+    }
+    setOauth({ ...EMPTY_OAUTH, ...s?.oauth2, clientSecret: '' });
+  }
+
+  // After the sign-in window closes; leaves the rest of the form as the admin has it
+  async function refreshOAuth() {
+    const s = await getEmailSettings();
+    if (s?.error) setError(s.message);
+    else setOauth({ ...EMPTY_OAUTH, ...s?.oauth2, clientSecret: '' });
+  }
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadSettings(controller.signal);
+    return () => {
+      controller.abort();
+      clearInterval(popupTimer.current);
+    };
+  }, []);
+
+  function set(field, value) {
+    setSmtp(s => ({ ...s, [field]: value }));
+  }
+
+  function handleProviderChange(providerId) {
+    setSmtp(s => applyProvider(s, providerId));
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    const { provider: _preset, password, ...settings } = smtp;
+    const payload = {
+      ...settings,
+      secure: smtp.security === 'tls',
+      username: smtp.authType === 'none' ? '' : smtp.username
+    };
+    if (smtp.authType === 'password' && password) payload.password = password;
+    if (usesOAuth) payload.oauth2 = { provider: provider.oauthProvider, clientId: oauth.clientId, tenantId: oauth.tenantId };
+
+    setSaving(true);
+    setError(null);
+    const res = await updateEmailSettings(payload);
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setConfigured(true);
+    set('password', '');
+    showToast?.('SMTP settings saved.', 'success');
+  }
+
+  async function handleConnect() {
+    setConnecting(true);
+    setError(null);
+    const res = await startEmailOAuth({
+      provider: provider.oauthProvider,
+      clientId: oauth.clientId,
+      clientSecret: oauth.clientSecret || undefined,
+      tenantId: provider.oauthProvider === 'microsoft' ? oauth.tenantId : undefined
+    });
+    if (res?.error) {
+      setConnecting(false);
+      setError(res.message);
+      return;
+    }
+    const popup = window.open(res.authorizationUrl, 'email-oauth', 'width=520,height=680');
+    if (!popup) {
+      setConnecting(false);
+      setError('The sign-in window was blocked. Allow pop-ups for this site and try again.');
+      return;
+    }
+    // The server finishes the exchange on its callback; reload once the window is closed
+    clearInterval(popupTimer.current);
+    popupTimer.current = setInterval(async () => {
+      if (!popup.closed) return;
+      clearInterval(popupTimer.current);
+      await refreshOAuth();
+      setConnecting(false);
+    }, 500);
+  }
+
+  async function handleDisconnect() {
+    if (!window.confirm('Disconnect the OAuth2 account? Email stops sending until it is connected again or another sign-in method is saved.')) return;
+    const res = await disconnectEmailOAuth();
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setOauth(o => ({ ...o, connected: false, connectedAs: null }));
+  }
+
+  async function handleTestSend() {
+    if (!testEmail) return;
+    const data = await sendTestEmail(testEmail);
+    if (data?.error) {
+      setTestEmailSnackbar({ message: `✗ Failed to send test email:\n\n${data.message}`, type: 'error' });
+      return;
+    }
+    const acceptedList = data.accepted?.length > 0 ? `Accepted: ${data.accepted.join(', ')}` : '';
+    const rejectedList = data.rejected?.length > 0 ? `Rejected: ${data.rejected.join(', ')}` : '';
+    const details = [
+      `✓ Test email sent successfully!`,
+      `\nMessage ID: ${data.messageId}`,
+      `Recipient: ${testEmail}`,
+      acceptedList ? `\n${acceptedList}` : '',
+      rejectedList ? `${rejectedList}` : '',
+      `\nSMTP Response: ${data.response || 'N/A'}`
+    ].filter(Boolean).join('\n');
+    setTestEmailSnackbar({ message: details, type: 'success' });
+  }
+
+  const canSave = smtp.host && smtp.port && smtp.fromAddress && (
+    smtp.authType === 'none'
+    || (usesOAuth && oauth.connected)
+    || (smtp.authType === 'password' && smtp.username && (configured || smtp.password))
+  );
+
+  if (loading) return <p style={{ color: '#666' }}>Loading email settings…</p>;
+
+  return (
+    <>
+      <div style={{ border: '1px solid #eee', padding: '.75rem', marginBottom: '1rem' }}>
+        <h4>Email (SMTP) Settings</h4>
+        {error && <div style={{ color: 'red', marginBottom: '.5rem', whiteSpace: 'pre-wrap' }}>{error}</div>}
+        <form onSubmit={handleSave}>
+          <label style={{ display: 'block', marginBottom: '.5rem' }}>
+            Provider
+            <select value={smtp.provider} onChange={e => handleProviderChange(e.target.value)} style={field}>
+              {EMAIL_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          </label>
+
+          <div style={grid}>
+            <label>
+              Host
+              <input type="text" value={smtp.host} onChange={e => set('host', e.target.value)} style={field} required />
+            </label>
+            <label>
+              Port
+              <input type="number" value={smtp.port} onChange={e => set('port', Number(e.target.value))} style={field} required />
+            </label>
+            <label>
+              Security
+              <select value={smtp.security} onChange={e => set('security', e.target.value)} style={field}>
+                <option value="tls">TLS (usually port 465)</option>
+                <option value="starttls">STARTTLS (usually port 587)</option>
+                <option value="none">None (local testing only)</option>
+              </select>
+            </label>
+            <label>
+              Sign in with
+              <select value={smtp.authType} onChange={e => set('authType', e.target.value)} style={field}>
+                {authTypes.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+              </select>
+            </label>
+
+            {smtp.authType === 'password' && (
+              <>
+                <label>
+                  Username
+                  <input type="text" value={smtp.username} onChange={e => set('username', e.target.value)} style={field} autoComplete="off" />
+                </label>
+                <label>
+                  Password
+                  <input type="password" value={smtp.password} onChange={e => set('password', e.target.value)} placeholder={configured ? '(unchanged)' : ''} style={field} autoComplete="new-password" />
+                </label>
+              </>
+            )}
+          </div>
+
+          {usesOAuth && (
+            <div style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '.75rem', margin: '.5rem 0', background: '#fafafa' }}>
+              <p style={{ fontSize: '.85rem', color: '#555', marginTop: 0 }}>
+                Register an app with {OAUTH_LABELS[provider.oauthProvider]} that may send mail over SMTP, enter its details, then sign in
+                with the mailbox that sends the reports.
+              </p>
+              <div style={grid}>
+                <label>
+                  OAuth client ID
+                  <input value={oauth.clientId} onChange={e => setOauth(o => ({ ...o, clientId: e.target.value }))} style={field} />
+                </label>
+                <label>
+                  OAuth client secret
+                  <input
+                    type="password"
+                    value={oauth.clientSecret}
+                    onChange={e => setOauth(o => ({ ...o, clientSecret: e.target.value }))}
+                    placeholder={oauth.hasClientSecret ? '(unchanged)' : ''}
+                    style={field}
+                    autoComplete="new-password"
+                  />
+                </label>
+                {provider.oauthProvider === 'microsoft' && (
+                  <label>
+                    Directory (tenant) ID
+                    <input value={oauth.tenantId} onChange={e => setOauth(o => ({ ...o, tenantId: e.target.value }))} placeholder="organizations" style={field} />
+                  </label>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', marginTop: '.5rem', flexWrap: 'wrap' }}>
+                {oauth.connected && <span style={{ color: 'green' }}>Connected as {oauth.connectedAs || 'the signed-in mailbox'}</span>}
+                <button
+                  type="button"
+                  onClick={handleConnect}
+                  disabled={connecting || !oauth.clientId || (!oauth.clientSecret && !oauth.hasClientSecret)}
+                >
+                  {connecting ? 'Waiting for sign-in…' : oauth.connected ? 'Reconnect' : `Sign in with ${OAUTH_LABELS[provider.oauthProvider]}`}
+                </button>
+                {oauth.connected && <button type="button" onClick={handleDisconnect}>Disconnect</button>}
+              </div>
+            </div>
+          )}
+
+          <h5 style={{ margin: '1rem 0 .5rem 0' }}>Default sender</h5>
+          <div style={grid}>
+            <label>
+              From Name
+              <input type="text" value={smtp.fromName} onChange={e => set('fromName', e.target.value)} placeholder="Pest Control Reports" style={field} />
+            </label>
+            <label>
+              From Address
+              <input type="email" value={smtp.fromAddress} onChange={e => set('fromAddress', e.target.value)} style={field} required />
+            </label>
+            <label>
+              Reply-To
+              <input type="email" value={smtp.replyTo} onChange={e => set('replyTo', e.target.value)} placeholder="replies go to the from address" style={field} />
+            </label>
+          </div>
+
+          <div style={{ marginTop: '.75rem' }}>
+            <button type="submit" disabled={saving || !canSave}>{saving ? 'Saving…' : 'Save SMTP Settings'}</button>
+            {configured && <span style={{ marginLeft: '.5rem', color: 'green' }}>Configured</span>}
+          </div>
+        </form>
+
+        <div style={{ display: 'flex', gap: '.5rem', alignItems: 'flex-end', marginTop: '.75rem' }}>
+          <label>
+            Test Email Address
+            <input type="email" value={testEmail} onChange={e => setTestEmail(e.target.value)} placeholder="where to send test email" style={field} />
+          </label>
+          <button disabled={!testEmail || !configured} style={{ background: testEmail && configured ? '#17a2b8' : '#ccc', color: 'white', border: 'none', padding: '.4rem .8rem', borderRadius: '4px', cursor: testEmail && configured ? 'pointer' : 'not-allowed' }} onClick={handleTestSend}>
+            Send Test Email
+          </button>
+        </div>
+
+        <DeliverabilityCheck domain={emailDomain(smtp.fromAddress)} dkimSelector={provider.dkimSelector} />
+      </div>
+
+      <ClientSenderSettings clients={pickableClients(clients)} defaults={smtp} dkimSelector={provider.dkimSelector} showToast={showToast} />
+
+      {testEmailSnackbar && (
+        <div style={{
+          position: 'fixed',
+          bottom: '1rem',
+          right: '1rem',
+          background: testEmailSnackbar.type === 'success' ? '#d4edda' : '#f8d7da',
+          color: testEmailSnackbar.type === 'success' ? '#155724' : '#721c24',
+          border: `1px solid ${testEmailSnackbar.type === 'success' ? '#c3e6cb' : '#f5c6cb'}`,
+          borderRadius: '4px',
+          padding: '1rem',
+          maxWidth: '400px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+          zIndex: 1000,
+          whiteSpace: 'pre-wrap',
+          userSelect: 'text',
+          fontFamily: 'monospace',
+          fontSize: '0.85rem',
+          lineHeight: '1.4'
+        }}>
+          {testEmailSnackbar.message}
+          <button onClick={() => setTestEmailSnackbar(null)} style={{
+            marginTop: '.5rem',
+            marginLeft: '.5rem',
+            background: 'transparent',
+            border: 'none',
+            color: 'inherit',
+            cursor: 'pointer',
+            fontSize: '1rem',
+            padding: 0,
+            fontWeight: 'bold'
+          }}>×</button>
+        </div>
+      )}
+    </>
+  );
+}
+
+const EMPTY_SENDER = { fromName: '', fromAddress: '', replyTo: '' };
+
+// A client's own from name/address and reply-to for its scheduled reports; blank fields use the defaults
+function ClientSenderSettings({ clients, defaults, dkimSelector, showToast }) {
+  const [clientId, setClientId] = useState('');
+  const [sender, setSender] = useState(EMPTY_SENDER);
+  const [hasOverride, setHasOverride] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const client = clients.find(c => String(c.id) === String(clientId));
+  const ownDomain = emailDomain(sender.fromAddress);
+
+  useEffect(() => {
+    if (!clientId) return undefined;
+    const controller = new AbortController();
+    (async () => {
+      setLoading(true);
+      setError(null);
+      const res = await getClientEmailSettings(clientId, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      // 404 means the client has never had its own sender
+      if (res?.error && res.status !== 404) {
+        setError(res.message);
+        return;
+      }
+      const loaded = res?.error ? EMPTY_SENDER : { ...EMPTY_SENDER, ...res };
+      setSender({ fromName: loaded.fromName || '', fromAddress: loaded.fromAddress || '', replyTo: loaded.replyTo || '' });
+      setHasOverride(!!(loaded.fromName || loaded.fromAddress || loaded.replyTo));
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
+  async function save(values, message) {
+    setSaving(true);
+    setError(null);
+    const res = await updateClientEmailSettings(clientId, values);
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setSender(values);
+    setHasOverride(!!(values.fromName || values.fromAddress || values.replyTo));
+    showToast?.(message, 'success');
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const values = Object.fromEntries(Object.entries(sender).map(([key, value]) => [key, value.trim()]));
+    save(values, `Sender saved for ${client?.name}`);
+  }
+
+  function handleClear() {
+    if (!window.confirm(`Send ${client?.name}'s reports from the default sender again?`)) return;
+    save(EMPTY_SENDER, `${client?.name} now uses the default sender`);
+  }
+
+  return (
+    <div style={{ border: '1px solid #eee', padding: '.75rem', marginBottom: '1rem' }}>
+      <h4>Client senders</h4>
+      <p style={{ fontSize: '.85rem', color: '#666', marginTop: 0 }}>
+        Send a client's scheduled reports from its own address. Fields left blank use the default sender above; the
+        mail still goes out through the platform SMTP account, so that account must be allowed to send as the address.
+      </p>
+      <select value={clientId} onChange={e => setClientId(e.target.value)} style={{ marginBottom: '.5rem' }}>
+        <option value="">Choose a client…</option>
+        {clients.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+      </select>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem' }}>{error}</div>}
+      {clientId && (loading ? (
+        <p style={{ color: '#666' }}>Loading…</p>
+      ) : (
+        <form onSubmit={handleSave}>
+          <div style={grid}>
+            <label>
+              From Name
+              <input value={sender.fromName} onChange={e => setSender(s => ({ ...s, fromName: e.target.value }))} placeholder={defaults.fromName} style={field} />
+            </label>
+            <label>
+              From Address
+              <input type="email" value={sender.fromAddress} onChange={e => setSender(s => ({ ...s, fromAddress: e.target.value }))} placeholder={defaults.fromAddress} style={field} />
+            </label>
+            <label>
+              Reply-To
+              <input type="email" value={sender.replyTo} onChange={e => setSender(s => ({ ...s, replyTo: e.target.value }))} placeholder={defaults.replyTo || 'the from address'} style={field} />
+            </label>
+          </div>
+          <div style={{ display: 'flex', gap: '.5rem', marginTop: '.5rem' }}>
+            <button type="submit" disabled={saving}>{saving ? 'Saving…' : 'Save sender'}</button>
+            {hasOverride && <button type="button" onClick={handleClear} disabled={saving}>Use default sender</button>}
+          </div>
+        </form>
+      ))}
+      {clientId && !loading && ownDomain && ownDomain !== emailDomain(defaults.fromAddress) && (
+        <DeliverabilityCheck domain={ownDomain} dkimSelector={dkimSelector} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import { fillPlaceholders } from '../utils/emailTemplates.js';
+
+const PREVIEW_ROWS = 10;
+const cell = { padding: '.3rem .5rem', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+/**
+ * How a scheduled report email will look with a template, using the report's last saved results.
+ * Mail clients render with their own fonts and widths, so this is a close likeness rather than a copy.
+ * @param {object} props
+ * @param {object|null} props.template - null previews the plain email sent without a template
+ * @param {Object<string, string|number>} props.values - Placeholder values (reportName, runDate, rowCount, clientName)
+ * @param {{ columns?: string[], rows?: object[] }|null} props.data - Saved results; null when there are none
+ */
+export default function EmailTemplatePreview({ template, values, data }) {
+  const fill = text => fillPlaceholders(text, values);
+  const columns = data?.columns?.length ? data.columns : Object.keys(data?.rows?.[0] || {});
+  const rows = data?.rows || [];
+  const subject = template ? fill(template.subject) : `Scheduled report: ${values.reportName}`;
+
+  return (
+    <div style={{ border: '1px solid #ddd', borderRadius: '4px', background: '#f5f5f5', fontSize: '.9rem' }}>
+      <div style={{ padding: '.5rem .75rem', borderBottom: '1px solid #ddd', background: 'white' }}>
+        <span style={{ color: '#888' }}>Subject:</span> <strong>{subject}</strong>
+      </div>
+      <div style={{ margin: '.75rem', padding: '1rem', background: 'white', borderRadius: '4px' }}>
+        {template?.logoUrl && (
+          <img src={template.logoUrl} alt="" style={{ maxHeight: '60px', maxWidth: '240px', display: 'block', marginBottom: '1rem' }} />
+        )}
+        {template?.introText && <p style={{ whiteSpace: 'pre-wrap', marginTop: 0 }}>{fill(template.introText)}</p>}
+
+        {data === null ? (
+          <p style={{ color: '#888', fontStyle: 'italic' }}>
+            This report has no saved results yet. Run it and save the results to preview the table with real rows.
+          </p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ borderCollapse: 'collapse', fontSize: '.8rem', width: '100%' }}>
+              <thead>
+                <tr style={{ background: '#f0f0f0' }}>
+                  {columns.map(col => <th key={col} style={cell}>{col}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PREVIEW_ROWS).map((row, idx) => (
+                  <tr key={idx}>
+                    {columns.map(col => <td key={col} style={cell}>{String(row[col] ?? '').substring(0, 60)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length > PREVIEW_ROWS && (
+              <p style={{ color: '#888', fontSize: '.8rem' }}>Preview shows {PREVIEW_ROWS} of {rows.length} rows.</p>
+            )}
+          </div>
+        )}
+
+        {template?.footerText && <p style={{ whiteSpace: 'pre-wrap', color: '#555', marginBottom: 0 }}>{fill(template.footerText)}</p>}
+      </div>
+      {template?.unsubscribeText && (
+        <p style={{ whiteSpace: 'pre-wrap', color: '#888', fontSize: '.75rem', margin: '0 .75rem .75rem', textAlign: 'center' }}>
+          {fill(template.unsubscribeText)}
+        </p>
+      )}
+    </div>
+  );
+}
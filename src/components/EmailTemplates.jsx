@@ -0,0 +1,228 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getEmailTemplates, createEmailTemplate, updateEmailTemplate, deleteEmailTemplate, getReports } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { useSavedResults } from '../hooks/useSavedResults.js';
+import { formatDate } from '../utils/timeFormatting.js';
+import { EMPTY_TEMPLATE, TEMPLATE_PLACEHOLDERS, templateProblem } from '../utils/emailTemplates.js';
+import EmailTemplatePreview from './EmailTemplatePreview.jsx';
+
+const input = { width: '100%', padding: '.5rem', marginBottom: '.5rem', border: '1px solid #ccc', borderRadius: '4px', boxSizing: 'border-box' };
+const labelStyle = { display: 'block', fontWeight: 'bold', fontSize: '.9rem', marginBottom: '.25rem' };
+
+// The fields a template is saved with
+function templateFields(template) {
+  const { name, subject, logoUrl, introText, footerText, unsubscribeText, isDefault } = template;
+  return { name: name.trim(), subject, logoUrl: logoUrl.trim(), introText, footerText, unsubscribeText, isDefault: !!isDefault };
+}
+
+/**
+ * ClientPanel "Email Templates" tab: branding for scheduled report emails (subject, logo, intro, footer and
+ * unsubscribe text with {{placeholders}}), previewed live with a report's last saved results. Schedules pick
+ * a template in ScheduleModal; those that do not use the default one.
+ * @param {object} props
+ * @param {string} props.clientId
+ * @param {string} props.clientName
+ */
+export default function EmailTemplates({ clientId, clientName }) {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // template being edited; no id while new
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [previewReportId, setPreviewReportId] = useState('');
+  const focused = useRef({ field: 'introText', element: null }); // where a clicked placeholder goes
+
+  const saved = useSavedResults(previewReportId);
+  const previewReport = reports.find(r => String(r.id) === String(previewReportId));
+  const problem = editing ? templateProblem(editing) : null;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadTemplates(controller.signal);
+    (async () => {
+      const list = await getReports({ signal: controller.signal });
+      if (isAbortError(list) || list?.error) return;
+      const all = Array.isArray(list) ? list : list?.reports || [];
+      setReports(all);
+      if (all.length) setPreviewReportId(id => id || String(all[0].id));
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
+  async function loadTemplates(signal) {
+    const res = await getEmailTemplates(clientId, { signal });
+    if (isAbortError(res)) return;
+    setLoading(false);
+    if (res?.error) setError(`Failed to load email templates: ${res.message}`);
+    else setTemplates(Array.isArray(res) ? res : []);
+  }
+
+  function startEditing(template) {
+    setEditing(template ? { ...EMPTY_TEMPLATE, ...template } : { ...EMPTY_TEMPLATE, isDefault: templates.length === 0 });
+    setError(null);
+    focused.current = { field: 'introText', element: null };
+  }
+
+  function set(field, value) {
+    setEditing(t => ({ ...t, [field]: value }));
+  }
+
+  function trackFocus(field) {
+    return e => { focused.current = { field, element: e.target }; };
+  }
+
+  // Put the placeholder where the cursor was in the last text field used
+  function insertPlaceholder(key) {
+    const { field, element } = focused.current;
+    const text = editing[field] || '';
+    const start = element?.selectionStart ?? text.length;
+    const end = element?.selectionEnd ?? text.length;
+    const token = `{{${key}}}`;
+    set(field, text.slice(0, start) + token + text.slice(end));
+    requestAnimationFrame(() => {
+      if (!element) return;
+      element.focus();
+      element.setSelectionRange(start + token.length, start + token.length);
+    });
+  }
+
+  async function handleSave() {
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    const fields = templateFields(editing);
+    const res = editing.id
+      ? await updateEmailTemplate(clientId, editing.id, fields)
+      : await createEmailTemplate(clientId, fields);
+    setSaving(false);
+    if (res?.error) {
+      setError(`Failed to save template: ${res.message}`);
+      return;
+    }
+    setEditing(null);
+    setNotice(`Template "${fields.name}" saved.`);
+    setTimeout(() => setNotice(null), 3000);
+    loadTemplates();
+  }
+
+  async function handleDelete(template) {
+    const note = template.isDefault ? ' It is the default, so schedules without a template will send plain emails.' : ' Schedules using it switch to the default template.';
+    if (!window.confirm(`Delete the template "${template.name}"?${note}`)) return;
+    const res = await deleteEmailTemplate(clientId, template.id);
+    if (res?.error) {
+      setError(`Failed to delete template: ${res.message}`);
+      return;
+    }
+    if (editing?.id === template.id) setEditing(null);
+    loadTemplates();
+  }
+
+  const values = {
+    reportName: previewReport?.name || 'Monthly Service Summary',
+    runDate: formatDate(new Date()),
+    rowCount: saved.data ? saved.data.rows.length : 0,
+    clientName: clientName || ''
+  };
+
+  return (
+    <div>
+      <h4>Email Templates</h4>
+      <p style={{ fontSize: '0.85rem', color: '#666', marginBottom: '1rem' }}>
+        Brand the emails your scheduled reports are sent in. The default template is used by every schedule that
+        does not choose one.
+      </p>
+
+      {error && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#ffe6e6', color: '#c41e3a', borderRadius: '4px' }}>{error}</div>}
+      {notice && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#e6f7e6', color: '#2d6e2d', borderRadius: '4px' }}>{notice}</div>}
+
+      {loading ? (
+        <p>Loading templates...</p>
+      ) : (
+        <div style={{ display: 'flex', gap: '.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+          {templates.map(t => (
+            <span key={t.id} style={{ display: 'inline-flex', alignItems: 'center', gap: '.35rem', padding: '.3rem .6rem', background: editing?.id === t.id ? '#e7f1ff' : '#f5f5f5', border: '1px solid #ddd', borderRadius: '4px', fontSize: '.9rem' }}>
+              <button onClick={() => startEditing(t)} style={{ border: 'none', background: 'transparent', cursor: 'pointer', padding: 0 }}>{t.name}</button>
+              {t.isDefault && <span style={{ color: '#888', fontSize: '.8rem' }}>(default)</span>}
+              <button onClick={() => handleDelete(t)} title="Delete template" style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#c41e3a' }}>✕</button>
+            </span>
+          ))}
+          {!editing && <button onClick={() => startEditing(null)}>+ New Template</button>}
+        </div>
+      )}
+
+      {editing && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: '1rem', alignItems: 'start' }}>
+          <div style={{ padding: '.75rem', background: '#fafafa', border: '1px solid #ddd', borderRadius: '4px' }}>
+            <label style={labelStyle}>Template name</label>
+            <input value={editing.name} onChange={e => set('name', e.target.value)} placeholder="e.g. Monthly customer report" style={input} />
+
+            <label style={labelStyle}>Subject</label>
+            <input value={editing.subject} onChange={e => set('subject', e.target.value)} onFocus={trackFocus('subject')} onSelect={trackFocus('subject')} style={input} />
+
+            <label style={labelStyle}>Header logo URL</label>
+            <input type="url" value={editing.logoUrl} onChange={e => set('logoUrl', e.target.value)} placeholder="https://example.com/logo.png" style={input} />
+
+            <label style={labelStyle}>Intro text</label>
+            <textarea value={editing.introText} onChange={e => set('introText', e.target.value)} onFocus={trackFocus('introText')} onSelect={trackFocus('introText')} rows={4} style={input} />
+
+            <label style={labelStyle}>Footer</label>
+            <textarea value={editing.footerText} onChange={e => set('footerText', e.target.value)} onFocus={trackFocus('footerText')} onSelect={trackFocus('footerText')} rows={3} placeholder="Contact details, sign-off…" style={input} />
+
+            <label style={labelStyle}>Unsubscribe text</label>
+            <textarea value={editing.unsubscribeText} onChange={e => set('unsubscribeText', e.target.value)} onFocus={trackFocus('unsubscribeText')} onSelect={trackFocus('unsubscribeText')} rows={2} style={input} />
+
+            <div style={{ fontSize: '.85rem', marginBottom: '.75rem' }}>
+              <span style={{ color: '#666' }}>Insert: </span>
+              {TEMPLATE_PLACEHOLDERS.map(p => (
+                <button
+                  key={p.key}
+                  type="button"
+                  title={p.description}
+                  onMouseDown={e => e.preventDefault()} // keep the cursor in the field being edited
+                  onClick={() => insertPlaceholder(p.key)}
+                  style={{ margin: '0 .25rem .25rem 0', padding: '.15rem .45rem', fontFamily: 'monospace', fontSize: '.8rem', border: '1px solid #ccc', borderRadius: '4px', background: 'white', cursor: 'pointer' }}
+                >
+                  {`{{${p.key}}}`}
+                </button>
+              ))}
+            </div>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '.5rem', fontSize: '.9rem', marginBottom: '.75rem' }}>
+              <input type="checkbox" checked={!!editing.isDefault} onChange={e => set('isDefault', e.target.checked)} />
+              Default for schedules that do not choose a template
+            </label>
+
+            {problem && <div style={{ color: '#b36b00', fontSize: '.85rem', marginBottom: '.5rem' }}>{problem}</div>}
+            <div style={{ display: 'flex', gap: '.5rem' }}>
+              <button onClick={handleSave} disabled={saving || !!problem}>{saving ? 'Saving...' : 'Save Template'}</button>
+              <button onClick={() => { setEditing(null); setError(null); }} disabled={saving}>Cancel</button>
+            </div>
+          </div>
+
+          <div>
+            <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', marginBottom: '.5rem', fontSize: '.9rem' }}>
+              <strong>Preview with</strong>
+              <select value={previewReportId} onChange={e => setPreviewReportId(e.target.value)} style={{ padding: '.3rem', flex: 1 }}>
+                {reports.length === 0 && <option value="">No reports yet</option>}
+                {reports.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+              </select>
+            </div>
+            {saved.executedAt && (
+              <p style={{ fontSize: '.8rem', color: '#888', margin: '0 0 .5rem 0' }}>Results saved {formatDate(saved.executedAt)}</p>
+            )}
+            {saved.loading ? (
+              <p style={{ color: '#666' }}>Loading saved results...</p>
+            ) : (
+              <EmailTemplatePreview template={editing} values={values} data={saved.data} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-
-// In development backend runs on 3001; in production both frontend & backend are proxied on 3000
-const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
+import { verifyEmail } from '../api.js';
+import { passwordError } from '../utils/passwordPolicy.js';
+import PasswordStrength from './PasswordStrength.jsx';
 
 export default function EmailVerification() {
   const [searchParams] = useSearchParams();
@@ -23,25 +23,20 @@ export default function EmailVerification() {
       setError('Passwords do not match');
       return;
     }
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters');
+    const policyError = passwordError(password);
+    if (policyError) {
+      setError(policyError);
       return;
     }
     setLoading(true);
     setError(null);
     try {
-      const res = await fetch(`${API_BASE}/auth/verify-email`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ token, password })
-      });
-      if (!res.ok) {
-        const data = await res.json();
-        setError(data?.error || `HTTP ${res.status}`);
+      const res = await verifyEmail(token, password);
+      if (res?.error) {
+        setError(res.message);
         setLoading(false);
         return;
       }
-      const data = await res.json();
       setSuccess(true);
       setLoading(false);
     } catch (e) {
@@ -69,15 +64,16 @@ export default function EmailVerification() {
           type="password"
           value={password}
           onChange={e => setPassword(e.target.value)}
-          placeholder="••••••"
+          autoComplete="new-password"
           style={{ width:'100%', marginBottom:'.5rem', padding:'.5rem' }}
         />
+        <PasswordStrength password={password} />
         <label>Confirm Password</label>
         <input
           type="password"
           value={confirmPassword}
           onChange={e => setConfirmPassword(e.target.value)}
-          placeholder="••••••"
+          autoComplete="new-password"
           style={{ width:'100%', marginBottom:'.75rem', padding:'.5rem' }}
         />
         <button type="submit" disabled={loading}>
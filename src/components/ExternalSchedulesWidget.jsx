@@ -1,5 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { getExternalSchedules } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { isForClient } from '../liveEvents.js';
+import { useLiveEvent } from '../hooks/useLiveEvent.js';
 import { formatDateTime, formatTimeDisplay } from '../utils/timeFormatting.js';
 
 const FREQ_LABELS = {
@@ -7,25 +10,38 @@ const FREQ_LABELS = {
   quarterly: 'Quarterly', semi_annually: 'Semi-Annually', annually: 'Annually'
 };
 
-export default function ExternalSchedulesWidget({ showToast }) {
+export default function ExternalSchedulesWidget({ tenantId, showToast }) {
   const [schedules, setSchedules] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [retrying, setRetrying] = useState(null); // { attempt, retries } while backing off
+  const controllerRef = useRef(null);
 
   useEffect(() => {
-    loadExternalSchedules();
-    
-    // Refresh every 5 minutes
-    const interval = setInterval(loadExternalSchedules, 5 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, []);
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadExternalSchedules(controller.signal);
+    return () => controller.abort();
+  }, [tenantId]);
 
-  async function loadExternalSchedules() {
+  // A run moves the last and next run times
+  useLiveEvent(['scheduleExecuted', 'reconnected'], data => {
+    if (isForClient(data, tenantId)) loadExternalSchedules(controllerRef.current?.signal, { background: true, reload: true });
+  }, { enabled: !!tenantId });
+
+  // `reload` skips the query cache: the Refresh button and live updates want what the server has now
+  async function loadExternalSchedules(signal, { background = false, reload = false } = {}) {
     try {
-      setLoading(true);
-      const data = await getExternalSchedules();
+      if (!background) setLoading(true);
+      const data = await getExternalSchedules({
+        signal,
+        cache: reload ? 'reload' : undefined,
+        onRetry: setRetrying,
+        onUpdate: fresh => setSchedules(fresh.schedules || [])
+      });
+      if (isAbortError(data)) return;
       if (data.error) {
         console.error('Failed to load external schedules:', data.error);
-        showToast?.('Failed to load external schedules widget', 'error');
+        showToast?.(`Failed to load external schedules: ${data.message}`, 'error');
         setSchedules([]);
       } else {
         setSchedules(data.schedules || []);
@@ -35,7 +51,10 @@ export default function ExternalSchedulesWidget({ showToast }) {
       showToast?.('Failed to load external schedules widget', 'error');
       setSchedules([]);
     } finally {
-      setLoading(false);
+      if (!signal?.aborted) {
+        setLoading(false);
+        setRetrying(null);
+      }
     }
   }
 
@@ -43,7 +62,9 @@ export default function ExternalSchedulesWidget({ showToast }) {
     return (
       <div className="widget external-schedules-widget">
         <h3>🌐 Schedules with External Recipients</h3>
-        <div className="widget-loading">Loading...</div>
+        <div className="widget-loading">
+          {retrying ? `Retrying… (attempt ${retrying.attempt} of ${retrying.retries})` : 'Loading...'}
+        </div>
       </div>
     );
   }
@@ -120,7 +141,7 @@ export default function ExternalSchedulesWidget({ showToast }) {
       )}
       
       <div className="widget-footer">
-        <button onClick={loadExternalSchedules} className="btn-refresh">
+        <button onClick={() => loadExternalSchedules(controllerRef.current?.signal, { reload: true })} className="btn-refresh">
           🔄 Refresh
         </button>
       </div>
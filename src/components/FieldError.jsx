@@ -0,0 +1,15 @@
+import React from 'react';
+
+/**
+ * Inline validation message for a single form field.
+ * `errors` is an ApiError's fieldErrors map ({ fieldName: message }); renders nothing when the field is valid.
+ */
+export default function FieldError({ errors, name, style }) {
+  const message = errors?.[name];
+  if (!message) return null;
+  return (
+    <div role="alert" style={{ marginTop: '0.35rem', color: '#f87171', fontSize: '0.875rem', ...style }}>
+      {message}
+    </div>
+  );
+}
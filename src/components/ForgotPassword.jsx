@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { requestPasswordReset } from '../api.js';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sent, setSent] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    const res = await requestPasswordReset(email.trim());
+    setLoading(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setSent(true);
+  }
+
+  if (sent) {
+    return (
+      <div style={{ fontFamily: 'system-ui', padding: '1.5rem', maxWidth: '400px', margin: '2rem auto' }}>
+        <h2>Check Your Email</h2>
+        <p>If an account exists for <strong>{email.trim()}</strong>, we've sent a link to reset its password. The link expires in one hour.</p>
+        <p><a href="/">Back to login</a></p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ fontFamily: 'system-ui', padding: '1.5rem', maxWidth: '400px', margin: '2rem auto' }}>
+      <h2>Reset Password</h2>
+      <p style={{ fontSize: '0.9rem', color: '#666' }}>Enter your account email and we'll send you a link to choose a new password.</p>
+      {error && <div style={{ color:'red', marginBottom:'.5rem' }}>{error}</div>}
+      <form onSubmit={handleSubmit}>
+        <label>Email</label>
+        <input
+          type="email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          placeholder="you@example.com"
+          style={{ width:'100%', marginBottom:'.75rem', padding:'.5rem' }}
+          required
+          autoFocus
+        />
+        <button type="submit" disabled={loading}>
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+      </form>
+      <p style={{ fontSize: '0.9rem' }}><a href="/">Back to login</a></p>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { endImpersonation } from '../api.js';
+import { getImpersonation, finishImpersonation } from '../impersonation.js';
+
+function formatRemaining(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// End the session on the server (audit), restore the admin's own context and restart the app in it
+export async function exitImpersonation() {
+  const session = getImpersonation();
+  if (!session) return;
+  await endImpersonation(session.id);
+  finishImpersonation();
+  window.location.assign('/');
+}
+
+/**
+ * Persistent bar while a platform_admin views the app as another user: who, how long is left,
+ * whether changes are allowed, and the way out. The session ends by itself when time runs out.
+ */
+export default function ImpersonationBanner() {
+  const [session] = useState(getImpersonation);
+  const [now, setNow] = useState(Date.now());
+  const [exiting, setExiting] = useState(false);
+  const endedRef = useRef(false);
+
+  useEffect(() => {
+    if (!session) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [session]);
+
+  const remaining = session ? session.expiresAt - now : Infinity;
+
+  useEffect(() => {
+    if (remaining > 0 || endedRef.current) return;
+    endedRef.current = true;
+    exitImpersonation();
+  }, [remaining]);
+
+  if (!session) return null;
+
+  const { user } = session;
+  const name = [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+  const handleExit = async () => {
+    setExiting(true);
+    endedRef.current = true;
+    await exitImpersonation();
+  };
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: 'sticky',
+        top: 0,
+        zIndex: 1001,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '1rem',
+        padding: '.6rem 1rem',
+        marginBottom: '1rem',
+        background: '#c41e3a',
+        color: 'white',
+        borderRadius: '4px'
+      }}
+    >
+      <span>
+        Viewing as <strong>{name || user?.email}</strong>{name && ` (${user.email})`}
+        {' · '}{session.allowWrites ? 'changes allowed' : 'read-only'}
+        {' · '}{formatRemaining(remaining)} left
+      </span>
+      <button onClick={handleExit} disabled={exiting} style={{ whiteSpace: 'nowrap' }}>
+        {exiting ? 'Exiting…' : 'Exit'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import { getImpersonationLog } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { formatDateTime } from '../utils/timeFormatting.js';
+
+function personLabel(person) {
+  if (!person) return '—';
+  const name = [person.firstName, person.lastName].filter(Boolean).join(' ');
+  return name ? `${name} (${person.email})` : person.email;
+}
+
+/**
+ * AdminPanel "Security" tab: every "view as user" session, who started it, why, and when it ended.
+ */
+export default function ImpersonationLog() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const res = await getImpersonationLog({ signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      if (res?.error) setError(res.message);
+      else setEntries(Array.isArray(res) ? res : res?.entries || []);
+    })();
+    return () => controller.abort();
+  }, []);
+
+  return (
+    <div style={{ border:'1px solid #eee', padding:'.75rem', marginBottom:'1rem' }}>
+      <h4>View-as-user sessions</h4>
+      {error && <div style={{ color:'red', marginBottom:'.5rem' }}>{error}</div>}
+      {loading ? (
+        <p style={{ color:'#666' }}>Loading…</p>
+      ) : entries.length === 0 ? (
+        <p style={{ color:'#666' }}>No one has viewed the app as another user yet.</p>
+      ) : (
+        <table style={{ width:'100%', borderCollapse:'collapse', fontSize:'.9rem' }}>
+          <thead>
+            <tr style={{ borderBottom:'2px solid #ddd', background:'#f5f5f5' }}>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Started</th>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Admin</th>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Viewed as</th>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Reason</th>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Changes</th>
+              <th style={{ padding:'.5rem', textAlign:'left' }}>Ended</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id} style={{ borderBottom:'1px solid #eee' }}>
+                <td style={{ padding:'.5rem' }}>{formatDateTime(entry.startedAt)}</td>
+                <td style={{ padding:'.5rem' }}>{personLabel(entry.admin)}</td>
+                <td style={{ padding:'.5rem' }}>{personLabel(entry.user)}</td>
+                <td style={{ padding:'.5rem' }}>{entry.reason}</td>
+                <td style={{ padding:'.5rem' }}>{entry.allowWrites ? 'Allowed' : 'Read-only'}</td>
+                <td style={{ padding:'.5rem', color:'#666' }}>
+                  {entry.endedAt ? formatDateTime(entry.endedAt) : `expires ${formatDateTime(entry.expiresAt)}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { getClientUsers, startImpersonation } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { beginImpersonation } from '../impersonation.js';
+
+const DURATIONS = [15, 30, 60];
+
+/**
+ * AdminPanel (Clients tab): pick one of a client's users and view the app as them for a limited time.
+ * The reason is required and goes into the audit log with the start and end of the session.
+ */
+export default function ImpersonationStart({ clientId, clientName, onClose }) {
+  const [users, setUsers] = useState(null);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [reason, setReason] = useState('');
+  const [durationMinutes, setDurationMinutes] = useState(30);
+  const [allowWrites, setAllowWrites] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const res = await getClientUsers(clientId, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      if (res?.error) setError(res.message);
+      else setUsers(Array.isArray(res) ? res : []);
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
+  async function handleStart(e) {
+    e.preventDefault();
+    setStarting(true);
+    setError(null);
+    const res = await startImpersonation(selectedUser.id, { reason: reason.trim(), durationMinutes, allowWrites });
+    if (res?.error) {
+      setStarting(false);
+      setError(res.message);
+      return;
+    }
+    const user = { ...selectedUser, clientId, roles: [selectedUser.role], ...res.user };
+    beginImpersonation({ ...res, user }, reason.trim());
+    window.location.assign('/');
+  }
+
+  return (
+    <div style={{ border:'1px solid #ddd', borderRadius:'4px', padding:'.75rem', margin:'.5rem 0 1rem 0', background:'#fafafa' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center' }}>
+        <h4 style={{ margin:0 }}>View as a user of {clientName}</h4>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+      {error && <div style={{ color:'red', margin:'.5rem 0' }}>{error}</div>}
+      {!users && !error && <p style={{ color:'#666' }}>Loading users…</p>}
+      {users && users.length === 0 && <p style={{ color:'#666' }}>This client has no users yet.</p>}
+      {users && users.length > 0 && (
+        <form onSubmit={handleStart} style={{ marginTop:'.75rem', maxWidth: 560 }}>
+          <label>User</label>
+          <select
+            value={selectedUser?.id || ''}
+            onChange={e => setSelectedUser(users.find(u => String(u.id) === e.target.value) || null)}
+            style={{ width:'100%', marginBottom:'.5rem' }}
+            required
+          >
+            <option value="">Select a user…</option>
+            {users.map(u => (
+              <option key={u.id} value={u.id}>
+                {[u.firstName, u.lastName].filter(Boolean).join(' ') || u.email} ({u.email}, {u.role})
+              </option>
+            ))}
+          </select>
+
+          <label>Reason (recorded in the audit log)</label>
+          <input
+            value={reason}
+            onChange={e => setReason(e.target.value)}
+            placeholder="e.g. Ticket 4821: report shows no rows"
+            style={{ width:'100%', marginBottom:'.5rem' }}
+            required
+            minLength={5}
+          />
+
+          <label>Duration</label>
+          <select value={durationMinutes} onChange={e => setDurationMinutes(Number(e.target.value))} style={{ width:'100%', marginBottom:'.5rem' }}>
+            {DURATIONS.map(m => <option key={m} value={m}>{m} minutes</option>)}
+          </select>
+
+          <label style={{ display:'flex', alignItems:'center', gap:'.5rem', marginBottom:'.25rem' }}>
+            <input type="checkbox" checked={allowWrites} onChange={e => setAllowWrites(e.target.checked)} />
+            Allow changes (edit, delete, send) as this user
+          </label>
+          <p style={{ fontSize:'.85rem', color:'#666', margin:'0 0 .75rem 0' }}>
+            Without this, you can look and run reports but anything that would change their data is blocked.
+          </p>
+
+          <button type="submit" disabled={starting || !selectedUser || reason.trim().length < 5}>
+            {starting ? 'Starting…' : 'Start Viewing as User'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { formatDate } from '../utils/timeFormatting.js';
+import { formatRoleLabel } from '../roles.js';
+import { INVITATION_STATUSES, invitationStatus } from '../utils/invitations.js';
+
+const STATUS_STYLES = {
+  pending: { background: '#fff4e5', color: '#b36b00', label: 'Pending' },
+  accepted: { background: '#e6f4ea', color: '#1e7e34', label: 'Account created ✓' },
+  expired: { background: '#f0f0f0', color: '#666', label: 'Expired' },
+  revoked: { background: '#ffe6e6', color: '#c41e3a', label: 'Revoked' }
+};
+
+const cell = { padding: '.5rem' };
+const smallButton = { padding: '.3rem .6rem', fontSize: '.85rem', border: 'none', borderRadius: '4px', cursor: 'pointer', color: 'white' };
+
+// YYYY-MM-DD in local time, for <input type="date">
+function dateInputValue(value) {
+  const date = value ? new Date(value) : new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Invitations with a status filter. Pending invitations can be resent, revoked or given a new expiry;
+ * an expired one can be brought back by moving its expiry forward.
+ * @param {object} props
+ * @param {object[]} props.invitations - From getInvitations() / getClientInvitations()
+ * @param {boolean} [props.loading]
+ * @param {boolean} [props.showClient] - Show the client column (AdminPanel lists every client's invitations)
+ * @param {(invitation: object) => void} props.onResend
+ * @param {(invitation: object) => void} props.onRevoke - Called after the user confirms
+ * @param {(invitation: object, expiresAt: string) => Promise<void>} props.onSetExpiry
+ */
+export default function InvitationList({ invitations, loading, showClient, onResend, onRevoke, onSetExpiry }) {
+  const [filter, setFilter] = useState('pending');
+  const [editingExpiry, setEditingExpiry] = useState(null); // { id, value }
+
+  const withStatus = invitations.map(inv => ({ ...inv, derivedStatus: invitationStatus(inv) }));
+  const counts = Object.fromEntries(INVITATION_STATUSES.map(s => [s, withStatus.filter(inv => inv.derivedStatus === s).length]));
+  const shown = filter === 'all' ? withStatus : withStatus.filter(inv => inv.derivedStatus === filter);
+  const showRole = invitations.some(inv => inv.role);
+
+  function handleRevoke(inv) {
+    if (!window.confirm(`Revoke the invitation for ${inv.email}? The link in their email stops working.`)) return;
+    onRevoke(inv);
+  }
+
+  async function handleSaveExpiry(inv) {
+    // End of the chosen day, in the user's browser timezone
+    const expiresAt = new Date(`${editingExpiry.value}T23:59:59`).toISOString();
+    await onSetExpiry(inv, expiresAt);
+    setEditingExpiry(null);
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '.35rem', flexWrap: 'wrap', marginBottom: '.75rem' }}>
+        {[...INVITATION_STATUSES, 'all'].map(status => (
+          <button
+            key={status}
+            onClick={() => setFilter(status)}
+            style={{
+              padding: '.3rem .7rem',
+              fontSize: '.85rem',
+              border: '1px solid #ccc',
+              borderRadius: '999px',
+              cursor: 'pointer',
+              background: filter === status ? '#007bff' : 'white',
+              color: filter === status ? 'white' : '#333'
+            }}
+          >
+            {status === 'all' ? `All (${invitations.length})` : `${STATUS_STYLES[status].label.replace(' ✓', '')} (${counts[status]})`}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <p>Loading invitations...</p>
+      ) : shown.length === 0 ? (
+        <p style={{ color: '#666' }}>{invitations.length === 0 ? 'No invitations sent yet.' : 'No invitations with this status.'}</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid #ddd', background: '#f5f5f5' }}>
+              <th style={{ ...cell, textAlign: 'left' }}>Email</th>
+              {showClient && <th style={{ ...cell, textAlign: 'left' }}>Client</th>}
+              {showRole && <th style={{ ...cell, textAlign: 'left' }}>Role</th>}
+              <th style={{ ...cell, textAlign: 'left' }}>Status</th>
+              <th style={{ ...cell, textAlign: 'left' }}>Sent</th>
+              <th style={{ ...cell, textAlign: 'left' }}>Expires</th>
+              <th style={{ ...cell, textAlign: 'left' }}>Accepted</th>
+              <th style={{ ...cell, textAlign: 'left' }}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(inv => {
+              const status = STATUS_STYLES[inv.derivedStatus];
+              const open = inv.derivedStatus === 'pending' || inv.derivedStatus === 'expired';
+              return (
+                <tr key={inv.id} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={cell}>{inv.email}</td>
+                  {showClient && <td style={{ ...cell, color: '#555' }}>{inv.clientName || '—'}</td>}
+                  {showRole && <td style={{ ...cell, color: '#555' }}>{inv.role ? formatRoleLabel(inv.role) : '—'}</td>}
+                  <td style={cell}>
+                    <span style={{ padding: '0 .4rem', borderRadius: '4px', fontSize: '0.9rem', background: status.background, color: status.color }}>
+                      {status.label}
+                    </span>
+                  </td>
+                  <td style={{ ...cell, color: '#555' }}>{formatDate(inv.sentAt) || '—'}</td>
+                  <td style={{ ...cell, color: '#555' }}>
+                    {editingExpiry?.id === inv.id ? (
+                      <span style={{ display: 'flex', gap: '.25rem', alignItems: 'center' }}>
+                        <input
+                          type="date"
+                          value={editingExpiry.value}
+                          min={dateInputValue()}
+                          onChange={e => setEditingExpiry({ id: inv.id, value: e.target.value })}
+                          style={{ padding: '.2rem' }}
+                        />
+                        <button
+                          onClick={() => handleSaveExpiry(inv)}
+                          disabled={!editingExpiry.value}
+                          style={{ ...smallButton, background: '#28a745' }}
+                        >
+                          Save
+                        </button>
+                        <button onClick={() => setEditingExpiry(null)} style={{ ...smallButton, background: '#6c757d' }}>Cancel</button>
+                      </span>
+                    ) : (
+                      <>
+                        {inv.derivedStatus === 'accepted' || inv.derivedStatus === 'revoked' ? '—' : (formatDate(inv.expiresAt) || 'Never')}
+                        {open && (
+                          <button
+                            onClick={() => setEditingExpiry({ id: inv.id, value: dateInputValue(inv.expiresAt && new Date(inv.expiresAt) > new Date() ? inv.expiresAt : null) })}
+                            style={{ marginLeft: '.4rem', padding: 0, border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '.85rem' }}
+                          >
+                            {inv.derivedStatus === 'expired' ? 'Extend' : 'Change'}
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </td>
+                  <td style={{ ...cell, color: '#555' }}>{formatDate(inv.acceptedAt) || '—'}</td>
+                  <td style={cell}>
+                    {inv.derivedStatus === 'pending' && (
+                      <div style={{ display: 'flex', gap: '.25rem' }}>
+                        <button onClick={() => onResend(inv)} style={{ ...smallButton, background: '#17a2b8' }}>Resend</button>
+                        <button onClick={() => handleRevoke(inv)} style={{ ...smallButton, background: '#dc3545' }}>Revoke</button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,32 @@
-import React, { useState } from 'react';
-import { login } from '../auth.js';
+import React, { useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { login, verifyMfa, startSso } from '../auth.js';
+import { clientSuspension } from '../apiError.js';
+import MfaEnrollment from './MfaEnrollment.jsx';
+import ClientSuspendedNotice from './ClientSuspendedNotice.jsx';
 
 export default function Login({ onLoginSuccess }) {
+  // Single sign-on that still needs a second factor lands here with { mfa: { mfaToken, enroll } } (see SsoCallback)
+  const location = useLocation();
+  const navigate = useNavigate();
+  const ssoMfa = location.state?.mfa;
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState(null);
+  const [suspension, setSuspension] = useState(null); // the organization is suspended: { clientName, reason }
   const [loading, setLoading] = useState(false);
+  // 'credentials' -> 'challenge' (or 'enroll' first when MFA is required but not set up); 'sso' for single sign-on
+  const [step, setStep] = useState(ssoMfa ? (ssoMfa.enroll ? 'enroll' : 'challenge') : 'credentials');
+  const [mfaToken, setMfaToken] = useState(ssoMfa?.mfaToken || null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // The mfaToken is single-use: drop it from history so a reload or the next logout starts at the credentials
+  function clearSsoMfa() {
+    if (location.state?.mfa) navigate({ pathname: location.pathname, search: location.search }, { replace: true, state: null });
+  }
+
+  useEffect(clearSsoMfa, []);
 
   async function handleSubmit(e) {
     e.preventDefault();
@@ -13,19 +34,123 @@ export default function Login({ onLoginSuccess }) {
     setError(null);
     const res = await login(email, password);
     setLoading(false);
+    setSuspension(clientSuspension(res));
     if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
-    } else if (res?.token) {
+      setError(res.message);
+    } else if (res?.mfaEnrollmentRequired) {
+      setMfaToken(res.mfaToken);
+      setStep('enroll');
+    } else if (res?.mfaRequired) {
+      setMfaToken(res.mfaToken);
+      setStep('challenge');
+    } else if (res?.token || res?.user) {
       onLoginSuccess?.(res);
     } else {
       setError('Unexpected response');
     }
   }
 
+  async function handleVerify(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    const value = code.trim();
+    const res = await verifyMfa(mfaToken, useRecoveryCode ? { recoveryCode: value } : { code: value.replace(/\s/g, '') });
+    setLoading(false);
+    setSuspension(clientSuspension(res));
+    if (res?.error) {
+      setError(res.message);
+      setCode('');
+    } else {
+      clearSsoMfa();
+      onLoginSuccess?.(res);
+    }
+  }
+
+  async function handleSso(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    const res = await startSso(email.trim());
+    // On success the browser is already on its way to the identity provider
+    if (res?.error) {
+      setLoading(false);
+      setSuspension(clientSuspension(res));
+      setError(res.message);
+    }
+  }
+
+  function backToCredentials() {
+    clearSsoMfa();
+    setStep('credentials');
+    setMfaToken(null);
+    setCode('');
+    setPassword('');
+    setUseRecoveryCode(false);
+    setError(null);
+    setSuspension(null);
+  }
+
+  if (step === 'enroll') {
+    return (
+      <div style={{ maxWidth: 360 }}>
+        <h2>Login</h2>
+        <p style={{ fontSize: '.9rem', color: '#555' }}>Your organization requires two-factor authentication for your account.</p>
+        <MfaEnrollment mfaToken={mfaToken} onComplete={() => setStep('challenge')} onCancel={backToCredentials} />
+      </div>
+    );
+  }
+
+  if (step === 'sso') {
+    return (
+      <form onSubmit={handleSso} style={{ maxWidth: 360 }}>
+        <h2>Login</h2>
+        {suspension ? <ClientSuspendedNotice suspension={suspension} /> : error && <div style={{ color:'red', marginBottom: '.5rem' }}>{error}</div>}
+        <label>Work email</label>
+        <input type="email" value={email} onChange={e=>setEmail(e.target.value)} placeholder="you@yourcompany.com" style={{ width:'100%', marginBottom: '.75rem' }} required autoFocus />
+        <button type="submit" disabled={loading}>
+          {loading ? 'Redirecting...' : 'Continue with SSO'}
+        </button>
+        <div style={{ marginTop: '.75rem', fontSize: '.9rem' }}>
+          <a onClick={backToCredentials} style={{ color: '#0078d4', cursor: 'pointer' }}>Sign in with a password instead</a>
+        </div>
+      </form>
+    );
+  }
+
+  if (step === 'challenge') {
+    return (
+      <form onSubmit={handleVerify} style={{ maxWidth: 360 }}>
+        <h2>Login</h2>
+        {suspension ? <ClientSuspendedNotice suspension={suspension} /> : error && <div style={{ color:'red', marginBottom: '.5rem' }}>{error}</div>}
+        {useRecoveryCode ? (
+          <>
+            <label>Recovery code</label>
+            <input type="text" value={code} onChange={e=>setCode(e.target.value)} autoComplete="off" style={{ width:'100%', marginBottom: '.75rem', fontFamily: 'monospace' }} required autoFocus />
+          </>
+        ) : (
+          <>
+            <label>Enter the 6-digit code from your authenticator app</label>
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" pattern="[0-9 ]{6,7}" maxLength={7} value={code} onChange={e=>setCode(e.target.value)} placeholder="123456" style={{ width:'100%', marginBottom: '.75rem', letterSpacing: '.2em' }} required autoFocus />
+          </>
+        )}
+        <button type="submit" disabled={loading || !code.trim()}>
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+        <div style={{ marginTop: '.75rem', fontSize: '.9rem', display: 'flex', justifyContent: 'space-between' }}>
+          <a onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(null); }} style={{ color: '#0078d4', cursor: 'pointer' }}>
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </a>
+          <a onClick={backToCredentials} style={{ color: '#0078d4', cursor: 'pointer' }}>Back</a>
+        </div>
+      </form>
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit} style={{ maxWidth: 360 }}>
       <h2>Login</h2>
-      {error && <div style={{ color:'red', marginBottom: '.5rem' }}>{error}</div>}
+      {suspension ? <ClientSuspendedNotice suspension={suspension} /> : error && <div style={{ color:'red', marginBottom: '.5rem' }}>{error}</div>}
       <label>Email</label>
       <input type="email" value={email} onChange={e=>setEmail(e.target.value)} placeholder="you@example.com" style={{ width:'100%', marginBottom: '.5rem' }} required />
       <label>Password</label>
@@ -33,6 +158,10 @@ export default function Login({ onLoginSuccess }) {
       <button type="submit" disabled={loading}>
         {loading ? 'Signing in...' : 'Sign In'}
       </button>
+      <div style={{ marginTop: '.75rem', fontSize: '.9rem', display: 'flex', justifyContent: 'space-between' }}>
+        <a href="/forgot-password" style={{ color: '#0078d4' }}>Forgot password?</a>
+        <a onClick={() => { setStep('sso'); setError(null); setSuspension(null); }} style={{ color: '#0078d4', cursor: 'pointer' }}>Sign in with SSO</a>
+      </div>
     </form>
   );
 }
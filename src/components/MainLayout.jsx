@@ -1,4 +1,5 @@
 import React from 'react';
+import RetryIndicator from './RetryIndicator.jsx';
 
 export default function MainLayout({ sidebar, children }) {
   return (
@@ -9,6 +10,7 @@ export default function MainLayout({ sidebar, children }) {
           {children}
         </main>
       </div>
+      <RetryIndicator />
     </div>
   );
 }
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import { startMfaEnrollment, confirmMfaEnrollment } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import RecoveryCodes from './RecoveryCodes.jsx';
+
+/**
+ * Authenticator-app enrollment: scan the QR code (or type the secret), confirm with a code,
+ * then save the recovery codes.
+ *
+ * @param {object} props
+ * @param {string} [props.mfaToken] - Enrolling during sign-in (no session yet)
+ * @param {() => void} props.onComplete - Enrolled and recovery codes acknowledged
+ * @param {() => void} [props.onCancel]
+ */
+export default function MfaEnrollment({ mfaToken = null, onComplete, onCancel }) {
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl, qrCode }
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const res = await startMfaEnrollment(mfaToken, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      if (res?.error) setError(res.message);
+      else setSetup(res);
+    })();
+    return () => controller.abort();
+  }, [mfaToken]);
+
+  async function handleConfirm(e) {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    const res = await confirmMfaEnrollment(code.replace(/\s/g, ''), mfaToken);
+    setLoading(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setRecoveryCodes(res.recoveryCodes || []);
+  }
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onComplete} />;
+  }
+
+  return (
+    <form onSubmit={handleConfirm}>
+      <h4 style={{ margin: '0 0 .5rem 0' }}>Set up two-factor authentication</h4>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem' }}>{error}</div>}
+      {loading && !setup && <p style={{ color: '#666' }}>Preparing…</p>}
+      {setup && (
+        <>
+          <p style={{ fontSize: '.9rem', color: '#555', margin: '0 0 .75rem 0' }}>
+            Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password, …), then enter the 6-digit code it shows.
+          </p>
+          {setup.qrCode && (
+            <img src={setup.qrCode} alt="QR code for your authenticator app" width={180} height={180} style={{ display: 'block', margin: '0 auto .75rem', border: '1px solid #ddd' }} />
+          )}
+          <p style={{ fontSize: '.85rem', color: '#555', margin: '0 0 .75rem 0', wordBreak: 'break-all' }}>
+            Can't scan it? Enter this key instead: <code>{setup.secret}</code>
+          </p>
+          <label>Verification code</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="[0-9 ]{6,7}"
+            maxLength={7}
+            value={code}
+            onChange={e => setCode(e.target.value)}
+            placeholder="123456"
+            style={{ width: '100%', marginBottom: '.75rem', letterSpacing: '.2em' }}
+            required
+            autoFocus
+          />
+          <button type="submit" disabled={loading || code.replace(/\s/g, '').length !== 6} style={{ width: '100%' }}>
+            {loading ? 'Verifying…' : 'Verify and enable'}
+          </button>
+        </>
+      )}
+      {onCancel && (
+        <button type="button" onClick={onCancel} style={{ width: '100%', marginTop: '.5rem', background: 'transparent', border: 'none', color: '#0078d4', cursor: 'pointer' }}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { getMfaPolicy, updateMfaPolicy } from '../api.js';
+import { isAbortError } from '../apiError.js';
+
+// Roles an administrator can require two-factor authentication for
+const MFA_ROLES = [
+  { role: 'platform_admin', label: 'Platform administrators' },
+  { role: 'business_owner', label: 'Business owners' }
+];
+
+/**
+ * AdminPanel "Security" tab: which roles must use two-factor authentication. Users in a required
+ * role who have not enrolled are walked through enrollment at their next sign-in.
+ */
+export default function MfaPolicySettings({ showToast }) {
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const res = await getMfaPolicy({ signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      if (res?.error) setError(res.message);
+      else setRequiredRoles(res.requiredRoles || []);
+    })();
+    return () => controller.abort();
+  }, []);
+
+  function toggleRole(role, checked) {
+    setRequiredRoles(current => (checked ? [...current, role] : current.filter(r => r !== role)));
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError(null);
+    const res = await updateMfaPolicy(requiredRoles);
+    setSaving(false);
+    if (res?.error) setError(res.message);
+    else showToast?.('Two-factor authentication policy saved', 'success');
+  }
+
+  return (
+    <div style={{ border:'1px solid #eee', padding:'.75rem', marginBottom:'1rem' }}>
+      <h4>Two-factor authentication</h4>
+      <p style={{ fontSize:'0.9rem', color:'#666' }}>
+        Require an authenticator-app code at sign-in. Users who have not set it up yet are asked to enroll the next time they sign in.
+      </p>
+      {error && <div style={{ color:'red', marginBottom:'.5rem' }}>{error}</div>}
+      {loading ? (
+        <p style={{ color:'#666' }}>Loading…</p>
+      ) : (
+        <>
+          {MFA_ROLES.map(({ role, label }) => (
+            <label key={role} style={{ display:'flex', alignItems:'center', gap:'.5rem', marginBottom:'.5rem' }}>
+              <input
+                type="checkbox"
+                checked={requiredRoles.includes(role)}
+                onChange={e => toggleRole(role, e.target.checked)}
+              />
+              Require for {label.toLowerCase()}
+            </label>
+          ))}
+          <button onClick={handleSave} disabled={saving}>{saving ? 'Saving…' : 'Save Policy'}</button>
+        </>
+      )}
+    </div>
+  );
+}
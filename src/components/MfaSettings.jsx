@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { getMfaStatus, regenerateRecoveryCodes, disableMfa } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import MfaEnrollment from './MfaEnrollment.jsx';
+import RecoveryCodes from './RecoveryCodes.jsx';
+
+/**
+ * The signed-in user's two-factor authentication: set it up, get new recovery codes, or turn it off
+ * (not allowed when an admin requires it for the user's role).
+ */
+export default function MfaSettings({ showToast }) {
+  const [status, setStatus] = useState(null); // { enabled, required, recoveryCodesRemaining }
+  const [error, setError] = useState(null);
+  const [mode, setMode] = useState(null); // null | 'enroll' | 'regenerate' | 'disable'
+  const [code, setCode] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [newCodes, setNewCodes] = useState(null);
+
+  async function loadStatus(signal) {
+    const res = await getMfaStatus({ signal });
+    if (isAbortError(res)) return;
+    if (res?.error) setError(res.message);
+    else {
+      setError(null);
+      setStatus(res);
+    }
+  }
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadStatus(controller.signal);
+    return () => controller.abort();
+  }, []);
+
+  function closeForm() {
+    setMode(null);
+    setCode('');
+    setError(null);
+  }
+
+  async function handleConfirmWithCode(e) {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    const value = code.replace(/\s/g, '');
+    const res = mode === 'regenerate' ? await regenerateRecoveryCodes(value) : await disableMfa(value);
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    if (mode === 'regenerate') {
+      setNewCodes(res.recoveryCodes || []);
+    } else {
+      showToast?.('Two-factor authentication turned off', 'success');
+      await loadStatus();
+    }
+    closeForm();
+  }
+
+  if (newCodes) {
+    return (
+      <div style={{ maxWidth: 420 }}>
+        <RecoveryCodes codes={newCodes} onDone={() => { setNewCodes(null); loadStatus(); }} />
+      </div>
+    );
+  }
+
+  if (mode === 'enroll') {
+    return (
+      <div style={{ maxWidth: 420 }}>
+        <MfaEnrollment
+          onComplete={() => {
+            closeForm();
+            showToast?.('Two-factor authentication turned on', 'success');
+            loadStatus();
+          }}
+          onCancel={closeForm}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ maxWidth: 520 }}>
+      <h3 style={{ marginTop: 0 }}>Two-factor authentication</h3>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem', padding: '.5rem', background: '#ffe6e6', borderRadius: '.25rem' }}>{error}</div>}
+      {!status && !error && <p style={{ color: '#666' }}>Loading…</p>}
+      {status && !status.enabled && (
+        <>
+          <p style={{ color: '#555' }}>
+            Protect your account with a code from an authenticator app in addition to your password.
+            {status.required && <strong> Your role requires it; you will be asked to set it up at your next sign-in.</strong>}
+          </p>
+          <button onClick={() => setMode('enroll')}>Set up two-factor authentication</button>
+        </>
+      )}
+      {status?.enabled && (
+        <>
+          <p style={{ color: '#2e7d32', margin: '0 0 .5rem 0' }}>✓ Two-factor authentication is on.</p>
+          {typeof status.recoveryCodesRemaining === 'number' && (
+            <p style={{ color: status.recoveryCodesRemaining <= 2 ? '#c41e3a' : '#555', margin: '0 0 1rem 0' }}>
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+          )}
+          {mode ? (
+            <form onSubmit={handleConfirmWithCode} style={{ border: '1px solid #eee', padding: '.75rem', borderRadius: '4px' }}>
+              <label>Enter a code from your authenticator app to {mode === 'regenerate' ? 'replace your recovery codes' : 'turn off two-factor authentication'}</label>
+              <input type="text" inputMode="numeric" autoComplete="one-time-code" pattern="[0-9 ]{6,7}" maxLength={7} value={code} onChange={e => setCode(e.target.value)} style={{ width: '100%', margin: '.5rem 0', letterSpacing: '.2em' }} required autoFocus />
+              <div style={{ display: 'flex', gap: '.5rem' }}>
+                <button type="submit" disabled={saving || code.replace(/\s/g, '').length !== 6}>
+                  {saving ? 'Working…' : mode === 'regenerate' ? 'Generate new codes' : 'Turn off'}
+                </button>
+                <button type="button" onClick={closeForm}>Cancel</button>
+              </div>
+            </form>
+          ) : (
+            <div style={{ display: 'flex', gap: '.5rem' }}>
+              <button onClick={() => setMode('regenerate')}>Generate new recovery codes</button>
+              <button
+                onClick={() => setMode('disable')}
+                disabled={status.required}
+                title={status.required ? 'Required for your role by your administrator' : undefined}
+              >
+                Turn off
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
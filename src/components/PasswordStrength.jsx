@@ -0,0 +1,42 @@
+import React from 'react';
+import { checkPassword, passwordStrength } from '../utils/passwordPolicy.js';
+
+const LEVELS = [
+  { label: '', color: '#ddd' },
+  { label: 'Too weak', color: '#c41e3a' },
+  { label: 'Weak', color: '#e67e22' },
+  { label: 'Good', color: '#2e7d32' },
+  { label: 'Strong', color: '#1b5e20' }
+];
+
+/**
+ * Strength meter and rule checklist shown under a new-password field.
+ * @param {object} props
+ * @param {string} props.password
+ * @param {string} [props.email] - Account email, for the "not based on your email" rule
+ */
+export default function PasswordStrength({ password, email, style }) {
+  const strength = passwordStrength(password, { email });
+  const rules = checkPassword(password, { email });
+  const level = LEVELS[strength];
+
+  return (
+    <div style={{ marginBottom: '1rem', fontSize: '0.85rem', ...style }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '.35rem' }}>
+        <div style={{ flex: 1, display: 'flex', gap: '3px' }}>
+          {[1, 2, 3, 4].map(step => (
+            <div key={step} style={{ flex: 1, height: '4px', borderRadius: '2px', background: strength >= step ? level.color : '#ddd' }} />
+          ))}
+        </div>
+        <span style={{ minWidth: '4.5rem', textAlign: 'right', color: level.color }}>{level.label}</span>
+      </div>
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+        {rules.map(rule => (
+          <li key={rule.id} style={{ color: rule.met ? '#2e7d32' : '#666' }}>
+            {rule.met ? '✓' : '○'} {rule.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from 'react';
+import {
+  getPermissionTemplates,
+  createPermissionTemplate,
+  deletePermissionTemplate,
+  getUserPermissions,
+  updateUserPermissions
+} from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { USER_PERMISSION_FIELDS } from '../permissions.js';
+
+function userName(user) {
+  return user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.email;
+}
+
+// The flags that applying the template would change for a user with these effective permissions
+function diffPermissions(effective, templatePermissions) {
+  return USER_PERMISSION_FIELDS
+    .filter(field => field.key in templatePermissions && !!effective?.[field.key] !== !!templatePermissions[field.key])
+    .map(field => ({ ...field, from: !!effective?.[field.key], to: !!templatePermissions[field.key] }));
+}
+
+const onOff = value => (value ? 'ON' : 'OFF');
+
+/**
+ * ClientPanel "Permissions" tab: named permission templates ("Office Manager", "Read-only Technician")
+ * applied to many users at once. Applying shows, per user, exactly which flags would change and saves
+ * only those.
+ * @param {object} props
+ * @param {string} props.clientId
+ * @param {object[]} props.users - Team members the template can be applied to (owners excluded)
+ * @param {object|null} [props.startFrom] - Effective permissions of the selected user, offered as a starting point
+ * @param {(userIds: string[]) => void} [props.onApplied] - Receives the users whose permissions were changed
+ */
+export default function PermissionTemplates({ clientId, users, startFrom, onApplied }) {
+  const [templates, setTemplates] = useState([]);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [draft, setDraft] = useState(null); // { name, permissions } while creating
+  const [saving, setSaving] = useState(false);
+  const [templateId, setTemplateId] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [preview, setPreview] = useState(null); // [{ user, changes, error }]
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    loadTemplates(controller.signal);
+    return () => controller.abort();
+  }, [clientId]);
+
+  async function loadTemplates(signal) {
+    const res = await getPermissionTemplates(clientId, { signal });
+    if (isAbortError(res)) return;
+    if (res?.error) setError(`Failed to load templates: ${res.message}`);
+    else setTemplates(Array.isArray(res) ? res : []);
+  }
+
+  const template = templates.find(t => String(t.id) === templateId) || null;
+
+  function startDraft(fromUser) {
+    const base = fromUser ? startFrom : {};
+    setDraft({
+      name: '',
+      permissions: Object.fromEntries(USER_PERMISSION_FIELDS.map(f => [f.key, !!base?.[f.key]]))
+    });
+    setError(null);
+  }
+
+  async function handleCreate() {
+    if (!draft.name.trim()) {
+      setError('Template name is required');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    const res = await createPermissionTemplate(clientId, { name: draft.name.trim(), permissions: draft.permissions });
+    setSaving(false);
+    if (res?.error) {
+      setError(`Failed to create template: ${res.message}`);
+      return;
+    }
+    setDraft(null);
+    await loadTemplates();
+    if (res?.id) setTemplateId(String(res.id));
+  }
+
+  async function handleDelete(t) {
+    if (!window.confirm(`Delete the template "${t.name}"? Users it was applied to keep their permissions.`)) return;
+    const res = await deletePermissionTemplate(clientId, t.id);
+    if (res?.error) {
+      setError(`Failed to delete template: ${res.message}`);
+      return;
+    }
+    if (String(t.id) === templateId) setTemplateId('');
+    setPreview(null);
+    loadTemplates();
+  }
+
+  function toggleUser(id, checked) {
+    setPreview(null);
+    setSelectedIds(ids => (checked ? [...ids, id] : ids.filter(x => x !== id)));
+  }
+
+  async function handlePreview() {
+    setWorking(true);
+    setError(null);
+    setNotice(null);
+    const chosen = users.filter(u => selectedIds.includes(u.id));
+    const rows = await Promise.all(chosen.map(async user => {
+      const perms = await getUserPermissions(clientId, user.id);
+      if (perms?.error) return { user, changes: [], error: perms.message };
+      return { user, changes: diffPermissions(perms.effective, template.permissions || {}) };
+    }));
+    setWorking(false);
+    setPreview(rows);
+  }
+
+  async function handleApply() {
+    setWorking(true);
+    setError(null);
+    const pending = preview.filter(row => !row.error && row.changes.length);
+    const failed = [];
+    const updatedIds = [];
+    // One user at a time: a 15-person branch is 15 small requests, and a failure names the user
+    for (const row of pending) {
+      const res = await updateUserPermissions(
+        clientId,
+        row.user.id,
+        Object.fromEntries(row.changes.map(change => [change.key, change.to]))
+      );
+      if (res?.error) failed.push(`${userName(row.user)}: ${res.message}`);
+      else updatedIds.push(row.user.id);
+    }
+    setWorking(false);
+    setPreview(null);
+    if (failed.length) setError(`Some users were not updated. ${failed.join('; ')}`);
+    const updated = updatedIds.length;
+    if (updated > 0) {
+      setNotice(`"${template.name}" applied to ${updated} ${updated === 1 ? 'user' : 'users'}.`);
+      setTimeout(() => setNotice(null), 3000);
+    }
+    onApplied?.(updatedIds);
+  }
+
+  const changeCount = preview ? preview.reduce((n, row) => n + row.changes.length, 0) : 0;
+  const changedUsers = preview ? preview.filter(row => row.changes.length).length : 0;
+
+  return (
+    <div style={{ borderTop: '1px solid #ddd', marginTop: '1.5rem', paddingTop: '1rem' }}>
+      <h4>Permission Templates</h4>
+      <p style={{ fontSize: '0.85rem', color: '#666', marginBottom: '1rem' }}>
+        Save a set of permissions once, then apply it to several team members at a time.
+      </p>
+
+      {error && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#ffe6e6', color: '#c41e3a', borderRadius: '4px' }}>{error}</div>}
+      {notice && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#e6f7e6', color: '#2d6e2d', borderRadius: '4px' }}>{notice}</div>}
+
+      <div style={{ display: 'flex', gap: '.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+        {templates.map(t => (
+          <span key={t.id} style={{ display: 'inline-flex', alignItems: 'center', gap: '.35rem', padding: '.3rem .6rem', background: '#f5f5f5', border: '1px solid #ddd', borderRadius: '4px', fontSize: '.9rem' }}>
+            {t.name}
+            <span style={{ color: '#888', fontSize: '.8rem' }}>
+              ({USER_PERMISSION_FIELDS.filter(f => t.permissions?.[f.key]).length}/{USER_PERMISSION_FIELDS.length})
+            </span>
+            <button onClick={() => handleDelete(t)} title="Delete template" style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#c41e3a' }}>✕</button>
+          </span>
+        ))}
+        {!draft && (
+          <>
+            <button onClick={() => startDraft(false)}>+ New Template</button>
+            {startFrom && <button onClick={() => startDraft(true)}>+ New from Selected User</button>}
+          </>
+        )}
+      </div>
+
+      {draft && (
+        <div style={{ padding: '.75rem', marginBottom: '1rem', background: '#fafafa', border: '1px solid #ddd', borderRadius: '4px' }}>
+          <label style={{ display: 'block', fontWeight: 'bold', fontSize: '.9rem', marginBottom: '.25rem' }}>Template name</label>
+          <input
+            value={draft.name}
+            onChange={e => setDraft(d => ({ ...d, name: e.target.value }))}
+            placeholder="e.g. Office Manager"
+            style={{ width: '100%', padding: '.5rem', marginBottom: '.5rem', border: '1px solid #ccc', borderRadius: '4px' }}
+          />
+          {USER_PERMISSION_FIELDS.map(field => (
+            <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '.5rem', fontSize: '.9rem', marginBottom: '.25rem' }}>
+              <input
+                type="checkbox"
+                checked={draft.permissions[field.key]}
+                onChange={e => setDraft(d => ({ ...d, permissions: { ...d.permissions, [field.key]: e.target.checked } }))}
+              />
+              {field.label}
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: '.5rem', marginTop: '.5rem' }}>
+            <button onClick={handleCreate} disabled={saving}>{saving ? 'Saving...' : 'Save Template'}</button>
+            <button onClick={() => setDraft(null)} disabled={saving}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {templates.length > 0 && (
+        <div>
+          <div style={{ display: 'flex', gap: '.5rem', alignItems: 'center', marginBottom: '.5rem' }}>
+            <label style={{ fontWeight: 'bold', fontSize: '.9rem' }}>Apply</label>
+            <select value={templateId} onChange={e => { setTemplateId(e.target.value); setPreview(null); }} style={{ padding: '.4rem' }}>
+              <option value="">Choose a template…</option>
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+            <span style={{ fontSize: '.9rem' }}>to</span>
+            <button onClick={() => { setSelectedIds(selectedIds.length === users.length ? [] : users.map(u => u.id)); setPreview(null); }}>
+              {selectedIds.length === users.length ? 'Select none' : 'Select all'}
+            </button>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '.25rem', marginBottom: '.75rem' }}>
+            {users.map(user => (
+              <label key={user.id} style={{ display: 'flex', alignItems: 'center', gap: '.4rem', fontSize: '.9rem' }}>
+                <input type="checkbox" checked={selectedIds.includes(user.id)} onChange={e => toggleUser(user.id, e.target.checked)} />
+                {userName(user)} <span style={{ color: '#888' }}>· {user.role}</span>
+              </label>
+            ))}
+          </div>
+          <button onClick={handlePreview} disabled={!template || selectedIds.length === 0 || working}>
+            {working && !preview ? 'Comparing...' : `Preview Changes for ${selectedIds.length} ${selectedIds.length === 1 ? 'User' : 'Users'}`}
+          </button>
+        </div>
+      )}
+
+      {preview && (
+        <div style={{ marginTop: '1rem', padding: '.75rem', background: '#fffdf5', border: '1px solid #ffb74d', borderRadius: '4px' }}>
+          <strong>{changeCount === 0 ? 'Nothing to change' : `${changeCount} ${changeCount === 1 ? 'change' : 'changes'} for ${changedUsers} ${changedUsers === 1 ? 'user' : 'users'}`}</strong>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', margin: '.5rem 0' }}>
+            <tbody>
+              {preview.map(row => (
+                <tr key={row.user.id} style={{ borderBottom: '1px solid #eee', verticalAlign: 'top' }}>
+                  <td style={{ padding: '.35rem', fontWeight: 'bold', whiteSpace: 'nowrap' }}>{userName(row.user)}</td>
+                  <td style={{ padding: '.35rem' }}>
+                    {row.error ? (
+                      <span style={{ color: '#c41e3a' }}>Could not load permissions: {row.error}</span>
+                    ) : row.changes.length === 0 ? (
+                      <span style={{ color: '#888' }}>Already matches</span>
+                    ) : (
+                      row.changes.map(change => (
+                        <div key={change.key}>
+                          {change.label}: <span style={{ color: change.from ? '#28a745' : '#dc3545' }}>{onOff(change.from)}</span>
+                          {' → '}
+                          <strong style={{ color: change.to ? '#28a745' : '#dc3545' }}>{onOff(change.to)}</strong>
+                        </div>
+                      ))
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', gap: '.5rem' }}>
+            <button onClick={handleApply} disabled={working || changeCount === 0} style={{ background: '#28a745', color: 'white', border: 'none', padding: '.4rem .8rem', borderRadius: '4px', cursor: 'pointer' }}>
+              {working ? 'Saving...' : 'Apply Changes'}
+            </button>
+            <button onClick={() => setPreview(null)} disabled={working}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { getMyProfile, updateMyProfile, getMyPreferences, updateMyPreferences } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { DATE_FORMATS, DEFAULT_PREFERENCES, browserTimeZone, getPreferences, setPreferences } from '../preferences.js';
+import { formatDate, formatTime, timeOfDay } from '../utils/timeFormatting.js';
+import FieldError from './FieldError.jsx';
+
+const NOTIFICATION_OPTIONS = [
+  { key: 'scheduleFailures', label: 'A scheduled report fails to run or send' },
+  { key: 'scheduleResults', label: 'A copy of every scheduled report I own' },
+  { key: 'invitationAccepted', label: 'Someone accepts an invitation I sent' },
+  { key: 'productUpdates', label: 'Product news and feature announcements' }
+];
+
+const sectionStyle = { border: '1px solid #eee', borderRadius: '4px', padding: '.75rem', marginBottom: '1rem' };
+const inputStyle = { width: '100%', marginBottom: '.5rem', padding: '.5rem', boxSizing: 'border-box' };
+
+function timeZoneOptions() {
+  try {
+    return Intl.supportedValuesOf('timeZone');
+  } catch {
+    return [browserTimeZone()];
+  }
+}
+
+/**
+ * The signed-in user's profile (name, email) and preferences (notifications, timezone, time and date
+ * format, default client and landing view). Preferences are saved on the server and cached by preferences.js.
+ *
+ * @param {object} props
+ * @param {Array<{clientId: string, clientName: string}>} props.tenants - Clients the user can open by default
+ * @param {Array<{key: string, title: string}>} props.views - Views the user can land on
+ */
+export default function ProfileSettings({ tenants = [], views = [], showToast }) {
+  const [profile, setProfile] = useState(null); // { firstName, lastName, email, pendingEmail }
+  const [prefs, setPrefs] = useState(getPreferences);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [savingPrefs, setSavingPrefs] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const [profileRes, prefsRes] = await Promise.all([
+        getMyProfile({ signal: controller.signal }),
+        getMyPreferences({ signal: controller.signal })
+      ]);
+      if (isAbortError(profileRes) || isAbortError(prefsRes)) return;
+      setLoading(false);
+      if (profileRes?.error) setError(profileRes.message);
+      else setProfile(profileRes);
+      if (prefsRes?.error) {
+        setError(prefsRes.message);
+      } else {
+        setPreferences(prefsRes);
+        setPrefs(getPreferences());
+      }
+    })();
+    return () => controller.abort();
+  }, []);
+
+  async function handleSaveProfile(e) {
+    e.preventDefault();
+    setSavingProfile(true);
+    setError(null);
+    setFieldErrors({});
+    const res = await updateMyProfile({
+      firstName: profile.firstName.trim(),
+      lastName: profile.lastName.trim(),
+      email: profile.email.trim()
+    });
+    setSavingProfile(false);
+    if (res?.error) {
+      setError(res.message);
+      setFieldErrors(res.fieldErrors || {});
+      return;
+    }
+    setProfile(res);
+    showToast?.(res.pendingEmail ? `Profile saved. Check ${res.pendingEmail} to confirm your new email.` : 'Profile saved', 'success');
+  }
+
+  async function handleSavePreferences(e) {
+    e.preventDefault();
+    setSavingPrefs(true);
+    setError(null);
+    const res = await updateMyPreferences(prefs);
+    setSavingPrefs(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setPreferences(res);
+    setPrefs(getPreferences());
+    showToast?.('Preferences saved', 'success');
+  }
+
+  const setNotification = (key, value) => setPrefs(p => ({ ...p, notifications: { ...p.notifications, [key]: value } }));
+  const sampleDate = new Date();
+  const sampleTime = timeOfDay(sampleDate);
+
+  if (loading) return <p style={{ color: '#666' }}>Loading…</p>;
+
+  return (
+    <div style={{ maxWidth: 520, marginBottom: '2rem' }}>
+      <h3 style={{ marginTop: 0 }}>Profile</h3>
+      {error && <div style={{ color: 'red', marginBottom: '.5rem', padding: '.5rem', background: '#ffe6e6', borderRadius: '.25rem' }}>{error}</div>}
+
+      {profile && (
+        <form onSubmit={handleSaveProfile} style={sectionStyle}>
+          <div style={{ display: 'flex', gap: '.5rem' }}>
+            <div style={{ flex: 1 }}>
+              <label>First name</label>
+              <input value={profile.firstName || ''} onChange={e => setProfile({ ...profile, firstName: e.target.value })} style={inputStyle} required />
+              <FieldError errors={fieldErrors} name="firstName" style={{ marginTop: '-0.25rem', marginBottom: '.5rem' }} />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label>Last name</label>
+              <input value={profile.lastName || ''} onChange={e => setProfile({ ...profile, lastName: e.target.value })} style={inputStyle} required />
+              <FieldError errors={fieldErrors} name="lastName" style={{ marginTop: '-0.25rem', marginBottom: '.5rem' }} />
+            </div>
+          </div>
+          <label>Email</label>
+          <input type="email" value={profile.email || ''} onChange={e => setProfile({ ...profile, email: e.target.value })} style={inputStyle} required />
+          <FieldError errors={fieldErrors} name="email" style={{ marginTop: '-0.25rem', marginBottom: '.5rem' }} />
+          {profile.pendingEmail && (
+            <p style={{ fontSize: '.85rem', color: '#b36b00', margin: '0 0 .5rem 0' }}>
+              Waiting for you to confirm {profile.pendingEmail}. Until then you sign in with {profile.email}.
+            </p>
+          )}
+          <button type="submit" disabled={savingProfile}>{savingProfile ? 'Saving…' : 'Save Profile'}</button>
+        </form>
+      )}
+
+      <form onSubmit={handleSavePreferences}>
+        <div style={sectionStyle}>
+          <h4 style={{ margin: '0 0 .5rem 0' }}>Email me when</h4>
+          {NOTIFICATION_OPTIONS.map(({ key, label }) => (
+            <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '.35rem' }}>
+              <input type="checkbox" checked={!!prefs.notifications[key]} onChange={e => setNotification(key, e.target.checked)} />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div style={sectionStyle}>
+          <h4 style={{ margin: '0 0 .5rem 0' }}>Display</h4>
+          <label>Timezone</label>
+          <select value={prefs.timezone} onChange={e => setPrefs({ ...prefs, timezone: e.target.value })} style={inputStyle}>
+            <option value="">Browser default ({browserTimeZone()})</option>
+            {timeZoneOptions().map(tz => <option key={tz} value={tz}>{tz.replace(/_/g, ' ')}</option>)}
+          </select>
+          <p style={{ fontSize: '.85rem', color: '#666', margin: '-.25rem 0 .5rem 0' }}>Schedule times are entered and shown in this timezone.</p>
+
+          <label>Time format</label>
+          <div style={{ display: 'flex', gap: '1rem', marginBottom: '.5rem' }}>
+            {['12h', '24h'].map(format => (
+              <label key={format} style={{ display: 'flex', alignItems: 'center', gap: '.35rem' }}>
+                <input type="radio" name="timeFormat" checked={prefs.timeFormat === format} onChange={() => setPrefs({ ...prefs, timeFormat: format })} />
+                {formatTime(sampleTime.hour, sampleTime.minute, format)}
+              </label>
+            ))}
+          </div>
+
+          <label>Date format</label>
+          <select value={prefs.dateFormat} onChange={e => setPrefs({ ...prefs, dateFormat: e.target.value })} style={inputStyle}>
+            {DATE_FORMATS.map(format => <option key={format} value={format}>{format}</option>)}
+          </select>
+          <p style={{ fontSize: '.85rem', color: '#666', margin: '-.25rem 0 .5rem 0' }}>
+            Today is shown as {formatDate(sampleDate)} with your saved settings.
+          </p>
+        </div>
+
+        <div style={sectionStyle}>
+          <h4 style={{ margin: '0 0 .5rem 0' }}>After signing in</h4>
+          {tenants.length > 1 && (
+            <>
+              <label>Open client</label>
+              <select value={prefs.defaultTenantId || ''} onChange={e => setPrefs({ ...prefs, defaultTenantId: e.target.value })} style={inputStyle}>
+                <option value="">First available</option>
+                {tenants.map(t => <option key={t.clientId} value={t.clientId}>{t.clientName}</option>)}
+              </select>
+            </>
+          )}
+          <label>Start on</label>
+          <select value={prefs.defaultView || DEFAULT_PREFERENCES.defaultView} onChange={e => setPrefs({ ...prefs, defaultView: e.target.value })} style={inputStyle}>
+            {views.map(v => <option key={v.key} value={v.key}>{v.title}</option>)}
+          </select>
+        </div>
+
+        <button type="submit" disabled={savingPrefs}>{savingPrefs ? 'Saving…' : 'Save Preferences'}</button>
+      </form>
+    </div>
+  );
+}
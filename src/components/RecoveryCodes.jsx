@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+
+/**
+ * One-time display of freshly generated recovery codes. The user has to confirm they saved them
+ * before continuing; the server never shows them again.
+ */
+export default function RecoveryCodes({ codes, onDone }) {
+  const [saved, setSaved] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div>
+      <h4 style={{ margin: '0 0 .5rem 0' }}>Save your recovery codes</h4>
+      <p style={{ fontSize: '.9rem', color: '#555', margin: '0 0 .75rem 0' }}>
+        Each code signs you in once if you lose access to your authenticator app. Store them somewhere safe. They will not be shown again.
+      </p>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '.25rem .75rem', padding: '.75rem', background: '#f5f5f5', border: '1px solid #ddd', borderRadius: '4px', fontFamily: 'monospace', fontSize: '.95rem', marginBottom: '.75rem' }}>
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div style={{ display: 'flex', gap: '.5rem', marginBottom: '.75rem' }}>
+        <button type="button" onClick={handleCopy}>{copied ? 'Copied' : 'Copy'}</button>
+        <button type="button" onClick={handleDownload}>Download</button>
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '.75rem', fontSize: '.9rem' }}>
+        <input type="checkbox" checked={saved} onChange={e => setSaved(e.target.checked)} />
+        I have saved my recovery codes
+      </label>
+      <button type="button" disabled={!saved} onClick={onDone} style={{ width: '100%' }}>
+        Continue
+      </button>
+    </div>
+  );
+}
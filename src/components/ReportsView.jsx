@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import { getReportAcl, updateReportAcl } from '../api.js';
 import ReportChart from './ReportChart.jsx';
 import ScheduleModal from './ScheduleModal.jsx';
+import Can from './Can.jsx';
+import { useCan } from '../hooks/useCan.js';
+import { hasAccess } from '../permissions.js';
+import AclEditor, { REPORT_SHARE_LEVELS } from './AclEditor.jsx';
+import SharedWith from './SharedWith.jsx';
 import { formatDateTime as formatDisplayDateTime } from '../utils/timeFormatting.js';
 
 export default function ReportsView({
@@ -33,10 +39,6 @@ export default function ReportsView({
   editReportName,
   editReportConnectionId,
   editReportSqlQuery,
-  canManageConnections,
-  canCreateReports,
-  canEditReports,
-  canDeleteReports,
   onTenantChange,
   onRefreshReports,
   onRunReport,
@@ -68,7 +70,9 @@ export default function ReportsView({
   currentUserId,
   userRole
 }) {
+  const can = useCan();
   const [scheduleModalOpen, setScheduleModalOpen] = useState(null); // reportId when open
+  const [sharingReportId, setSharingReportId] = useState(null);
 
   const formatRunDateTime = (value) => formatDisplayDateTime(value) || 'Never';
 
@@ -241,7 +245,7 @@ export default function ReportsView({
       
       {tenantId && (
         <>
-          {canManageConnections && (
+          {can('connections.manage') && (
             <div style={{ display: 'flex', gap: '1rem', marginBottom: '1rem', borderBottom: '2px solid #dee2e6' }}>
               <button
                 onClick={() => onSetReportsTab('reports')}
@@ -280,7 +284,7 @@ export default function ReportsView({
 
           {reportsTab === 'reports' && (
             <>
-              {canCreateReports && (
+              {can('reports.create') && (
                 <div style={{ marginBottom: '1.5rem', padding: '1rem', background: '#f0f8ff', border: '1px solid #b0d4ff', borderRadius: '4px' }}>
                   <h4 style={{ marginTop: 0 }}>Create New Report</h4>
                   <div style={{ display: 'flex', gap: '.5rem', marginBottom: '1rem' }}>
@@ -311,7 +315,7 @@ export default function ReportsView({
        
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1.5rem', marginBottom: '1rem' }}>
                 <h3 style={{ margin: 0 }}>Reports</h3>
-                <button onClick={onRefreshReports} style={{ padding: '.4rem .8rem', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Refresh</button>
+                <button onClick={() => onRefreshReports(tenantId, { reload: true })} style={{ padding: '.4rem .8rem', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Refresh</button>
               </div>
               <div style={{ marginTop: '1rem' }}>
                 {reports.map(r => {
@@ -378,12 +382,13 @@ export default function ReportsView({
                           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
                             <div>
                               <strong>{r.name}</strong> <em style={{ color: '#666' }}>({r.status})</em>
+                              <SharedWith sharing={r.sharing} />
                               {r.connectionId && <div style={{ fontSize: '.85em', color: '#666', marginTop: '.25rem' }}>Connection: {r.connectionId}</div>}
                             </div>
                             <div style={{ display: 'flex', gap: '.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
-                              {(canEditReports() || canDeleteReports()) && (
+                              {(can('reports.edit') || can('reports.delete')) && (
                                 <div style={{ display: 'flex', gap: '.5rem' }}>
-                                  {canEditReports() && (
+                                  {hasAccess(r, 'edit') && <Can permission="reports.edit">
                                     <button
                                       onClick={() => onStartEditingReport(r)}
                                       title="Edit report"
@@ -399,7 +404,7 @@ export default function ReportsView({
                                     >
                                       ✎ Edit
                                     </button>
-                                  )}
+                                  </Can>}
                                   <button
                                     onClick={() => setScheduleModalOpen(r.id)}
                                     title="Schedule this report to be emailed automatically"
@@ -415,7 +420,24 @@ export default function ReportsView({
                                   >
                                     📅 Schedule
                                   </button>
-                                  {canDeleteReports() && (
+                                  {hasAccess(r, 'edit') && <Can permission="reports.edit">
+                                    <button
+                                      onClick={() => setSharingReportId(sharingReportId === r.id ? null : r.id)}
+                                      title="Choose who can see this report"
+                                      style={{
+                                        padding: '.4rem .6rem',
+                                        background: '#6f42c1',
+                                        color: 'white',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '1rem'
+                                      }}
+                                    >
+                                      👥 Share
+                                    </button>
+                                  </Can>}
+                                  {hasAccess(r, 'edit') && <Can permission="reports.delete">
                                     <button
                                       onClick={() => onDeleteClick(r.id)}
                                       disabled={deletingReportId === r.id}
@@ -433,11 +455,25 @@ export default function ReportsView({
                                     >
                                       {deletingReportId === r.id ? '⏳' : '🗑 Delete'}
                                     </button>
-                                  )}
+                                  </Can>}
                                 </div>
                               )}
                             </div>
                           </div>
+                          {sharingReportId === r.id && (
+                            <AclEditor
+                              title={`Share "${r.name}"`}
+                              clientId={tenantId}
+                              levels={REPORT_SHARE_LEVELS}
+                              load={opts => getReportAcl(r.id, opts)}
+                              save={acl => updateReportAcl(r.id, acl)}
+                              onClose={() => setSharingReportId(null)}
+                              onSaved={() => {
+                                showToast?.(`Sharing for "${r.name}" saved`, 'success');
+                                onRefreshReports();
+                              }}
+                            />
+                          )}
 
                           {(() => {
                             if (expandedResultsReportId === r.id) return null;
@@ -524,6 +560,9 @@ export default function ReportsView({
         <ScheduleModal
           reportId={scheduleModalOpen}
           reportName={reports.find(r => r.id === scheduleModalOpen)?.name || 'Unknown Report'}
+          clientId={tenantId}
+          clientName={clients.find(c => String(c.clientId) === String(tenantId))?.clientName
+            || assignments.find(a => String(a.clientId) === String(tenantId))?.clientName}
           onClose={() => setScheduleModalOpen(null)}
           showToast={showToast}
           currentUserId={currentUserId}
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { checkPasswordResetToken, resetPassword } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { passwordError } from '../utils/passwordPolicy.js';
+import PasswordStrength from './PasswordStrength.jsx';
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [checking, setChecking] = useState(true);
+  const [invalidLink, setInvalidLink] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (!token) {
+      setInvalidLink('Missing reset token');
+      setChecking(false);
+      return;
+    }
+    const controller = new AbortController();
+    (async () => {
+      const res = await checkPasswordResetToken(token, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setChecking(false);
+      if (res?.error) setInvalidLink(res.status === 404 || res.status === 410 ? 'This reset link is invalid or has expired.' : res.message);
+      else setEmail(res.email || '');
+    })();
+    return () => controller.abort();
+  }, [token]);
+
+  async function handleReset(e) {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    const policyError = passwordError(password, { email });
+    if (policyError) {
+      setError(policyError);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    const res = await resetPassword(token, password);
+    setLoading(false);
+    if (res?.error) {
+      setError(res.fieldErrors?.password || res.message);
+      return;
+    }
+    setSuccess(true);
+  }
+
+  const pageStyle = { fontFamily: 'system-ui', padding: '1.5rem', maxWidth: '400px', margin: '2rem auto' };
+
+  if (success) {
+    return (
+      <div style={pageStyle}>
+        <h2>Password Changed</h2>
+        <p>Your password has been reset and you've been signed out everywhere else. You can now <a href="/">log in</a>.</p>
+      </div>
+    );
+  }
+
+  if (checking) {
+    return <div style={pageStyle}><p>Checking your reset link…</p></div>;
+  }
+
+  if (invalidLink) {
+    return (
+      <div style={pageStyle}>
+        <h2>Reset Password</h2>
+        <div style={{ color:'red', marginBottom:'.5rem' }}>{invalidLink}</div>
+        <p><a href="/forgot-password">Request a new link</a></p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={pageStyle}>
+      <h2>Choose a New Password</h2>
+      {email && <p style={{ fontSize: '0.9rem', color: '#666' }}>For {email}</p>}
+      {error && <div style={{ color:'red', marginBottom:'.5rem' }}>{error}</div>}
+      <form onSubmit={handleReset}>
+        <label>New Password</label>
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoComplete="new-password"
+          style={{ width:'100%', marginBottom:'.5rem', padding:'.5rem' }}
+          required
+          autoFocus
+        />
+        <PasswordStrength password={password} email={email} />
+        <label>Confirm Password</label>
+        <input
+          type="password"
+          value={confirmPassword}
+          onChange={e => setConfirmPassword(e.target.value)}
+          autoComplete="new-password"
+          style={{ width:'100%', marginBottom:'.75rem', padding:'.5rem' }}
+          required
+        />
+        <button type="submit" disabled={loading}>
+          {loading ? 'Saving...' : 'Reset Password'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react';
+import { subscribeRetries } from '../api.js';
+
+/**
+ * Small banner shown while api.js is backing off before retrying failed requests.
+ */
+export default function RetryIndicator() {
+  const [pending, setPending] = useState([]);
+
+  useEffect(() => subscribeRetries(setPending), []);
+
+  if (pending.length === 0) return null;
+
+  const latest = pending[pending.length - 1];
+  const label = pending.length === 1
+    ? `retrying… (attempt ${latest.attempt} of ${latest.retries})`
+    : `retrying ${pending.length} requests…`;
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: '#fff4e5',
+        color: '#b36b00',
+        border: '1px solid #ffc107',
+        borderRadius: '6px',
+        padding: '.5rem 1rem',
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 9998,
+        fontSize: '.9rem'
+      }}
+    >
+      ⟳ Connection problem, {label}
+    </div>
+  );
+}
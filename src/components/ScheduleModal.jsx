@@ -1,8 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { getSchedules, createSchedule, updateSchedule, deleteSchedule, getScheduleExecutions } from '../api.js';
-import { convertToUTC, convertFromUTC, formatTimeDisplay, formatDateTime } from '../utils/timeFormatting.js';
+import { getSchedules, createSchedule, updateSchedule, deleteSchedule, getScheduleExecutions, getEmailTemplates } from '../api.js';
+import { optimisticListChange } from '../utils/optimistic.js';
+import { convertToUTC, convertFromUTC, formatTimeDisplay, formatDate, formatDateTime, formatHour } from '../utils/timeFormatting.js';
+import { getTimeZone } from '../preferences.js';
 import AuditTrail from './AuditTrail.jsx';
 import TabNav from './TabNav.jsx';
+import FieldError from './FieldError.jsx';
+import DraftRestoreBanner from './DraftRestoreBanner.jsx';
+import { useDraft } from '../hooks/useDraft.js';
+import { useLiveEvent } from '../hooks/useLiveEvent.js';
+import { useSavedResults } from '../hooks/useSavedResults.js';
+import { templateForSchedule } from '../utils/emailTemplates.js';
+import EmailTemplatePreview from './EmailTemplatePreview.jsx';
 
 // Execution Log Component
 function ExecutionLogContent({ scheduleId, showToast }) {
@@ -12,15 +21,21 @@ function ExecutionLogContent({ scheduleId, showToast }) {
   useEffect(() => {
     loadExecutions();
   }, [scheduleId]);
+
+  // New runs appear as they finish
+  useLiveEvent(['scheduleExecuted', 'reconnected'], data => {
+    if (data.scheduleId == null || String(data.scheduleId) === String(scheduleId)) loadExecutions({ background: true });
+  });
   
-  const loadExecutions = async () => {
+  const loadExecutions = async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       const data = await getScheduleExecutions(scheduleId);
+      if (data?.error) throw data;
       setExecutions(data.executions || []);
     } catch (err) {
       console.error('Failed to load execution history:', err);
-      showToast?.('Failed to load execution history', 'error');
+      showToast?.(err, 'error');
     } finally {
       setLoading(false);
     }
@@ -80,7 +95,7 @@ function ExecutionLogContent({ scheduleId, showToast }) {
   );
 }
 
-export default function ScheduleModal({ reportId, reportName, userEmail, onClose, showToast, currentUserId, userRole }) {
+export default function ScheduleModal({ reportId, reportName, clientId, clientName, userEmail, onClose, showToast, currentUserId, userRole }) {
   const [schedules, setSchedules] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadError, setLoadError] = useState('');
@@ -89,6 +104,10 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
   const [expandedScheduleId, setExpandedScheduleId] = useState(null);
   const [detailTab, setDetailTab] = useState('execution'); // 'execution' or 'changes'
   const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [emailTemplates, setEmailTemplates] = useState([]);
+  const [showEmailPreview, setShowEmailPreview] = useState(false);
+  const savedResults = useSavedResults(showEmailPreview ? reportId : null);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -98,26 +117,47 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
     hour: 9,
     minute: 0,
     recipients: [userEmail || ''],
+    templateId: '',
     enabled: true
   });
 
+  // Half-filled forms are kept as a draft so they survive a session expiry
+  const draft = useDraft(
+    `schedule-form:${reportId}`,
+    { view, scheduleId: selectedSchedule?.id ?? null, formData },
+    view !== 'list'
+  );
+
   useEffect(() => {
     loadSchedules();
   }, [reportId]);
 
+  // The client's email templates; without them schedules send the plain email
+  useEffect(() => {
+    if (!clientId) return undefined;
+    const controller = new AbortController();
+    (async () => {
+      const res = await getEmailTemplates(clientId, { signal: controller.signal });
+      if (Array.isArray(res)) setEmailTemplates(res);
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
   const loadSchedules = async () => {
     try {
       setLoading(true);
       setLoadError('');
-      const data = await getSchedules(reportId, true);
+      const data = await getSchedules(reportId, true, {
+        onUpdate: fresh => setSchedules(fresh.schedules || [])
+      });
       if (data?.error) {
-        throw new Error(data.body || data.error);
+        throw data;
       }
       setSchedules(data.schedules || []);
     } catch (err) {
       console.error('Failed to load schedules:', err);
-      showToast?.('Failed to load schedules', 'error');
-      setLoadError('Failed to load schedules. Please try again.');
+      showToast?.(err, 'error');
+      setLoadError(`Failed to load schedules. ${err.message || 'Please try again.'}`);
     } finally {
       setLoading(false);
     }
@@ -128,9 +168,11 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
     
     const validRecipients = formData.recipients.filter(r => r.trim() && r.includes('@'));
     if (validRecipients.length === 0) {
+      setFieldErrors({ recipients: 'Please add at least one valid email recipient' });
       showToast?.('Please add at least one valid email recipient', 'error');
       return;
     }
+    setFieldErrors({});
 
     try {
       const payload = {
@@ -138,8 +180,9 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
         name: selectedSchedule ? selectedSchedule.name : `${reportName || 'Report'} Schedule`,
         frequency: formData.frequency,
         timeOfDay: convertToUTC(parseInt(formData.hour), parseInt(formData.minute)),
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timezone: getTimeZone(),
         recipients: validRecipients,
+        templateId: formData.templateId || null,
         emailSecurityLevel: 'database_only'
       };
 
@@ -157,10 +200,8 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
       }
 
       if (result?.error) {
-        const message = result.body
-          ? (() => { try { return JSON.parse(result.body).error || result.body; } catch { return result.body; } })()
-          : result.error;
-        showToast?.(message || 'Failed to save schedule', 'error');
+        setFieldErrors(result.fieldErrors || {});
+        showToast?.(result, 'error');
         return;
       }
 
@@ -183,7 +224,7 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
     try {
       const result = await deleteSchedule(scheduleId);
       if (result?.error) {
-        showToast?.('Failed to delete schedule', 'error');
+        showToast?.(result, 'error');
         return;
       }
       showToast?.('Schedule deleted successfully', 'success');
@@ -204,20 +245,28 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
       hour,
       minute,
       recipients: schedule.recipients?.length ? schedule.recipients : [userEmail || ''],
+      templateId: schedule.templateId != null ? String(schedule.templateId) : '',
       enabled: schedule.isEnabled
     });
     setView('edit');
   };
 
+  // Flip the switch immediately; put it back if the server rejects the change
   const handleToggleEnabled = async (schedule) => {
+    const isEnabled = !schedule.isEnabled;
     try {
-      const result = await updateSchedule(schedule.id, { isEnabled: !schedule.isEnabled });
+      const result = await optimisticListChange(
+        schedules,
+        setSchedules,
+        schedule.id,
+        s => ({ ...s, isEnabled }),
+        () => updateSchedule(schedule.id, { isEnabled })
+      );
       if (result?.error) {
-        showToast?.('Failed to update schedule', 'error');
+        showToast?.(`Could not ${isEnabled ? 'enable' : 'disable'} schedule: ${result.message}`, 'error');
         return;
       }
-      showToast?.(`Schedule ${!schedule.isEnabled ? 'enabled' : 'disabled'}`, 'success');
-      await loadSchedules();
+      showToast?.(`Schedule ${isEnabled ? 'enabled' : 'disabled'}`, 'success');
     } catch (err) {
       console.error('Failed to toggle schedule:', err);
       showToast?.('Failed to update schedule', 'error');
@@ -232,9 +281,22 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
       hour: 9,
       minute: 0,
       recipients: [userEmail || ''],
+      templateId: '',
       enabled: true
     });
     setSelectedSchedule(null);
+    setFieldErrors({});
+    setShowEmailPreview(false);
+    draft.discard();
+  };
+
+  const restoreDraft = () => {
+    const data = draft.restore();
+    if (!data) return;
+    const schedule = data.scheduleId ? schedules.find(s => s.id === data.scheduleId) : null;
+    setSelectedSchedule(schedule || null);
+    setFormData(data.formData);
+    setView(schedule ? 'edit' : 'create');
   };
 
   const addRecipient = () => {
@@ -365,6 +427,15 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
               </div>
             ) : (
               <>
+                {draft.pending && (
+                  <DraftRestoreBanner
+                    theme="dark"
+                    message={draft.pending.data.scheduleId ? 'You have unsaved changes to a schedule.' : 'You have an unsaved new schedule.'}
+                    savedAt={draft.pending.savedAt}
+                    onRestore={restoreDraft}
+                    onDiscard={draft.discard}
+                  />
+                )}
                 <button
                   onClick={() => { 
                     setSelectedSchedule(null);
@@ -461,6 +532,11 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                               <div style={{ fontSize: '1.125rem', lineHeight: '1.6', color: '#d1d5db', marginBottom: '0.25rem' }}>
                                 Recipients: {schedule.recipients?.join(', ') || 'None'}
                               </div>
+                              {emailTemplates.length > 0 && (
+                                <div style={{ fontSize: '1rem', color: '#9ca3af', marginBottom: '0.25rem' }}>
+                                  Email template: {templateForSchedule(emailTemplates, schedule.templateId)?.name || 'Plain email'}
+                                </div>
+                              )}
                               <div style={{ fontSize: '1rem', color: '#9ca3af' }}>
                                 Next run: {formatNextRun(schedule.nextRunAt)}
                               </div>
@@ -679,6 +755,7 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                   <option value="semi_annually">Semi-Annually</option>
                   <option value="annually">Annually</option>
                 </select>
+                <FieldError errors={fieldErrors} name="frequency" />
               </div>
 
               {/* Day of Week (weekly) */}
@@ -709,6 +786,7 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                     <option value="6">Saturday</option>
                     <option value="0">Sunday</option>
                   </select>
+                  <FieldError errors={fieldErrors} name="dayOfWeek" />
                 </div>
               )}
 
@@ -736,13 +814,14 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                       <option key={day} value={day}>{day}</option>
                     ))}
                   </select>
+                  <FieldError errors={fieldErrors} name="dayOfMonth" />
                 </div>
               )}
 
               {/* Time */}
               <div>
                 <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '1rem', fontWeight: '500' }}>
-                  Time (your local timezone) *
+                  Time ({getTimeZone().replace(/_/g, ' ')}) *
                 </label>
                 <div style={{ display: 'flex', gap: '0.5rem' }}>
                   <select
@@ -761,7 +840,7 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                   >
                     {Array.from({ length: 24 }, (_, i) => i).map(hour => (
                       <option key={hour} value={hour}>
-                        {hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`}
+                        {formatHour(hour)}
                       </option>
                     ))}
                   </select>
@@ -785,6 +864,7 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                     <option value="45">:45</option>
                   </select>
                 </div>
+                <FieldError errors={fieldErrors} name="timeOfDay" />
               </div>
 
               {/* Recipients */}
@@ -844,8 +924,79 @@ export default function ScheduleModal({ reportId, reportName, userEmail, onClose
                 >
                   + Add Recipient
                 </button>
+                <FieldError errors={fieldErrors} name="recipients" />
               </div>
 
+              {/* Email template */}
+              {clientId && (
+                <div>
+                  <label style={{ display: 'block', marginBottom: '0.5rem', fontSize: '1rem', fontWeight: '500' }}>
+                    Email Template
+                  </label>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <select
+                      value={formData.templateId || ''}
+                      onChange={(e) => setFormData({ ...formData, templateId: e.target.value })}
+                      style={{
+                        flex: 1,
+                        padding: '0.5rem',
+                        background: '#2a2a2a',
+                        border: '1px solid #444',
+                        borderRadius: '4px',
+                        color: '#fff',
+                        fontSize: '1rem'
+                      }}
+                    >
+                      <option value="">
+                        {emailTemplates.some(t => t.isDefault) ? `Default (${emailTemplates.find(t => t.isDefault).name})` : 'Plain email (no template)'}
+                      </option>
+                      {emailTemplates.map(t => (
+                        <option key={t.id} value={String(t.id)}>{t.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => setShowEmailPreview(!showEmailPreview)}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#374151',
+                        border: 'none',
+                        borderRadius: '4px',
+                        color: '#fff',
+                        fontSize: '1rem',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {showEmailPreview ? 'Hide Preview' : 'Preview Email'}
+                    </button>
+                  </div>
+                  {emailTemplates.length === 0 && (
+                    <div style={{ marginTop: '0.25rem', fontSize: '0.875rem', color: '#9ca3af' }}>
+                      Branded templates are set up under Settings → Email Templates.
+                    </div>
+                  )}
+                  <FieldError errors={fieldErrors} name="templateId" />
+                  {showEmailPreview && (
+                    <div style={{ marginTop: '0.5rem', color: '#222' }}>
+                      {savedResults.loading ? (
+                        <div style={{ color: '#9ca3af' }}>Loading saved results...</div>
+                      ) : (
+                        <EmailTemplatePreview
+                          template={templateForSchedule(emailTemplates, formData.templateId)}
+                          values={{
+                            reportName: reportName || 'Report',
+                            runDate: formatDate(new Date()),
+                            rowCount: savedResults.data ? savedResults.data.rows.length : 0,
+                            clientName: clientName || ''
+                          }}
+                          data={savedResults.data}
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Submit Buttons */}
               <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
                 <button
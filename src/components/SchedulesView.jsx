@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { getSchedules, createSchedule, updateSchedule, deleteSchedule, getScheduleExecutions } from '../api.js';
-import { convertToUTC, convertFromUTC, formatTimeDisplay, formatDateTime } from '../utils/timeFormatting.js';
+import { optimisticListChange } from '../utils/optimistic.js';
+import { convertToUTC, convertFromUTC, formatTimeDisplay, formatDateTime, formatHour } from '../utils/timeFormatting.js';
+import { getTimeZone } from '../preferences.js';
 
 export default function SchedulesView({ tenantId, showToast }) {
   const [schedules, setSchedules] = useState([]);
@@ -36,7 +38,9 @@ export default function SchedulesView({ tenantId, showToast }) {
   const loadSchedules = async () => {
     try {
       setLoading(true);
-      const data = await getSchedules();
+      const data = await getSchedules(undefined, true, {
+        onUpdate: fresh => setSchedules(fresh.schedules || [])
+      });
       setSchedules(data.schedules || []);
     } catch (err) {
       console.error('Failed to load schedules:', err);
@@ -89,7 +93,7 @@ export default function SchedulesView({ tenantId, showToast }) {
         name: formData.name || 'Schedule',
         frequency: formData.frequency,
         timeOfDay: convertToUTC(parseInt(formData.hour), parseInt(formData.minute)),
-        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timezone: getTimeZone(),
         recipients: validRecipients,
         isEnabled: formData.enabled,
         emailSecurityLevel: 'database_only'
@@ -111,10 +115,7 @@ export default function SchedulesView({ tenantId, showToast }) {
       }
 
       if (result?.error) {
-        const message = result.body
-          ? (() => { try { return JSON.parse(result.body).error || result.body; } catch { return result.body; } })()
-          : result.error;
-        showToast?.(message || 'Failed to save schedule', 'error');
+        showToast?.(result, 'error');
         return;
       }
 
@@ -138,7 +139,7 @@ export default function SchedulesView({ tenantId, showToast }) {
     try {
       const result = await deleteSchedule(scheduleId);
       if (result?.error) {
-        showToast?.('Failed to delete schedule', 'error');
+        showToast?.(result, 'error');
         return;
       }
       showToast?.('Schedule deleted successfully', 'success');
@@ -166,15 +167,22 @@ export default function SchedulesView({ tenantId, showToast }) {
     setShowCreateForm(true);
   };
 
+  // Flip the switch immediately; put it back if the server rejects the change
   const handleToggleEnabled = async (schedule) => {
+    const isEnabled = !schedule.isEnabled;
     try {
-      const result = await updateSchedule(schedule.id, { isEnabled: !schedule.isEnabled });
+      const result = await optimisticListChange(
+        schedules,
+        setSchedules,
+        schedule.id,
+        s => ({ ...s, isEnabled }),
+        () => updateSchedule(schedule.id, { isEnabled })
+      );
       if (result?.error) {
-        showToast?.('Failed to update schedule', 'error');
+        showToast?.(`Could not ${isEnabled ? 'enable' : 'disable'} schedule: ${result.message}`, 'error');
         return;
       }
-      showToast?.(`Schedule ${!schedule.isEnabled ? 'enabled' : 'disabled'}`, 'success');
-      loadSchedules();
+      showToast?.(`Schedule ${isEnabled ? 'enabled' : 'disabled'}`, 'success');
     } catch (err) {
       console.error('Failed to toggle schedule:', err);
       showToast?.('Failed to update schedule', 'error');
@@ -423,7 +431,7 @@ export default function SchedulesView({ tenantId, showToast }) {
             {/* Time */}
             <div>
               <label className="block text-sm font-medium text-gray-300 mb-2">
-                Time (your local timezone) *
+                Time ({getTimeZone().replace(/_/g, ' ')}) *
               </label>
               <div className="grid grid-cols-2 gap-4">
                 <select
@@ -434,7 +442,7 @@ export default function SchedulesView({ tenantId, showToast }) {
                 >
                   {Array.from({ length: 24 }, (_, i) => i).map(hour => (
                     <option key={hour} value={hour}>
-                      {hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`}
+                      {formatHour(hour)}
                     </option>
                   ))}
                 </select>
@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getSessionExpiry, extendSession, EXPIRY_WARNING_MS } from '../auth.js';
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Countdown shown shortly before the access token expires when it was not renewed silently
+ * (the user was idle, or the server would not refresh it). "Stay signed in" extends the session;
+ * when the countdown runs out `onExpired` is called. Unsaved form drafts are kept either way.
+ *
+ * @param {object} props
+ * @param {() => void} props.onSignOut - Sign out now
+ * @param {() => void} props.onExpired - The session ran out without being extended
+ */
+export default function SessionExpiryDialog({ onSignOut, onExpired }) {
+  const [now, setNow] = useState(Date.now());
+  const [extending, setExtending] = useState(false);
+  const [extendFailed, setExtendFailed] = useState(false);
+  const expiredRef = useRef(false);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const expiry = getSessionExpiry();
+  const remaining = expiry ? expiry - now : Infinity;
+
+  useEffect(() => {
+    if (remaining > 0) {
+      expiredRef.current = false;
+      return;
+    }
+    if (expiredRef.current) return;
+    expiredRef.current = true;
+    onExpired();
+  }, [remaining, onExpired]);
+
+  useEffect(() => {
+    if (remaining > EXPIRY_WARNING_MS) setExtendFailed(false);
+  }, [remaining]);
+
+  if (remaining > EXPIRY_WARNING_MS || remaining <= 0) return null;
+
+  const handleStaySignedIn = async () => {
+    setExtending(true);
+    const extended = await extendSession();
+    setExtending(false);
+    setExtendFailed(!extended);
+    setNow(Date.now());
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10001
+    }}>
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-expiry-title"
+        aria-describedby="session-expiry-message"
+        style={{
+          background: 'white',
+          borderRadius: '8px',
+          padding: '1.5rem 2rem',
+          maxWidth: '420px',
+          width: '90%',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.3)'
+        }}
+      >
+        <h3 id="session-expiry-title" style={{ margin: '0 0 .75rem 0' }}>Your session is about to expire</h3>
+        <p id="session-expiry-message" style={{ margin: '0 0 1rem 0', color: '#444' }}>
+          You will be signed out in{' '}
+          <strong aria-live="polite">{formatCountdown(remaining)}</strong>.
+          {' '}Unsaved report and schedule changes are kept and can be restored after you sign back in.
+        </p>
+        {extendFailed && (
+          <p style={{ margin: '0 0 1rem 0', color: '#c41e3a' }}>
+            Your session could not be extended. Sign in again to continue.
+          </p>
+        )}
+        <div style={{ display: 'flex', gap: '.5rem', justifyContent: 'flex-end' }}>
+          <button
+            onClick={onSignOut}
+            style={{ padding: '.5rem 1rem', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            {extendFailed ? 'Sign in again' : 'Sign out'}
+          </button>
+          {!extendFailed && (
+            <button
+              onClick={handleStaySignedIn}
+              disabled={extending}
+              autoFocus
+              style={{ padding: '.5rem 1rem', background: '#0078d4', color: 'white', border: 'none', borderRadius: '4px', cursor: extending ? 'not-allowed' : 'pointer', opacity: extending ? 0.6 : 1 }}
+            >
+              {extending ? 'Extending…' : 'Stay signed in'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * "Shared with" indicator for a restricted report or connection (the server's `sharing` field).
+ * Renders nothing for resources everyone in the client can see.
+ */
+export default function SharedWith({ sharing }) {
+  if (!sharing?.restricted) return null;
+  const people = sharing.sharedWith || [];
+  const names = people.map(p => `${p.name || p.email} (${p.access})`).join('\n');
+  return (
+    <span
+      title={names ? `Shared with:\n${names}` : 'Only owners and administrators'}
+      style={{ fontSize: '.8rem', color: '#6b4e00', background: '#fff4cc', border: '1px solid #f0d68a', borderRadius: '10px', padding: '.05rem .5rem', marginLeft: '.5rem', whiteSpace: 'nowrap' }}
+    >
+      🔒 {people.length ? `Shared with ${people.length} ${people.length === 1 ? 'person' : 'people'}` : 'Owners only'}
+    </span>
+  );
+}
@@ -1,12 +1,5 @@
 import React, { useState, useEffect } from 'react';
-
-function formatRoleLabel(value) {
-  if (!value) return 'Unknown';
-  return String(value)
-    .split('_')
-    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-    .join(' ');
-}
+import { actingRoleOptions, formatRoleLabel } from '../roles.js';
 
 export default function Sidebar({ role, roles, actingRole, onActingRoleChange, tenantId, tenantOptions, onTenantChange, navItems, currentNav, onNavSelect, onLogout }) {
   const [isCollapsed, setIsCollapsed] = useState(() => {
@@ -19,6 +12,8 @@ export default function Sidebar({ role, roles, actingRole, onActingRoleChange, t
     localStorage.setItem('sidebarCollapsed', isCollapsed);
   }, [isCollapsed]);
 
+  const roleOptions = actingRoleOptions(roles);
+
   return (
     <>
       {/* Mobile overlay backdrop */}
@@ -95,7 +90,7 @@ export default function Sidebar({ role, roles, actingRole, onActingRoleChange, t
               <small style={{ color: '#666' }}>Primary Role</small>
               <div><strong>{formatRoleLabel(role)}</strong></div>
             </div>
-            {Array.isArray(roles) && roles.length > 1 && (
+            {roleOptions.length > 1 && (
               <div>
                 <small style={{ color: '#666' }}>Acting As</small>
                 <select 
@@ -103,7 +98,7 @@ export default function Sidebar({ role, roles, actingRole, onActingRoleChange, t
                   onChange={e => onActingRoleChange(e.target.value)} 
                   style={{ width: '100%', padding: '.25rem' }}
                 >
-                  {roles.map(r => <option key={r} value={r}>{formatRoleLabel(r)}</option>)}
+                  {roleOptions.map(r => <option key={r} value={r}>{formatRoleLabel(r)}</option>)}
                 </select>
               </div>
             )}
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { signup, checkHasUsers } from '../api.js';
+import FieldError from './FieldError.jsx';
+import PasswordStrength from './PasswordStrength.jsx';
+import { passwordError, PASSWORD_MIN_LENGTH } from '../utils/passwordPolicy.js';
 
 export default function Signup({ onSignupSuccess }) {
   const [email, setEmail] = useState('');
@@ -9,6 +12,7 @@ export default function Signup({ onSignupSuccess }) {
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
   const [responseData, setResponseData] = useState(null);
@@ -17,6 +21,7 @@ export default function Signup({ onSignupSuccess }) {
   const [inviteClientId, setInviteClientId] = useState(null);
   const [inviteClientName, setInviteClientName] = useState('');
   const [invitationToken, setInvitationToken] = useState(null);
+  const [setUpMfa, setSetUpMfa] = useState(false);
 
   useEffect(() => {
     // Check URL parameters for invitation token OR legacy invitation link
@@ -54,13 +59,15 @@ export default function Signup({ onSignupSuccess }) {
       return;
     }
     
-    if (isFirstUser && password && password.length < 6) {
-      setError('Password must be at least 6 characters');
+    const policyError = isFirstUser ? passwordError(password, { email: email.trim() }) : null;
+    if (policyError) {
+      setError(policyError);
       return;
     }
     
     setLoading(true);
     setError(null);
+    setFieldErrors({});
     
     // Always send companyName; for legacy clientId flows keep clientId flag; for token flows backend will use companyName when clientId is absent
     const companyOrClient = inviteClientId || companyName.trim();
@@ -71,12 +78,14 @@ export default function Signup({ onSignupSuccess }) {
       companyOrClient,
       isFirstUser ? password : undefined,
       invitationToken ? false : (inviteClientId ? true : false),  // isClientId flag
-      invitationToken  // Pass token if available
+      invitationToken,  // Pass token if available
+      setUpMfa
     );
     setLoading(false);
     
     if (res?.error) {
-      setError(res.error + (res.body ? `: ${res.body}` : ''));
+      setError(res.message);
+      setFieldErrors(res.fieldErrors || {});
     } else if (res?.message) {
       setSuccess(true);
       setResponseData(res);
@@ -103,6 +112,11 @@ export default function Signup({ onSignupSuccess }) {
             ? 'As the first user, your account is automatically verified. You can now log in. Please remember to set up email settings in the admin panel.' 
             : 'Please check your email to verify your account and set a password.'}
         </p>
+        {setUpMfa && (
+          <p style={{ fontSize: '0.9rem', color: '#666' }}>
+            The first time you sign in you'll scan a QR code with your authenticator app to finish setting up two-factor authentication.
+          </p>
+        )}
       </div>
     );
   }
@@ -133,6 +147,7 @@ export default function Signup({ onSignupSuccess }) {
         }}
         disabled={!!inviteClientId}
       />
+      <FieldError errors={fieldErrors} name="companyName" style={{ marginTop: '-0.75rem', marginBottom: '1rem' }} />
       {inviteClientId && (
         <p style={{ fontSize: '0.8rem', color: '#666', marginTop: '-0.75rem', marginBottom: '1rem', fontStyle: 'italic' }}>
           You've been invited to join {inviteClientName}
@@ -148,6 +163,7 @@ export default function Signup({ onSignupSuccess }) {
         style={{ width: '100%', marginBottom: '1rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
         required
       />
+      <FieldError errors={fieldErrors} name="firstName" style={{ marginTop: '-0.75rem', marginBottom: '1rem' }} />
 
       <label style={{ display: 'block', marginBottom: '.25rem', fontWeight: 'bold' }}>Last Name</label>
       <input 
@@ -158,6 +174,7 @@ export default function Signup({ onSignupSuccess }) {
         style={{ width: '100%', marginBottom: '1rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
         required
       />
+      <FieldError errors={fieldErrors} name="lastName" style={{ marginTop: '-0.75rem', marginBottom: '1rem' }} />
 
       <label style={{ display: 'block', marginBottom: '.25rem', fontWeight: 'bold' }}>Email</label>
       <input 
@@ -168,6 +185,7 @@ export default function Signup({ onSignupSuccess }) {
         style={{ width: '100%', marginBottom: '1rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
         required
       />
+      <FieldError errors={fieldErrors} name="email" style={{ marginTop: '-0.75rem', marginBottom: '1rem' }} />
 
       {isFirstUser && (
         <>
@@ -176,11 +194,14 @@ export default function Signup({ onSignupSuccess }) {
             type="password" 
             value={password} 
             onChange={e => setPassword(e.target.value)} 
-            placeholder="At least 6 characters"
-            style={{ width: '100%', marginBottom: '1rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
+            placeholder={`At least ${PASSWORD_MIN_LENGTH} characters`}
+            autoComplete="new-password"
+            style={{ width: '100%', marginBottom: '.5rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
             required
-            minLength={6}
+            minLength={PASSWORD_MIN_LENGTH}
           />
+          <FieldError errors={fieldErrors} name="password" style={{ marginTop: '0', marginBottom: '.5rem' }} />
+          <PasswordStrength password={password} email={email.trim()} />
 
           <label style={{ display: 'block', marginBottom: '.25rem', fontWeight: 'bold' }}>Confirm Password</label>
           <input 
@@ -188,9 +209,9 @@ export default function Signup({ onSignupSuccess }) {
             value={confirmPassword} 
             onChange={e => setConfirmPassword(e.target.value)} 
             placeholder="Re-enter password"
+            autoComplete="new-password"
             style={{ width: '100%', marginBottom: '1.5rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
             required
-            minLength={6}
           />
         </>
       )}
@@ -201,6 +222,11 @@ export default function Signup({ onSignupSuccess }) {
         </p>
       )}
 
+      <label style={{ display: 'flex', alignItems: 'center', gap: '.5rem', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+        <input type="checkbox" checked={setUpMfa} onChange={e => setSetUpMfa(e.target.checked)} />
+        Set up two-factor authentication when I first sign in
+      </label>
+
       <button 
         type="submit" 
         disabled={loading}
@@ -0,0 +1,46 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { completeSso } from '../auth.js';
+import { clientSuspension } from '../apiError.js';
+import ClientSuspendedNotice from './ClientSuspendedNotice.jsx';
+
+// Landing page for the identity provider's redirect: finish the sign-in, then open the app
+export default function SsoCallback() {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  const [suspension, setSuspension] = useState(null);
+  const started = useRef(false); // the one-time code can only be exchanged once
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    (async () => {
+      const res = await completeSso(searchParams);
+      if (res?.error) {
+        setSuspension(clientSuspension(res));
+        setError(res.message);
+        return;
+      }
+      // A second factor is still needed; the login page takes over at its challenge (or enrollment) step
+      const mfa = res?.mfaRequired || res?.mfaEnrollmentRequired
+        ? { mfaToken: res.mfaToken, enroll: !!res.mfaEnrollmentRequired }
+        : undefined;
+      navigate('/', { replace: true, state: mfa && { mfa } });
+    })();
+  }, [searchParams, navigate]);
+
+  return (
+    <div style={{ fontFamily: 'system-ui', padding: '1.5rem', maxWidth: '400px', margin: '2rem auto' }}>
+      {error ? (
+        <>
+          <h2>Single sign-on failed</h2>
+          {suspension ? <ClientSuspendedNotice suspension={suspension} /> : <div style={{ color:'red', marginBottom:'.5rem' }}>{error}</div>}
+          <p><a href="/">Back to login</a></p>
+        </>
+      ) : (
+        <p>Signing you in…</p>
+      )}
+    </div>
+  );
+}
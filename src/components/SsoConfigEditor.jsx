@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react';
+import { getClientSsoConfig, updateClientSsoConfig, testClientSsoConfig } from '../api.js';
+import { isAbortError } from '../apiError.js';
+
+const EMPTY_CONFIG = {
+  enabled: false,
+  protocol: 'oidc',
+  emailDomains: [],
+  defaultRole: 'viewer',
+  oidc: { issuer: '', clientId: '', scopes: 'openid email profile' },
+  saml: { entryPoint: '', issuer: '', certificate: '' },
+  callbackUrl: ''
+};
+
+// Role given to users created on their first single sign-on
+const DEFAULT_ROLES = [
+  { role: 'viewer', label: 'Viewer' },
+  { role: 'delegate', label: 'Delegate' }
+];
+
+const fieldStyle = { width: '100%', marginBottom: '.5rem' };
+
+/**
+ * Per-client identity provider settings (AdminPanel, Clients tab). Users whose email domain is listed
+ * get the "Sign in with SSO" redirect to this provider.
+ */
+export default function SsoConfigEditor({ clientId, clientName, onClose, showToast }) {
+  const [config, setConfig] = useState(EMPTY_CONFIG);
+  const [domainsText, setDomainsText] = useState('');
+  const [clientSecret, setClientSecret] = useState(''); // write-only; blank keeps the stored secret
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null); // { ok, message }
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      const res = await getClientSsoConfig(clientId, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      // 404 means SSO was never configured for this client; start from the blank form
+      if (res?.error && res.status !== 404) {
+        setError(res.message);
+        return;
+      }
+      if (!res?.error) {
+        const loaded = {
+          ...EMPTY_CONFIG,
+          ...res,
+          oidc: { ...EMPTY_CONFIG.oidc, ...res.oidc },
+          saml: { ...EMPTY_CONFIG.saml, ...res.saml }
+        };
+        if (Array.isArray(loaded.oidc.scopes)) loaded.oidc.scopes = loaded.oidc.scopes.join(' ');
+        setConfig(loaded);
+        setDomainsText((loaded.emailDomains || []).join(', '));
+      }
+    })();
+    return () => controller.abort();
+  }, [clientId]);
+
+  function setOidc(field, value) {
+    setConfig(c => ({ ...c, oidc: { ...c.oidc, [field]: value } }));
+  }
+
+  function setSaml(field, value) {
+    setConfig(c => ({ ...c, saml: { ...c.saml, [field]: value } }));
+  }
+
+  function buildPayload() {
+    const { callbackUrl, ...rest } = config;
+    const payload = {
+      ...rest,
+      emailDomains: domainsText.split(/[\s,]+/).map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean),
+      oidc: { ...config.oidc, scopes: config.oidc.scopes.split(/\s+/).filter(Boolean) }
+    };
+    if (config.protocol === 'oidc' && clientSecret) payload.oidc.clientSecret = clientSecret;
+    return payload;
+  }
+
+  async function handleTest() {
+    setTesting(true);
+    setTestResult(null);
+    const res = await testClientSsoConfig(clientId, buildPayload());
+    setTesting(false);
+    if (res?.error) setTestResult({ ok: false, message: res.message });
+    else setTestResult({ ok: true, message: res.message || 'The identity provider responded correctly.' });
+  }
+
+  async function handleSave(e) {
+    e.preventDefault();
+    const payload = buildPayload();
+    if (payload.enabled && payload.emailDomains.length === 0) {
+      setError('Add at least one email domain before enabling single sign-on.');
+      return;
+    }
+    setSaving(true);
+    setError(null);
+    const res = await updateClientSsoConfig(clientId, payload);
+    setSaving(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    setClientSecret('');
+    if (res?.callbackUrl) setConfig(c => ({ ...c, callbackUrl: res.callbackUrl }));
+    showToast?.(`Single sign-on settings saved for ${clientName}`, 'success');
+  }
+
+  return (
+    <div style={{ border:'1px solid #ddd', borderRadius:'4px', padding:'.75rem', margin:'.5rem 0 1rem 0', background:'#fafafa' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center' }}>
+        <h4 style={{ margin:0 }}>Single sign-on: {clientName}</h4>
+        <button type="button" onClick={onClose}>Close</button>
+      </div>
+      {error && <div style={{ color:'red', margin:'.5rem 0' }}>{error}</div>}
+      {loading ? (
+        <p style={{ color:'#666' }}>Loading…</p>
+      ) : (
+        <form onSubmit={handleSave} style={{ marginTop:'.75rem', maxWidth: 560 }}>
+          <label style={{ display:'flex', alignItems:'center', gap:'.5rem', marginBottom:'.75rem' }}>
+            <input type="checkbox" checked={config.enabled} onChange={e => setConfig(c => ({ ...c, enabled: e.target.checked }))} />
+            Enable single sign-on for this client
+          </label>
+
+          <label>Protocol</label>
+          <select value={config.protocol} onChange={e => { setConfig(c => ({ ...c, protocol: e.target.value })); setTestResult(null); }} style={fieldStyle}>
+            <option value="oidc">OpenID Connect</option>
+            <option value="saml">SAML 2.0</option>
+          </select>
+
+          <label>Email domains</label>
+          <input value={domainsText} onChange={e => setDomainsText(e.target.value)} placeholder="acme.com, acme.co.uk" style={fieldStyle} />
+
+          <label>Role for new users</label>
+          <select value={config.defaultRole} onChange={e => setConfig(c => ({ ...c, defaultRole: e.target.value }))} style={fieldStyle}>
+            {DEFAULT_ROLES.map(({ role, label }) => <option key={role} value={role}>{label}</option>)}
+          </select>
+
+          {config.protocol === 'oidc' ? (
+            <>
+              <label>Issuer URL</label>
+              <input type="url" value={config.oidc.issuer} onChange={e => setOidc('issuer', e.target.value)} placeholder="https://login.example.com" style={fieldStyle} required={config.enabled} />
+              <label>Client ID</label>
+              <input value={config.oidc.clientId} onChange={e => setOidc('clientId', e.target.value)} style={fieldStyle} required={config.enabled} />
+              <label>Client secret</label>
+              <input type="password" value={clientSecret} onChange={e => setClientSecret(e.target.value)} placeholder="Leave blank to keep the current secret" autoComplete="new-password" style={fieldStyle} />
+              <label>Scopes</label>
+              <input value={config.oidc.scopes} onChange={e => setOidc('scopes', e.target.value)} style={fieldStyle} />
+            </>
+          ) : (
+            <>
+              <label>IdP sign-on URL</label>
+              <input type="url" value={config.saml.entryPoint} onChange={e => setSaml('entryPoint', e.target.value)} placeholder="https://idp.example.com/saml/sso" style={fieldStyle} required={config.enabled} />
+              <label>IdP entity ID</label>
+              <input value={config.saml.issuer} onChange={e => setSaml('issuer', e.target.value)} style={fieldStyle} required={config.enabled} />
+              <label>IdP signing certificate (PEM)</label>
+              <textarea value={config.saml.certificate} onChange={e => setSaml('certificate', e.target.value)} rows={5} placeholder="-----BEGIN CERTIFICATE-----" style={{ ...fieldStyle, fontFamily:'monospace', fontSize:'.8rem' }} required={config.enabled} />
+            </>
+          )}
+
+          {config.callbackUrl && (
+            <p style={{ fontSize:'.85rem', color:'#555', wordBreak:'break-all' }}>
+              {config.protocol === 'oidc' ? 'Redirect URI' : 'Assertion consumer service URL'} to register with the provider: <code>{config.callbackUrl}</code>
+            </p>
+          )}
+
+          {testResult && (
+            <div style={{ color: testResult.ok ? '#2e7d32' : 'red', marginBottom:'.5rem' }}>{testResult.message}</div>
+          )}
+          <div style={{ display:'flex', gap:'.5rem' }}>
+            <button type="button" onClick={handleTest} disabled={testing}>{testing ? 'Testing…' : 'Test Connection'}</button>
+            <button type="submit" disabled={saving}>{saving ? 'Saving…' : 'Save'}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
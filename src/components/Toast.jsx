@@ -1,6 +1,6 @@
 import React, { useEffect } from 'react';
 
-export default function Toast({ message, type = 'success', duration = 3000, onClose }) {
+export default function Toast({ message, requestId, type = 'success', duration = 3000, onClose }) {
   useEffect(() => {
     const timer = setTimeout(() => {
       onClose();
@@ -39,7 +39,12 @@ export default function Toast({ message, type = 'success', duration = 3000, onCl
       }}
     >
       <span style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{style.icon}</span>
-      <span style={{ flex: 1 }}>{message}</span>
+      <span style={{ flex: 1 }}>
+        {message}
+        {requestId && (
+          <small style={{ display: 'block', marginTop: '.25rem', opacity: 0.8 }}>Reference: {requestId}</small>
+        )}
+      </span>
       <button
         onClick={onClose}
         style={{
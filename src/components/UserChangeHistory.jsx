@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { getUserAuditLogs } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { formatDateTime } from '../utils/timeFormatting.js';
+
+const ACTION_LABELS = {
+  USER_INVITED: 'Invited',
+  USER_ROLE_CHANGED: 'Changed role',
+  USER_DEACTIVATED: 'Deactivated',
+  USER_REACTIVATED: 'Reactivated',
+  USER_REMOVED: 'Removed',
+  USER_PERMISSIONS_CHANGED: 'Changed permissions',
+  OWNERSHIP_TRANSFERRED: 'Transferred ownership',
+  SCHEDULE_REASSIGNED: 'Reassigned schedule'
+};
+
+function describe(details) {
+  if (!details) return null;
+  const parts = [];
+  if (details.fromRole && details.toRole) parts.push(`${details.fromRole} → ${details.toRole}`);
+  if (details.scheduleName) parts.push(`"${details.scheduleName}"${details.newOwnerEmail ? ` to ${details.newOwnerEmail}` : ' paused'}`);
+  if (details.reason) parts.push(`Reason: ${details.reason}`);
+  return parts.join(' · ');
+}
+
+/**
+ * ClientPanel "Users" tab: who changed which user and why (role changes, deactivation, removal,
+ * ownership transfers). `refreshKey` reloads the list after a change made in the panel.
+ */
+export default function UserChangeHistory({ clientId, refreshKey }) {
+  const [logs, setLogs] = useState([]);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    (async () => {
+      setLoading(true);
+      const res = await getUserAuditLogs(clientId, days, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setLoading(false);
+      if (res?.error) setError(res.message);
+      else {
+        setError(null);
+        setLogs(res.logs || []);
+      }
+    })();
+    return () => controller.abort();
+  }, [clientId, days, refreshKey]);
+
+  return (
+    <div style={{ marginTop: '2rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h4>User Change History</h4>
+        <select value={days} onChange={e => setDays(parseInt(e.target.value, 10))} style={{ padding: '.3rem' }}>
+          <option value="7">Last 7 days</option>
+          <option value="30">Last 30 days</option>
+          <option value="90">Last 90 days</option>
+          <option value="365">Last year</option>
+        </select>
+      </div>
+      {error && <div style={{ color: '#c41e3a', marginBottom: '.5rem' }}>{error}</div>}
+      {loading ? (
+        <p style={{ color: '#666' }}>Loading...</p>
+      ) : logs.length === 0 ? (
+        <p style={{ color: '#666' }}>No changes in this period.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem' }}>
+          <tbody>
+            {logs.map((log, i) => (
+              <tr key={log.id || i} style={{ borderBottom: '1px solid #eee' }}>
+                <td style={{ padding: '.4rem', whiteSpace: 'nowrap', color: '#666' }}>{formatDateTime(log.timestamp)}</td>
+                <td style={{ padding: '.4rem' }}>{log.user?.name || log.user?.email || 'System'}</td>
+                <td style={{ padding: '.4rem' }}><strong>{ACTION_LABELS[log.action] || log.action}</strong> {log.targetUser?.email}</td>
+                <td style={{ padding: '.4rem', color: '#555' }}>{describe(log.details)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
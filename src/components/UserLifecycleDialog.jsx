@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from 'react';
+import {
+  changeClientUserRole,
+  getClientUserSchedules,
+  deactivateClientUser,
+  reactivateClientUser,
+  removeClientUser,
+  transferClientOwnership
+} from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { formatRoleLabel } from '../roles.js';
+
+// Roles an owner can give a team member (ownership moves only through a transfer)
+const ASSIGNABLE_ROLES = ['delegate', 'viewer'];
+
+const PAUSE = '';
+
+function userName(user) {
+  return user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.email;
+}
+
+const TITLES = {
+  role: 'Change role',
+  deactivate: 'Deactivate user',
+  reactivate: 'Reactivate user',
+  remove: 'Remove user',
+  transfer: 'Transfer ownership'
+};
+
+/**
+ * Confirmation for one ClientPanel lifecycle action on one user. The reason is optional and goes to the
+ * client's audit log with the change. Deactivating lists the schedules the user owns so each can be
+ * handed to another active user or paused.
+ * @param {object} props
+ * @param {string} props.clientId
+ * @param {object} props.user
+ * @param {'role'|'deactivate'|'reactivate'|'remove'|'transfer'} props.action
+ * @param {object[]} props.users - Everyone in the client (candidates for schedule reassignment)
+ * @param {() => void} props.onClose
+ * @param {(message: string) => void} props.onDone
+ */
+export default function UserLifecycleDialog({ clientId, user, action, users, onClose, onDone }) {
+  const [reason, setReason] = useState('');
+  const [role, setRole] = useState(ASSIGNABLE_ROLES.find(r => r !== user.role) || ASSIGNABLE_ROLES[0]);
+  const [schedules, setSchedules] = useState(action === 'deactivate' ? null : []);
+  const [scheduleOwners, setScheduleOwners] = useState({});
+  const [confirmText, setConfirmText] = useState('');
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const name = userName(user);
+  const candidates = users.filter(u => u.id !== user.id && u.active !== false && u.role !== 'viewer');
+
+  useEffect(() => {
+    if (action !== 'deactivate') return;
+    const controller = new AbortController();
+    (async () => {
+      const res = await getClientUserSchedules(clientId, user.id, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      if (res?.error) {
+        setError(`Could not load ${name}'s schedules: ${res.message}`);
+        setSchedules([]);
+        return;
+      }
+      const list = Array.isArray(res) ? res : res?.schedules || [];
+      setSchedules(list);
+      // Default every schedule to the business owner, so nothing silently stops sending
+      const owner = users.find(u => u.role === 'business_owner' && u.id !== user.id);
+      setScheduleOwners(Object.fromEntries(list.map(s => [s.id, owner ? owner.id : PAUSE])));
+    })();
+    return () => controller.abort();
+  }, [action, clientId, user.id]);
+
+  async function handleConfirm() {
+    setWorking(true);
+    setError(null);
+    const why = reason.trim() || undefined;
+    let res;
+    let message;
+    switch (action) {
+      case 'role':
+        res = await changeClientUserRole(clientId, user.id, role, why);
+        message = `${name} is now a ${formatRoleLabel(role).toLowerCase()}`;
+        break;
+      case 'deactivate': {
+        const owners = Object.fromEntries(Object.entries(scheduleOwners).map(([id, owner]) => [id, owner || null]));
+        res = await deactivateClientUser(clientId, user.id, { reason: why, scheduleOwners: owners });
+        message = `${name} was deactivated`;
+        break;
+      }
+      case 'reactivate':
+        res = await reactivateClientUser(clientId, user.id, why);
+        message = `${name} was reactivated`;
+        break;
+      case 'remove':
+        res = await removeClientUser(clientId, user.id, why);
+        message = `${name} was removed`;
+        break;
+      case 'transfer':
+        res = await transferClientOwnership(clientId, user.id, why);
+        message = `${name} is now the business owner`;
+        break;
+      default:
+        return;
+    }
+    setWorking(false);
+    if (res?.error) {
+      setError(res.message);
+      return;
+    }
+    onDone(message);
+  }
+
+  const needsTypedConfirmation = action === 'remove' || action === 'transfer';
+  const confirmDisabled = working
+    || schedules === null
+    || (action === 'role' && role === user.role)
+    || (needsTypedConfirmation && confirmText.trim().toLowerCase() !== user.email.toLowerCase());
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10000
+    }}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-lifecycle-title"
+        style={{
+          background: 'white',
+          borderRadius: '8px',
+          padding: '1.5rem 2rem',
+          maxWidth: '520px',
+          width: '90%',
+          maxHeight: '85vh',
+          overflowY: 'auto',
+          boxShadow: '0 4px 20px rgba(0,0,0,0.3)'
+        }}
+      >
+        <h3 id="user-lifecycle-title" style={{ margin: '0 0 .75rem 0' }}>{TITLES[action]}: {name}</h3>
+        {error && <div style={{ padding: '.5rem', marginBottom: '.75rem', background: '#ffe6e6', color: '#c41e3a', borderRadius: '4px' }}>{error}</div>}
+
+        {action === 'role' && (
+          <>
+            <p style={{ margin: '0 0 .75rem 0', color: '#444' }}>
+              {name} is currently a <strong>{formatRoleLabel(user.role).toLowerCase()}</strong>. Their permission overrides are kept.
+            </p>
+            <label style={{ display: 'block', fontWeight: 'bold', fontSize: '.9rem', marginBottom: '.25rem' }}>New role</label>
+            <select value={role} onChange={e => setRole(e.target.value)} style={{ padding: '.4rem', marginBottom: '.75rem' }}>
+              {ASSIGNABLE_ROLES.map(r => <option key={r} value={r}>{formatRoleLabel(r)}</option>)}
+            </select>
+          </>
+        )}
+
+        {action === 'deactivate' && (
+          <>
+            <p style={{ margin: '0 0 .75rem 0', color: '#444' }}>
+              {name} will be signed out and can no longer sign in. You can reactivate them later.
+            </p>
+            {schedules === null ? (
+              <p style={{ color: '#666' }}>Checking for schedules they own…</p>
+            ) : schedules.length === 0 ? (
+              <p style={{ color: '#666' }}>They do not own any schedules.</p>
+            ) : (
+              <div style={{ marginBottom: '.75rem' }}>
+                <strong style={{ fontSize: '.9rem' }}>
+                  They own {schedules.length} {schedules.length === 1 ? 'schedule' : 'schedules'}. Choose who takes each one over:
+                </strong>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '.85rem', marginTop: '.5rem' }}>
+                  <tbody>
+                    {schedules.map(s => (
+                      <tr key={s.id} style={{ borderBottom: '1px solid #eee' }}>
+                        <td style={{ padding: '.35rem' }}>
+                          {s.name || s.reportName}
+                          {s.frequency && <span style={{ color: '#888' }}> · {s.frequency}</span>}
+                          {s.isEnabled === false && <span style={{ color: '#888' }}> · paused</span>}
+                        </td>
+                        <td style={{ padding: '.35rem', textAlign: 'right' }}>
+                          <select
+                            value={scheduleOwners[s.id] ?? PAUSE}
+                            onChange={e => setScheduleOwners(current => ({ ...current, [s.id]: e.target.value }))}
+                          >
+                            {candidates.map(u => <option key={u.id} value={u.id}>{userName(u)}</option>)}
+                            <option value={PAUSE}>Nobody (pause it)</option>
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+
+        {action === 'reactivate' && (
+          <p style={{ margin: '0 0 .75rem 0', color: '#444' }}>
+            {name} will be able to sign in again with their existing role and permissions.
+          </p>
+        )}
+
+        {action === 'remove' && (
+          <p style={{ margin: '0 0 .75rem 0', color: '#444' }}>
+            {name} loses all access to this client and their permission overrides are deleted. Schedules they own are paused.
+            {' '}To keep their schedules running, deactivate them instead.
+          </p>
+        )}
+
+        {action === 'transfer' && (
+          <p style={{ margin: '0 0 .75rem 0', color: '#444' }}>
+            {name} becomes the business owner of this client. You become a delegate and can no longer transfer ownership or remove them.
+          </p>
+        )}
+
+        {needsTypedConfirmation && (
+          <>
+            <label style={{ display: 'block', fontSize: '.9rem', marginBottom: '.25rem' }}>
+              Type <strong>{user.email}</strong> to confirm
+            </label>
+            <input
+              value={confirmText}
+              onChange={e => setConfirmText(e.target.value)}
+              autoComplete="off"
+              style={{ width: '100%', padding: '.4rem', marginBottom: '.75rem', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+          </>
+        )}
+
+        <label style={{ display: 'block', fontSize: '.9rem', marginBottom: '.25rem' }}>Reason (optional, kept in the audit log)</label>
+        <input
+          value={reason}
+          onChange={e => setReason(e.target.value)}
+          placeholder={action === 'deactivate' ? 'e.g. Left the company' : ''}
+          style={{ width: '100%', padding: '.4rem', marginBottom: '1rem', border: '1px solid #ccc', borderRadius: '4px' }}
+        />
+
+        <div style={{ display: 'flex', gap: '.5rem', justifyContent: 'flex-end' }}>
+          <button
+            onClick={onClose}
+            disabled={working}
+            style={{ padding: '.5rem 1rem', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={confirmDisabled}
+            style={{
+              padding: '.5rem 1rem',
+              background: action === 'remove' || action === 'deactivate' ? '#dc3545' : '#0078d4',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: confirmDisabled ? 'not-allowed' : 'pointer',
+              opacity: confirmDisabled ? 0.6 : 1
+            }}
+          >
+            {working ? 'Saving…' : TITLES[action]}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
-
-// In development backend runs on 3001; in production both frontend & backend are proxied on 3000
-const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
+import { verifyEmail } from '../api.js';
+import { passwordError } from '../utils/passwordPolicy.js';
+import PasswordStrength from './PasswordStrength.jsx';
 
 export default function VerifyEmail() {
   const [password, setPassword] = useState('');
@@ -26,8 +26,9 @@ export default function VerifyEmail() {
     e.preventDefault();
     setError(null);
 
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters');
+    const policyError = passwordError(password);
+    if (policyError) {
+      setError(policyError);
       return;
     }
 
@@ -38,20 +39,14 @@ export default function VerifyEmail() {
 
     setLoading(true);
     try {
-      const res = await fetch(`${API_BASE}/auth/verify-email`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ token, password })
-      });
+      const res = await verifyEmail(token, password);
 
-      if (!res.ok) {
-        const data = await res.json();
-        setError(data.error || `HTTP ${res.status}`);
+      if (res?.error) {
+        setError(res.message);
         setLoading(false);
         return;
       }
 
-      const data = await res.json();
       setSuccess(true);
       setPassword('');
       setConfirmPassword('');
@@ -84,10 +79,11 @@ export default function VerifyEmail() {
         type="password" 
         value={password} 
         onChange={e => setPassword(e.target.value)} 
-        placeholder="••••••"
-        style={{ width: '100%', marginBottom: '1rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
+        autoComplete="new-password"
+        style={{ width: '100%', marginBottom: '.5rem', padding: '.5rem', borderRadius: '.25rem', border: '1px solid #ccc', boxSizing: 'border-box' }}
         required
       />
+      <PasswordStrength password={password} />
 
       <label style={{ display: 'block', marginBottom: '.25rem', fontWeight: 'bold' }}>Confirm Password</label>
       <input 
@@ -1,6 +1,8 @@
 import { useState, useEffect, useCallback } from 'react';
-import { ensureDemoAuth, logout, isSessionExpired } from '../auth.js';
-import { getAssignments, getAllClients, getUserClients } from '../api.js';
+import { ensureDemoAuth, logout, checkSession, startSessionKeepAlive, isSignedIn } from '../auth.js';
+import { getAssignments, getAllClients, pickableClients, getUserClients, subscribeClientSuspended } from '../api.js';
+import { clearQueryCache } from '../queryCache.js';
+import { subscribeSessionSync } from '../sessionSync.js';
 
 export function useAuth() {
   const [role, setRole] = useState(localStorage.getItem('role'));
@@ -17,27 +19,49 @@ export function useAuth() {
   const [loading, setLoading] = useState(true);
   const [assignments, setAssignments] = useState([]);
   const [clients, setClients] = useState([]);
+  const [sessionNotice, setSessionNotice] = useState(''); // shown on the login page after an expiry
+  const [suspension, setSuspension] = useState(null); // the client was suspended mid-session: { clientName, reason }
+  const [syncNotice, setSyncNotice] = useState(''); // session changed in another tab
 
-  const checkSessionExpiry = useCallback(() => {
-    if (isSessionExpired()) {
-      console.warn('[auth] token expired; logging out');
-      handleLogout();
-      return true;
-    }
-    return false;
+  // Expired access tokens are renewed while the user is active; otherwise the session ends
+  const checkSessionExpiry = useCallback(async () => {
+    if (await checkSession()) return false;
+    console.warn('[auth] session expired; logging out');
+    handleSessionExpired();
+    return true;
   }, []);
 
   const handleLogout = useCallback(() => {
     logout();
+    clearSignedInState();
+  }, []);
+
+  const clearSignedInState = useCallback(() => {
     setRole(null);
     setRoles([]);
     setActingRole('');
     setAssignments([]);
     setClients([]);
     setLoading(false);
+    setPage('login');
   }, []);
 
+  const clearSyncNotice = useCallback(() => setSyncNotice(''), []);
+
+  const changeActingRole = useCallback((nextRole) => {
+    localStorage.setItem('acting_role', nextRole);
+    setActingRole(nextRole);
+  }, []);
+
+  // Form drafts survive the logout (see utils/drafts.js); tell the user they can restore them
+  const handleSessionExpired = useCallback(() => {
+    handleLogout();
+    setSessionNotice('Your session expired. Any unsaved report or schedule changes were kept and can be restored after you sign in.');
+  }, [handleLogout]);
+
   const onLoginSuccess = useCallback(async () => {
+    setSessionNotice('');
+    setSuspension(null);
     const r = localStorage.getItem('role');
     setRole(r);
     const rs = (() => { 
@@ -73,7 +97,7 @@ export function useAuth() {
   }, []);
 
   const loadAdminClients = useCallback(async () => {
-    const data = await getAllClients();
+    const data = pickableClients(await getAllClients());
     if (Array.isArray(data)) {
       const normalized = data.map(c => ({ clientId: c.id, clientName: c.name }));
       setClients(normalized);
@@ -88,11 +112,10 @@ export function useAuth() {
     }
   }, []);
 
-  useEffect(() => {
-    if (checkSessionExpiry()) return;
-    
+  // Restore the signed-in state from localStorage on load
+  const restoreSession = useCallback(() => {
     ensureDemoAuth();
-    const hasJwt = !!localStorage.getItem('jwt');
+    const hasJwt = isSignedIn();
     const r = localStorage.getItem('role');
     setRole(r);
     
@@ -115,21 +138,65 @@ export function useAuth() {
     }
     
     setLoading(false);
+  }, [loadAssignments, loadAdminClients, loadUserClients]);
+
+  useEffect(() => {
     const id = setInterval(checkSessionExpiry, 60_000);
+    (async () => {
+      if (await checkSessionExpiry()) return;
+      restoreSession();
+    })();
     return () => clearInterval(id);
-  }, [checkSessionExpiry, loadAssignments, loadAdminClients, loadUserClients]);
+  }, [checkSessionExpiry, restoreSession]);
+
+  // Follow logins, logouts, acting-role changes and impersonation made in other tabs
+  useEffect(() => subscribeSessionSync(async (change) => {
+    if (change.type === 'logout') {
+      if (!role) return;
+      logout();
+      clearSignedInState();
+      setSessionNotice('You were signed out in another tab.');
+    } else if (change.type === 'login') {
+      clearQueryCache();
+      clearSignedInState();
+      await onLoginSuccess();
+      setSyncNotice(`Signed in${change.user?.email ? ` as ${change.user.email}` : ''} in another tab.`);
+    } else if (change.type === 'acting_role') {
+      setActingRole(change.value);
+      if (!change.quiet) setSyncNotice(`Acting role changed to ${change.value.replace('_', ' ')} in another tab.`);
+    } else if (change.type === 'impersonation') {
+      if (role) window.location.reload();
+    }
+  }), [role, clearSignedInState, onLoginSuccess]);
+
+  // api.js has already ended the session; only the UI is left to reset
+  useEffect(() => subscribeClientSuspended(details => {
+    clearSignedInState();
+    setSuspension(details);
+  }), [clearSignedInState]);
+
+  // Silent token renewal and activity tracking while signed in
+  useEffect(() => {
+    if (!role) return;
+    return startSessionKeepAlive();
+  }, [role]);
 
   return {
     role,
     roles,
     actingRole,
-    setActingRole,
+    setActingRole: changeActingRole,
     page,
     setPage,
     loading,
     assignments,
     clients,
     handleLogout,
+    handleSessionExpired,
+    sessionNotice,
+    suspension,
+    syncNotice,
+    clearSyncNotice,
     onLoginSuccess,
     isAuthenticated: !!role
   };
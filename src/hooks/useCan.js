@@ -0,0 +1,16 @@
+import { useCallback, useEffect, useState } from 'react';
+import { can, getPermissionContext, subscribePermissionContext } from '../permissions.js';
+
+/**
+ * Permission checks against the signed-in user's acting role and tenant permissions (see permissions.js).
+ * Re-renders the component when either changes.
+ * @returns {(permission: string) => boolean}
+ * @example
+ *   const can = useCan();
+ *   {can('reports.delete') && <button>Delete</button>}
+ */
+export function useCan() {
+  const [context, setContext] = useState(getPermissionContext);
+  useEffect(() => subscribePermissionContext(setContext), []);
+  return useCallback(permission => can(permission, context), [context]);
+}
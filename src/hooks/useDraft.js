@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+import { saveDraft, loadDraft, clearDraft } from '../utils/drafts.js';
+
+/**
+ * Keep a form's unsaved state in a draft slot while `enabled`, and expose a draft left over from an
+ * earlier session (e.g. one that expired mid-edit) so the form can offer to restore it.
+ *
+ * @param {string} name - Draft slot (see utils/drafts.js)
+ * @param {object} value - Serializable form state to save
+ * @param {boolean} enabled - Save only while the form has unsaved changes
+ * @param {any} [reloadKey] - Re-read the stored draft when this changes (e.g. after sign-in)
+ * @returns {{pending: {data: object, savedAt: number}|null, restore: () => object|undefined, discard: () => void}}
+ */
+export function useDraft(name, value, enabled, reloadKey) {
+  const [pending, setPending] = useState(() => loadDraft(name));
+
+  useEffect(() => {
+    setPending(loadDraft(name));
+  }, [name, reloadKey]);
+
+  const serialized = enabled ? JSON.stringify(value) : null;
+  useEffect(() => {
+    if (serialized) saveDraft(name, JSON.parse(serialized));
+  }, [name, serialized]);
+
+  // Hand the stored draft to the form; it stays saved until the form is submitted or discarded
+  const restore = useCallback(() => {
+    const data = pending?.data;
+    setPending(null);
+    return data;
+  }, [pending]);
+
+  const discard = useCallback(() => {
+    clearDraft(name);
+    setPending(null);
+  }, [name]);
+
+  return { pending: enabled ? null : pending, restore, discard };
+}
@@ -0,0 +1,21 @@
+import { useEffect, useRef } from 'react';
+import { subscribeLiveEvent } from '../liveEvents.js';
+
+/**
+ * Run a handler for live server events (see liveEvents.js) while the component is mounted. The handler
+ * may change every render; the subscription is kept.
+ * @param {string|string[]} types - Event type(s), e.g. ['scheduleExecuted', 'reconnected']
+ * @param {(data: object) => void} handler
+ * @param {{ path?: string, enabled?: boolean }} [options] - `enabled: false` holds the subscription (e.g. signed out)
+ * @example
+ *   useLiveEvent('reportCompleted', ({ reportId }) => fetchResult(reportId));
+ */
+export function useLiveEvent(types, handler, { path, enabled = true } = {}) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const key = [].concat(types).join(',');
+  useEffect(() => {
+    if (!enabled) return;
+    return subscribeLiveEvent(key.split(','), data => handlerRef.current(data), path ? { path } : undefined);
+  }, [key, path, enabled]);
+}
@@ -1,7 +1,15 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import { getMyPermissions, getClient } from '../api.js';
+import { subscribeSessionSync } from '../sessionSync.js';
+import { effectiveRoles } from '../roles.js';
+import { can, allPermissionFlags, setPermissionContext } from '../permissions.js';
+import { decodeJwt } from '../auth.js';
+import { isForClient } from '../liveEvents.js';
+import { useLiveEvent } from './useLiveEvent.js';
 
-export function usePermissions(tenantId, roles) {
+export function usePermissions(tenantId, allRoles, actingRole) {
+  // Checks use the acting role, so acting in a lower role shows exactly what that role sees
+  const roles = useMemo(() => effectiveRoles(allRoles, actingRole), [allRoles, actingRole]);
   const [permissions, setPermissions] = useState(null);
   const [clientInfo, setClientInfo] = useState(null);
   const [loading, setLoading] = useState(false);
@@ -16,15 +24,7 @@ export function usePermissions(tenantId, roles) {
     
     try {
       if (roles.includes('platform_admin')) {
-        setPermissions({
-          canViewReports: true,
-          canCreateReports: true,
-          canEditReports: true,
-          canDeleteReports: true,
-          canManageConnections: true,
-          canInviteUsers: true,
-          canManageUsers: true
-        });
+        setPermissions(allPermissionFlags());
       } else {
         const perms = await getMyPermissions(tenantId);
         if (perms && !perms.error) {
@@ -69,41 +69,18 @@ export function usePermissions(tenantId, roles) {
     }
   }, [tenantId, roles]);
 
-  const canManageConnections = useCallback(() => {
-    if (permissions) {
-      return permissions.canManageConnections;
-    }
-    const editableRoles = ['business_owner', 'delegate', 'platform_admin', 'manager'];
-    return roles && roles.some(r => editableRoles.includes(r));
-  }, [permissions, roles]);
-
-  const canEditReports = useCallback(() => {
-    if (permissions) {
-      return permissions.canEditReports;
-    }
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  }, [permissions, roles]);
-
-  const canCreateReports = useCallback(() => {
-    if (permissions) {
-      return permissions.canCreateReports;
-    }
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  }, [permissions, roles]);
-
-  const canDeleteReports = useCallback(() => {
-    if (permissions) {
-      return permissions.canDeleteReports;
-    }
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin', 'manager'].includes(r));
-  }, [permissions, roles]);
+  // Permission checks (permissions.js): the acting role until the tenant's permissions load, then those
+  const check = useCallback(permission => can(permission, { roles, permissions }), [permissions, roles]);
+  const canManageConnections = useCallback(() => check('connections.manage'), [check]);
+  const canEditReports = useCallback(() => check('reports.edit'), [check]);
+  const canCreateReports = useCallback(() => check('reports.create'), [check]);
+  const canDeleteReports = useCallback(() => check('reports.delete'), [check]);
+  const canManageUsers = useCallback(() => check('users.manage'), [check]);
 
-  const canManageUsers = useCallback(() => {
-    if (permissions) {
-      return permissions.canManageUsers || permissions.canInviteUsers;
-    }
-    return roles && roles.some(r => ['business_owner', 'delegate', 'platform_admin'].includes(r));
-  }, [permissions, roles]);
+  // <Can> and useCan() in child components check against the same context
+  useEffect(() => {
+    setPermissionContext({ roles, permissions });
+  }, [roles, permissions]);
 
   useEffect(() => {
     if (tenantId) {
@@ -111,6 +88,12 @@ export function usePermissions(tenantId, roles) {
     }
   }, [tenantId, loadPermissions]);
 
+  // An owner changed this user's (or everyone's) permissions in this client
+  useLiveEvent(['permissionsChanged', 'reconnected'], data => {
+    if (!isForClient(data, tenantId) || (data.userId && String(data.userId) !== String(decodeJwt()?.userId))) return;
+    loadPermissions();
+  }, { enabled: !!tenantId && roles.length > 0 });
+
   return {
     permissions,
     clientInfo,
@@ -121,7 +104,8 @@ export function usePermissions(tenantId, roles) {
     canEditReports,
     canCreateReports,
     canDeleteReports,
-    canManageUsers
+    canManageUsers,
+    can: check
   };
 }
 
@@ -135,8 +119,20 @@ export function useTenantState() {
     setTenantSelectTouched(true);
   }, []);
 
+  // The selected tenant is shared by all tabs (api.js sends it as x-tenant-id); follow changes made elsewhere
+  const [syncNotice, setSyncNotice] = useState('');
+  const clearSyncNotice = useCallback(() => setSyncNotice(''), []);
+  useEffect(() => subscribeSessionSync(change => {
+    if (change.type !== 'tenant') return;
+    setTenantId(change.value);
+    setTenantSelectTouched(true);
+    if (!change.quiet) setSyncNotice('The selected client was changed in another tab. This tab now shows the same client.');
+  }), []);
+
   return {
     tenantId,
+    syncNotice,
+    clearSyncNotice,
     setTenantId: updateTenantId,
     tenantSelectTouched,
     setTenantSelectTouched
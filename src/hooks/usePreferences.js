@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+import { getPreferences, subscribePreferences } from '../preferences.js';
+
+/**
+ * The user's display preferences; re-renders the component when they change (here or in another tab).
+ * Components that format dates or times through utils/timeFormatting.js call this so they pick up a new
+ * timezone or time format without a reload.
+ */
+export function usePreferences() {
+  const [prefs, setPrefs] = useState(getPreferences);
+  useEffect(() => subscribePreferences(setPrefs), []);
+  return prefs;
+}
@@ -10,16 +10,29 @@ import {
   getQueryResults,
   saveChartConfig
 } from '../api.js';
+import { isAbortError } from '../apiError.js';
+import { useRequestScope } from './useRequestScope.js';
+import { optimisticListChange } from '../utils/optimistic.js';
+import { hasAccess, visibleReports, usableConnections } from '../permissions.js';
+import { isLiveConnected, isForClient } from '../liveEvents.js';
+import { useLiveEvent } from './useLiveEvent.js';
 
-export function useReports(tenantId) {
+/**
+ * @param {string} tenantId
+ * @param {(message: string|object, type?: string) => void} [showToast] - Used for rolled-back optimistic changes; falls back to `error`
+ */
+export function useReports(tenantId, showToast) {
   const [reports, setReports] = useState([]);
   const [results, setResults] = useState({});
   const [availableConnections, setAvailableConnections] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingRun, setLoadingRun] = useState(null);
   const [error, setError] = useState(null);
+  // Requests are tied to the tenant they were made for and cancelled on tenant change / unmount
+  const { signalFor, abort } = useRequestScope(tenantId);
 
-  const refreshReports = useCallback(async (selectedTenantId = tenantId) => {
+  // `reload` skips the query cache (the Refresh button)
+  const refreshReports = useCallback(async (selectedTenantId = tenantId, { reload = false } = {}) => {
     const currentTenantId = selectedTenantId || tenantId;
     if (!currentTenantId) {
       setReports([]);
@@ -29,44 +42,58 @@ export function useReports(tenantId) {
     }
     
     setLoading(true);
-    const list = await getReports();
+    const list = await getReports({
+      signal: signalFor('reports', currentTenantId),
+      cache: reload ? 'reload' : undefined,
+      // Served from cache while stale: re-apply once the background revalidation lands
+      onUpdate: () => refreshReports(currentTenantId)
+    });
+    if (isAbortError(list)) return;
     
     if (list?.error) {
-      setError(list.error + (list.body ? `: ${list.body}` : ''));
+      setError(list.message);
       setReports([]);
       setAvailableConnections([]);
     } else {
       setError(null);
       if (Array.isArray(list)) {
-        setReports(list);
+        setReports(visibleReports(list));
         setAvailableConnections([]);
       } else if (list?.reports) {
-        setReports(list.reports);
-        setAvailableConnections(list.availableConnections || []);
+        setReports(visibleReports(list.reports));
+        setAvailableConnections(usableConnections(list.availableConnections || []));
       } else {
         setReports([]);
         setAvailableConnections([]);
       }
     }
     setLoading(false);
-  }, [tenantId]);
+  }, [tenantId, signalFor]);
 
   const handleRun = useCallback(async (id) => {
     setLoadingRun(id);
     await runReport(id);
     setLoadingRun(null);
-    setTimeout(() => fetchResult(id), 1700);
-  }, []);
+    // The reportCompleted handler below brings the result; when it is not listening, poll once after a short delay
+    if (!tenantId || !isLiveConnected()) setTimeout(() => fetchResult(id), 1700);
+  }, [tenantId]);
 
   const fetchResult = useCallback(async (id) => {
-    const result = await getReportResult(id);
+    const result = await getReportResult(id, { signal: signalFor(`result:${id}`) });
+    if (isAbortError(result)) return;
     if (result?.error) {
-      setError(result.error);
+      setError(result.message);
     } else if (result) {
       setResults(r => ({ ...r, [id]: result }));
     }
     refreshReports();
-  }, [refreshReports]);
+  }, [refreshReports, signalFor]);
+
+  // Runs finished here, in another tab or by a schedule; after a dropped connection, reload everything
+  useLiveEvent('reportCompleted', data => {
+    if (isForClient(data, tenantId) && reports.some(r => String(r.id) === String(data.reportId))) fetchResult(data.reportId);
+  }, { enabled: !!tenantId });
+  useLiveEvent('reconnected', () => refreshReports(), { enabled: !!tenantId });
 
   const handleCreateReport = useCallback(async (reportName) => {
     if (!reportName.trim()) {
@@ -79,7 +106,7 @@ export function useReports(tenantId) {
     setLoading(false);
     
     if (res?.error) {
-      setError('Failed to create report: ' + res.error);
+      setError('Failed to create report: ' + res.message);
       return false;
     } else {
       setError(null);
@@ -88,40 +115,68 @@ export function useReports(tenantId) {
     }
   }, [refreshReports]);
 
+  // Whether this user's share of the report allows the action ('view' or 'edit'); see permissions.js
+  const canAccessReport = useCallback((reportId, level) => hasAccess(reports.find(r => r.id === reportId), level), [reports]);
+
+  const reportRollback = useCallback((action, res) => {
+    const message = `Failed to ${action} report: ${res.message}`;
+    if (showToast) showToast(message, 'error');
+    else setError(message);
+  }, [showToast]);
+
+  // Update and delete are applied to `reports` immediately and rolled back if the server rejects them
   const handleUpdateReport = useCallback(async (reportId, reportName, connectionId, sqlQuery) => {
     if (!reportName.trim()) {
       setError('Report name is required');
       return false;
     }
+    if (!canAccessReport(reportId, 'edit')) {
+      setError('This report is shared with you read-only.');
+      return false;
+    }
     
-    setLoading(true);
-    const res = await updateReport(reportId, reportName, connectionId || undefined, sqlQuery || undefined);
-    setLoading(false);
+    setError(null);
+    const res = await optimisticListChange(
+      reports,
+      setReports,
+      reportId,
+      report => ({
+        ...report,
+        name: reportName,
+        connectionId: connectionId || report.connectionId,
+        sqlQuery: sqlQuery !== undefined ? sqlQuery : report.sqlQuery
+      }),
+      () => updateReport(reportId, reportName, connectionId || undefined, sqlQuery || undefined)
+    );
     
     if (res?.error) {
-      setError('Failed to update report: ' + res.error);
+      reportRollback('update', res);
       return false;
-    } else {
-      setError(null);
-      await refreshReports();
-      return true;
     }
-  }, [refreshReports]);
+    if (res?.id === reportId) {
+      setReports(list => list.map(r => (r.id === reportId ? { ...r, ...res } : r)));
+    }
+    return true;
+  }, [reports, reportRollback, canAccessReport]);
 
   const handleDeleteReport = useCallback(async (reportId) => {
-    setLoading(true);
-    const res = await deleteReport(reportId);
-    setLoading(false);
+    if (!canAccessReport(reportId, 'edit')) {
+      setError('This report is shared with you read-only.');
+      return false;
+    }
+    setError(null);
+    const res = await optimisticListChange(reports, setReports, reportId, null, () => deleteReport(reportId));
     
     if (res?.error) {
-      setError('Failed to delete report: ' + res.error);
+      reportRollback('delete', res);
       return false;
-    } else {
-      setError(null);
-      await refreshReports();
-      return true;
     }
-  }, [refreshReports]);
+    setResults(r => {
+      const { [reportId]: _removed, ...rest } = r;
+      return rest;
+    });
+    return true;
+  }, [reports, reportRollback, canAccessReport]);
 
   const handleExecuteQuery = useCallback(async (reportId, sqlQuery) => {
     if (!sqlQuery.trim()) {
@@ -133,18 +188,11 @@ export function useReports(tenantId) {
     setError(null);
     
     try {
-      const res = await executeQuery(reportId, sqlQuery);
+      const res = await executeQuery(reportId, sqlQuery, undefined, { signal: signalFor('executeQuery') });
+      if (isAbortError(res)) return null;
       
       if (res?.error) {
-        let errorMsg = res.error;
-        if (res?.body) {
-          try {
-            const parsed = typeof res.body === 'string' ? JSON.parse(res.body) : res.body;
-            errorMsg = parsed?.error || res.body;
-          } catch (e) {
-            errorMsg = res.body;
-          }
-        }
+        const errorMsg = res.message;
         setError(`Query execution failed: ${errorMsg}`);
         return null;
       }
@@ -172,16 +220,17 @@ export function useReports(tenantId) {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [signalFor]);
 
   const handleLoadSavedResults = useCallback(async (reportId) => {
     setLoading(true);
     setError(null);
     
     try {
-      const res = await getQueryResults(reportId);
+      const res = await getQueryResults(reportId, { signal: signalFor(`results:${reportId}`) });
+      if (isAbortError(res)) return null;
       if (res?.error) {
-        setError(`Failed to load saved results: ${res.error}`);
+        setError(`Failed to load saved results: ${res.message}`);
         return null;
       }
       if (!res?.data?.rows) {
@@ -202,14 +251,14 @@ export function useReports(tenantId) {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [signalFor]);
 
   const handleSaveChartConfig = useCallback(async (reportId, config) => {
     setLoading(true);
     try {
       const res = await saveChartConfig(reportId, config);
       if (res?.error) {
-        setError(`Failed to save chart configuration: ${res.error}`);
+        setError(`Failed to save chart configuration: ${res.message}`);
         return false;
       } else {
         setError(null);
@@ -242,7 +291,9 @@ export function useReports(tenantId) {
     handleCreateReport,
     handleUpdateReport,
     handleDeleteReport,
+    canAccessReport,
     handleExecuteQuery,
+    cancelExecuteQuery: () => abort('executeQuery'),
     handleLoadSavedResults,
     handleSaveChartConfig,
     clearError: () => setError(null)
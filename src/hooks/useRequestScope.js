@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Cancellable request slots for api.js calls.
+ *
+ * signalFor(key) aborts the previous request in the same slot and returns a fresh AbortSignal.
+ * Each slot remembers the scope (e.g. tenant id) it was opened for; when `scope` changes, slots
+ * from other scopes are aborted so their responses never land in the new scope's state.
+ * Everything is aborted on unmount.
+ *
+ * @param {string} scope - Current scope, usually the selected tenant id
+ */
+export function useRequestScope(scope) {
+  const slots = useRef(new Map()); // key -> { controller, scope }
+  const scopeRef = useRef(scope);
+  scopeRef.current = scope;
+
+  const abort = useCallback((key) => {
+    slots.current.get(key)?.controller.abort();
+    slots.current.delete(key);
+  }, []);
+
+  // A request can be opened for the new scope before this effect runs (e.g. refreshReports(newTenantId)
+  // from an onChange handler), so only slots owned by another scope are cancelled here.
+  useEffect(() => {
+    slots.current.forEach((slot, key) => {
+      if (slot.scope !== scope) abort(key);
+    });
+  }, [scope, abort]);
+
+  useEffect(() => () => {
+    slots.current.forEach(slot => slot.controller.abort());
+    slots.current.clear();
+  }, []);
+
+  /**
+   * @param {string} key - Slot name; one in-flight request per slot
+   * @param {string} [owner] - Scope the request belongs to (defaults to the current scope)
+   * @returns {AbortSignal}
+   */
+  const signalFor = useCallback((key, owner = scopeRef.current) => {
+    abort(key);
+    const controller = new AbortController();
+    slots.current.set(key, { controller, scope: owner });
+    return controller.signal;
+  }, [abort]);
+
+  return { signalFor, abort };
+}
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { getQueryResults } from '../api.js';
+import { isAbortError } from '../apiError.js';
+
+/**
+ * A report's last saved query results, for previews that should look like the real thing.
+ * @param {string|number|null} reportId - Nothing is loaded while empty
+ * @returns {{ data: { columns: string[], rows: object[] }|null, executedAt: string|null, loading: boolean }}
+ *   data is null when the report has no saved results (or they could not be loaded)
+ * @example
+ *   const { data, loading } = useSavedResults(reportId);
+ */
+export function useSavedResults(reportId) {
+  const [state, setState] = useState({ data: null, executedAt: null, loading: false });
+
+  useEffect(() => {
+    if (!reportId) {
+      setState({ data: null, executedAt: null, loading: false });
+      return undefined;
+    }
+    const controller = new AbortController();
+    setState(s => ({ ...s, loading: true }));
+    (async () => {
+      const res = await getQueryResults(reportId, { signal: controller.signal });
+      if (isAbortError(res)) return;
+      setState({
+        data: !res?.error && res?.data?.rows ? res.data : null,
+        executedAt: res?.executedAt || null,
+        loading: false
+      });
+    })();
+    return () => controller.abort();
+  }, [reportId]);
+
+  return state;
+}
@@ -0,0 +1,123 @@
+/**
+ * Admin impersonation ("view as user").
+ *
+ * A platform_admin starts a time-boxed session for one user (startImpersonation in api.js; the server
+ * records it in the audit log). The admin's own session stays signed in: every request additionally
+ * carries the impersonation token and the server answers as the impersonated user. The admin's role,
+ * acting role and tenant are set aside while the user's are active, and put back on exit.
+ *
+ * Like the session tokens (see sessionStore.js), the token is only kept in localStorage in 'local' mode,
+ * where it is sent as x-impersonation-token. In the cookie modes the server sets it as an httpOnly cookie
+ * and only the non-secret details below are stored.
+ *
+ * Unless the session was started with allowWrites, requests that would change data are refused
+ * before they leave the browser (see blockedWhileImpersonating); the server enforces the same rule.
+ */
+import { ApiError } from './apiError.js';
+import { clearQueryCache } from './queryCache.js';
+import { primaryRole } from './roles.js';
+import { SESSION_MODE } from './sessionStore.js';
+
+export const IMPERSONATION_KEY = 'impersonation';
+
+// Context keys swapped for the impersonated user's while the session lasts
+const CONTEXT_KEYS = ['role', 'roles', 'acting_role', 'selected_tenant_id', 'clientId'];
+
+// Writes that only read data (running a report or query) or keep the page working
+const READ_ONLY_WRITES = [
+  /^\/reports\/[^/]+\/run$/,
+  /^\/reports\/[^/]+\/execute-query$/,
+  /^\/events\/ticket$/,
+  /^\/admin\/impersonation\/[^/]+\/end$/
+];
+
+/**
+ * The active impersonation session, or null.
+ * @returns {{ id: string, token?: string, expiresAt: number, allowWrites: boolean, reason: string,
+ *   user: { id: string, email: string, firstName?: string, lastName?: string, roles: string[], clientId?: string },
+ *   saved: object } | null}
+ */
+export function getImpersonation() {
+  try {
+    return JSON.parse(localStorage.getItem(IMPERSONATION_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function isImpersonating() {
+  return !!getImpersonation();
+}
+
+export function impersonationHeaders() {
+  const session = getImpersonation();
+  return session?.token ? { 'x-impersonation-token': session.token } : {};
+}
+
+/**
+ * Refuse a request that would change data during a read-only impersonation session.
+ * @param {string} method
+ * @param {string} path - API path, relative to API_BASE
+ * @returns {ApiError|null}
+ */
+export function blockedWhileImpersonating(method, path) {
+  const session = getImpersonation();
+  if (!session || session.allowWrites || method === 'GET' || method === 'HEAD') return null;
+  const bare = path.split('?')[0];
+  if (READ_ONLY_WRITES.some(re => re.test(bare))) return null;
+  return new ApiError({
+    status: 403,
+    code: 'IMPERSONATION_READ_ONLY',
+    message: 'Changes are blocked while viewing as another user. Start a new session with changes allowed if you need to make this change.'
+  });
+}
+
+/**
+ * Switch the app to the impersonated user's context. Reload the app afterwards so every view starts
+ * from that user's role, tenant and permissions.
+ * @param {object} session - startImpersonation() response: { id, token, expiresAt, allowWrites, user }
+ * @param {string} reason
+ */
+export function beginImpersonation(session, reason) {
+  const saved = {};
+  CONTEXT_KEYS.forEach(key => { saved[key] = localStorage.getItem(key); });
+  const roles = session.user?.roles || [];
+  const role = primaryRole(roles);
+  localStorage.setItem(IMPERSONATION_KEY, JSON.stringify({
+    id: session.id,
+    token: SESSION_MODE === 'local' ? session.token : undefined,
+    expiresAt: new Date(session.expiresAt).getTime(),
+    allowWrites: !!session.allowWrites,
+    reason,
+    user: session.user,
+    saved
+  }));
+  localStorage.setItem('role', role);
+  localStorage.setItem('roles', JSON.stringify(roles));
+  localStorage.setItem('acting_role', role);
+  if (session.user?.clientId) {
+    localStorage.setItem('selected_tenant_id', session.user.clientId);
+    localStorage.setItem('clientId', session.user.clientId);
+  } else {
+    localStorage.removeItem('selected_tenant_id');
+    localStorage.removeItem('clientId');
+  }
+  clearQueryCache();
+}
+
+/**
+ * Put the admin's own context back. Safe to call when no session is active.
+ * @returns {object|null} The session that ended
+ */
+export function finishImpersonation() {
+  const session = getImpersonation();
+  if (!session) return null;
+  localStorage.removeItem(IMPERSONATION_KEY);
+  CONTEXT_KEYS.forEach(key => {
+    const value = session.saved?.[key];
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, value);
+  });
+  clearQueryCache();
+  return session;
+}
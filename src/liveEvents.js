@@ -0,0 +1,154 @@
+/**
+ * Live updates pushed by the server over Server-Sent Events, shared by the whole app.
+ *
+ * Each stream path is opened once however many components listen to it, and closed when the last one
+ * unsubscribes. A dropped connection is reopened with backoff through openEventStream (so a fresh ticket
+ * is fetched each time). Events sent while it was down are lost, so 'reconnected' listeners should
+ * reload what they show.
+ *
+ * Events on APP_STREAM carry JSON data naming the client they belong to:
+ *   reportCompleted     { clientId, reportId, status, rowCount, finishedAt }
+ *   scheduleExecuted    { clientId, scheduleId, reportId, executionId, status, emailsSent, emailsFailed }
+ *   permissionsChanged  { clientId, userId } - userId is absent when the change affects every user
+ *   invitationAccepted  { clientId, invitationId, email } - clientId is null for generic invitations
+ * The stream carries events for every client the user can see; listeners check clientId themselves.
+ */
+import { openEventStream } from './api.js';
+import { invalidate } from './queryCache.js';
+
+export const APP_STREAM = '/events/stream';
+
+const RECONNECT = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+// Cached reads (queryCache.js prefixes) each event makes stale, dropped before listeners run
+const STALE_QUERIES = {
+  reportCompleted: ['/reports'],
+  scheduleExecuted: ['/schedules', '/dashboard']
+};
+
+const streams = new Map(); // path -> { source, listeners: Map<type, Set>, attempt, timer, controller, connected, opened, refused }
+
+function parse(event) {
+  try {
+    return event.data ? JSON.parse(event.data) : {};
+  } catch {
+    return {};
+  }
+}
+
+function dispatch(stream, type, data) {
+  stream.listeners.get(type)?.forEach(listener => listener(data));
+}
+
+// Forward one event type from the current EventSource (called once per type per connection)
+function attach(stream, type) {
+  if (!stream.source || type === 'reconnected') return;
+  stream.source.addEventListener(type, event => {
+    const data = parse(event);
+    if (STALE_QUERIES[type]) invalidate(STALE_QUERIES[type], data.clientId != null ? String(data.clientId) : undefined);
+    dispatch(stream, type, data);
+  });
+}
+
+// Exponential backoff with equal jitter, like api.js request retries
+function scheduleReconnect(path, stream) {
+  const ceiling = Math.min(RECONNECT.maxDelayMs, RECONNECT.baseDelayMs * 2 ** stream.attempt);
+  stream.attempt += 1;
+  stream.timer = setTimeout(() => connect(path, stream), ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+async function connect(path, stream) {
+  const controller = new AbortController();
+  stream.controller = controller;
+  const source = await openEventStream(path, { signal: controller.signal });
+  if (controller.signal.aborted || streams.get(path) !== stream) {
+    if (!source?.error) source.close();
+    return;
+  }
+  if (source?.error) {
+    // Not allowed to listen here (signed out, or the role lost access): backing off will not help, but the
+    // next subscriber tries again (the refusal may have been a token refresh in progress)
+    if (source.status === 401 || source.status === 403) {
+      console.warn(`[SSE] ${path} refused:`, source.message);
+      stream.refused = true;
+      return;
+    }
+    scheduleReconnect(path, stream);
+    return;
+  }
+
+  stream.source = source;
+  source.addEventListener('open', () => {
+    stream.attempt = 0;
+    stream.connected = true;
+    if (stream.opened) dispatch(stream, 'reconnected', {});
+    stream.opened = true;
+  });
+  source.onerror = () => {
+    // The browser's own retry would reuse a single-use ticket; reconnect through openEventStream instead
+    source.close();
+    stream.source = null;
+    stream.connected = false;
+    scheduleReconnect(path, stream);
+  };
+  stream.listeners.forEach((_, type) => attach(stream, type));
+}
+
+function close(path, stream) {
+  clearTimeout(stream.timer);
+  stream.controller?.abort();
+  stream.source?.close();
+  streams.delete(path);
+}
+
+/**
+ * Listen for live events. The first listener on a path opens its stream; the last unsubscribe closes it.
+ * @param {string|string[]} types - Event type(s), or 'reconnected' to hear when a dropped stream is back
+ * @param {(data: object) => void} listener - Receives the event's parsed data
+ * @param {{ path?: string }} [options] - Stream path; APP_STREAM unless a component needs its own feed
+ * @returns {() => void} unsubscribe (use as an effect cleanup)
+ */
+export function subscribeLiveEvent(types, listener, { path = APP_STREAM } = {}) {
+  let stream = streams.get(path);
+  const isNew = !stream;
+  if (isNew) {
+    stream = { source: null, listeners: new Map(), attempt: 0, timer: null, controller: null, connected: false, opened: false, refused: false };
+    streams.set(path, stream);
+  }
+  const list = Array.isArray(types) ? types : [types];
+  list.forEach(type => {
+    if (!stream.listeners.has(type)) {
+      stream.listeners.set(type, new Set());
+      attach(stream, type);
+    }
+    stream.listeners.get(type).add(listener);
+  });
+  if (isNew || stream.refused) {
+    stream.refused = false;
+    connect(path, stream);
+  }
+
+  return () => {
+    list.forEach(type => stream.listeners.get(type)?.delete(listener));
+    const empty = [...stream.listeners.values()].every(set => set.size === 0);
+    if (empty && streams.get(path) === stream) close(path, stream);
+  };
+}
+
+/**
+ * Whether an event belongs to the client a component shows. Events without a clientId apply everywhere.
+ * @param {{ clientId?: string|number|null }} data
+ * @param {string|number} clientId
+ */
+export function isForClient(data, clientId) {
+  return data?.clientId == null || String(data.clientId) === String(clientId);
+}
+
+/**
+ * Whether the stream is open right now. Callers that would otherwise wait for an event (a report run's
+ * completion) fall back to polling while it is not.
+ * @param {string} [path]
+ */
+export function isLiveConnected(path = APP_STREAM) {
+  return !!streams.get(path)?.connected;
+}
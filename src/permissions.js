@@ -0,0 +1,138 @@
+/**
+ * The permission matrix: the one place that says who may do what in the UI.
+ *
+ * Components ask for a permission by name (`<Can permission="reports.edit">`, `useCan()`), never for a
+ * role. Each rule lists
+ *   flags - getMyPermissions() flags that grant it. Once the tenant's permissions are loaded the flags
+ *           decide; until then the roles below stand in for them.
+ *   roles - acting roles that grant it (see roles.js effectiveRoles). For rules without flags, or with
+ *           rolesAlways, the role grants it even when the flags say no.
+ *   label - how CapabilitiesPanel lists it.
+ *
+ * The backend is the source of truth; this only decides what to show.
+ */
+
+const EDITORS = ['platform_admin', 'business_owner', 'delegate', 'manager'];
+const USER_ADMINS = ['platform_admin', 'business_owner', 'delegate'];
+
+export const PERMISSION_MATRIX = {
+  'reports.view': { flags: ['canViewReports'], roles: [...EDITORS, 'viewer'], label: 'View reports' },
+  'reports.run': { roles: EDITORS, label: 'Run reports' },
+  'reports.create': { flags: ['canCreateReports'], roles: EDITORS, label: 'Create reports' },
+  'reports.edit': { flags: ['canEditReports'], roles: EDITORS, label: 'Edit reports' },
+  'reports.delete': { flags: ['canDeleteReports'], roles: EDITORS, label: 'Delete reports' },
+  'connections.manage': { flags: ['canManageConnections'], roles: EDITORS, label: 'Manage database connections' },
+  'users.invite': { flags: ['canInviteUsers'], roles: USER_ADMINS, label: 'Invite users' },
+  'users.manage': { flags: ['canManageUsers', 'canInviteUsers'], roles: USER_ADMINS, label: 'Manage client users' },
+  'users.transferOwnership': { roles: ['platform_admin', 'business_owner'], label: 'Transfer client ownership' },
+  'settings.view': {
+    flags: ['canManageUsers', 'canInviteUsers'],
+    roles: ['business_owner', 'delegate'],
+    rolesAlways: true,
+    label: 'Open client settings'
+  },
+  'tenants.selectAssigned': { roles: ['manager'], label: 'Select tenant (assigned)' },
+  'tenants.selectAny': { roles: ['platform_admin'], label: 'Select any tenant' },
+  'admin.view': { roles: ['platform_admin'], label: 'Open the admin panel' },
+  'clients.manage': { roles: ['platform_admin'], label: 'Create and manage clients' },
+  'managers.manage': { roles: ['platform_admin'], label: 'Assign/deactivate managers for clients' }
+};
+
+export const PERMISSIONS = Object.keys(PERMISSION_MATRIX);
+
+// Every getMyPermissions() flag the matrix knows about
+export const PERMISSION_FLAGS = [...new Set(Object.values(PERMISSION_MATRIX).flatMap(rule => rule.flags || []))];
+
+/**
+ * What a platform_admin gets without asking the server: every flag.
+ * @returns {Object<string, boolean>}
+ */
+export function allPermissionFlags() {
+  return Object.fromEntries(PERMISSION_FLAGS.map(flag => [flag, true]));
+}
+
+/**
+ * Whether the permission is granted.
+ * @param {string} permission - A PERMISSION_MATRIX key; unknown names are never granted
+ * @param {{ roles?: string[], permissions?: object|null }} context - Effective (acting) roles and the
+ *   tenant's getMyPermissions() result, or null while it loads
+ * @returns {boolean}
+ */
+export function can(permission, { roles = [], permissions = null } = {}) {
+  const rule = PERMISSION_MATRIX[permission];
+  if (!rule) return false;
+  const byRole = Array.isArray(roles) && roles.some(r => rule.roles.includes(r));
+  if (!rule.flags) return byRole;
+  if (rule.rolesAlways && byRole) return true;
+  if (permissions) return rule.flags.some(flag => !!permissions[flag]);
+  return byRole;
+}
+
+/**
+ * Every permission granted in the context, in matrix order.
+ * @returns {string[]}
+ */
+export function grantedPermissions(context) {
+  return PERMISSIONS.filter(permission => can(permission, context));
+}
+
+// The per-user flags an owner can override in ClientPanel (and put in a permission template), in display order
+export const USER_PERMISSION_FIELDS = [
+  { key: 'canViewReports', label: 'View Reports', desc: 'Can view existing reports and their results' },
+  { key: 'canCreateReports', label: 'Create Reports', desc: 'Can create new reports' },
+  { key: 'canEditReports', label: 'Edit Reports', desc: 'Can modify existing reports' },
+  { key: 'canDeleteReports', label: 'Delete Reports', desc: 'Can delete reports' },
+  { key: 'canManageConnections', label: 'Manage Connections', desc: 'Can create, edit, and delete database connections' },
+  { key: 'canInviteUsers', label: 'Invite Users', desc: 'Can invite new team members' },
+  { key: 'canManageUsers', label: 'Manage Users', desc: 'Can manage user permissions and settings' }
+];
+
+// Per-report and per-connection sharing narrows the rules above for one resource. The server sends the
+// signed-in user's level on each restricted report or connection as `myAccess` ('none' when not shared
+// with them), and who it is shared with as `sharing: { restricted, sharedWith: [{ userId, name, access }] }`.
+export const REPORT_ACCESS_LEVELS = ['view', 'edit'];
+export const CONNECTION_ACCESS_LEVELS = ['use', 'manage'];
+
+// Owners and platform admins always have full access to everything in the client, so they are never picked in a share
+export const ALWAYS_ALLOWED_ROLES = ['business_owner', 'platform_admin'];
+
+/**
+ * Whether the signed-in user's share of a report or connection reaches the level. Resources without
+ * `myAccess` are not restricted and follow the tenant-wide rules alone.
+ * @param {{ myAccess?: string }} resource
+ * @param {string} level - One of REPORT_ACCESS_LEVELS or CONNECTION_ACCESS_LEVELS
+ */
+export function hasAccess(resource, level) {
+  const access = resource?.myAccess;
+  if (!access) return true;
+  const levels = REPORT_ACCESS_LEVELS.includes(level) ? REPORT_ACCESS_LEVELS : CONNECTION_ACCESS_LEVELS;
+  return levels.indexOf(access) >= levels.indexOf(level);
+}
+
+// Reports and connections shared with others but not with this user are not shown at all
+export const visibleReports = list => list.filter(r => hasAccess(r, 'view'));
+export const usableConnections = list => list.filter(c => hasAccess(c, 'use'));
+
+// The signed-in user's current context, published by App (usePermissions) for <Can> and useCan()
+let current = { roles: [], permissions: null };
+const listeners = new Set();
+
+export function getPermissionContext() {
+  return current;
+}
+
+/**
+ * Publish the context every <Can> and useCan() checks against.
+ * @param {{ roles: string[], permissions: object|null }} context
+ */
+export function setPermissionContext({ roles = [], permissions = null }) {
+  const sameRoles = roles.length === current.roles.length && roles.every((r, i) => r === current.roles[i]);
+  if (sameRoles && permissions === current.permissions) return;
+  current = { roles, permissions };
+  listeners.forEach(listener => listener(current));
+}
+
+export function subscribePermissionContext(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
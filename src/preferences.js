@@ -0,0 +1,104 @@
+/**
+ * The signed-in user's display preferences.
+ *
+ * The server owns them (GET/PUT /me/preferences in api.js); this module keeps the last copy in
+ * localStorage so formatting helpers can read them synchronously, before the first request returns
+ * and in every open tab. Call setPreferences() after loading or saving; subscribers re-render.
+ */
+
+export const PREFERENCES_KEY = 'user_preferences';
+
+export const DEFAULT_PREFERENCES = {
+  timezone: '', // empty: the browser's timezone
+  timeFormat: '12h', // '12h' | '24h'
+  dateFormat: 'MMM D, YYYY', // one of DATE_FORMATS
+  defaultTenantId: '',
+  defaultView: 'reports',
+  notifications: {
+    scheduleFailures: true,
+    scheduleResults: false,
+    invitationAccepted: true,
+    productUpdates: false
+  }
+};
+
+export const DATE_FORMATS = ['MMM D, YYYY', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'];
+
+const listeners = new Set();
+
+function readStored() {
+  try {
+    return JSON.parse(localStorage.getItem(PREFERENCES_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+function publish() {
+  const prefs = getPreferences();
+  listeners.forEach(listener => listener(prefs));
+}
+
+/**
+ * Current preferences, with defaults filled in for anything the server hasn't set.
+ * @returns {typeof DEFAULT_PREFERENCES}
+ */
+export function getPreferences() {
+  const stored = readStored() || {};
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...stored,
+    notifications: { ...DEFAULT_PREFERENCES.notifications, ...stored.notifications }
+  };
+}
+
+/**
+ * Cache preferences from the server and notify subscribers.
+ * @param {Partial<typeof DEFAULT_PREFERENCES>} prefs
+ */
+export function setPreferences(prefs) {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(prefs || {}));
+  publish();
+}
+
+// On sign-out: the next user starts from the defaults
+export function clearPreferences() {
+  localStorage.removeItem(PREFERENCES_KEY);
+  publish();
+}
+
+/**
+ * @param {(prefs: typeof DEFAULT_PREFERENCES) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribePreferences(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * IANA timezone schedules and dates are shown in: the preferred one, else the browser's.
+ */
+export function getTimeZone() {
+  const { timezone } = getPreferences();
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch {
+      // Unknown to this browser; fall back
+    }
+  }
+  return browserTimeZone();
+}
+
+// Another tab saved or cleared preferences
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', e => {
+    if (e.key === PREFERENCES_KEY) publish();
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Client-side cache for read endpoints in api.js (stale-while-revalidate).
+ *
+ * Entries are keyed by tenant, acting role and endpoint path (the context api.js sends as headers).
+ * A fresh entry is served as-is; a stale entry is served instantly while a background request
+ * revalidates it; concurrent reads of the same key share one in-flight request. Error responses
+ * are never cached.
+ *
+ * Mutations call invalidate() with path prefixes so the next read goes to the network, and a
+ * request that was already in flight when the data changed is not allowed to repopulate the entry.
+ */
+
+export const DEFAULT_STALE_TIME = 30000;
+
+const entries = new Map(); // key -> { data?, fetchedAt, inflight }
+
+function currentTenant() {
+  return localStorage.getItem('selected_tenant_id') || 'none';
+}
+
+/**
+ * Cache key for an endpoint in the selected tenant and acting role (the x-tenant-id / x-acting-role headers).
+ * @param {string} path - API path including query string
+ * @returns {string}
+ */
+export function queryKey(path) {
+  return [currentTenant(), localStorage.getItem('acting_role') || '', path].join('|');
+}
+
+function revalidate(key, fetcher) {
+  const entry = entries.get(key) || {};
+  if (entry.inflight) return entry.inflight;
+
+  const inflight = fetcher().then(res => {
+    const current = entries.get(key);
+    // Invalidated (or cleared) while this request was in flight: hand the result to the caller, don't cache it
+    if (current?.inflight !== inflight) return res;
+    if (res?.error) {
+      entries.set(key, { ...current, inflight: null });
+    } else {
+      entries.set(key, { data: res, fetchedAt: Date.now(), inflight: null });
+    }
+    return res;
+  });
+  entries.set(key, { ...entry, inflight });
+  return inflight;
+}
+
+/**
+ * Read through the cache.
+ * @param {string} key - From queryKey()
+ * @param {() => Promise<any>} fetcher - Performs the network request
+ * @param {object} [options]
+ * @param {number} [options.staleTime] - Age (ms) after which cached data is revalidated in the background
+ * @param {boolean} [options.force] - Skip cached data and wait for the network
+ * @param {(data: any) => void} [options.onUpdate] - Called with fresh data when a background revalidation succeeds
+ * @returns {Promise<any>}
+ */
+export function cachedQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false, onUpdate } = {}) {
+  const entry = entries.get(key);
+  if (!force && entry && 'data' in entry) {
+    if (Date.now() - entry.fetchedAt > staleTime) {
+      revalidate(key, fetcher).then(res => {
+        if (!res?.error) onUpdate?.(res);
+      });
+    }
+    return Promise.resolve(entry.data);
+  }
+  return revalidate(key, fetcher);
+}
+
+/**
+ * Drop cached data for every path starting with one of the prefixes, in one tenant (all acting roles).
+ * @param {string[]} prefixes - e.g. ['/schedules', '/dashboard']
+ * @param {string} [tenantId] - Defaults to the selected tenant
+ */
+export function invalidate(prefixes, tenantId = currentTenant()) {
+  Array.from(entries.keys()).forEach(key => {
+    const [tenant, , path] = key.split('|');
+    if (tenant === String(tenantId) && prefixes.some(prefix => path.startsWith(prefix))) entries.delete(key);
+  });
+}
+
+// Forget everything (logout / user switch)
+export function clearQueryCache() {
+  entries.clear();
+}
@@ -0,0 +1,62 @@
+/**
+ * Roles and the acting role.
+ *
+ * A user can hold several roles (localStorage 'roles') and picks one to act in (localStorage 'acting_role',
+ * sent by api.js as x-acting-role). Everything the UI decides by role goes through effectiveRoles(), so
+ * a platform_admin acting as a delegate sees what a delegate sees, not what an admin sees.
+ */
+
+// Most to least privileged
+export const ROLE_ORDER = ['platform_admin', 'business_owner', 'manager', 'delegate', 'viewer'];
+
+export function formatRoleLabel(value) {
+  if (!value) return 'Unknown';
+  return String(value)
+    .split('_')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+/**
+ * Highest role held; what the user acts as by default after signing in.
+ * @param {string[]} roles
+ */
+export function primaryRole(roles) {
+  if (!Array.isArray(roles)) return '';
+  return ROLE_ORDER.find(r => roles.includes(r)) || roles[0] || '';
+}
+
+/**
+ * Roles the user may act in: their own, or any role for a platform_admin (to preview what customers see).
+ * @param {string[]} roles
+ */
+export function actingRoleOptions(roles) {
+  if (!Array.isArray(roles)) return [];
+  if (roles.includes('platform_admin')) return ROLE_ORDER;
+  return ROLE_ORDER.filter(r => roles.includes(r)).concat(roles.filter(r => !ROLE_ORDER.includes(r)));
+}
+
+/**
+ * The roles to check permissions against: just the acting role when it is one the user may act in,
+ * otherwise every role held.
+ * @param {string[]} roles
+ * @param {string} [actingRole]
+ * @returns {string[]}
+ */
+export function effectiveRoles(roles, actingRole) {
+  if (!Array.isArray(roles)) return [];
+  if (actingRole && actingRoleOptions(roles).includes(actingRole)) return [actingRole];
+  return roles;
+}
+
+/**
+ * True while acting in a role below the user's highest one (the UI shows a banner).
+ */
+export function isActingBelow(roles, actingRole) {
+  if (!actingRole || !Array.isArray(roles) || !roles.length) return false;
+  const rank = r => {
+    const i = ROLE_ORDER.indexOf(r);
+    return i === -1 ? ROLE_ORDER.length : i;
+  };
+  return rank(actingRole) > rank(primaryRole(roles));
+}
@@ -0,0 +1,193 @@
+/**
+ * Where the signed-in session lives. auth.js and api.js go through this module instead of reading
+ * tokens from localStorage themselves.
+ *
+ * Modes (VITE_SESSION_MODE):
+ * - 'local' (default): access and refresh tokens in localStorage.
+ * - 'memory': the access token is kept in memory only; the refresh token is an httpOnly cookie set by
+ *   the server. A reload or a new tab gets a new access token from the cookie.
+ * - 'cookie': access and refresh tokens are both httpOnly cookies. Requests carry no Authorization
+ *   header, and unsafe requests carry a CSRF token.
+ *
+ * In every mode the non-secret session claims ({ userId, email, roles, exp, ... }) are kept in
+ * localStorage under `session`. The UI reads them to know who is signed in and until when, and other
+ * tabs watch that key (see sessionSync.js).
+ */
+
+const API_BASE = (import.meta.env.DEV ? 'http://localhost:3001/api' : '/api');
+
+const MODES = ['local', 'memory', 'cookie'];
+export const SESSION_MODE = MODES.includes(import.meta.env?.VITE_SESSION_MODE) ? import.meta.env.VITE_SESSION_MODE : 'local';
+
+// Cookies travel with requests (refresh cookie in 'memory' mode, everything in 'cookie' mode)
+export const usesCookies = SESSION_MODE !== 'local';
+
+export const SESSION_KEY = 'session';
+const ACCESS_TOKEN_KEY = 'jwt';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+let memoryToken = null;
+let csrfToken = null;
+let csrfLoading = null;
+
+/**
+ * Decode a JWT payload without verifying it.
+ * @param {string} token
+ * @returns {object|null}
+ */
+export function decodeToken(token) {
+  if (!token) return null;
+  try {
+    const [, payload] = token.split('.');
+    if (!payload) return null;
+    return JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @returns {string|null} The bearer token for API requests (null in cookie mode)
+ */
+export function getAccessToken() {
+  if (SESSION_MODE === 'local') return localStorage.getItem(ACCESS_TOKEN_KEY);
+  if (SESSION_MODE === 'memory') return memoryToken;
+  return null;
+}
+
+/**
+ * @returns {string|null} The refresh token to send in the body of /auth/refresh (local mode only;
+ * the other modes send it as a cookie)
+ */
+export function getRefreshToken() {
+  return SESSION_MODE === 'local' ? localStorage.getItem(REFRESH_TOKEN_KEY) : null;
+}
+
+/**
+ * @returns {boolean} Whether the session can be renewed without signing in again
+ */
+export function canRefresh() {
+  return SESSION_MODE === 'local' ? !!localStorage.getItem(REFRESH_TOKEN_KEY) : !!getSessionInfo();
+}
+
+// The server rejected the refresh token; in cookie modes it clears the cookie itself
+export function dropRefreshToken() {
+  if (SESSION_MODE === 'local') localStorage.removeItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * @returns {object|null} Claims of the signed-in user (exp in seconds), or null when signed out
+ */
+export function getSessionInfo() {
+  try {
+    const stored = localStorage.getItem(SESSION_KEY);
+    if (stored) return JSON.parse(stored);
+  } catch {
+    // fall through
+  }
+  // Sessions started before the session key existed
+  return SESSION_MODE === 'local' ? decodeToken(localStorage.getItem(ACCESS_TOKEN_KEY)) : null;
+}
+
+/**
+ * Store the tokens and claims from a /auth/login or /auth/refresh response.
+ * @param {object} data
+ * @param {string} [data.token] - Access token (absent in cookie mode)
+ * @param {string} [data.refreshToken] - Refresh token (local mode; may be rotated on refresh)
+ * @param {object} [data.user] - User claims when there is no readable token
+ * @param {string|number} [data.expiresAt] - Access token expiry when there is no readable token
+ */
+export function storeSession({ token, refreshToken, user, expiresAt } = {}) {
+  if (SESSION_MODE === 'local') {
+    if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } else if (SESSION_MODE === 'memory') {
+    memoryToken = token || null;
+  }
+
+  let claims = decodeToken(token);
+  if (!claims) {
+    const expMs = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+    claims = { ...(user || getSessionInfo() || {}), ...(Number.isFinite(expMs) ? { exp: Math.floor(expMs / 1000) } : {}) };
+  }
+  localStorage.setItem(SESSION_KEY, JSON.stringify(claims));
+}
+
+export function clearSession() {
+  memoryToken = null;
+  csrfToken = null;
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// fetch `credentials` option for API and auth requests
+export function requestCredentials() {
+  return usesCookies ? 'include' : 'same-origin';
+}
+
+function readCsrfCookie() {
+  const match = document.cookie.split('; ').find(c => c.startsWith(`${CSRF_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(CSRF_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Remember a CSRF token the server sent with a response.
+ * @param {Response} res
+ */
+export function captureCsrfToken(res) {
+  const token = res?.headers?.get?.(CSRF_HEADER);
+  if (token) csrfToken = token;
+}
+
+/**
+ * CSRF header for a request, when cookies authenticate it and the method changes state.
+ * @param {string} [method]
+ * @returns {object}
+ */
+export function csrfHeaders(method = 'GET') {
+  if (!usesCookies || SAFE_METHODS.has(method.toUpperCase())) return {};
+  const token = csrfToken || readCsrfCookie();
+  return token ? { [CSRF_HEADER]: token } : {};
+}
+
+/**
+ * Fetch a CSRF token if none is known yet (or `force` after the server rejected ours).
+ * Concurrent callers share one request.
+ * @param {boolean} [force]
+ * @returns {Promise<string|null>}
+ */
+export async function ensureCsrfToken(force = false) {
+  if (!usesCookies) return null;
+  if (!force && (csrfToken || readCsrfCookie())) return csrfToken || readCsrfCookie();
+  if (csrfLoading) return csrfLoading;
+  csrfLoading = (async () => {
+    try {
+      const res = await fetch(`${API_BASE}/auth/csrf`, { credentials: 'include' });
+      captureCsrfToken(res);
+      if (res.ok) {
+        const data = await res.json().catch(() => ({}));
+        if (data?.csrfToken) csrfToken = data.csrfToken;
+      }
+    } catch (e) {
+      console.warn('[session] could not fetch CSRF token', e);
+    }
+    return csrfToken || readCsrfCookie();
+  })();
+  try {
+    return await csrfLoading;
+  } finally {
+    csrfLoading = null;
+  }
+}
+
+/**
+ * @param {{status: number, code?: string}} err - ApiError from a failed request
+ * @returns {boolean} Whether the server rejected the request's CSRF token
+ */
+export function isCsrfError(err) {
+  return err?.status === 403 && /csrf/i.test(err.code || '');
+}
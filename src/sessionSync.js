@@ -0,0 +1,86 @@
+/**
+ * Cross-tab session synchronization.
+ *
+ * Every tab shares the same localStorage session (session claims, acting_role, selected_tenant_id), and api.js
+ * reads its headers from there, so a tab whose React state disagrees with storage sends requests in
+ * the wrong context. Storage events fire in every *other* tab on each write, which means no write
+ * site has to remember to broadcast anything: this module turns those raw events into session changes.
+ */
+import { SESSION_KEY } from './sessionStore.js';
+import { IMPERSONATION_KEY } from './impersonation.js';
+
+// Tenant/role writes that follow a login, logout or impersonation switch in the other tab are part of it, not separate changes
+const SETTLE_MS = 2000;
+
+function parse(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function userOf(claims) {
+  return claims?.userId || claims?.sub || claims?.email || null;
+}
+
+/**
+ * @typedef {object} SessionChange
+ * @property {'login'|'logout'|'token'|'tenant'|'acting_role'|'impersonation'} type - 'token' is a renewal of the same user's session;
+ *   'impersonation' is an admin starting or ending "view as user" (see impersonation.js)
+ * @property {string} [value] - New tenant id / acting role
+ * @property {object} [user] - Claims of the user who signed in
+ * @property {boolean} [active] - For 'impersonation': whether a session is now active
+ * @property {boolean} [quiet] - Part of a login/logout that was already reported
+ */
+
+/**
+ * Listen for session changes made in other tabs.
+ * @param {(change: SessionChange) => void} listener
+ * @returns {() => void} unsubscribe (use as an effect cleanup)
+ */
+export function subscribeSessionSync(listener) {
+  let settledAt = 0;
+  const quiet = () => Date.now() < settledAt;
+
+  const onStorage = (e) => {
+    if (e.storageArea !== localStorage) return;
+
+    if (e.key === null) { // localStorage.clear()
+      settledAt = Date.now() + SETTLE_MS;
+      listener({ type: 'logout' });
+      return;
+    }
+
+    switch (e.key) {
+      case SESSION_KEY:
+        if (!e.newValue) {
+          settledAt = Date.now() + SETTLE_MS;
+          listener({ type: 'logout' });
+        } else if (!e.oldValue || userOf(parse(e.oldValue)) !== userOf(parse(e.newValue))) {
+          settledAt = Date.now() + SETTLE_MS;
+          listener({ type: 'login', user: parse(e.newValue) });
+        } else {
+          listener({ type: 'token' });
+        }
+        break;
+      case IMPERSONATION_KEY:
+        if (!e.oldValue !== !e.newValue) {
+          settledAt = Date.now() + SETTLE_MS;
+          listener({ type: 'impersonation', active: !!e.newValue });
+        }
+        break;
+      case 'selected_tenant_id':
+      case 'acting_role':
+        if (e.newValue && e.newValue !== e.oldValue) {
+          listener({ type: e.key === 'acting_role' ? 'acting_role' : 'tenant', value: e.newValue, quiet: quiet() });
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+}
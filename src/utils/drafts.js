@@ -0,0 +1,82 @@
+/**
+ * Unsaved form drafts (report SQL editor, schedule forms) kept in localStorage so they survive
+ * a session expiry or logout. Drafts are stored per user and are only handed back to the same
+ * user after they sign in again. logout() deliberately leaves them in place.
+ */
+import { decodeJwt } from '../auth.js';
+
+const STORAGE_KEY = 'form_drafts';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // forget drafts after a week
+
+function currentUser() {
+  const payload = decodeJwt();
+  return payload?.userId || payload?.sub || payload?.email || null;
+}
+
+function readAll() {
+  try {
+    const all = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const now = Date.now();
+    Object.keys(all).forEach(key => {
+      if (!all[key]?.savedAt || now - all[key].savedAt > MAX_AGE_MS) delete all[key];
+    });
+    return all;
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(all) {
+  try {
+    if (Object.keys(all).length === 0) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn('[drafts] could not save draft', e);
+  }
+}
+
+/**
+ * @param {string} name - Draft slot, e.g. 'report-editor' or `schedule-form:${reportId}`
+ * @param {object} data - Serializable form state
+ */
+export function saveDraft(name, data) {
+  const user = currentUser();
+  if (!user) return;
+  const all = readAll();
+  all[`${user}|${name}`] = { data, savedAt: Date.now() };
+  writeAll(all);
+}
+
+/**
+ * @param {string} name - Draft slot
+ * @returns {{data: object, savedAt: number}|null} The signed-in user's draft, if any
+ */
+export function loadDraft(name) {
+  const user = currentUser();
+  if (!user) return null;
+  return readAll()[`${user}|${name}`] || null;
+}
+
+/**
+ * @param {string} name - Draft slot
+ */
+export function clearDraft(name) {
+  const user = currentUser();
+  if (!user) return;
+  const all = readAll();
+  delete all[`${user}|${name}`];
+  writeAll(all);
+}
+
+/**
+ * @param {string} prefix - e.g. 'schedule-form:'
+ * @returns {Array<{name: string, data: object, savedAt: number}>} The signed-in user's drafts whose slot starts with prefix
+ */
+export function listDrafts(prefix = '') {
+  const user = currentUser();
+  if (!user) return [];
+  const all = readAll();
+  return Object.keys(all)
+    .filter(key => key.startsWith(`${user}|${prefix}`))
+    .map(key => ({ name: key.slice(user.length + 1), ...all[key] }));
+}
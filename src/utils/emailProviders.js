@@ -0,0 +1,81 @@
+/**
+ * EMAIL PROVIDERS
+ *
+ * SMTP presets for the AdminPanel email tab. Choosing one fills in the server settings; everything stays
+ * editable afterwards, and 'custom' leaves the fields alone. The server stores the settings, not the preset.
+ */
+
+// security: 'tls' connects over TLS (usually 465), 'starttls' upgrades a plain connection (587), 'none' is plain.
+// dkimSelector is the provider's usual DKIM selector, suggested to the deliverability check.
+export const EMAIL_PROVIDERS = [
+  { id: 'custom', label: 'Custom SMTP server' },
+  { id: 'm365', label: 'Microsoft 365', host: 'smtp.office365.com', port: 587, security: 'starttls', authTypes: ['oauth2', 'password'], oauthProvider: 'microsoft', dkimSelector: 'selector1' },
+  { id: 'google', label: 'Google Workspace / Gmail', host: 'smtp.gmail.com', port: 465, security: 'tls', authTypes: ['oauth2', 'password'], oauthProvider: 'google', dkimSelector: 'google' },
+  { id: 'sendgrid', label: 'SendGrid', host: 'smtp.sendgrid.net', port: 587, security: 'starttls', authTypes: ['password'], username: 'apikey', dkimSelector: 's1' },
+  { id: 'ses', label: 'Amazon SES', host: 'email-smtp.us-east-1.amazonaws.com', port: 587, security: 'starttls', authTypes: ['password'] },
+  { id: 'mailgun', label: 'Mailgun', host: 'smtp.mailgun.org', port: 587, security: 'starttls', authTypes: ['password'] },
+  { id: 'local', label: 'Local test server (npm run mock-smtp)', host: 'localhost', port: 2525, security: 'none', authTypes: ['none', 'password'] }
+];
+
+export const AUTH_TYPES = [
+  { id: 'password', label: 'Username and password' },
+  { id: 'oauth2', label: 'OAuth2 (sign in with the provider)' },
+  { id: 'none', label: 'No authentication' }
+];
+
+/**
+ * The preset matching saved settings, so the form reopens on the provider it was set up with.
+ * SES hosts differ by region, so any email-smtp.*.amazonaws.com host counts as SES.
+ * @param {{ host?: string }} settings
+ * @returns {string} provider id
+ */
+export function detectProvider(settings) {
+  const host = String(settings?.host || '').toLowerCase();
+  if (/^email-smtp\.[a-z0-9-]+\.amazonaws\.com$/.test(host)) return 'ses';
+  const match = EMAIL_PROVIDERS.find(p => p.host && (p.host === host || (p.id === 'local' && host === '127.0.0.1')));
+  return match ? match.id : 'custom';
+}
+
+/**
+ * Settings with a preset's server fields filled in. Credentials are cleared when the provider changes,
+ * except the preset's fixed username (SendGrid's "apikey").
+ * @param {object} settings - Current form state
+ * @param {string} providerId
+ * @returns {object}
+ */
+export function applyProvider(settings, providerId) {
+  const provider = EMAIL_PROVIDERS.find(p => p.id === providerId);
+  if (!provider || provider.id === 'custom') return { ...settings, provider: 'custom' };
+  const authType = provider.authTypes.includes(settings.authType) ? settings.authType : provider.authTypes[0];
+  return {
+    ...settings,
+    provider: provider.id,
+    host: provider.host,
+    port: provider.port,
+    security: provider.security,
+    authType,
+    username: provider.username || (authType === 'none' ? '' : settings.username),
+    password: ''
+  };
+}
+
+/**
+ * The domain part of an address ("Reports <reports@acme.com>" gives "acme.com"), lowercased, or '' when
+ * there is none. The deliverability check looks up SPF, DKIM and DMARC for this domain.
+ * @param {string} address
+ */
+export function emailDomain(address) {
+  const match = String(address || '').match(/@([^\s@<>]+?)>?\s*$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * How the connection is secured. Settings saved before presets existed only carry `secure`, where false
+ * meant STARTTLS when the server offers it.
+ * @param {{ security?: string, secure?: boolean }} settings
+ * @returns {'tls'|'starttls'|'none'}
+ */
+export function securityFromSettings(settings) {
+  if (settings?.security) return settings.security;
+  return settings?.secure ? 'tls' : 'starttls';
+}
@@ -0,0 +1,79 @@
+/**
+ * EMAIL TEMPLATES
+ *
+ * Per-client branding for scheduled report emails, shared by the template editor (ClientPanel) and
+ * ScheduleModal. The server fills the placeholders when it sends; fillPlaceholders() does the same for
+ * the previews so what is shown matches what is sent.
+ */
+
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: 'reportName', description: 'Name of the report' },
+  { key: 'runDate', description: 'Date the schedule ran' },
+  { key: 'rowCount', description: 'Number of rows in the results' },
+  { key: 'clientName', description: 'Your company name' }
+];
+
+// Fields that may contain placeholders
+export const TEMPLATE_TEXT_FIELDS = ['subject', 'introText', 'footerText', 'unsubscribeText'];
+
+export const EMPTY_TEMPLATE = {
+  name: '',
+  subject: '{{reportName}} - {{runDate}}',
+  logoUrl: '',
+  introText: 'Here is the latest {{reportName}} report ({{rowCount}} rows).',
+  footerText: '',
+  unsubscribeText: 'You receive this email because you are a recipient of a scheduled report. Ask {{clientName}} to remove you from the schedule to stop receiving it.',
+  isDefault: false
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Text with each known {{placeholder}} replaced. Placeholders without a value are left as typed.
+ * @param {string} text
+ * @param {Object<string, string|number>} values
+ */
+export function fillPlaceholders(text, values) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (match, key) => (values[key] != null ? String(values[key]) : match));
+}
+
+/**
+ * Placeholders in a template that the server would not know how to fill, by field.
+ * @param {object} template
+ * @returns {Array<{ field: string, key: string }>}
+ */
+export function unknownPlaceholders(template) {
+  const known = new Set(TEMPLATE_PLACEHOLDERS.map(p => p.key));
+  return TEMPLATE_TEXT_FIELDS.flatMap(field =>
+    [...String(template[field] || '').matchAll(PLACEHOLDER_PATTERN)]
+      .filter(([, key]) => !known.has(key))
+      .map(([, key]) => ({ field, key }))
+  );
+}
+
+/**
+ * Why a template cannot be saved yet, or null when it can.
+ * @param {object} template
+ * @returns {string|null}
+ */
+export function templateProblem(template) {
+  if (!template.name?.trim()) return 'Give the template a name';
+  if (!template.subject?.trim()) return 'The subject cannot be empty';
+  if (template.logoUrl && !/^https:\/\//i.test(template.logoUrl.trim())) return 'The logo must be an https:// image URL, so mail clients can load it';
+  const unknown = unknownPlaceholders(template);
+  if (unknown.length) return `Unknown placeholder ${unknown.map(u => `{{${u.key}}}`).join(', ')}; use ${TEMPLATE_PLACEHOLDERS.map(p => `{{${p.key}}}`).join(', ')}`;
+  return null;
+}
+
+/**
+ * The template a schedule sends with: its own choice, else the client's default, else none (plain email).
+ * @param {Array<{ id: string|number, isDefault?: boolean }>} templates
+ * @param {string|number|null} [templateId]
+ */
+export function templateForSchedule(templates, templateId) {
+  if (templateId != null && templateId !== '') {
+    const chosen = templates.find(t => String(t.id) === String(templateId));
+    if (chosen) return chosen;
+  }
+  return templates.find(t => t.isDefault) || null;
+}
@@ -0,0 +1,80 @@
+/**
+ * INVITATIONS
+ *
+ * Invitation status and bulk-invite parsing, shared by AdminPanel's invitations tab and ClientPanel.
+ * The server validates every invitation again; the preview only catches mistakes before anything is sent.
+ */
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'expired', 'revoked'];
+
+// How long a new invitation stays valid unless the sender picks otherwise
+export const DEFAULT_EXPIRY_DAYS = 7;
+
+export const MAX_BULK_INVITES = 200;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Where an invitation stands now. Older servers only send `status` and `accountCreated`; newer ones add
+ * `expiresAt` and `revokedAt`, which win over a stale 'pending'.
+ * @param {{ status?: string, accountCreated?: boolean, acceptedAt?: string, revokedAt?: string, expiresAt?: string }} invitation
+ * @param {Date} [now]
+ * @returns {'pending'|'accepted'|'expired'|'revoked'}
+ */
+export function invitationStatus(invitation, now = new Date()) {
+  if (invitation.accountCreated || invitation.acceptedAt || invitation.status === 'accepted') return 'accepted';
+  if (invitation.revokedAt || invitation.status === 'revoked') return 'revoked';
+  if (invitation.status === 'expired') return 'expired';
+  if (invitation.expiresAt && new Date(invitation.expiresAt) <= now) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Parse a pasted list or CSV file into invitation rows. Each line is `email` or `email,role` (commas,
+ * semicolons or tabs); a header line naming an "email" column is skipped, and blank lines are ignored.
+ * @param {string} text
+ * @param {object} options
+ * @param {string[]} options.roles - Roles the sender may give; a row naming any other role is an error.
+ *   Empty for invitations without a role (AdminPanel's generic invitations): the role column is ignored.
+ * @param {string} [options.defaultRole] - Role for rows that do not name one
+ * @param {string[]} [options.existingEmails] - Users and pending invitations already in place
+ * @returns {Array<{ line: number, email: string, role: string|null, error: string|null }>}
+ */
+export function parseInviteList(text, { roles, defaultRole, existingEmails = [] }) {
+  const existing = new Set(existingEmails.map(e => e.toLowerCase()));
+  const seen = new Set();
+  const rows = [];
+
+  // Excel saves "CSV UTF-8" with a byte order mark in front of the header
+  String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    const cells = raw.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (cells.every(cell => !cell)) return;
+    if (rows.length === 0 && cells[0].toLowerCase() === 'email') return;
+
+    const email = cells[0];
+    const role = roles.length ? (cells[1] || defaultRole || '').toLowerCase().replace(/[\s-]+/g, '_') || null : null;
+    const key = email.toLowerCase();
+    let error = null;
+    if (!EMAIL_PATTERN.test(email)) error = 'Not a valid email address';
+    else if (roles.length && !role) error = `No role given (use ${roles.join(' or ')})`;
+    else if (role && !roles.includes(role)) error = `Unknown role "${cells[1]}" (use ${roles.join(' or ')})`;
+    else if (seen.has(key)) error = 'Listed more than once';
+    else if (existing.has(key)) error = 'Already a user or invited';
+    seen.add(key);
+    rows.push({ line: index + 1, email, role, error });
+  });
+
+  if (rows.length > MAX_BULK_INVITES) {
+    rows.slice(MAX_BULK_INVITES).forEach(row => { row.error = row.error || `Only ${MAX_BULK_INVITES} invitations per import`; });
+  }
+  return rows;
+}
+
+/**
+ * The expiry date `days` from now, as the server expects it.
+ * @param {number} days
+ * @param {Date} [now]
+ */
+export function expiryFromNow(days, now = new Date()) {
+  return new Date(now.getTime() + days * 86400000).toISOString();
+}
@@ -0,0 +1,38 @@
+/**
+ * Optimistic list mutations: apply a change to list state immediately, send it to the server,
+ * and put the original item back if the server rejects it.
+ */
+
+/**
+ * @param {Array<{id: any}>} list - Current list state (snapshot used to find the item and its position)
+ * @param {Function} setList - React state setter for that list
+ * @param {any} id - Id of the item to change
+ * @param {((item: object) => object) | null} change - Returns the updated item; `null` removes the item
+ * @param {() => Promise<any>} commit - The api.js call; a result with `error` triggers the rollback
+ * @returns {Promise<any>} The commit result
+ */
+export async function optimisticListChange(list, setList, id, change, commit) {
+  const index = list.findIndex(item => item.id === id);
+  if (index === -1) return commit();
+
+  const original = list[index];
+  const updated = change ? change(original) : null;
+  setList(current => updated
+    ? current.map(item => (item.id === id ? updated : item))
+    : current.filter(item => item.id !== id));
+
+  const res = await commit();
+  if (res?.error) {
+    setList(current => {
+      if (updated) {
+        // Only undo our own change; leave the item alone if something newer replaced it
+        return current.map(item => (item === updated ? original : item));
+      }
+      if (current.some(item => item.id === id)) return current;
+      const restored = [...current];
+      restored.splice(Math.min(index, restored.length), 0, original);
+      return restored;
+    });
+  }
+  return res;
+}
@@ -0,0 +1,68 @@
+/**
+ * PASSWORD POLICY
+ *
+ * The one password-strength policy for every place a password is chosen: signup, email verification,
+ * reset and change. The server enforces the same rules; checking here just gives feedback before submit.
+ */
+
+export const PASSWORD_MIN_LENGTH = 10;
+
+// Passwords that meet the character rules but are still guessed first
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', 'passw0rd', 'qwerty123', 'qwertyuiop', 'letmein', 'welcome1',
+  'welcome123', 'admin123', 'iloveyou', 'abc12345', '123456789', '1234567890', 'changeme', 'pestcontrol'
+];
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+/**
+ * Evaluate a candidate password against each rule.
+ * @param {string} password
+ * @param {{ email?: string }} [context] - The account email; the password must not contain its name part
+ * @returns {Array<{ id: string, label: string, met: boolean }>}
+ */
+export function checkPassword(password = '', { email } = {}) {
+  const lower = password.toLowerCase();
+  const classes = CHARACTER_CLASSES.filter(re => re.test(password)).length;
+  const emailName = (email || '').split('@')[0].toLowerCase();
+
+  return [
+    { id: 'length', label: `At least ${PASSWORD_MIN_LENGTH} characters`, met: password.length >= PASSWORD_MIN_LENGTH },
+    { id: 'variety', label: 'Three of: lowercase, uppercase, number, symbol', met: classes >= 3 },
+    {
+      id: 'personal',
+      label: 'Not based on your email address',
+      met: !(emailName.length >= 3 && lower.includes(emailName))
+    },
+    {
+      id: 'common',
+      label: 'Not a commonly used password',
+      met: !COMMON_PASSWORDS.some(common => lower.replace(/[^a-z0-9]/g, '').includes(common.replace(/[^a-z0-9]/g, '')))
+    }
+  ];
+}
+
+/**
+ * The first rule a password breaks, as a sentence for the form's error line.
+ * @returns {string|null} null when the password is acceptable
+ */
+export function passwordError(password, context) {
+  const failed = checkPassword(password, context).find(rule => !rule.met);
+  if (!failed) return null;
+  switch (failed.id) {
+    case 'length': return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    case 'variety': return 'Password must use at least three of: lowercase letters, uppercase letters, numbers and symbols';
+    case 'personal': return 'Password must not contain your email address';
+    default: return 'That password is too common. Choose something less predictable';
+  }
+}
+
+/**
+ * Rough strength for the meter: 0 (empty) to 4 (strong). Only a password that passes every rule scores above 2.
+ */
+export function passwordStrength(password, context) {
+  if (!password) return 0;
+  if (passwordError(password, context)) return password.length >= PASSWORD_MIN_LENGTH / 2 ? 2 : 1;
+  const classes = CHARACTER_CLASSES.filter(re => re.test(password)).length;
+  return password.length >= PASSWORD_MIN_LENGTH + 4 || classes === 4 ? 4 : 3;
+}
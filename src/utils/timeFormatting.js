@@ -1,39 +1,63 @@
 /**
  * TIME FORMATTING UTILITIES
  * 
- * Handles timezone conversion between browser local time and UTC
+ * Handles timezone conversion between the user's timezone and UTC, and formats dates and times
+ * the way the user chose on their profile (see preferences.js).
  * All times stored in database are UTC
  */
+import { getPreferences, getTimeZone } from '../preferences.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Calendar fields of an instant as seen in a timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type)?.value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour') % 24, minute: get('minute'), second: get('second') };
+}
+
+// Minutes the timezone is ahead of UTC at the given instant (DST-aware)
+function zoneOffsetMinutes(timeZone, date = new Date()) {
+  const p = zonedParts(date, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function toHHMM(totalMinutes) {
+  const wrapped = ((totalMinutes % 1440) + 1440) % 1440;
+  return {
+    hour: Math.floor(wrapped / 60),
+    minute: wrapped % 60
+  };
+}
 
 /**
- * Convert local time to UTC time string
+ * Convert a time of day in the user's timezone (today's offset) to a UTC time string
  */
-export function convertToUTC(hour, minute) {
-  const local = new Date();
-  local.setHours(hour, minute, 0, 0);
-  
-  const utcHour = local.getUTCHours();
-  const utcMinute = local.getUTCMinutes();
-  
-  return `${String(utcHour).padStart(2, '0')}:${String(utcMinute).padStart(2, '0')}`;
+export function convertToUTC(hour, minute, timeZone = getTimeZone()) {
+  const utc = toHHMM(hour * 60 + minute - zoneOffsetMinutes(timeZone));
+  return `${String(utc.hour).padStart(2, '0')}:${String(utc.minute).padStart(2, '0')}`;
 }
 
 /**
- * Convert UTC time string to local time
+ * Convert UTC time string to a time of day in the user's timezone
  */
-export function convertFromUTC(utcTimeString) {
+export function convertFromUTC(utcTimeString, timeZone = getTimeZone()) {
   if (!utcTimeString || !utcTimeString.includes(':')) {
     return { hour: 9, minute: 0 };
   }
   
   const [hour, minute] = utcTimeString.split(':').map(Number);
-  const utc = new Date();
-  utc.setUTCHours(hour, minute, 0, 0);
-  
-  return {
-    hour: utc.getHours(),
-    minute: utc.getMinutes()
-  };
+  return toHHMM(hour * 60 + minute + zoneOffsetMinutes(timeZone));
 }
 
 /**
@@ -47,37 +71,86 @@ export function formatTime12Hour(hour, minute) {
   return `${displayHour}:${displayMinute} ${period}`;
 }
 
+/**
+ * Format time in the user's 12h/24h preference
+ */
+export function formatTime(hour, minute, timeFormat = getPreferences().timeFormat) {
+  if (timeFormat === '24h') {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+  return formatTime12Hour(hour, minute);
+}
+
+/**
+ * Label for an hour in a time picker ("9 AM" or "09:00")
+ */
+export function formatHour(hour, timeFormat = getPreferences().timeFormat) {
+  if (timeFormat === '24h') return `${String(hour).padStart(2, '0')}:00`;
+  return hour === 0 ? '12 AM' : hour < 12 ? `${hour} AM` : hour === 12 ? '12 PM' : `${hour - 12} PM`;
+}
+
 /**
  * Format UTC time string for display
  */
 export function formatTimeDisplay(utcTimeString) {
   const { hour, minute } = convertFromUTC(utcTimeString);
-  return formatTime12Hour(hour, minute);
+  return formatTime(hour, minute);
+}
+
+function toDate(dateTime) {
+  if (!dateTime) return null;
+  const date = typeof dateTime === 'string' ? new Date(dateTime) : dateTime;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Format a date in the user's timezone and date format
+ */
+export function formatDate(dateTime) {
+  const date = toDate(dateTime);
+  if (!date) return '';
+
+  const { year, month, day } = zonedParts(date, getTimeZone());
+  const mm = String(month).padStart(2, '0');
+  const dd = String(day).padStart(2, '0');
+  switch (getPreferences().dateFormat) {
+    case 'MM/DD/YYYY': return `${mm}/${dd}/${year}`;
+    case 'DD/MM/YYYY': return `${dd}/${mm}/${year}`;
+    case 'YYYY-MM-DD': return `${year}-${mm}-${dd}`;
+    default: return `${MONTHS[month - 1]} ${day}, ${year}`;
+  }
+}
+
+/**
+ * Hour and minute of an instant in the user's timezone
+ */
+export function timeOfDay(dateTime) {
+  const date = toDate(dateTime);
+  if (!date) return null;
+
+  const { hour, minute } = zonedParts(date, getTimeZone());
+  return { hour, minute };
 }
 
 /**
  * Format DateTime for display in user's timezone
  */
 export function formatDateTime(dateTime) {
-  if (!dateTime) return '';
-  
-  const date = typeof dateTime === 'string' ? new Date(dateTime) : dateTime;
-  if (!date || Number.isNaN(date.getTime())) return '';
-  
-  return date.toLocaleString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
+  const date = toDate(dateTime);
+  if (!date) return '';
+
+  const { hour, minute } = timeOfDay(date);
+  return `${formatDate(date)}, ${formatTime(hour, minute)}`;
 }
 
 export default {
   convertToUTC,
   convertFromUTC,
   formatTime12Hour,
+  formatTime,
+  formatHour,
   formatTimeDisplay,
+  formatDate,
+  timeOfDay,
   formatDateTime
 };
@@ -0,0 +1,42 @@
+// @ts-check
+/**
+ * SMTP presets (src/utils/emailProviders.js) - pure unit tests, no browser or backend.
+ */
+import { test, expect } from '@playwright/test';
+import { applyProvider, detectProvider, emailDomain, securityFromSettings } from '../src/utils/emailProviders.js';
+
+const settings = { provider: 'custom', host: 'mail.acme.com', port: 25, security: 'none', authType: 'password', username: 'me', password: 'secret', fromAddress: 'reports@acme.com' };
+
+test.describe('Email provider presets', () => {
+
+  test('a preset fills the server fields and clears credentials', () => {
+    const m365 = applyProvider(settings, 'm365');
+    expect(m365).toMatchObject({ provider: 'm365', host: 'smtp.office365.com', port: 587, security: 'starttls', authType: 'password', username: 'me', password: '' });
+    expect(m365.fromAddress).toBe('reports@acme.com');
+    expect(applyProvider(settings, 'sendgrid')).toMatchObject({ username: 'apikey', authType: 'password' });
+    expect(applyProvider({ ...settings, authType: 'oauth2' }, 'sendgrid').authType).toBe('password');
+  });
+
+  test('custom leaves the fields alone', () => {
+    expect(applyProvider(settings, 'custom')).toEqual(settings);
+  });
+
+  test('saved settings reopen on their provider', () => {
+    expect(detectProvider({ host: 'smtp.gmail.com' })).toBe('google');
+    expect(detectProvider({ host: 'email-smtp.eu-west-1.amazonaws.com' })).toBe('ses');
+    expect(detectProvider({ host: '127.0.0.1' })).toBe('local');
+    expect(detectProvider({ host: 'mail.acme.com' })).toBe('custom');
+  });
+
+  test('older settings without security map from secure', () => {
+    expect(securityFromSettings({ secure: true })).toBe('tls');
+    expect(securityFromSettings({ secure: false })).toBe('starttls');
+    expect(securityFromSettings({ secure: true, security: 'none' })).toBe('none');
+  });
+
+  test('reads the domain from an address', () => {
+    expect(emailDomain('Reports <Reports@Acme.COM>')).toBe('acme.com');
+    expect(emailDomain('reports@acme.co.uk')).toBe('acme.co.uk');
+    expect(emailDomain('not an address')).toBe('');
+  });
+});
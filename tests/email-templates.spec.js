@@ -0,0 +1,38 @@
+// @ts-check
+/**
+ * Email template helpers (src/utils/emailTemplates.js) - pure unit tests, no browser or backend.
+ */
+import { test, expect } from '@playwright/test';
+import { EMPTY_TEMPLATE, fillPlaceholders, unknownPlaceholders, templateProblem, templateForSchedule } from '../src/utils/emailTemplates.js';
+
+const values = { reportName: 'Termite Inspections', runDate: '10/19/2026', rowCount: 42, clientName: 'Acme Pest' };
+
+test.describe('Email templates', () => {
+
+  test('fills known placeholders and leaves the rest as typed', () => {
+    expect(fillPlaceholders('{{reportName}} - {{ runDate }} ({{rowCount}} rows)', values)).toBe('Termite Inspections - 10/19/2026 (42 rows)');
+    expect(fillPlaceholders('Hello {{customer}}', values)).toBe('Hello {{customer}}');
+    expect(fillPlaceholders('', values)).toBe('');
+  });
+
+  test('the starting template is valid once named', () => {
+    expect(templateProblem(EMPTY_TEMPLATE)).toBe('Give the template a name');
+    expect(templateProblem({ ...EMPTY_TEMPLATE, name: 'Monthly' })).toBeNull();
+  });
+
+  test('flags unknown placeholders, an empty subject and a non-https logo', () => {
+    const template = { ...EMPTY_TEMPLATE, name: 'Monthly', footerText: 'Thanks, {{sender}}' };
+    expect(unknownPlaceholders(template)).toEqual([{ field: 'footerText', key: 'sender' }]);
+    expect(templateProblem(template)).toContain('{{sender}}');
+    expect(templateProblem({ ...EMPTY_TEMPLATE, name: 'Monthly', subject: ' ' })).toBe('The subject cannot be empty');
+    expect(templateProblem({ ...EMPTY_TEMPLATE, name: 'Monthly', logoUrl: 'http://acme.com/logo.png' })).toContain('https://');
+  });
+
+  test('a schedule uses its own template, else the default, else none', () => {
+    const templates = [{ id: 1, name: 'Brand' }, { id: 2, name: 'Default', isDefault: true }];
+    expect(templateForSchedule(templates, '1')?.name).toBe('Brand');
+    expect(templateForSchedule(templates, null)?.name).toBe('Default');
+    expect(templateForSchedule(templates, 99)?.name).toBe('Default');
+    expect(templateForSchedule([{ id: 1, name: 'Brand' }], '')).toBeNull();
+  });
+});
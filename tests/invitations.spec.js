@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * Invitation helpers (src/utils/invitations.js) - pure unit tests, no browser or backend.
+ */
+import { test, expect } from '@playwright/test';
+import { invitationStatus, parseInviteList, MAX_BULK_INVITES } from '../src/utils/invitations.js';
+
+const now = new Date('2026-03-01T12:00:00Z');
+const options = { roles: ['delegate', 'viewer'], defaultRole: 'delegate' };
+
+test.describe('Invitation status', () => {
+
+  test('acceptance and revocation win over expiry', () => {
+    expect(invitationStatus({ status: 'pending', accountCreated: true, expiresAt: '2026-01-01' }, now)).toBe('accepted');
+    expect(invitationStatus({ status: 'pending', revokedAt: '2026-02-01', expiresAt: '2026-01-01' }, now)).toBe('revoked');
+  });
+
+  test('a pending invitation past its expiry is expired', () => {
+    expect(invitationStatus({ status: 'pending', expiresAt: '2026-02-28T00:00:00Z' }, now)).toBe('expired');
+    expect(invitationStatus({ status: 'pending', expiresAt: '2026-03-02T00:00:00Z' }, now)).toBe('pending');
+    expect(invitationStatus({ status: 'pending' }, now)).toBe('pending');
+  });
+});
+
+test.describe('Bulk invite parsing', () => {
+
+  test('reads email and role per line, skipping a header and blank lines', () => {
+    const rows = parseInviteList('Email,Role\n\njane@example.com, Viewer\n"sam@example.com";delegate\nlee@example.com', options);
+    expect(rows).toEqual([
+      { line: 3, email: 'jane@example.com', role: 'viewer', error: null },
+      { line: 4, email: 'sam@example.com', role: 'delegate', error: null },
+      { line: 5, email: 'lee@example.com', role: 'delegate', error: null }
+    ]);
+  });
+
+  test('flags invalid emails, unknown roles and duplicates per row', () => {
+    const rows = parseInviteList('not-an-email\nann@example.com,owner\nbo@example.com\nBO@example.com\ncy@example.com', {
+      ...options,
+      existingEmails: ['Cy@example.com']
+    });
+    expect(rows.map(r => r.error)).toEqual([
+      'Not a valid email address',
+      'Unknown role "owner" (use delegate or viewer)',
+      null,
+      'Listed more than once',
+      'Already a user or invited'
+    ]);
+  });
+
+  test('without roles the role column is ignored', () => {
+    expect(parseInviteList('jane@example.com,anything', { roles: [] })).toEqual([
+      { line: 1, email: 'jane@example.com', role: null, error: null }
+    ]);
+  });
+
+  test('a row without a role is an error when there is no default', () => {
+    expect(parseInviteList('jane@example.com', { roles: ['delegate', 'viewer'] })).toEqual([
+      { line: 1, email: 'jane@example.com', role: null, error: 'No role given (use delegate or viewer)' }
+    ]);
+  });
+
+  test('a header behind a byte order mark is still skipped', () => {
+    expect(parseInviteList('\uFEFFemail,role\r\njane@example.com,viewer', options)).toEqual([
+      { line: 2, email: 'jane@example.com', role: 'viewer', error: null }
+    ]);
+  });
+
+  test('rows past the import limit are errors', () => {
+    const text = Array.from({ length: MAX_BULK_INVITES + 2 }, (_, i) => `user${i}@example.com`).join('\n');
+    const rows = parseInviteList(text, options);
+    expect(rows.filter(r => r.error).length).toBe(2);
+  });
+});
@@ -0,0 +1,126 @@
+// @ts-check
+/**
+ * Permission matrix (src/permissions.js) - pure unit tests, no browser or backend.
+ *
+ * Pins who may do what, so a change to the matrix is a deliberate, reviewed change.
+ */
+import { test, expect } from '@playwright/test';
+import {
+  PERMISSION_MATRIX,
+  PERMISSIONS,
+  PERMISSION_FLAGS,
+  allPermissionFlags,
+  can,
+  grantedPermissions,
+  hasAccess,
+  USER_PERMISSION_FIELDS
+} from '../src/permissions.js';
+import { effectiveRoles } from '../src/roles.js';
+
+const ROLES = ['platform_admin', 'business_owner', 'manager', 'delegate', 'viewer'];
+
+// Before getMyPermissions() answers, the acting role alone decides
+const ROLE_GRANTS = {
+  platform_admin: [
+    'reports.view', 'reports.run', 'reports.create', 'reports.edit', 'reports.delete',
+    'connections.manage', 'users.invite', 'users.manage', 'users.transferOwnership',
+    'tenants.selectAny', 'admin.view', 'clients.manage', 'managers.manage'
+  ],
+  business_owner: [
+    'reports.view', 'reports.run', 'reports.create', 'reports.edit', 'reports.delete',
+    'connections.manage', 'users.invite', 'users.manage', 'users.transferOwnership', 'settings.view'
+  ],
+  manager: [
+    'reports.view', 'reports.run', 'reports.create', 'reports.edit', 'reports.delete',
+    'connections.manage', 'tenants.selectAssigned'
+  ],
+  delegate: [
+    'reports.view', 'reports.run', 'reports.create', 'reports.edit', 'reports.delete',
+    'connections.manage', 'users.invite', 'users.manage', 'settings.view'
+  ],
+  viewer: ['reports.view']
+};
+
+test.describe('Permission matrix', () => {
+
+  test('every rule has roles and a label, and only known roles', () => {
+    for (const [permission, rule] of Object.entries(PERMISSION_MATRIX)) {
+      expect(rule.roles.length, permission).toBeGreaterThan(0);
+      expect(rule.label, permission).toBeTruthy();
+      for (const role of rule.roles) expect(ROLES, permission).toContain(role);
+    }
+  });
+
+  for (const role of ROLES) {
+    test(`${role} before permissions load`, () => {
+      expect(grantedPermissions({ roles: [role], permissions: null })).toEqual(ROLE_GRANTS[role]);
+    });
+  }
+
+  test('unknown permissions and missing roles are never granted', () => {
+    expect(can('reports.launch', { roles: ['platform_admin'] })).toBe(false);
+    expect(can('reports.view', { roles: [] })).toBe(false);
+    expect(can('reports.view')).toBe(false);
+  });
+
+  test('loaded permissions decide flag-backed rules', () => {
+    const permissions = { canViewReports: true, canEditReports: false, canCreateReports: true };
+    expect(can('reports.edit', { roles: ['business_owner'], permissions })).toBe(false);
+    expect(can('reports.create', { roles: ['viewer'], permissions })).toBe(true);
+    expect(can('connections.manage', { roles: ['manager'], permissions })).toBe(false);
+  });
+
+  test('role-only rules ignore loaded permissions', () => {
+    expect(can('admin.view', { roles: ['platform_admin'], permissions: {} })).toBe(true);
+    expect(can('admin.view', { roles: ['business_owner'], permissions: allPermissionFlags() })).toBe(false);
+  });
+
+  test('users.manage is granted by either user flag', () => {
+    expect(can('users.manage', { roles: ['delegate'], permissions: { canInviteUsers: true } })).toBe(true);
+    expect(can('users.manage', { roles: ['delegate'], permissions: { canManageUsers: true } })).toBe(true);
+    expect(can('users.manage', { roles: ['delegate'], permissions: {} })).toBe(false);
+  });
+
+  test('settings.view: owners and delegates always, others with a user flag', () => {
+    expect(can('settings.view', { roles: ['delegate'], permissions: {} })).toBe(true);
+    expect(can('settings.view', { roles: ['manager'], permissions: {} })).toBe(false);
+    expect(can('settings.view', { roles: ['manager'], permissions: { canManageUsers: true } })).toBe(true);
+    expect(can('settings.view', { roles: ['platform_admin'], permissions: allPermissionFlags() })).toBe(true);
+  });
+
+  test('allPermissionFlags grants every flag-backed rule', () => {
+    expect(Object.keys(allPermissionFlags()).sort()).toEqual([...PERMISSION_FLAGS].sort());
+    const granted = grantedPermissions({ roles: ['platform_admin'], permissions: allPermissionFlags() });
+    expect(granted).toEqual(PERMISSIONS.filter(p => p !== 'tenants.selectAssigned'));
+  });
+
+  test('ClientPanel edits exactly the flags the matrix reads', () => {
+    expect(USER_PERMISSION_FIELDS.map(f => f.key).sort()).toEqual([...PERMISSION_FLAGS].sort());
+  });
+
+  test('an admin acting as a viewer gets only what a viewer gets', () => {
+    const roles = effectiveRoles(['platform_admin'], 'viewer');
+    expect(grantedPermissions({ roles, permissions: null })).toEqual(ROLE_GRANTS.viewer);
+  });
+});
+
+test.describe('Per-resource sharing', () => {
+
+  test('unrestricted resources follow the tenant-wide rules', () => {
+    expect(hasAccess({ id: 1 }, 'edit')).toBe(true);
+    expect(hasAccess({ id: 1 }, 'manage')).toBe(true);
+  });
+
+  test('report levels: edit includes view', () => {
+    expect(hasAccess({ myAccess: 'edit' }, 'view')).toBe(true);
+    expect(hasAccess({ myAccess: 'view' }, 'view')).toBe(true);
+    expect(hasAccess({ myAccess: 'view' }, 'edit')).toBe(false);
+    expect(hasAccess({ myAccess: 'none' }, 'view')).toBe(false);
+  });
+
+  test('connection levels: manage includes use', () => {
+    expect(hasAccess({ myAccess: 'manage' }, 'use')).toBe(true);
+    expect(hasAccess({ myAccess: 'use' }, 'manage')).toBe(false);
+    expect(hasAccess({ myAccess: 'none' }, 'use')).toBe(false);
+  });
+});